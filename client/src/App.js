@@ -32,12 +32,17 @@ import TherapistClientDetail from './pages/therapist/ClientDetail';
 import TherapistSessionManagement from './pages/therapist/SessionManagement';
 import TherapistBehaviorPresets from './pages/therapist/BehaviorPresets';
 import TherapistResourceManagement from './pages/therapist/ResourceManagement';
+import TherapistPresetPlayground from './pages/therapist/PresetPlayground';
+import TherapistAvailability from './pages/therapist/Availability';
+import TherapistCalendar from './pages/therapist/Calendar';
 
 // Admin Pages
 import AdminDashboard from './pages/admin/Dashboard';
 import AdminUserManagement from './pages/admin/UserManagement';
 import AdminBehaviorManagement from './pages/admin/BehaviorManagement';
 import AdminSubscriptionManagement from './pages/admin/SubscriptionManagement';
+import AdminScheduledJobs from './pages/admin/ScheduledJobs';
+import Inbox from './pages/Inbox';
 import NotFound from './pages/NotFound';
 
 function App() {
@@ -84,6 +89,7 @@ function App() {
           <Route path="/client/dashboard" element={<ClientDashboard />} />
           <Route path="/client/chat" element={<ClientChat />} />
           <Route path="/client/schedule" element={<ClientScheduleSession />} />
+          <Route path="/client/messages" element={<Inbox />} />
         </Route>
       </Route>
       
@@ -97,6 +103,10 @@ function App() {
           <Route path="/therapist/sessions/:sessionId" element={<TherapistSessionManagement />} />
           <Route path="/therapist/behaviors" element={<TherapistBehaviorPresets />} />
           <Route path="/therapist/resources" element={<TherapistResourceManagement />} />
+          <Route path="/therapist/playground" element={<TherapistPresetPlayground />} />
+          <Route path="/therapist/calendar" element={<TherapistCalendar />} />
+          <Route path="/therapist/availability" element={<TherapistAvailability />} />
+          <Route path="/therapist/messages" element={<Inbox />} />
         </Route>
       </Route>
       
@@ -108,7 +118,9 @@ function App() {
           <Route path="/admin/users" element={<AdminUserManagement />} />
           <Route path="/admin/behaviors" element={<AdminBehaviorManagement />} />
           <Route path="/admin/subscriptions" element={<AdminSubscriptionManagement />} />
+          <Route path="/admin/jobs" element={<AdminScheduledJobs />} />
           <Route path="/admin/users/:id" element={<AdminUserManagement />} />
+          <Route path="/admin/messages" element={<Inbox />} />
         </Route>
       </Route>
       
@@ -2,26 +2,32 @@
  * Behavior Preset Manager Component
  * 
  * This component allows therapists to manage behavior presets for a client.
- * It displays available behavior presets and allows the therapist to activate/deactivate them.
+ * It displays available behavior presets and allows the therapist to activate/deactivate them,
+ * set their priority and preview the system prompt composed from every active preset.
  */
 
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
 import { therapistService } from '../services/therapistService';
 import { 
   CheckCircleIcon, 
   XCircleIcon, 
   PlusCircleIcon,
-  InformationCircleIcon
+  InformationCircleIcon,
+  EyeIcon
 } from '@heroicons/react/24/solid';
 
 const BehaviorPresetManager = ({ clientId, onUpdate }) => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const [availablePresets, setAvailablePresets] = useState([]);
   const [clientPresets, setClientPresets] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showInfo, setShowInfo] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+  const [previewLoading, setPreviewLoading] = useState(false);
 
   // Fetch behavior presets
   useEffect(() => {
@@ -33,11 +39,8 @@ const BehaviorPresetManager = ({ clientId, onUpdate }) => {
         const presets = await therapistService.getBehaviorPresets();
         setAvailablePresets(presets || []);
         
-        // Fetch client details with their active behavior presets
-        const clientDetails = await therapistService.getClientDetails(clientId);
-        
-        // Extract client's behavior presets
-        const clientBehaviors = clientDetails?.client_behaviors || [];
+        // Fetch the client's assigned behavior presets
+        const clientBehaviors = await therapistService.getClientBehaviors(clientId);
         setClientPresets(clientBehaviors);
       } catch (error) {
         console.error('Error fetching behavior presets:', error);
@@ -57,6 +60,68 @@ const BehaviorPresetManager = ({ clientId, onUpdate }) => {
     );
   };
 
+  // Get the priority a behavior is composed with for this client
+  const getPriority = (preset) => {
+    const clientBehavior = clientPresets.find(item => item.behavior_id === preset.id);
+    return clientBehavior?.priority ?? preset.priority ?? 0;
+  };
+
+  // Load the merged system prompt for the client's active presets
+  const loadPreview = async () => {
+    try {
+      setPreviewLoading(true);
+      const data = await therapistService.getPromptPreview(clientId, i18n.language);
+      setPreview(data);
+    } catch (error) {
+      console.error('Error loading prompt preview:', error);
+      setError(t('behaviors.previewError'));
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  // Refresh the client's behaviors after a change
+  const refreshClientPresets = async () => {
+    const updatedBehaviors = await therapistService.getClientBehaviors(clientId);
+    setClientPresets(updatedBehaviors);
+    
+    if (showPreview) {
+      await loadPreview();
+    }
+    
+    // Notify parent component of update
+    if (onUpdate) {
+      onUpdate();
+    }
+  };
+
+  // Toggle the prompt preview panel
+  const togglePreview = async () => {
+    const next = !showPreview;
+    setShowPreview(next);
+    
+    if (next) {
+      await loadPreview();
+    }
+  };
+
+  // Save a client-specific priority for an active behavior
+  const updatePriority = async (preset, value) => {
+    const priority = parseInt(value, 10);
+    if (Number.isNaN(priority) || priority === getPriority(preset)) return;
+    
+    try {
+      setLoading(true);
+      await therapistService.updateClientBehavior(clientId, preset.id, true, priority);
+      await refreshClientPresets();
+    } catch (error) {
+      console.error('Error updating behavior priority:', error);
+      setError(t('behaviors.priorityError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Toggle behavior preset for client
   const toggleBehavior = async (behaviorId) => {
     try {
@@ -89,14 +154,7 @@ const BehaviorPresetManager = ({ clientId, onUpdate }) => {
       }
       
       // Refresh client behaviors
-      const clientDetails = await therapistService.getClientDetails(clientId);
-      const updatedBehaviors = clientDetails?.client_behaviors || [];
-      setClientPresets(updatedBehaviors);
-      
-      // Notify parent component of update
-      if (onUpdate) {
-        onUpdate();
-      }
+      await refreshClientPresets();
     } catch (error) {
       console.error('Error toggling behavior:', error);
       setError(isBehaviorActive(behaviorId) ? t('behaviors.deactivateError') : t('behaviors.activateError'));
@@ -137,15 +195,73 @@ const BehaviorPresetManager = ({ clientId, onUpdate }) => {
 
   return (
     <div className="bg-white rounded-lg shadow">
-      <div className="p-4 border-b border-gray-200">
-        <h3 className="text-lg font-medium text-gray-900">
-          {t('behaviors.manageBehaviors')}
-        </h3>
-        <p className="mt-1 text-sm text-gray-500">
-          {t('behaviors.description')}
-        </p>
+      <div className="p-4 border-b border-gray-200 flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">
+            {t('behaviors.manageBehaviors')}
+          </h3>
+          <p className="mt-1 text-sm text-gray-500">
+            {t('behaviors.description')}
+          </p>
+        </div>
+        <button
+          onClick={togglePreview}
+          className="ml-4 inline-flex items-center px-3 py-1.5 rounded-md text-sm font-medium bg-primary-50 text-primary-700 hover:bg-primary-100"
+        >
+          <EyeIcon className="h-4 w-4 mr-1" />
+          {showPreview ? t('behaviors.hidePreview') : t('behaviors.previewPrompt')}
+        </button>
       </div>
       
+      {showPreview && (
+        <div className="p-4 border-b border-gray-200 bg-gray-50">
+          {previewLoading || !preview ? (
+            <div className="flex justify-center p-4">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-500"></div>
+            </div>
+          ) : (
+            <>
+              <h4 className="text-sm font-medium text-gray-700">{t('behaviors.mergedPrompt')}</h4>
+              <pre className="mt-2 text-xs text-gray-700 bg-white border border-gray-200 p-3 rounded whitespace-pre-wrap max-h-80 overflow-y-auto">
+                {preview.system}
+              </pre>
+              
+              {preview.applied.length === 0 && (
+                <p className="mt-2 text-sm text-gray-500">{t('behaviors.noActivePresets')}</p>
+              )}
+              
+              <Link
+                to={`/therapist/playground?client=${clientId}&presets=${preview.applied.map(item => item.id).join(',')}`}
+                className="mt-2 inline-block text-sm text-primary-600 hover:text-primary-800"
+              >
+                {t('playground.tryInPlayground')}
+              </Link>
+              
+              {preview.overridden.length > 0 && (
+                <div className="mt-3">
+                  <h4 className="text-sm font-medium text-gray-700">{t('behaviors.overriddenPresets')}</h4>
+                  <ul className="mt-1 space-y-1">
+                    {preview.overridden.map(item => {
+                      const winner = preview.applied.find(applied => applied.id === item.overridden_by);
+                      return (
+                        <li key={item.id} className="flex items-center text-sm text-gray-600">
+                          <XCircleIcon className="h-4 w-4 mr-1 text-amber-500 flex-shrink-0" />
+                          {t(`behaviors.overrideReason.${item.reason}`, {
+                            name: item.name,
+                            winner: winner?.name || '',
+                            group: item.conflict_group
+                          })}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+      
       <div className="p-4">
         {availablePresets.length === 0 ? (
           <p className="text-gray-500">{t('behaviors.noPresetsAvailable')}</p>
@@ -183,7 +299,22 @@ const BehaviorPresetManager = ({ clientId, onUpdate }) => {
                     )}
                   </div>
                   
-                  <div className="ml-4 flex-shrink-0">
+                  <div className="ml-4 flex-shrink-0 flex items-center">
+                    {isBehaviorActive(preset.id) && (
+                      <label className="mr-3 flex items-center text-xs text-gray-500">
+                        {t('behaviors.priority')}
+                        <input
+                          type="number"
+                          min="-100"
+                          max="100"
+                          key={`${preset.id}-${getPriority(preset)}`}
+                          defaultValue={getPriority(preset)}
+                          onBlur={(e) => updatePriority(preset, e.target.value)}
+                          disabled={loading}
+                          className="ml-1 w-16 rounded-md border-gray-300 text-sm focus:border-primary-500 focus:ring-primary-500"
+                        />
+                      </label>
+                    )}
                     <button
                       onClick={() => toggleBehavior(preset.id)}
                       disabled={loading}
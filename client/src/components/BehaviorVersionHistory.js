@@ -0,0 +1,192 @@
+/**
+ * Behavior Version History Component
+ * 
+ * Modal listing every version of a behavior preset with its author, date and
+ * change note. Shows a diff between any two versions and restores an earlier
+ * version with one click.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { therapistService } from '../services/therapistService';
+import { diffLines } from '../utils/textDiff';
+import { XMarkIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+
+// Text compared between versions: settings first, then the template
+const versionText = (version) => [
+  `name: ${version.name}`,
+  `priority: ${version.priority ?? 0}`,
+  `conflict_group: ${version.conflict_group || '-'}`,
+  '',
+  ...version.prompt_template.split('\n')
+].join('\n');
+
+const BehaviorVersionHistory = ({ behavior, onClose, onRestored }) => {
+  const { t } = useTranslation();
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [compareTo, setCompareTo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await therapistService.getBehaviorVersions(behavior.id);
+      setVersions(data);
+      
+      // Default to the latest change
+      setSelected(data[0]?.version ?? null);
+      setCompareTo(data[1]?.version ?? null);
+    } catch (error) {
+      console.error('Error fetching behavior versions:', error);
+      setError(t('versionHistory.fetchError'));
+    } finally {
+      setLoading(false);
+    }
+  }, [behavior.id, t]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const selectVersion = (version) => {
+    setSelected(version);
+    const previous = versions.find(item => item.version < version);
+    setCompareTo(previous?.version ?? null);
+  };
+
+  const restoreVersion = async (version) => {
+    if (!window.confirm(t('versionHistory.confirmRestore', { version }))) return;
+    
+    try {
+      setRestoring(true);
+      const updated = await therapistService.rollbackBehaviorPreset(behavior.id, version);
+      await fetchVersions();
+      
+      if (onRestored) {
+        onRestored(updated);
+      }
+    } catch (error) {
+      console.error('Error restoring behavior version:', error);
+      setError(t('versionHistory.restoreError'));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const current = versions[0]?.version;
+  const selectedVersion = versions.find(item => item.version === selected);
+  const baseVersion = versions.find(item => item.version === compareTo);
+  const diff = selectedVersion
+    ? diffLines(baseVersion ? versionText(baseVersion) : '', versionText(selectedVersion))
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">
+            {t('versionHistory.title', { name: behavior.name })}
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title={t('common.close')}>
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+        
+        {error && (
+          <div className="mx-6 mt-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm">
+            {error}
+          </div>
+        )}
+        
+        {loading ? (
+          <div className="p-8 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500"></div>
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="p-6 text-gray-500">{t('versionHistory.noVersions')}</p>
+        ) : (
+          <div className="flex flex-1 min-h-0">
+            <ul className="w-1/3 border-r border-gray-200 overflow-y-auto divide-y divide-gray-100">
+              {versions.map(version => (
+                <li
+                  key={version.id}
+                  className={`px-4 py-3 cursor-pointer ${version.version === selected ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                  onClick={() => selectVersion(version.version)}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900">
+                      {t('versionHistory.version', { version: version.version })}
+                      {version.version === current && (
+                        <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">
+                          {t('versionHistory.current')}
+                        </span>
+                      )}
+                    </span>
+                    {version.version !== current && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          restoreVersion(version.version);
+                        }}
+                        disabled={restoring}
+                        className="inline-flex items-center text-xs text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                      >
+                        <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                        {t('versionHistory.restore')}
+                      </button>
+                    )}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {version.author?.name || t('versionHistory.unknownAuthor')} · {new Date(version.created_at).toLocaleString()}
+                  </p>
+                  {version.change_note && (
+                    <p className="mt-1 text-sm text-gray-700">{version.change_note}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+            
+            <div className="w-2/3 flex flex-col min-h-0">
+              <div className="px-4 py-3 border-b border-gray-200 flex items-center text-sm text-gray-700">
+                <label htmlFor="compare-to" className="mr-2">{t('versionHistory.compareWith')}</label>
+                <select
+                  id="compare-to"
+                  value={compareTo ?? ''}
+                  onChange={(e) => setCompareTo(e.target.value ? parseInt(e.target.value, 10) : null)}
+                  className="rounded-md border-gray-300 text-sm focus:border-primary-500 focus:ring-primary-500"
+                >
+                  <option value="">{t('versionHistory.nothing')}</option>
+                  {versions.filter(version => version.version !== selected).map(version => (
+                    <option key={version.id} value={version.version}>
+                      {t('versionHistory.version', { version: version.version })}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <pre className="flex-1 overflow-auto p-4 text-xs font-mono">
+                {diff.map((line, index) => (
+                  <div
+                    key={index}
+                    className={
+                      line.type === 'added' ? 'bg-green-50 text-green-800'
+                        : line.type === 'removed' ? 'bg-red-50 text-red-800 line-through'
+                          : 'text-gray-600'
+                    }
+                  >
+                    {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}
+                    {line.text}
+                  </div>
+                ))}
+              </pre>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BehaviorVersionHistory;
@@ -0,0 +1,141 @@
+/**
+ * Cancel Session Dialog Component
+ *
+ * Modal where a client or therapist cancels a session, giving a reason. A
+ * session of a recurring series can be cancelled alone or with every later
+ * session of the series. Clients are warned when the session starts within
+ * the late-cancel window, as such cancellations are recorded as late.
+ */
+
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { XCircleIcon } from '@heroicons/react/24/outline';
+import { userService } from '../services/userService';
+
+const CancelSessionDialog = ({ session, lateCancelHours, onCancelled, onClose }) => {
+  const { t } = useTranslation();
+  const [reason, setReason] = useState('');
+  // 'session' cancels this session only, 'series' the rest of its series
+  const [scope, setScope] = useState('session');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Only passed for clients; therapists never cancel late
+  const isLate = lateCancelHours != null
+    && new Date(session.start_time).getTime() - Date.now() < lateCancelHours * 60 * 60 * 1000;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+
+    try {
+      setSubmitting(true);
+      setError('');
+      if (scope === 'series') {
+        await userService.cancelSeries(session.series_id, session.id, reason.trim());
+      } else {
+        await userService.cancelSession(session.id, reason.trim());
+      }
+      onCancelled(scope);
+    } catch (error) {
+      setError(error.message || t('cancelSession.error'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg mx-4">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+            <XCircleIcon className="h-6 w-6 mr-2 text-red-500" />
+            {t('cancelSession.title')}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            {new Date(session.start_time).toLocaleString()}
+          </p>
+
+          {isLate && (
+            <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm px-3 py-2 rounded">
+              {t('cancelSession.lateWarning', { count: lateCancelHours })}
+            </div>
+          )}
+
+          {session.series_id && (
+            <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  checked={scope === 'session'}
+                  onChange={() => setScope('session')}
+                  className="mr-2 text-primary-600 focus:ring-primary-500"
+                />
+                {t('series.thisSession')}
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="radio"
+                  checked={scope === 'series'}
+                  onChange={() => setScope('series')}
+                  className="mr-2 text-primary-600 focus:ring-primary-500"
+                />
+                {t('cancelSession.restOfSeries')}
+              </label>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="cancel-reason" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('cancelSession.reason')}
+            </label>
+            <textarea
+              id="cancel-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={3}
+              maxLength={500}
+              required
+              className="w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+              placeholder={t('cancelSession.reasonPlaceholder')}
+            />
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600">{error}</p>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-300"
+            >
+              {t('common.back')}
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || !reason.trim()}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-300 disabled:opacity-50"
+            >
+              {submitting ? t('common.processing') : t('cancelSession.confirm')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CancelSessionDialog;
@@ -0,0 +1,157 @@
+/**
+ * Client Insights Panel Component
+ *
+ * Lets the assigned therapist ask the AI questions about a client. Answers
+ * are grounded in the client's messages, conversation summaries and session
+ * notes; each [n] citation links to the source it came from.
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { SparklesIcon } from '@heroicons/react/24/outline';
+import { therapistService } from '../services/therapistService';
+
+const TIME_RANGES = [7, 30, 90, null];
+
+const ClientInsightsPanel = ({ clientId, onCitationClick }) => {
+  const { t, i18n } = useTranslation();
+  const [question, setQuestion] = useState('');
+  const [days, setDays] = useState(30);
+  const [result, setResult] = useState(null);
+  const [asking, setAsking] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    if (!question.trim()) return;
+
+    setAsking(true);
+    setError('');
+    try {
+      const data = await therapistService.askAboutClient(clientId, question.trim(), {
+        days,
+        language: i18n.language
+      });
+      setResult({ question: question.trim(), ...data });
+    } catch (err) {
+      setError(err.response?.data?.error || t('clientInsights.askError'));
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const citationFor = (number) => result.citations.find(citation => citation.number === number);
+
+  // Turn every [n] in the answer into a link to its source
+  const renderAnswer = () => result.answer.split(/(\[\d+\])/).map((part, index) => {
+    const match = part.match(/^\[(\d+)\]$/);
+    const citation = match && citationFor(Number(match[1]));
+    if (!citation) return <React.Fragment key={index}>{part}</React.Fragment>;
+
+    return (
+      <button
+        key={index}
+        type="button"
+        onClick={() => onCitationClick(citation)}
+        className="text-primary-600 hover:text-primary-800 font-medium align-super text-xs"
+      >
+        [{citation.number}]
+      </button>
+    );
+  });
+
+  const renderSource = (citation) => {
+    const label = t(`clientInsights.source.${citation.type}`);
+    if (citation.type === 'session_note') {
+      return (
+        <Link to={`/therapist/sessions/${citation.session_id}`} className="text-primary-600 hover:text-primary-800">
+          {label}
+        </Link>
+      );
+    }
+
+    return (
+      <button
+        type="button"
+        onClick={() => onCitationClick(citation)}
+        className="text-primary-600 hover:text-primary-800"
+      >
+        {label}
+      </button>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center mb-4">
+        <SparklesIcon className="h-5 w-5 text-primary-600 mr-2" />
+        <h2 className="text-lg font-medium text-secondary-900">{t('clientInsights.title')}</h2>
+      </div>
+
+      <form onSubmit={handleAsk} className="flex flex-col md:flex-row gap-3">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder={t('clientInsights.placeholder')}
+          maxLength={1000}
+          className="flex-1 rounded-lg border border-secondary-300 px-4 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <select
+          value={days ?? ''}
+          onChange={(e) => setDays(e.target.value ? Number(e.target.value) : null)}
+          className="rounded-lg border border-secondary-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          {TIME_RANGES.map(range => (
+            <option key={range ?? 'all'} value={range ?? ''}>
+              {range ? t('clientInsights.lastDays', { days: range }) : t('clientInsights.allTime')}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={asking || question.trim().length < 3}
+          className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 disabled:opacity-50"
+        >
+          {asking ? t('clientInsights.asking') : t('clientInsights.ask')}
+        </button>
+      </form>
+
+      {error && (
+        <p className="mt-3 text-sm text-red-600">{error}</p>
+      )}
+
+      {result && (
+        <div className="mt-4">
+          <p className="text-sm font-medium text-secondary-700">{result.question}</p>
+          {result.answer ? (
+            <p className="mt-2 text-sm text-secondary-900 whitespace-pre-wrap">{renderAnswer()}</p>
+          ) : (
+            <p className="mt-2 text-sm text-secondary-500 italic">{t('clientInsights.noSources')}</p>
+          )}
+
+          {result.citations.length > 0 && (
+            <div className="mt-4 border-t border-secondary-200 pt-3">
+              <h3 className="text-xs font-medium uppercase text-secondary-500 mb-2">{t('clientInsights.sources')}</h3>
+              <ol className="space-y-2">
+                {result.citations.map(citation => (
+                  <li key={citation.number} className="text-sm">
+                    <span className="font-medium text-secondary-700 mr-1">[{citation.number}]</span>
+                    {renderSource(citation)}
+                    <span className="text-xs text-secondary-500 ml-2">
+                      {new Date(citation.timestamp).toLocaleString()}
+                    </span>
+                    <p className="text-secondary-600 italic mt-0.5">“{citation.excerpt}”</p>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClientInsightsPanel;
@@ -0,0 +1,223 @@
+/**
+ * Client Memory Manager Component
+ *
+ * Shows what the AI coach remembers about a client across conversations,
+ * grouped by category. Therapists can correct or delete any memory and add
+ * their own; the coach uses the updated memory from the client's next message.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { LightBulbIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { therapistService } from '../services/therapistService';
+
+const CATEGORIES = ['goal', 'person', 'coping_strategy', 'preference', 'fact'];
+
+const ClientMemoryManager = ({ clientId }) => {
+  const { t } = useTranslation();
+  const [memories, setMemories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState({ category: 'goal', content: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchMemories = useCallback(async () => {
+    try {
+      setLoading(true);
+      setMemories(await therapistService.getClientMemories(clientId));
+    } catch (error) {
+      console.error('Error fetching client memories:', error);
+      setError(t('clientMemory.fetchError'));
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId, t]);
+
+  useEffect(() => {
+    fetchMemories();
+  }, [fetchMemories]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!draft.content.trim()) return;
+
+    setSaving(true);
+    setError('');
+    try {
+      const created = await therapistService.createClientMemory(clientId, {
+        category: draft.category,
+        content: draft.content.trim()
+      });
+      setMemories(prev => [created, ...prev]);
+      setDraft({ ...draft, content: '' });
+    } catch (error) {
+      setError(t('clientMemory.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!editing.content.trim()) return;
+
+    setSaving(true);
+    setError('');
+    try {
+      const updated = await therapistService.updateClientMemory(clientId, editing.id, {
+        category: editing.category,
+        content: editing.content.trim()
+      });
+      setMemories(prev => prev.map(memory => (memory.id === updated.id ? updated : memory)));
+      setEditing(null);
+    } catch (error) {
+      setError(t('clientMemory.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (memory) => {
+    if (!window.confirm(t('clientMemory.confirmDelete'))) return;
+
+    setError('');
+    try {
+      await therapistService.deleteClientMemory(clientId, memory.id);
+      setMemories(prev => prev.filter(item => item.id !== memory.id));
+    } catch (error) {
+      setError(t('clientMemory.deleteError'));
+    }
+  };
+
+  const categorySelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="rounded-lg border border-secondary-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+    >
+      {CATEGORIES.map(category => (
+        <option key={category} value={category}>{t(`clientMemory.category.${category}`)}</option>
+      ))}
+    </select>
+  );
+
+  const renderMemory = (memory) => {
+    if (editing?.id === memory.id) {
+      return (
+        <li key={memory.id} className="flex flex-col md:flex-row gap-2">
+          {categorySelect(editing.category, category => setEditing({ ...editing, category }))}
+          <input
+            type="text"
+            value={editing.content}
+            onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+            maxLength={300}
+            className="flex-1 rounded-lg border border-secondary-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-primary-500 text-white px-3 py-2 rounded-lg text-sm hover:bg-primary-600 disabled:opacity-50"
+          >
+            {t('clientMemory.save')}
+          </button>
+          <button
+            type="button"
+            onClick={() => setEditing(null)}
+            className="px-3 py-2 rounded-lg text-sm text-secondary-700 hover:bg-secondary-100"
+          >
+            {t('clientMemory.cancel')}
+          </button>
+        </li>
+      );
+    }
+
+    return (
+      <li key={memory.id} className="flex items-start justify-between group">
+        <div>
+          <p className="text-sm text-secondary-900">{memory.content}</p>
+          <p className="text-xs text-secondary-500">
+            {t(`clientMemory.source.${memory.source}`)} · {new Date(memory.updated_at).toLocaleDateString()}
+          </p>
+        </div>
+        <div className="flex space-x-2 ml-4">
+          <button
+            type="button"
+            onClick={() => setEditing({ id: memory.id, category: memory.category, content: memory.content })}
+            className="text-secondary-400 hover:text-primary-600"
+            title={t('clientMemory.edit')}
+          >
+            <PencilIcon className="h-4 w-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => handleDelete(memory)}
+            className="text-secondary-400 hover:text-red-600"
+            title={t('clientMemory.delete')}
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center mb-1">
+        <LightBulbIcon className="h-5 w-5 text-primary-600 mr-2" />
+        <h2 className="text-lg font-medium text-secondary-900">{t('clientMemory.title')}</h2>
+      </div>
+      <p className="text-sm text-secondary-500 mb-4">{t('clientMemory.description')}</p>
+
+      <form onSubmit={handleAdd} className="flex flex-col md:flex-row gap-2 mb-4">
+        {categorySelect(draft.category, category => setDraft({ ...draft, category }))}
+        <input
+          type="text"
+          value={draft.content}
+          onChange={(e) => setDraft({ ...draft, content: e.target.value })}
+          placeholder={t('clientMemory.placeholder')}
+          maxLength={300}
+          className="flex-1 rounded-lg border border-secondary-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <button
+          type="submit"
+          disabled={saving || !draft.content.trim()}
+          className="bg-primary-500 text-white px-4 py-2 rounded-lg text-sm hover:bg-primary-600 disabled:opacity-50"
+        >
+          {t('clientMemory.add')}
+        </button>
+      </form>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-600">{error}</p>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-secondary-500">{t('clientMemory.loading')}</p>
+      ) : memories.length === 0 ? (
+        <p className="text-sm text-secondary-500 italic">{t('clientMemory.empty')}</p>
+      ) : (
+        <div className="space-y-4">
+          {CATEGORIES.map(category => {
+            const items = memories.filter(memory => memory.category === category);
+            if (!items.length) return null;
+
+            return (
+              <div key={category}>
+                <h3 className="text-xs font-medium uppercase text-secondary-500 mb-2">
+                  {t(`clientMemory.category.${category}`)}
+                </h3>
+                <ul className="space-y-2">
+                  {items.map(renderMemory)}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClientMemoryManager;
@@ -0,0 +1,134 @@
+/**
+ * Conversation Sidebar Component
+ *
+ * Lists the client's conversations, most recently active first, with their
+ * title and a snippet of the summary or latest message. Conversations can be
+ * started, resumed, renamed and archived; archived ones are listed on their
+ * own tab and can be restored.
+ */
+
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { PlusIcon, PencilIcon, ArchiveBoxIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+
+const conversationSnippet = (conversation) =>
+  conversation.summaries?.[0]?.summary_text || conversation.last_message_preview || '';
+
+const ConversationSidebar = ({
+  conversations,
+  activeId,
+  showArchived,
+  onToggleArchived,
+  onSelect,
+  onNew,
+  onRename,
+  onArchive
+}) => {
+  const { t } = useTranslation();
+  const [renaming, setRenaming] = useState(null);
+
+  const conversationTitle = (conversation) => conversation.title
+    || t('conversations.untitled', { date: new Date(conversation.start_ts).toLocaleDateString() });
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    onRename(renaming.id, renaming.title.trim());
+    setRenaming(null);
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-white border-r">
+      <div className="p-3 border-b space-y-2">
+        <button
+          onClick={onNew}
+          className="w-full flex items-center justify-center text-sm px-3 py-2 bg-primary-100 text-primary-700 rounded-md hover:bg-primary-200 transition-colors"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          {t('chat.newConversation')}
+        </button>
+        <div className="flex text-xs">
+          <button
+            onClick={() => onToggleArchived(false)}
+            className={`flex-1 py-1 rounded-l-md border ${!showArchived ? 'bg-secondary-100 font-medium' : 'text-secondary-500'}`}
+          >
+            {t('conversations.current')}
+          </button>
+          <button
+            onClick={() => onToggleArchived(true)}
+            className={`flex-1 py-1 rounded-r-md border border-l-0 ${showArchived ? 'bg-secondary-100 font-medium' : 'text-secondary-500'}`}
+          >
+            {t('conversations.archived')}
+          </button>
+        </div>
+      </div>
+
+      <ul className="flex-1 overflow-y-auto divide-y">
+        {conversations.length === 0 && (
+          <li className="p-4 text-sm text-secondary-500 italic">
+            {showArchived ? t('conversations.noArchived') : t('conversations.empty')}
+          </li>
+        )}
+        {conversations.map(conversation => (
+          <li
+            key={conversation.id}
+            className={`group p-3 cursor-pointer hover:bg-secondary-50 ${conversation.id === activeId ? 'bg-primary-50' : ''}`}
+            onClick={() => renaming?.id !== conversation.id && onSelect(conversation)}
+          >
+            {renaming?.id === conversation.id ? (
+              <form onSubmit={submitRename}>
+                <input
+                  autoFocus
+                  type="text"
+                  value={renaming.title}
+                  maxLength={100}
+                  onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                  onBlur={() => setRenaming(null)}
+                  onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+                  className="w-full rounded border border-secondary-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </form>
+            ) : (
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-secondary-900 truncate">{conversationTitle(conversation)}</p>
+                  <p className="text-xs text-secondary-500 truncate">{conversationSnippet(conversation)}</p>
+                  <p className="text-xs text-secondary-400 mt-0.5">
+                    {new Date(conversation.last_message_at || conversation.start_ts).toLocaleDateString()}
+                    {conversation.end_ts && ` · ${t('conversations.ended')}`}
+                  </p>
+                </div>
+                <div className="flex space-x-1 ml-2 opacity-0 group-hover:opacity-100">
+                  <button
+                    type="button"
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setRenaming({ id: conversation.id, title: conversation.title || '' });
+                    }}
+                    className="text-secondary-400 hover:text-primary-600"
+                    title={t('conversations.rename')}
+                  >
+                    <PencilIcon className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onArchive(conversation, !showArchived);
+                    }}
+                    className="text-secondary-400 hover:text-primary-600"
+                    title={showArchived ? t('conversations.unarchive') : t('conversations.archive')}
+                  >
+                    {showArchived ? <ArrowUturnLeftIcon className="h-4 w-4" /> : <ArchiveBoxIcon className="h-4 w-4" />}
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ConversationSidebar;
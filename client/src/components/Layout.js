@@ -1,13 +1,32 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Outlet, Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { useTranslation } from 'react-i18next';
 import LanguageSelector from './LanguageSelector';
+import NotificationBell from './NotificationBell';
+import { inboxService } from '../services/inboxService';
 
 const Layout = ({ type }) => {
   const { user, signOut } = useAuth();
   const navigate = useNavigate();
   const { t } = useTranslation();
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  
+  // Keep the unread badge current as direct messages arrive and are read
+  useEffect(() => {
+    if (!user) return undefined;
+    
+    const refresh = () => inboxService.getUnreadCount().then(setUnreadMessages).catch(() => {});
+    refresh();
+    
+    return inboxService.subscribe({ onMessage: refresh, onRead: refresh });
+  }, [user]);
+  
+  const unreadBadge = unreadMessages > 0 && (
+    <span className="ml-1 rounded-full bg-primary-500 px-1.5 text-xs text-white" title={t('inbox.unread', { count: unreadMessages })}>
+      {unreadMessages > 99 ? '99+' : unreadMessages}
+    </span>
+  );
   
   const handleSignOut = async () => {
     try {
@@ -52,6 +71,15 @@ const Layout = ({ type }) => {
                     <Link to="/therapist/clients" className="border-transparent text-secondary-500 hover:border-secondary-300 hover:text-secondary-700 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium">
                       Clients
                     </Link>
+                    <Link to="/therapist/calendar" className="border-transparent text-secondary-500 hover:border-secondary-300 hover:text-secondary-700 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium">
+                      Calendar
+                    </Link>
+                    <Link to="/therapist/playground" className="border-transparent text-secondary-500 hover:border-secondary-300 hover:text-secondary-700 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium">
+                      Playground
+                    </Link>
+                    <Link to="/therapist/availability" className="border-transparent text-secondary-500 hover:border-secondary-300 hover:text-secondary-700 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium">
+                      Availability
+                    </Link>
                   </>
                 )}
                 
@@ -69,12 +97,25 @@ const Layout = ({ type }) => {
                     <Link to="/admin/subscriptions" className="border-transparent text-secondary-500 hover:border-secondary-300 hover:text-secondary-700 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium">
                       Subscriptions
                     </Link>
+                    <Link to="/admin/jobs" className="border-transparent text-secondary-500 hover:border-secondary-300 hover:text-secondary-700 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium">
+                      Jobs
+                    </Link>
                   </>
                 )}
+                
+                <Link to={`/${type}/messages`} className="border-transparent text-secondary-500 hover:border-secondary-300 hover:text-secondary-700 inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium">
+                  {t('nav.messages')}
+                  {unreadBadge}
+                </Link>
               </nav>
             </div>
             
             <div className="hidden sm:ml-6 sm:flex sm:items-center">
+              {/* Notifications */}
+              <div className="mr-4">
+                <NotificationBell />
+              </div>
+              
               {/* Language Selector */}
               <LanguageSelector className="mr-4" />
               
@@ -95,6 +136,9 @@ const Layout = ({ type }) => {
             
             {/* Mobile menu button */}
             <div className="flex items-center sm:hidden">
+              <div className="mr-2">
+                <NotificationBell />
+              </div>
               <button
                 type="button"
                 className="inline-flex items-center justify-center p-2 rounded-md text-secondary-400 hover:text-secondary-500 hover:bg-secondary-100 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-primary-500"
@@ -145,6 +189,12 @@ const Layout = ({ type }) => {
                 <Link to="/therapist/clients" className="border-transparent text-secondary-500 hover:bg-secondary-50 hover:border-secondary-300 hover:text-secondary-700 block pl-3 pr-4 py-2 border-l-4 text-base font-medium">
                   Clients
                 </Link>
+                <Link to="/therapist/calendar" className="border-transparent text-secondary-500 hover:bg-secondary-50 hover:border-secondary-300 hover:text-secondary-700 block pl-3 pr-4 py-2 border-l-4 text-base font-medium">
+                  Calendar
+                </Link>
+                <Link to="/therapist/availability" className="border-transparent text-secondary-500 hover:bg-secondary-50 hover:border-secondary-300 hover:text-secondary-700 block pl-3 pr-4 py-2 border-l-4 text-base font-medium">
+                  Availability
+                </Link>
               </>
             )}
             
@@ -162,8 +212,16 @@ const Layout = ({ type }) => {
                 <Link to="/admin/subscriptions" className="border-transparent text-secondary-500 hover:bg-secondary-50 hover:border-secondary-300 hover:text-secondary-700 block pl-3 pr-4 py-2 border-l-4 text-base font-medium">
                   Subscriptions
                 </Link>
+                <Link to="/admin/jobs" className="border-transparent text-secondary-500 hover:bg-secondary-50 hover:border-secondary-300 hover:text-secondary-700 block pl-3 pr-4 py-2 border-l-4 text-base font-medium">
+                  Jobs
+                </Link>
               </>
             )}
+            
+            <Link to={`/${type}/messages`} className="border-transparent text-secondary-500 hover:bg-secondary-50 hover:border-secondary-300 hover:text-secondary-700 flex items-center pl-3 pr-4 py-2 border-l-4 text-base font-medium">
+              {t('nav.messages')}
+              {unreadBadge}
+            </Link>
           </div>
           
           <div className="pt-4 pb-3 border-t border-secondary-200">
@@ -0,0 +1,226 @@
+/**
+ * Live Conversation Panel Component
+ *
+ * Lets a therapist follow a client's open conversation with the AI coach as
+ * it happens. Taking over pauses the AI so the therapist can reply to the
+ * client directly; handing back lets the AI answer again. The client sees
+ * who is responding.
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { SignalIcon, ArrowPathIcon, PaperAirplaneIcon } from '@heroicons/react/24/outline';
+import { chatService } from '../services/chatService';
+
+const SENDER_STYLES = {
+  user: 'bg-secondary-100 text-secondary-900',
+  ai: 'bg-primary-50 text-secondary-900',
+  therapist: 'bg-green-50 text-secondary-900 border border-green-200',
+  system: 'bg-red-100 text-red-900'
+};
+
+const LiveConversationPanel = ({ clientId, therapistId }) => {
+  const { t } = useTranslation();
+  const [conversations, setConversations] = useState([]);
+  const [active, setActive] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [reply, setReply] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const messagesEndRef = useRef(null);
+  const activeId = active?.id;
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const list = await chatService.getConversations(clientId);
+      setConversations(list.filter(conversation => !conversation.end_ts));
+    } catch (error) {
+      setError(t('liveChat.fetchError'));
+    }
+  }, [clientId, t]);
+
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  // Load the selected conversation, then follow it live
+  useEffect(() => {
+    if (!activeId) return undefined;
+
+    setMessages([]);
+    chatService.getConversationHistory(activeId)
+      .then(setMessages)
+      .catch(() => setError(t('liveChat.fetchError')));
+
+    return chatService.subscribeToConversation(activeId, {
+      onMessage: (message) => {
+        setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+      },
+      onConversation: (conversation) => {
+        setActive(prev => (prev?.id === conversation.id ? { ...prev, ...conversation } : prev));
+      }
+    });
+  }, [activeId, t]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const holdsConversation = active?.paused_by === therapistId && !active?.end_ts;
+  const heldByOther = active?.paused_by && active.paused_by !== therapistId;
+
+  const run = async (action, errorKey) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (error) {
+      setError(t(errorKey));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const takeOver = () => run(async () => {
+    setActive(await chatService.takeOverConversation(activeId));
+  }, 'liveChat.takeOverError');
+
+  const handBack = () => run(async () => {
+    setActive(await chatService.handBackConversation(activeId));
+  }, 'liveChat.handBackError');
+
+  const sendReply = (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    run(async () => {
+      const saved = await chatService.saveMessage({
+        conversation_id: activeId,
+        sender: 'therapist',
+        text: reply.trim(),
+        timestamp: new Date().toISOString()
+      });
+      setMessages(prev => (prev.some(m => m.id === saved.id) ? prev : [...prev, saved]));
+      setReply('');
+    }, 'liveChat.sendError');
+  };
+
+  const conversationTitle = (conversation) => conversation.title
+    || t('conversations.untitled', { date: new Date(conversation.start_ts).toLocaleDateString() });
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center">
+          <SignalIcon className="h-5 w-5 text-primary-600 mr-2" />
+          <h2 className="text-lg font-medium text-secondary-900">{t('liveChat.title')}</h2>
+        </div>
+        <button
+          type="button"
+          onClick={fetchConversations}
+          className="text-secondary-400 hover:text-primary-600"
+          title={t('liveChat.refresh')}
+        >
+          <ArrowPathIcon className="h-5 w-5" />
+        </button>
+      </div>
+      <p className="text-sm text-secondary-500 mb-4">{t('liveChat.description')}</p>
+
+      {error && (
+        <p className="mb-3 text-sm text-red-600">{error}</p>
+      )}
+
+      {conversations.length === 0 ? (
+        <p className="text-sm text-secondary-500 italic">{t('liveChat.empty')}</p>
+      ) : (
+        <select
+          value={activeId || ''}
+          onChange={(e) => setActive(conversations.find(conversation => conversation.id === e.target.value) || null)}
+          className="w-full rounded-lg border border-secondary-300 px-3 py-2 text-sm mb-4 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          <option value="">{t('liveChat.select')}</option>
+          {conversations.map(conversation => (
+            <option key={conversation.id} value={conversation.id}>
+              {conversationTitle(conversation)}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {active && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <p className={`text-xs ${active.paused_by ? 'text-green-700' : 'text-secondary-500'}`}>
+              {active.end_ts
+                ? t('liveChat.ended')
+                : active.responder
+                  ? t('liveChat.respondingTherapist', { name: active.responder.name })
+                  : t('liveChat.respondingAi')}
+            </p>
+            {!active.end_ts && (holdsConversation ? (
+              <button
+                type="button"
+                onClick={handBack}
+                disabled={busy}
+                className="text-sm px-3 py-1 border border-secondary-300 text-secondary-700 rounded-md hover:bg-secondary-100 disabled:opacity-50"
+              >
+                {t('liveChat.handBack')}
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={takeOver}
+                disabled={busy || heldByOther}
+                className="text-sm px-3 py-1 bg-primary-500 text-white rounded-md hover:bg-primary-600 disabled:opacity-50"
+              >
+                {t('liveChat.takeOver')}
+              </button>
+            ))}
+          </div>
+
+          <div className="h-80 overflow-y-auto space-y-2 bg-secondary-50 rounded-lg p-3">
+            {messages.map(message => (
+              <div
+                key={message.id}
+                className={`flex ${message.sender === 'user' ? 'justify-start' : 'justify-end'}`}
+              >
+                <div className={`max-w-[80%] rounded-lg px-3 py-2 text-sm ${SENDER_STYLES[message.sender] || SENDER_STYLES.ai}`}>
+                  <span className="text-xs font-medium text-secondary-500 block">
+                    {t(`liveChat.sender.${message.sender}`)}
+                  </span>
+                  <p className="whitespace-pre-wrap">{message.text}</p>
+                  <span className="text-xs text-secondary-400">
+                    {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                </div>
+              </div>
+            ))}
+            <div ref={messagesEndRef} />
+          </div>
+
+          {holdsConversation && (
+            <form onSubmit={sendReply} className="flex space-x-2 mt-3">
+              <input
+                type="text"
+                value={reply}
+                onChange={(e) => setReply(e.target.value)}
+                placeholder={t('liveChat.placeholder')}
+                className="flex-1 rounded-lg border border-secondary-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+              <button
+                type="submit"
+                disabled={busy || !reply.trim()}
+                className="p-2 rounded-lg bg-primary-500 text-white hover:bg-primary-600 disabled:opacity-50"
+                title={t('liveChat.send')}
+              >
+                <PaperAirplaneIcon className="h-5 w-5" />
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LiveConversationPanel;
@@ -0,0 +1,149 @@
+/**
+ * Notification Bell Component
+ *
+ * Bell in the header with the number of unread notifications. The menu lists
+ * the latest ones; opening a notification marks it as read and follows its
+ * link. New notifications arrive live.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { notificationService } from '../services/notificationService';
+import NotificationPreferences from './NotificationPreferences';
+
+const MENU_SIZE = 10;
+
+const NotificationBell = () => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [showPreferences, setShowPreferences] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const refreshCount = () => notificationService.getUnreadCount().then(setUnread).catch(() => {});
+
+    notificationService.getNotifications({ limit: MENU_SIZE })
+      .then(setNotifications)
+      .catch(() => {});
+    refreshCount();
+
+    return notificationService.subscribe({
+      onNotification: (notification) => {
+        setNotifications(prev => [notification, ...prev].slice(0, MENU_SIZE));
+        refreshCount();
+      },
+      onRead: ({ ids, read_at }) => {
+        setNotifications(prev => prev.map(notification => (
+          ids.includes(notification.id) ? { ...notification, read_at } : notification
+        )));
+        refreshCount();
+      }
+    });
+  }, []);
+
+  // Close the menu on a click outside it
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const openNotification = (notification) => {
+    setOpen(false);
+    if (!notification.read_at) {
+      notificationService.markRead(notification.id).catch(() => {});
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const markAllRead = () => {
+    notificationService.markAllRead().catch(() => {});
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="relative p-1 text-secondary-500 hover:text-secondary-700 focus:outline-none"
+        title={t('notifications.title')}
+      >
+        <BellIcon className="h-6 w-6" />
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 rounded-full bg-red-500 px-1.5 text-xs text-white">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border z-40">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <span className="text-sm font-medium text-secondary-900">{t('notifications.title')}</span>
+            <button
+              type="button"
+              onClick={markAllRead}
+              disabled={unread === 0}
+              className="text-xs text-primary-600 hover:text-primary-700 disabled:text-secondary-300"
+            >
+              {t('notifications.markAllRead')}
+            </button>
+          </div>
+
+          <ul className="max-h-96 overflow-y-auto divide-y">
+            {notifications.length === 0 && (
+              <li className="px-4 py-6 text-sm text-center text-secondary-500 italic">{t('notifications.empty')}</li>
+            )}
+            {notifications.map(notification => (
+              <li
+                key={notification.id}
+                onClick={() => openNotification(notification)}
+                className={`px-4 py-3 cursor-pointer hover:bg-secondary-50 ${notification.read_at ? '' : 'bg-primary-50'}`}
+              >
+                <p className={`text-sm ${notification.read_at ? 'text-secondary-700' : 'font-medium text-secondary-900'}`}>
+                  {notification.title}
+                </p>
+                {notification.body && (
+                  <p className="text-xs text-secondary-500 line-clamp-2">{notification.body}</p>
+                )}
+                <p className="text-xs text-secondary-400 mt-0.5">
+                  {new Date(notification.created_at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                </p>
+              </li>
+            ))}
+          </ul>
+
+          <div className="px-4 py-2 border-t text-right">
+            <button
+              type="button"
+              onClick={() => {
+                setOpen(false);
+                setShowPreferences(true);
+              }}
+              className="text-xs text-secondary-600 hover:text-secondary-900"
+            >
+              {t('notifications.preferences')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showPreferences && (
+        <NotificationPreferences onClose={() => setShowPreferences(false)} />
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
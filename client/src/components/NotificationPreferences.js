@@ -0,0 +1,133 @@
+/**
+ * Notification Preferences Component
+ *
+ * Modal where users choose which channels (in-app, email) each kind of
+ * notification reaches them on. Channels that cannot be turned off, such as
+ * in-app risk alerts, are shown checked and disabled.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { notificationService } from '../services/notificationService';
+
+const NotificationPreferences = ({ onClose }) => {
+  const { t } = useTranslation();
+  const [settings, setSettings] = useState(null);
+  const [preferences, setPreferences] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    notificationService.getPreferences()
+      .then(data => {
+        setSettings(data);
+        setPreferences(data.preferences);
+      })
+      .catch(() => setError(t('notifications.preferencesError')));
+  }, [t]);
+
+  const toggle = (type, channel) => {
+    setPreferences(prev => ({
+      ...prev,
+      [type]: { ...prev[type], [channel]: !prev[type][channel] }
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await notificationService.updatePreferences(preferences);
+      onClose();
+    } catch (error) {
+      setError(t('notifications.preferencesError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+            <BellIcon className="h-6 w-6 mr-2 text-primary-500" />
+            {t('notifications.preferences')}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {!settings ? (
+          <p className="text-sm text-secondary-500">{error || t('common.loading')}</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <table className="w-full text-sm mb-4">
+              <thead>
+                <tr className="text-left text-secondary-500">
+                  <th className="py-2 font-medium">{t('notifications.type')}</th>
+                  {settings.channels.map(channel => (
+                    <th key={channel} className="py-2 font-medium text-center">{t(`notifications.channel.${channel}`)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {Object.keys(preferences).map(type => (
+                  <tr key={type}>
+                    <td className="py-2 text-secondary-900">{t(`notifications.types.${type}`)}</td>
+                    {settings.channels.map(channel => {
+                      const required = settings.required[type]?.includes(channel);
+                      return (
+                        <td key={channel} className="py-2 text-center">
+                          <input
+                            type="checkbox"
+                            checked={required || preferences[type][channel]}
+                            disabled={required}
+                            onChange={() => toggle(type, channel)}
+                            className="h-4 w-4 text-primary-600"
+                            title={required ? t('notifications.required') : undefined}
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {error && (
+              <p className="mb-3 text-sm text-red-600">{error}</p>
+            )}
+
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-300"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-primary-500 text-white rounded-md hover:bg-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-300 disabled:opacity-50"
+              >
+                {saving ? t('common.loading') : t('common.save')}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
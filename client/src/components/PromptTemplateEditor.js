@@ -0,0 +1,168 @@
+/**
+ * Prompt Template Editor Component
+ * 
+ * A textarea for behavior prompt templates that autocompletes {{variables}}
+ * as they are typed, lists the available variables and flags unknown ones.
+ */
+
+import React, { useState, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import {
+  PROMPT_VARIABLES,
+  validatePromptTemplate,
+  getVariableQuery,
+  suggestVariables
+} from '../utils/promptVariables';
+
+const PromptTemplateEditor = ({ id, value, onChange, rows = 6, required = false, className = '' }) => {
+  const { t } = useTranslation();
+  const textareaRef = useRef(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [queryStart, setQueryStart] = useState(null);
+
+  const problems = validatePromptTemplate(value);
+
+  // Update the suggestion list for the text before the caret
+  const updateSuggestions = (text, caret) => {
+    const variableQuery = getVariableQuery(text, caret);
+    
+    if (!variableQuery) {
+      setSuggestions([]);
+      setQueryStart(null);
+      return;
+    }
+    
+    setSuggestions(suggestVariables(variableQuery.query));
+    setQueryStart(variableQuery.start);
+    setActiveIndex(0);
+  };
+
+  // Move the caret once React has rendered the new value
+  const placeCaret = (position) => {
+    setTimeout(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(position, position);
+    }, 0);
+  };
+
+  // Replace the partially typed variable with the chosen one
+  const completeVariable = (variable) => {
+    const caret = textareaRef.current?.selectionStart ?? value.length;
+    const start = queryStart ?? caret;
+    const rest = value.slice(caret).replace(/^\s*[\w.]*\s*\}\}/, '');
+    const placeholder = `{{${variable.name}}}`;
+    
+    onChange(value.slice(0, start) + placeholder + rest);
+    setSuggestions([]);
+    setQueryStart(null);
+    placeCaret(start + placeholder.length);
+  };
+
+  // Insert a variable at the caret from the variable list
+  const insertVariable = (variable) => {
+    const caret = textareaRef.current?.selectionStart ?? value.length;
+    const placeholder = `{{${variable.name}}}`;
+    
+    onChange(value.slice(0, caret) + placeholder + value.slice(caret));
+    placeCaret(caret + placeholder.length);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateSuggestions(e.target.value, e.target.selectionStart);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      completeVariable(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  };
+
+  return (
+    <div>
+      <div className="relative">
+        <textarea
+          ref={textareaRef}
+          id={id}
+          name={id}
+          rows={rows}
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onClick={(e) => updateSuggestions(e.target.value, e.target.selectionStart)}
+          onBlur={() => setTimeout(() => setSuggestions([]), 150)}
+          className={className}
+          required={required}
+          aria-invalid={problems.length > 0}
+        />
+        
+        {suggestions.length > 0 && (
+          <ul className="absolute z-10 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-md shadow-lg max-h-48 overflow-y-auto">
+            {suggestions.map((variable, index) => (
+              <li key={variable.name}>
+                <button
+                  type="button"
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    completeVariable(variable);
+                  }}
+                  className={`w-full text-left px-3 py-2 text-sm ${
+                    index === activeIndex ? 'bg-primary-50 text-primary-800' : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <span className="font-mono">{`{{${variable.name}}}`}</span>
+                  <span className="ml-2 text-xs text-gray-500">{t(variable.descriptionKey)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <span className="text-xs text-gray-500">{t('promptTemplate.insertVariable')}</span>
+        {PROMPT_VARIABLES.map(variable => (
+          <button
+            key={variable.name}
+            type="button"
+            onClick={() => insertVariable(variable)}
+            title={t(variable.descriptionKey)}
+            className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-mono bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            {`{{${variable.name}}}`}
+          </button>
+        ))}
+      </div>
+      
+      {problems.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {problems.map((problem, index) => (
+            <li key={index} className="flex items-center text-sm text-red-600">
+              <ExclamationTriangleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+              {problem.type === 'unknown'
+                ? t('promptTemplate.unknownVariable', { variable: `{{${problem.variable}}}` })
+                : t('promptTemplate.unbalancedBraces')}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PromptTemplateEditor;
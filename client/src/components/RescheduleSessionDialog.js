@@ -0,0 +1,164 @@
+/**
+ * Reschedule Session Dialog Component
+ *
+ * Modal where a client moves a session to another of the therapist's free
+ * slots, with an optional reason passed on to the therapist. The session's
+ * own time counts as free.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { CalendarIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
+import { userService, getTimeZone } from '../services/userService';
+
+const RescheduleSessionDialog = ({ session, onRescheduled, onClose }) => {
+  const { t } = useTranslation();
+  const [date, setDate] = useState(format(new Date(session.start_time), 'yyyy-MM-dd'));
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [selectedStart, setSelectedStart] = useState('');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!date) return;
+
+    let cancelled = false;
+
+    const fetchSlots = async () => {
+      try {
+        setLoadingSlots(true);
+        const available = await userService.getTherapistAvailability(session.therapist_id, date, getTimeZone(), session.id);
+        if (!cancelled) setSlots(available.filter(slot => slot.start !== session.start_time));
+      } catch (error) {
+        if (!cancelled) setError(t('schedule.errorFetchingAvailability'));
+      } finally {
+        if (!cancelled) setLoadingSlots(false);
+      }
+    };
+
+    fetchSlots();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [date, session, t]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selectedStart) return;
+
+    try {
+      setSubmitting(true);
+      setError('');
+      onRescheduled(await userService.rescheduleSession(session.id, selectedStart, reason.trim()));
+    } catch (error) {
+      setError(error.message || t('rescheduleSession.error'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg mx-4">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+            <CalendarIcon className="h-6 w-6 mr-2 text-primary-500" />
+            {t('rescheduleSession.title')}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            {t('rescheduleSession.current', { time: new Date(session.start_time).toLocaleString() })}
+          </p>
+
+          <input
+            type="date"
+            min={format(new Date(), 'yyyy-MM-dd')}
+            value={date}
+            onChange={(e) => {
+              setDate(e.target.value);
+              setSelectedStart('');
+            }}
+            className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+          />
+
+          {loadingSlots ? (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-500"></div>
+            </div>
+          ) : slots.length > 0 ? (
+            <div className="grid grid-cols-3 sm:grid-cols-4 gap-2 max-h-48 overflow-y-auto">
+              {slots.map(slot => (
+                <button
+                  key={slot.start}
+                  type="button"
+                  onClick={() => setSelectedStart(slot.start)}
+                  className={`flex items-center justify-center p-2 border rounded-md text-sm ${
+                    selectedStart === slot.start
+                      ? 'bg-primary-500 text-white border-primary-500'
+                      : 'border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  {format(new Date(slot.start), 'HH:mm')}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">{t('schedule.noAvailableSlots')}</p>
+          )}
+
+          <div>
+            <label htmlFor="reschedule-reason" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('rescheduleSession.reason')}
+            </label>
+            <input
+              id="reschedule-reason"
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={500}
+              className="w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600">{error}</p>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-300"
+            >
+              {t('common.cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || !selectedStart}
+              className="px-4 py-2 bg-primary-500 text-white rounded-md hover:bg-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-300 disabled:opacity-50"
+            >
+              {submitting ? t('common.processing') : t('rescheduleSession.confirm')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleSessionDialog;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { ExclamationTriangleIcon, CheckIcon, EyeIcon } from '@heroicons/react/24/outline';
+import { therapistService } from '../services/therapistService';
+
+const POLL_INTERVAL_MS = 30000;
+
+const SEVERITY_STYLES = {
+  high: 'border-red-500 bg-red-50',
+  medium: 'border-amber-400 bg-amber-50'
+};
+
+/**
+ * Queue of open risk alerts raised by the chat safety layer.
+ * Polls the API so new alerts show up without a page refresh.
+ */
+const RiskAlertQueue = () => {
+  const { t } = useTranslation();
+  const [alerts, setAlerts] = useState([]);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const data = await therapistService.getRiskAlerts();
+      setAlerts(data || []);
+      setError(null);
+    } catch (err) {
+      setError(t('riskAlerts.loadError'));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    fetchAlerts();
+    const interval = setInterval(fetchAlerts, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchAlerts]);
+
+  const handleUpdate = async (alert, status) => {
+    setUpdatingId(alert.id);
+    try {
+      const updated = await therapistService.updateRiskAlert(alert.id, status);
+      setAlerts(prev => status === 'resolved'
+        ? prev.filter(a => a.id !== alert.id)
+        : prev.map(a => a.id === alert.id ? { ...a, ...updated } : a));
+    } catch (err) {
+      setError(t('riskAlerts.updateError'));
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (!alerts.length && !error) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow p-6 mb-8">
+      <div className="flex items-center mb-4">
+        <ExclamationTriangleIcon className="h-6 w-6 text-red-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-800">{t('riskAlerts.title')}</h2>
+        {alerts.length > 0 && (
+          <span className="ml-3 px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-xs font-medium">
+            {alerts.length}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 mb-3">{error}</p>
+      )}
+
+      <ul className="space-y-3">
+        {alerts.map(alert => (
+          <li
+            key={alert.id}
+            className={`border-l-4 rounded-md p-4 flex flex-col md:flex-row md:items-center md:justify-between ${SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.medium}`}
+          >
+            <div>
+              <div className="flex items-center flex-wrap gap-2">
+                <span className={`text-xs font-semibold uppercase ${alert.severity === 'high' ? 'text-red-700' : 'text-amber-700'}`}>
+                  {t(`riskAlerts.severity.${alert.severity}`)}
+                </span>
+                <Link
+                  to={`/therapist/clients/${alert.client_id}`}
+                  className="font-medium text-gray-900 hover:text-primary-600"
+                >
+                  {alert.client?.name || alert.client?.email || t('riskAlerts.unknownClient')}
+                </Link>
+                {alert.status === 'acknowledged' && (
+                  <span className="text-xs text-gray-500">{t('riskAlerts.acknowledged')}</span>
+                )}
+              </div>
+              <p className="text-sm text-gray-700 mt-1">
+                {(alert.categories || []).map(category => t(`riskAlerts.category.${category}`)).join(', ')}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                {new Date(alert.created_at).toLocaleString()}
+              </p>
+            </div>
+            <div className="flex space-x-2 mt-3 md:mt-0">
+              {alert.status === 'open' && (
+                <button
+                  onClick={() => handleUpdate(alert, 'acknowledged')}
+                  disabled={updatingId === alert.id}
+                  className="inline-flex items-center px-3 py-1.5 text-sm border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <EyeIcon className="h-4 w-4 mr-1" />
+                  {t('riskAlerts.acknowledge')}
+                </button>
+              )}
+              <button
+                onClick={() => handleUpdate(alert, 'resolved')}
+                disabled={updatingId === alert.id}
+                className="inline-flex items-center px-3 py-1.5 text-sm rounded-md bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+              >
+                <CheckIcon className="h-4 w-4 mr-1" />
+                {t('riskAlerts.resolve')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RiskAlertQueue;
@@ -1,10 +1,13 @@
 import React, { createContext, useState, useEffect } from 'react';
 import { supabase } from '../services/supabaseClient';
 import { supabaseService } from '../services/supabaseService';
+import { apiClient } from '../services/apiClient';
+import { useTranslation } from 'react-i18next';
 
 export const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
+  const { i18n } = useTranslation();
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -245,11 +248,8 @@ export const AuthProvider = ({ children }) => {
   const resetPassword = async (email) => {
     try {
       setLoading(true);
-      const { error } = await supabase.auth.resetPasswordForEmail(email);
-      
-      if (error) {
-        throw error;
-      }
+      // The server sends the reset link in the user's language
+      await apiClient.post('/auth/password-reset', { email, language: i18n.language?.split('-')[0] });
     } catch (error) {
       setError(error.message);
       throw error;
@@ -0,0 +1,244 @@
+/**
+ * Inbox Page
+ *
+ * Direct messages between a client and their therapist, or a therapist and
+ * an admin. Messages arrive live; opening a thread marks it as read and the
+ * sender sees the read receipt.
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { PaperAirplaneIcon, ChatBubbleLeftRightIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../hooks/useAuth';
+import { inboxService } from '../services/inboxService';
+
+const Inbox = () => {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const [threads, setThreads] = useState([]);
+  const [contacts, setContacts] = useState([]);
+  const [activeThread, setActiveThread] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const messagesEndRef = useRef(null);
+  const activeThreadRef = useRef(null);
+  const activeThreadId = activeThread?.id;
+  activeThreadRef.current = activeThreadId;
+
+  const loadThreads = useCallback(async () => {
+    try {
+      setThreads(await inboxService.getThreads());
+    } catch (error) {
+      setError(t('inbox.fetchError'));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadThreads();
+    inboxService.getContacts()
+      .then(setContacts)
+      .catch(() => setError(t('inbox.fetchError')));
+  }, [loadThreads, t]);
+
+  // Load the open thread and mark it as read
+  useEffect(() => {
+    if (!activeThreadId) return;
+
+    setMessages([]);
+    inboxService.getMessages(activeThreadId)
+      .then(async (data) => {
+        setMessages(data);
+        if (data.some(message => message.recipient_id === user.id && !message.read_at)) {
+          await inboxService.markThreadRead(activeThreadId);
+          loadThreads();
+        }
+      })
+      .catch(() => setError(t('inbox.fetchError')));
+  }, [activeThreadId, user, loadThreads, t]);
+
+  // Deliver new messages and read receipts as they happen, over one
+  // connection kept open while the page is shown
+  useEffect(() => {
+    return inboxService.subscribe({
+      onMessage: (message) => {
+        if (message.thread_id === activeThreadRef.current) {
+          setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+          if (message.recipient_id === user.id) {
+            inboxService.markThreadRead(message.thread_id).catch(() => {});
+          }
+        }
+        loadThreads();
+      },
+      onRead: (receipt) => {
+        if (receipt.thread_id === activeThreadRef.current) {
+          setMessages(prev => prev.map(message => (
+            receipt.message_ids.includes(message.id) ? { ...message, read_at: receipt.read_at } : message
+          )));
+        }
+        loadThreads();
+      }
+    });
+  }, [user, loadThreads]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const startThread = async (recipientId) => {
+    if (!recipientId) return;
+
+    setError('');
+    try {
+      const thread = await inboxService.openThread(recipientId);
+      setActiveThread({ ...thread, contact: contacts.find(contact => contact.id === recipientId) });
+      loadThreads();
+    } catch (error) {
+      setError(t('inbox.openError'));
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    setSending(true);
+    setError('');
+    try {
+      const message = await inboxService.sendMessage(activeThreadId, draft.trim());
+      setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+      setDraft('');
+    } catch (error) {
+      setError(t('inbox.sendError'));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const contactName = (contact) => contact?.name || contact?.email || t('inbox.unknownContact');
+  const lastOwnMessage = [...messages].reverse().find(message => message.sender_id === user.id);
+
+  return (
+    <div className="flex h-[calc(100vh-12rem)] bg-white rounded-lg shadow overflow-hidden">
+      {/* Threads */}
+      <div className={`${activeThread ? 'hidden' : 'flex'} md:flex flex-col w-full md:w-72 flex-shrink-0 border-r`}>
+        <div className="p-3 border-b">
+          <h1 className="text-lg font-semibold text-secondary-900 mb-2">{t('inbox.title')}</h1>
+          <select
+            value=""
+            onChange={(e) => startThread(e.target.value)}
+            className="w-full rounded-md border border-secondary-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">{t('inbox.newMessage')}</option>
+            {contacts.map(contact => (
+              <option key={contact.id} value={contact.id}>
+                {contactName(contact)} ({t(`inbox.role.${contact.role}`)})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <ul className="flex-1 overflow-y-auto divide-y">
+          {threads.length === 0 && (
+            <li className="p-4 text-sm text-secondary-500 italic">{t('inbox.empty')}</li>
+          )}
+          {threads.map(thread => (
+            <li
+              key={thread.id}
+              onClick={() => setActiveThread(thread)}
+              className={`p-3 cursor-pointer hover:bg-secondary-50 ${thread.id === activeThreadId ? 'bg-primary-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <p className={`text-sm truncate ${thread.unread ? 'font-semibold text-secondary-900' : 'text-secondary-800'}`}>
+                  {contactName(thread.contact)}
+                </p>
+                {thread.unread > 0 && (
+                  <span className="ml-2 rounded-full bg-primary-500 px-2 text-xs text-white">{thread.unread}</span>
+                )}
+              </div>
+              <p className="text-xs text-secondary-500 truncate">{thread.last_message_preview}</p>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Messages */}
+      <div className={`${activeThread ? 'flex' : 'hidden'} md:flex flex-col flex-1 min-w-0`}>
+        {activeThread ? (
+          <>
+            <div className="p-4 border-b flex items-center">
+              <button
+                onClick={() => setActiveThread(null)}
+                className="md:hidden mr-3 text-sm text-secondary-600 hover:text-secondary-900"
+              >
+                {t('inbox.back')}
+              </button>
+              <div>
+                <h2 className="text-lg font-semibold text-secondary-900">{contactName(activeThread.contact)}</h2>
+                {activeThread.contact && (
+                  <p className="text-xs text-secondary-500">{t(`inbox.role.${activeThread.contact.role}`)}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-gray-50">
+              {messages.map(message => {
+                const own = message.sender_id === user.id;
+                return (
+                  <div key={message.id} className={`flex ${own ? 'justify-end' : 'justify-start'}`}>
+                    <div className={`max-w-[70%] rounded-lg p-3 shadow-sm ${own ? 'bg-primary-500 text-white' : 'bg-white text-secondary-900'}`}>
+                      <p className="text-sm whitespace-pre-wrap">{message.body}</p>
+                      <span className={`text-xs mt-1 block ${own ? 'text-primary-100' : 'text-secondary-500'}`}>
+                        {new Date(message.created_at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                        {message.id === lastOwnMessage?.id && (
+                          ` · ${message.read_at ? t('inbox.read') : t('inbox.sent')}`
+                        )}
+                      </span>
+                    </div>
+                  </div>
+                );
+              })}
+              <div ref={messagesEndRef} />
+            </div>
+
+            {error && (
+              <p className="px-4 pt-2 text-sm text-red-600">{error}</p>
+            )}
+
+            <form onSubmit={handleSend} className="border-t p-4 flex space-x-2">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    handleSend(e);
+                  }
+                }}
+                rows={2}
+                maxLength={5000}
+                placeholder={t('inbox.placeholder')}
+                className="flex-1 rounded-lg border border-secondary-300 p-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+              <button
+                type="submit"
+                disabled={sending || !draft.trim()}
+                className="p-3 rounded-lg bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50"
+                title={t('inbox.send')}
+              >
+                <PaperAirplaneIcon className="h-5 w-5" />
+              </button>
+            </form>
+          </>
+        ) : (
+          <div className="flex-1 flex flex-col items-center justify-center text-secondary-500">
+            <ChatBubbleLeftRightIcon className="h-10 w-10 mb-2" />
+            <p className="text-sm">{error || t('inbox.selectThread')}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Inbox;
@@ -1,12 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { supabase } from '../../services/supabaseClient';
+import { adminService } from '../../services/adminService';
+import PromptTemplateEditor from '../../components/PromptTemplateEditor';
+import BehaviorVersionHistory from '../../components/BehaviorVersionHistory';
+import { validatePromptTemplate } from '../../utils/promptVariables';
 
 const BehaviorManagement = () => {
   const { user } = useAuth();
   const [behaviors, setBehaviors] = useState([]);
   const [loading, setLoading] = useState(true);
   const [editingBehavior, setEditingBehavior] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [historyBehavior, setHistoryBehavior] = useState(null);
   const [newBehavior, setNewBehavior] = useState({
     name: '',
     description: '',
@@ -38,16 +44,16 @@ const BehaviorManagement = () => {
 
   const handleCreateBehavior = async (e) => {
     e.preventDefault();
-    try {
-      const { data, error } = await supabase
-        .from('behaviors')
-        .insert([newBehavior])
-        .select()
-        .single();
+    if (validatePromptTemplate(newBehavior.prompt_template).length > 0) {
+      setFormError('Fix the template variables before saving.');
+      return;
+    }
 
-      if (error) throw error;
+    try {
+      const data = await adminService.createBehaviorPreset(newBehavior);
 
-      setBehaviors([...behaviors, { ...data, client_behaviors: [] }]);
+      setFormError('');
+      setBehaviors([...behaviors, { ...newBehavior, ...data, client_behaviors: [] }]);
       setNewBehavior({
         name: '',
         description: '',
@@ -57,25 +63,28 @@ const BehaviorManagement = () => {
       });
     } catch (error) {
       console.error('Error creating behavior:', error);
+      setFormError(error.message);
     }
   };
 
   const handleUpdateBehavior = async (e) => {
     e.preventDefault();
-    try {
-      const { error } = await supabase
-        .from('behaviors')
-        .update(editingBehavior)
-        .eq('id', editingBehavior.id);
+    if (validatePromptTemplate(editingBehavior.prompt_template).length > 0) {
+      setFormError('Fix the template variables before saving.');
+      return;
+    }
 
-      if (error) throw error;
+    try {
+      await adminService.updateBehaviorPreset(editingBehavior.id, editingBehavior);
 
+      setFormError('');
       setBehaviors(behaviors.map(behavior =>
         behavior.id === editingBehavior.id ? editingBehavior : behavior
       ));
       setEditingBehavior(null);
     } catch (error) {
       console.error('Error updating behavior:', error);
+      setFormError(error.message);
     }
   };
 
@@ -167,16 +176,20 @@ const BehaviorManagement = () => {
             <label htmlFor="prompt_template" className="block text-sm font-medium text-secondary-700">
               Prompt Template
             </label>
-            <textarea
+            <PromptTemplateEditor
               id="prompt_template"
               value={newBehavior.prompt_template}
-              onChange={(e) => setNewBehavior({ ...newBehavior, prompt_template: e.target.value })}
+              onChange={(promptTemplate) => setNewBehavior({ ...newBehavior, prompt_template: promptTemplate })}
               rows={5}
               className="mt-1 block w-full rounded-lg border border-secondary-300 px-4 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500 font-mono text-sm"
               required
             />
           </div>
 
+          {formError && (
+            <p className="text-sm text-red-600">{formError}</p>
+          )}
+
           <div className="flex justify-end">
             <button
               type="submit"
@@ -235,6 +248,16 @@ const BehaviorManagement = () => {
                           rows={2}
                           className="block w-full rounded-lg border border-secondary-300 px-4 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
                         />
+                        <PromptTemplateEditor
+                          id={`prompt_template_${behavior.id}`}
+                          value={editingBehavior.prompt_template}
+                          onChange={(promptTemplate) => setEditingBehavior({
+                            ...editingBehavior,
+                            prompt_template: promptTemplate
+                          })}
+                          rows={4}
+                          className="block w-full rounded-lg border border-secondary-300 px-4 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500 font-mono text-sm"
+                        />
                       </div>
                     ) : (
                       <div>
@@ -298,12 +321,20 @@ const BehaviorManagement = () => {
                         </button>
                       </div>
                     ) : (
-                      <button
-                        onClick={() => setEditingBehavior(behavior)}
-                        className="text-primary-600 hover:text-primary-900"
-                      >
-                        Edit
-                      </button>
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          onClick={() => setHistoryBehavior(behavior)}
+                          className="text-secondary-600 hover:text-secondary-900"
+                        >
+                          History
+                        </button>
+                        <button
+                          onClick={() => setEditingBehavior(behavior)}
+                          className="text-primary-600 hover:text-primary-900"
+                        >
+                          Edit
+                        </button>
+                      </div>
                     )}
                   </td>
                 </tr>
@@ -312,6 +343,16 @@ const BehaviorManagement = () => {
           </table>
         </div>
       </div>
+
+      {historyBehavior && (
+        <BehaviorVersionHistory
+          behavior={historyBehavior}
+          onClose={() => setHistoryBehavior(null)}
+          onRestored={(restored) => setBehaviors(behaviors.map(behavior =>
+            behavior.id === restored.id ? { ...behavior, ...restored } : behavior
+          ))}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,223 @@
+/**
+ * Scheduled Jobs Page
+ *
+ * Status of the server's job runner: counts by job type and status with the
+ * next and last runs, and the list of jobs with their attempts and errors.
+ * Pending jobs can be run now and failed ones retried.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { adminService } from '../../services/adminService';
+
+const STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+const STATUS_STYLES = {
+  pending: 'bg-secondary-100 text-secondary-700',
+  running: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700'
+};
+
+const formatTime = (value) => (value
+  ? new Date(value).toLocaleString([], { dateStyle: 'short', timeStyle: 'medium' })
+  : '—');
+
+const ScheduledJobs = () => {
+  const { t } = useTranslation();
+  const [summary, setSummary] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [status, setStatus] = useState('');
+  const [type, setType] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [statusRows, jobRows] = await Promise.all([
+        adminService.getJobStatus(),
+        adminService.getJobs({ status: status || undefined, type: type || undefined })
+      ]);
+      setSummary(statusRows);
+      setJobs(jobRows);
+    } catch (error) {
+      setError(t('jobs.fetchError'));
+    } finally {
+      setLoading(false);
+    }
+  }, [status, type, t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const runNow = async (jobId) => {
+    setError('');
+    try {
+      const updated = await adminService.runJob(jobId);
+      setJobs(prev => prev.map(job => (job.id === jobId ? updated : job)));
+    } catch (error) {
+      setError(error.message || t('jobs.runError'));
+    }
+  };
+
+  // One row per job type, with a count column per status
+  const types = [...new Set(summary.map(row => row.type))];
+  const countFor = (jobType, jobStatus) => summary
+    .find(row => row.type === jobType && row.status === jobStatus)?.count || 0;
+  const nextRunFor = (jobType) => summary
+    .find(row => row.type === jobType && row.status === 'pending')?.next_run_at;
+  const lastRunFor = (jobType) => summary
+    .filter(row => row.type === jobType && row.last_finished_at)
+    .map(row => row.last_finished_at)
+    .sort()
+    .pop();
+  const intervalFor = (jobType) => summary.find(row => row.type === jobType && row.interval_seconds)?.interval_seconds;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-semibold text-secondary-900">{t('jobs.title')}</h1>
+        <button
+          onClick={load}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 text-sm rounded-md bg-white border border-secondary-300 text-secondary-700 hover:bg-secondary-50 disabled:opacity-50"
+        >
+          <ArrowPathIcon className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+          {t('common.refresh')}
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+
+      {/* Status by job type */}
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-secondary-50 text-left text-secondary-500">
+            <tr>
+              <th className="px-4 py-2 font-medium">{t('jobs.type')}</th>
+              <th className="px-4 py-2 font-medium">{t('jobs.interval')}</th>
+              {STATUSES.map(jobStatus => (
+                <th key={jobStatus} className="px-4 py-2 font-medium text-center">{t(`jobs.status.${jobStatus}`)}</th>
+              ))}
+              <th className="px-4 py-2 font-medium">{t('jobs.nextRun')}</th>
+              <th className="px-4 py-2 font-medium">{t('jobs.lastRun')}</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {types.length === 0 && (
+              <tr>
+                <td colSpan={STATUSES.length + 4} className="px-4 py-6 text-center text-secondary-500 italic">
+                  {loading ? t('common.loading') : t('jobs.empty')}
+                </td>
+              </tr>
+            )}
+            {types.map(jobType => (
+              <tr key={jobType} className="hover:bg-secondary-50 cursor-pointer" onClick={() => setType(jobType === type ? '' : jobType)}>
+                <td className={`px-4 py-2 font-mono ${jobType === type ? 'text-primary-600' : 'text-secondary-900'}`}>{jobType}</td>
+                <td className="px-4 py-2 text-secondary-600">
+                  {intervalFor(jobType) ? t('jobs.every', { minutes: Math.round(intervalFor(jobType) / 60) }) : t('jobs.oneOff')}
+                </td>
+                {STATUSES.map(jobStatus => (
+                  <td key={jobStatus} className={`px-4 py-2 text-center ${jobStatus === 'failed' && countFor(jobType, jobStatus) ? 'text-red-600 font-medium' : 'text-secondary-700'}`}>
+                    {countFor(jobType, jobStatus)}
+                  </td>
+                ))}
+                <td className="px-4 py-2 text-secondary-600">{formatTime(nextRunFor(jobType))}</td>
+                <td className="px-4 py-2 text-secondary-600">{formatTime(lastRunFor(jobType))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Jobs */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="flex flex-wrap items-center gap-2 px-4 py-3 border-b">
+          <h2 className="text-lg font-medium text-secondary-900 mr-auto">{t('jobs.list')}</h2>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="rounded-md border border-secondary-300 px-2 py-1 text-sm"
+          >
+            <option value="">{t('jobs.allStatuses')}</option>
+            {STATUSES.map(jobStatus => (
+              <option key={jobStatus} value={jobStatus}>{t(`jobs.status.${jobStatus}`)}</option>
+            ))}
+          </select>
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="rounded-md border border-secondary-300 px-2 py-1 text-sm"
+          >
+            <option value="">{t('jobs.allTypes')}</option>
+            {types.map(jobType => (
+              <option key={jobType} value={jobType}>{jobType}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-secondary-50 text-left text-secondary-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">{t('jobs.type')}</th>
+                <th className="px-4 py-2 font-medium">{t('jobs.statusLabel')}</th>
+                <th className="px-4 py-2 font-medium">{t('jobs.runAt')}</th>
+                <th className="px-4 py-2 font-medium text-center">{t('jobs.attempts')}</th>
+                <th className="px-4 py-2 font-medium">{t('jobs.lastError')}</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {jobs.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-6 text-center text-secondary-500 italic">
+                    {loading ? t('common.loading') : t('jobs.empty')}
+                  </td>
+                </tr>
+              )}
+              {jobs.map(job => (
+                <tr key={job.id}>
+                  <td className="px-4 py-2">
+                    <p className="font-mono text-secondary-900">{job.type}</p>
+                    {job.key && <p className="text-xs text-secondary-400 truncate max-w-xs">{job.key}</p>}
+                  </td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[job.status]}`}>
+                      {t(`jobs.status.${job.status}`)}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-secondary-600">
+                    {formatTime(job.status === 'completed' || job.status === 'failed' ? job.finished_at : job.run_at)}
+                  </td>
+                  <td className="px-4 py-2 text-center text-secondary-700">{job.attempts}/{job.max_attempts}</td>
+                  <td className="px-4 py-2 text-red-600 text-xs max-w-sm truncate" title={job.last_error || undefined}>
+                    {job.last_error}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {(job.status === 'pending' || job.status === 'failed') && (
+                      <button
+                        onClick={() => runNow(job.id)}
+                        className="text-xs text-primary-600 hover:text-primary-700"
+                      >
+                        {job.status === 'failed' ? t('jobs.retry') : t('jobs.runNow')}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledJobs;
@@ -1,24 +1,31 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { chatService } from '../../services/chatService';
 import { voiceService } from '../../services/voiceService';
 import { useTranslation } from 'react-i18next';
 import VoiceSettings from '../../components/VoiceSettings';
-import { PaperAirplaneIcon, MicrophoneIcon, XCircleIcon, SpeakerWaveIcon, SpeakerXMarkIcon, Cog6ToothIcon } from '@heroicons/react/24/solid';
+import ConversationSidebar from '../../components/ConversationSidebar';
+import { PaperAirplaneIcon, MicrophoneIcon, XCircleIcon, SpeakerWaveIcon, SpeakerXMarkIcon, Cog6ToothIcon, StopIcon, Bars3Icon, UserIcon } from '@heroicons/react/24/solid';
 
 const Chat = () => {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isRecording, setIsRecording] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [currentConversationId, setCurrentConversationId] = useState(null);
+  const [currentConversation, setCurrentConversation] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [showSidebar, setShowSidebar] = useState(false);
   const [audioStream, setAudioStream] = useState(null);
   const [mediaRecorder, setMediaRecorder] = useState(null);
   const [recordedChunks, setRecordedChunks] = useState([]);
   const [isTyping, setIsTyping] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const streamControllerRef = useRef(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const { user } = useAuth();
+  const currentConversationId = currentConversation?.id;
   
   // Scroll to bottom of messages
   const scrollToBottom = () => {
@@ -29,37 +36,45 @@ const Chat = () => {
     scrollToBottom();
   }, [messages]);
   
-  // Initialize or load existing conversation
+  // Refresh the conversation list shown in the sidebar
+  const loadConversations = useCallback(async (archived = showArchived) => {
+    const data = await chatService.getConversations(user.id, { archived });
+    setConversations(data);
+    return data;
+  }, [user, showArchived]);
+  
+  // Show a conversation and its messages
+  const openConversation = async (conversation) => {
+    setCurrentConversation(conversation);
+    setShowSidebar(false);
+    setMessages(await chatService.getConversationHistory(conversation.id));
+  };
+  
+  // Create a conversation; the server opens it with the AI's greeting
+  const createConversation = async () => {
+    const newConversationId = await chatService.createConversation(user.id, null, i18n.language);
+    
+    setMessages(await chatService.getConversationHistory(newConversationId));
+    setShowSidebar(false);
+    
+    const list = await loadConversations(false);
+    setShowArchived(false);
+    setCurrentConversation(list.find(conversation => conversation.id === newConversationId) || { id: newConversationId });
+  };
+  
+  // Resume the most recently active conversation, or start the first one.
+  // Conversations live in the database so they follow the client across devices.
   useEffect(() => {
     const initializeConversation = async () => {
       try {
-        // Check if there's a stored conversation ID
-        const storedConversationId = localStorage.getItem('currentConversationId');
+        const list = await chatService.getConversations(user.id);
+        setConversations(list);
         
-        if (storedConversationId) {
-          setCurrentConversationId(storedConversationId);
-          
-          // Load messages for this conversation
-          const messages = await chatService.getConversationHistory(storedConversationId);
-          setMessages(messages);
+        const latest = list.find(conversation => !conversation.end_ts) || list[0];
+        if (latest) {
+          await openConversation(latest);
         } else {
-          // Create a new conversation
-          const newConversationId = await chatService.createConversation(user.id);
-          setCurrentConversationId(newConversationId);
-          localStorage.setItem('currentConversationId', newConversationId);
-          
-          // Add a welcome message
-          const welcomeMessage = {
-            id: `welcome-${Date.now()}`,
-            conversation_id: newConversationId,
-            sender: 'ai',
-            text: t('chat.welcomeMessage', { name: user.profile_data?.name || t('chat.there') }),
-            timestamp: new Date().toISOString(),
-            sentiment_score: 0.8
-          };
-          
-          await chatService.saveMessage(welcomeMessage);
-          setMessages([welcomeMessage]);
+          await createConversation();
         }
       } catch (error) {
         console.error('Error initializing conversation:', error);
@@ -76,16 +91,24 @@ const Chat = () => {
     if (user) {
       initializeConversation();
     }
+  }, [user]);
+  
+  // Follow the current conversation live: a therapist's replies and their
+  // taking over or handing back arrive as they happen
+  useEffect(() => {
+    if (!currentConversationId) return undefined;
     
-    // Cleanup function to end conversation when component unmounts
-    return () => {
-      if (currentConversationId) {
-        chatService.endConversation(currentConversationId).catch(err => 
-          console.error('Error ending conversation:', err)
-        );
+    return chatService.subscribeToConversation(currentConversationId, {
+      onMessage: (message) => {
+        // The client's own and the AI's messages are already shown
+        if (message.sender !== 'therapist') return;
+        setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+      },
+      onConversation: (conversation) => {
+        setCurrentConversation(prev => (prev?.id === conversation.id ? { ...prev, ...conversation } : prev));
       }
-    };
-  }, [user]);
+    });
+  }, [currentConversationId]);
   
   // Focus on input when messages change
   useEffect(() => {
@@ -111,56 +134,125 @@ const Chat = () => {
     setInputMessage('');
     setIsProcessing(true);
     
+    const streamId = `stream-${Date.now()}`;
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    let partialText = '';
+    
     try {
-      // Save message to database
-      await chatService.saveMessage(userMessage);
+      // Continuing an ended or archived conversation reopens it
+      if (currentConversation.end_ts || currentConversation.archived_at) {
+        setCurrentConversation(await chatService.resumeConversation(currentConversationId));
+      }
       
-      // Show typing indicator
+      // Save message to database. The server may have closed the conversation
+      // after a period of inactivity; reopen it and try again.
+      try {
+        await chatService.saveMessage({ ...userMessage, language: i18n.language });
+      } catch (saveError) {
+        if (saveError.response?.status !== 409) throw saveError;
+        
+        setCurrentConversation(await chatService.resumeConversation(currentConversationId));
+        await chatService.saveMessage({ ...userMessage, language: i18n.language });
+      }
+      
+      // The therapist has taken over and answers instead of the AI
+      if (currentConversation.ai_paused_at) {
+        loadConversations().catch(err => console.error('Error refreshing conversations:', err));
+        return;
+      }
+      
+      // Show typing indicator until the first token arrives
       setIsTyping(true);
+      setMessages(prev => [...prev, {
+        id: streamId,
+        conversation_id: currentConversationId,
+        sender: 'ai',
+        text: '',
+        timestamp: new Date().toISOString(),
+        streaming: true
+      }]);
       
-      // Get AI response
-      const aiResponse = await chatService.getAIResponse(userMessage.text, currentConversationId, user.id);
+      // Stream AI response, rendering partial text as it arrives
+      let aiResponse;
+      try {
+        aiResponse = await chatService.streamAIResponse(userMessage.text, currentConversationId, {
+          language: i18n.language,
+          signal: controller.signal,
+          onDelta: (delta) => {
+            partialText += delta;
+            setIsTyping(false);
+            setIsStreaming(true);
+            setMessages(prev => prev.map(m => m.id === streamId ? { ...m, text: partialText } : m));
+          }
+        });
+      } catch (streamError) {
+        // The therapist took over while the message was being sent
+        if (streamError.status === 409) {
+          setIsTyping(false);
+          setMessages(prev => prev.filter(m => m.id !== streamId));
+          return;
+        }
+        
+        if (streamError.name !== 'AbortError') throw streamError;
+        
+        // Cancelled: the server keeps whatever the client has already seen
+        aiResponse = { id: streamId, message: partialText, sentiment_score: null, metadata: { stopped: true } };
+      }
       
       // Hide typing indicator
       setIsTyping(false);
+      setIsStreaming(false);
+      
+      if (!aiResponse.message) {
+        setMessages(prev => prev.filter(m => m.id !== streamId));
+        return;
+      }
       
-      // Create AI message
+      // Replace the streaming message with the saved one
       const aiMessage = {
+        id: aiResponse.id,
         conversation_id: currentConversationId,
         sender: 'ai',
         text: aiResponse.message,
-        timestamp: new Date().toISOString(),
-        sentiment_score: aiResponse.sentiment_score
+        timestamp: aiResponse.timestamp || new Date().toISOString(),
+        sentiment_score: aiResponse.sentiment_score,
+        metadata: aiResponse.metadata
       };
+      setMessages(prev => prev.map(m => m.id === streamId ? aiMessage : m));
       
-      // Save AI response to database
-      await chatService.saveMessage(aiMessage);
-      
-      // Update UI
-      setMessages(prev => [...prev, aiMessage]);
-      
-      // If this is the 5th message in the conversation, generate a summary
-      if (messages.length >= 4) {
-        chatService.generateSummary(currentConversationId).catch(err => 
-          console.error('Error generating summary:', err)
-        );
-      }
+      // Pick up the new title, preview and ordering
+      loadConversations().catch(err => console.error('Error refreshing conversations:', err));
     } catch (error) {
       console.error('Error processing message:', error);
       setIsTyping(false);
+      setIsStreaming(false);
       
       // Show error in UI
-      setMessages(prev => [...prev, {
+      setMessages(prev => [...prev
+        .filter(m => !(m.id === streamId && !m.text))
+        .map(m => m.id === streamId ? { ...m, streaming: false } : m), {
         id: `error-${Date.now()}`,
         sender: 'system',
         text: t('chat.errorProcessingMessage'),
         timestamp: new Date().toISOString(),
       }]);
     } finally {
+      streamControllerRef.current = null;
       setIsProcessing(false);
     }
   };
   
+  // Stop the AI response that is currently streaming
+  const stopStreaming = () => {
+    streamControllerRef.current?.abort();
+  };
+  
+  // Cancel any in-flight stream when leaving the page
+  useEffect(() => {
+    return () => streamControllerRef.current?.abort();
+  }, []);
+  
   // State for voice settings
   const [voiceSettings, setVoiceSettings] = useState({
     enabled: true,
@@ -226,7 +318,7 @@ const Chat = () => {
   // Play AI responses automatically if TTS is enabled
   useEffect(() => {
     const lastMessage = messages[messages.length - 1];
-    if (lastMessage && lastMessage.sender === 'ai' && voiceSettings.enabled && !isSpeaking) {
+    if (lastMessage && lastMessage.sender === 'ai' && !lastMessage.streaming && voiceSettings.enabled && !isSpeaking) {
       playMessage(lastMessage);
     }
   }, [messages]);
@@ -327,31 +419,10 @@ const Chat = () => {
     }
   };
   
-  // Start a new conversation
+  // Start a new conversation alongside the existing ones
   const startNewConversation = async () => {
     try {
-      // End current conversation if exists
-      if (currentConversationId) {
-        await chatService.endConversation(currentConversationId);
-      }
-      
-      // Create a new conversation
-      const newConversationId = await chatService.createConversation(user.id);
-      setCurrentConversationId(newConversationId);
-      localStorage.setItem('currentConversationId', newConversationId);
-      
-      // Add a welcome message
-      const welcomeMessage = {
-        id: `welcome-${Date.now()}`,
-        conversation_id: newConversationId,
-        sender: 'ai',
-        text: t('chat.welcomeMessage', { name: user.profile_data?.name || t('chat.there') }),
-        timestamp: new Date().toISOString(),
-        sentiment_score: 0.8
-      };
-      
-      await chatService.saveMessage(welcomeMessage);
-      setMessages([welcomeMessage]);
+      await createConversation();
     } catch (error) {
       console.error('Error starting new conversation:', error);
       // Show error in UI
@@ -364,152 +435,280 @@ const Chat = () => {
     }
   };
   
+  // End the current session; the server summarizes it and lets the therapist know
+  const endSession = async () => {
+    if (!window.confirm(t('chat.confirmEndSession'))) return;
+    
+    streamControllerRef.current?.abort();
+    try {
+      setCurrentConversation(await chatService.endConversation(currentConversationId));
+      await loadConversations();
+    } catch (error) {
+      console.error('Error ending conversation:', error);
+    }
+  };
+  
+  // Resume a conversation picked in the sidebar
+  const selectConversation = async (conversation) => {
+    if (conversation.id === currentConversationId) {
+      setShowSidebar(false);
+      return;
+    }
+    
+    streamControllerRef.current?.abort();
+    try {
+      await openConversation(conversation);
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+    }
+  };
+  
+  const toggleArchived = async (archived) => {
+    setShowArchived(archived);
+    try {
+      await loadConversations(archived);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+  };
+  
+  const renameConversation = async (conversationId, title) => {
+    try {
+      const updated = await chatService.updateConversation(conversationId, { title });
+      if (conversationId === currentConversationId) setCurrentConversation(updated);
+      await loadConversations();
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+    }
+  };
+  
+  const archiveConversation = async (conversation, archived) => {
+    try {
+      const updated = await chatService.updateConversation(conversation.id, { archived });
+      if (conversation.id === currentConversationId) setCurrentConversation(updated);
+      await loadConversations();
+    } catch (error) {
+      console.error('Error archiving conversation:', error);
+    }
+  };
+  
   return (
-    <div className="flex flex-col h-[calc(100vh-12rem)]">
-      {/* Header */}
-      <div className="bg-white border-b p-4 flex justify-between items-center">
-        <h2 className="text-lg font-semibold text-secondary-900">{t('chat.aiTherapySession')}</h2>
-        <button
-          onClick={startNewConversation}
-          className="text-sm px-3 py-1 bg-primary-100 text-primary-700 rounded-md hover:bg-primary-200 transition-colors"
-        >
-          {t('chat.newConversation')}
-        </button>
+    <div className="flex h-[calc(100vh-12rem)]">
+      {/* Conversation list */}
+      <div className={`${showSidebar ? 'flex' : 'hidden'} md:flex flex-col w-full md:w-72 flex-shrink-0`}>
+        <ConversationSidebar
+          conversations={conversations}
+          activeId={currentConversationId}
+          showArchived={showArchived}
+          onToggleArchived={toggleArchived}
+          onSelect={selectConversation}
+          onNew={startNewConversation}
+          onRename={renameConversation}
+          onArchive={archiveConversation}
+        />
       </div>
       
-      {/* Messages area */}
-      <div className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50">
-        {messages.map((message, index) => (
-          <div
-            key={message.id || index}
-            className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'}`}
+      <div className={`${showSidebar ? 'hidden' : 'flex'} md:flex flex-col flex-1 min-w-0`}>
+        {/* Header */}
+        <div className="bg-white border-b p-4 flex items-center">
+          <button
+            onClick={() => setShowSidebar(true)}
+            className="md:hidden mr-3 text-secondary-600 hover:text-secondary-900"
+            title={t('conversations.title')}
           >
-            {message.sender !== 'user' && message.sender !== 'system' && (
-              <div className="h-8 w-8 rounded-full bg-primary-500 flex items-center justify-center text-white mr-2">
-                {t('chat.ai')}
-              </div>
+            <Bars3Icon className="h-6 w-6" />
+          </button>
+          <div className="flex-1 min-w-0">
+            <h2 className="text-lg font-semibold text-secondary-900 truncate">
+              {currentConversation?.title || t('chat.aiTherapySession')}
+            </h2>
+            {currentConversationId && !currentConversation.end_ts && (
+              <p className={`text-xs ${currentConversation.responder ? 'text-green-700' : 'text-secondary-500'}`}>
+                {currentConversation.responder
+                  ? t('chat.therapistResponding', { name: currentConversation.responder.name })
+                  : t('chat.aiResponding')}
+              </p>
             )}
+          </div>
+          {currentConversationId && !currentConversation.end_ts && (
+            <button
+              onClick={endSession}
+              disabled={isProcessing}
+              className="ml-3 text-sm px-3 py-1 border border-secondary-300 text-secondary-700 rounded-md hover:bg-secondary-100 transition-colors disabled:opacity-50"
+            >
+              {t('chat.endSession')}
+            </button>
+          )}
+        </div>
+      
+        {/* Messages area */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50">
+          {messages.filter(message => !(message.streaming && !message.text)).map((message, index) => (
             <div
-              className={`max-w-[70%] rounded-lg p-3 shadow-sm ${
-                message.sender === 'user'
-                  ? 'bg-primary-500 text-white'
-                  : message.sender === 'system'
-                  ? 'bg-red-100 text-red-900'
-                  : 'bg-white text-secondary-900'
-              }`}
+              key={message.id || index}
+              className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'}`}
             >
-              <p className="text-sm whitespace-pre-wrap">{message.text}</p>
-              <span className={`text-xs ${message.sender === 'user' ? 'text-primary-100' : 'text-secondary-500'} mt-1 block`}>
-                {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-              </span>
-            </div>
-            {message.sender === 'user' && (
-              <div className="h-8 w-8 rounded-full bg-secondary-200 flex items-center justify-center text-secondary-600 ml-2">
-                {user.profile_data?.name?.charAt(0) || 'U'}
+              {message.sender === 'ai' && (
+                <div className="h-8 w-8 rounded-full bg-primary-500 flex items-center justify-center text-white mr-2">
+                  {t('chat.ai')}
+                </div>
+              )}
+              {message.sender === 'therapist' && (
+                <div className="h-8 w-8 rounded-full bg-green-600 flex items-center justify-center text-white mr-2">
+                  <UserIcon className="h-5 w-5" />
+                </div>
+              )}
+              <div
+                title={message.metadata?.provider ? `${message.metadata.provider} · ${message.metadata.model}` : undefined}
+                className={`max-w-[70%] rounded-lg p-3 shadow-sm ${
+                  message.sender === 'user'
+                    ? 'bg-primary-500 text-white'
+                    : message.sender === 'system'
+                    ? 'bg-red-100 text-red-900'
+                    : message.sender === 'therapist'
+                    ? 'bg-green-50 text-secondary-900 border border-green-200'
+                    : 'bg-white text-secondary-900'
+                }`}
+              >
+                {message.sender === 'therapist' && (
+                  <span className="text-xs font-medium text-green-700 block mb-1">{t('chat.yourTherapist')}</span>
+                )}
+                <p className="text-sm whitespace-pre-wrap">
+                  {message.text}
+                  {message.streaming && (
+                    <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-primary-500 animate-pulse"></span>
+                  )}
+                </p>
+                {message.metadata?.stopped && (
+                  <span className="text-xs italic text-secondary-400 block">{t('chat.responseStopped')}</span>
+                )}
+                <span className={`text-xs ${message.sender === 'user' ? 'text-primary-100' : 'text-secondary-500'} mt-1 block`}>
+                  {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </span>
               </div>
-            )}
-          </div>
-        ))}
-        
-        {/* Typing indicator */}
-        {isTyping && (
-          <div className="flex justify-start">
-            <div className="h-8 w-8 rounded-full bg-primary-500 flex items-center justify-center text-white mr-2">
-              {t('chat.ai')}
+              {message.sender === 'user' && (
+                <div className="h-8 w-8 rounded-full bg-secondary-200 flex items-center justify-center text-secondary-600 ml-2">
+                  {user.profile_data?.name?.charAt(0) || 'U'}
+                </div>
+              )}
             </div>
-            <div className="bg-white rounded-lg p-4 shadow-sm">
-              <div className="flex space-x-1">
-                <div className="h-2 w-2 bg-primary-500 rounded-full animate-bounce" style={{ animationDelay: '0ms' }}></div>
-                <div className="h-2 w-2 bg-primary-500 rounded-full animate-bounce" style={{ animationDelay: '150ms' }}></div>
-                <div className="h-2 w-2 bg-primary-500 rounded-full animate-bounce" style={{ animationDelay: '300ms' }}></div>
+          ))}
+        
+          {/* Typing indicator */}
+          {isTyping && (
+            <div className="flex justify-start">
+              <div className="h-8 w-8 rounded-full bg-primary-500 flex items-center justify-center text-white mr-2">
+                {t('chat.ai')}
+              </div>
+              <div className="bg-white rounded-lg p-4 shadow-sm">
+                <div className="flex space-x-1">
+                  <div className="h-2 w-2 bg-primary-500 rounded-full animate-bounce" style={{ animationDelay: '0ms' }}></div>
+                  <div className="h-2 w-2 bg-primary-500 rounded-full animate-bounce" style={{ animationDelay: '150ms' }}></div>
+                  <div className="h-2 w-2 bg-primary-500 rounded-full animate-bounce" style={{ animationDelay: '300ms' }}></div>
+                </div>
               </div>
             </div>
-          </div>
-        )}
+          )}
         
-        <div ref={messagesEndRef} />
-      </div>
+          {currentConversation?.end_ts && (
+            <p className="text-center text-xs text-secondary-500 italic">{t('chat.sessionEnded')}</p>
+          )}
+          
+          <div ref={messagesEndRef} />
+        </div>
       
-      {/* Input area */}
-      <div className="border-t p-4 bg-white">
-        <form onSubmit={handleSubmit} className="flex space-x-2">
-          <input
-            ref={inputRef}
-            type="text"
-            value={inputMessage}
-            onChange={(e) => setInputMessage(e.target.value)}
-            disabled={isProcessing || isRecording}
-            placeholder={isRecording ? t('chat.recording') : t('chat.typeYourMessage')}
-            className="flex-1 rounded-lg border border-secondary-300 p-3 focus:outline-none focus:ring-2 focus:ring-primary-500"
-            onKeyDown={(e) => {
-              if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                handleSubmit(e);
-              }
-            }}
-          />
-          {isRecording ? (
+        {/* Input area */}
+        <div className="border-t p-4 bg-white">
+          <form onSubmit={handleSubmit} className="flex space-x-2">
+            <input
+              ref={inputRef}
+              type="text"
+              value={inputMessage}
+              onChange={(e) => setInputMessage(e.target.value)}
+              disabled={isProcessing || isRecording}
+              placeholder={isRecording ? t('chat.recording') : t('chat.typeYourMessage')}
+              className="flex-1 rounded-lg border border-secondary-300 p-3 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                  e.preventDefault();
+                  handleSubmit(e);
+                }
+              }}
+            />
+            {isRecording ? (
+              <button
+                type="button"
+                onClick={toggleRecording}
+                className="p-3 rounded-lg bg-red-500 text-white hover:bg-red-600 transition-colors"
+                title={t('chat.stopRecording')}
+              >
+                <XCircleIcon className="h-6 w-6" />
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={toggleRecording}
+                disabled={isProcessing}
+                className="p-3 rounded-lg bg-secondary-100 text-secondary-600 hover:bg-secondary-200 transition-colors disabled:opacity-50"
+                title={t('chat.startRecording')}
+              >
+                <MicrophoneIcon className="h-6 w-6" />
+              </button>
+            )}
+          
+            {/* TTS toggle button */}
             <button
               type="button"
-              onClick={toggleRecording}
-              className="p-3 rounded-lg bg-red-500 text-white hover:bg-red-600 transition-colors"
-              title={t('chat.stopRecording')}
+              onClick={toggleVoiceEnabled}
+              className={`p-3 rounded-lg transition-colors ${voiceSettings.enabled ? 'bg-blue-100 text-blue-600 hover:bg-blue-200' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+              title={voiceSettings.enabled ? t('chat.disableVoice') : t('chat.enableVoice')}
             >
-              <XCircleIcon className="h-6 w-6" />
+              {voiceSettings.enabled ? (
+                <SpeakerWaveIcon className="h-6 w-6" />
+              ) : (
+                <SpeakerXMarkIcon className="h-6 w-6" />
+              )}
             </button>
-          ) : (
+          
+            {/* Voice settings button */}
             <button
               type="button"
-              onClick={toggleRecording}
-              disabled={isProcessing}
-              className="p-3 rounded-lg bg-secondary-100 text-secondary-600 hover:bg-secondary-200 transition-colors disabled:opacity-50"
-              title={t('chat.startRecording')}
+              onClick={openVoiceSettings}
+              className="p-3 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200 transition-colors"
+              title={t('chat.voiceSettings')}
             >
-              <MicrophoneIcon className="h-6 w-6" />
+              <Cog6ToothIcon className="h-6 w-6" />
             </button>
-          )}
-          
-          {/* TTS toggle button */}
-          <button
-            type="button"
-            onClick={toggleVoiceEnabled}
-            className={`p-3 rounded-lg transition-colors ${voiceSettings.enabled ? 'bg-blue-100 text-blue-600 hover:bg-blue-200' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
-            title={voiceSettings.enabled ? t('chat.disableVoice') : t('chat.enableVoice')}
-          >
-            {voiceSettings.enabled ? (
-              <SpeakerWaveIcon className="h-6 w-6" />
+            {isTyping || isStreaming ? (
+              <button
+                type="button"
+                onClick={stopStreaming}
+                className="p-3 rounded-lg bg-secondary-700 text-white hover:bg-secondary-800 transition-colors"
+                title={t('chat.stopGenerating')}
+              >
+                <StopIcon className="h-6 w-6" />
+              </button>
             ) : (
-              <SpeakerXMarkIcon className="h-6 w-6" />
+              <button
+                type="submit"
+                disabled={!inputMessage.trim() || isProcessing || isRecording}
+                className="p-3 rounded-lg bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50"
+              >
+                <PaperAirplaneIcon className="h-6 w-6" />
+              </button>
             )}
-          </button>
-          
-          {/* Voice settings button */}
-          <button
-            type="button"
-            onClick={openVoiceSettings}
-            className="p-3 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200 transition-colors"
-            title={t('chat.voiceSettings')}
-          >
-            <Cog6ToothIcon className="h-6 w-6" />
-          </button>
-          <button
-            type="submit"
-            disabled={!inputMessage.trim() || isProcessing || isRecording}
-            className="p-3 rounded-lg bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50"
-          >
-            <PaperAirplaneIcon className="h-6 w-6" />
-          </button>
-        </form>
-      </div>
+          </form>
+        </div>
       
-      {/* Voice Settings Modal */}
-      {showVoiceSettings && (
-        <VoiceSettings
-          initialSettings={voiceSettings}
-          onClose={() => setShowVoiceSettings(false)}
-          onSave={handleSaveVoiceSettings}
-        />
-      )}
+        {/* Voice Settings Modal */}
+        {showVoiceSettings && (
+          <VoiceSettings
+            initialSettings={voiceSettings}
+            onClose={() => setShowVoiceSettings(false)}
+            onSave={handleSaveVoiceSettings}
+          />
+        )}
+      </div>
     </div>
   );
 };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { userService } from '../../services/userService';
@@ -16,6 +16,7 @@ import {
   Legend
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
+import { buildSentimentChartData } from '../../utils/sentimentChart';
 
 // Register ChartJS components
 ChartJS.register(
@@ -43,11 +44,41 @@ const Dashboard = () => {
   });
   const [resources, setResources] = useState([]);
   
+  const loadSentimentHistory = useCallback(async () => {
+    try {
+      const { daily, summary } = await userService.getUserSentimentHistory(user.id);
+      
+      if (!daily.length) {
+        setSentimentData(null);
+        return;
+      }
+      
+      // Label each day as M/D without shifting it into the local time zone
+      const points = daily.map(day => {
+        const [, month, date] = day.date.split('-').map(Number);
+        return { ...day, label: `${month}/${date}` };
+      });
+      
+      setSentimentData(buildSentimentChartData(points, t));
+      setStats(prev => ({
+        ...prev,
+        averageSentiment: summary.average.toFixed(2),
+        improvementTrend: summary.trend,
+        lastSessionDate: daily[daily.length - 1].date
+      }));
+    } catch (error) {
+      console.error('Error fetching sentiment history:', error);
+    }
+  }, [user, t]);
+  
   useEffect(() => {
     const fetchDashboardData = async () => {
       try {
         setLoading(true);
         
+        // Sentiment history comes from the API and loads on its own
+        loadSentimentHistory();
+        
         // Fetch data from Supabase
         // Get user's conversations
         const userConversations = await chatService.getUserConversations(user.id);
@@ -72,54 +103,6 @@ const Dashboard = () => {
           setUpcomingSession(upcomingSess[0]);
         }
         
-        // Get sentiment data for chart
-        const sentimentHistory = await userService.getUserSentimentHistory(user.id);
-        
-        if (sentimentHistory && sentimentHistory.length > 0) {
-          // Process sentiment data for chart display
-          const labels = sentimentHistory.map(item => {
-            const date = new Date(item.date);
-            return `${date.getMonth() + 1}/${date.getDate()}`;
-          });
-          
-          const data = sentimentHistory.map(item => item.score);
-          
-          const chartData = {
-            labels,
-            datasets: [{
-              label: t('dashboard.sentimentScore'),
-              data,
-              borderColor: 'rgb(75, 192, 192)',
-              backgroundColor: 'rgba(75, 192, 192, 0.5)',
-              tension: 0.3
-            }]
-          };
-          
-          setSentimentData(chartData);
-          
-          // Calculate stats
-          const totalSessions = await userService.getUserSessionsCount(user.id);
-          const avgSentiment = data.reduce((sum, score) => sum + score, 0) / data.length;
-          
-          // Determine improvement trend
-          let trend = 'stable';
-          if (data.length >= 3) {
-            const recent = data.slice(-3);
-            if (recent[2] > recent[0]) {
-              trend = 'improving';
-            } else if (recent[2] < recent[0]) {
-              trend = 'declining';
-            }
-          }
-          
-          setStats({
-            totalSessions,
-            averageSentiment: avgSentiment.toFixed(2),
-            improvementTrend: trend,
-            lastSessionDate: sentimentHistory[sentimentHistory.length - 1].date
-          });
-        }
-        
         // Get resources
         const userResources = await userService.getUserResources(user.id);
         setResources(userResources || []);
@@ -133,7 +116,7 @@ const Dashboard = () => {
     if (user && user.id) {
       fetchDashboardData();
     }
-  }, [user, t]);
+  }, [user, t, loadSentimentHistory]);
   
   if (loading) {
     return (
@@ -247,7 +230,7 @@ const Dashboard = () => {
                 <h2 className="text-xl font-semibold text-gray-800">{t('dashboard.wellbeingProgress')}</h2>
                 <button 
                   className="text-primary-500 hover:text-primary-700 flex items-center text-sm font-medium"
-                  onClick={() => {/* Refresh chart data */}}
+                  onClick={loadSentimentHistory}
                 >
                   <ArrowPathIcon className="h-4 w-4 mr-1" />
                   {t('common.refresh')}
@@ -266,7 +249,7 @@ const Dashboard = () => {
                       tooltip: {
                         callbacks: {
                           label: function(context) {
-                            return `${t('dashboard.score')}: ${context.parsed.y.toFixed(2)}`;
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
                           }
                         }
                       }
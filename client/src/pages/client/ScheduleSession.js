@@ -1,13 +1,23 @@
 import React, { useState, useEffect } from 'react';
+import { userService, getTimeZone } from '../../services/userService';
 import { useAuth } from '../../hooks/useAuth';
-import { userService } from '../../services/userService';
 import { useTranslation } from 'react-i18next';
-import { CalendarIcon, ClockIcon, UserIcon } from '@heroicons/react/24/outline';
+import { ArrowPathIcon, CalendarIcon, ClockIcon, UserIcon, VideoCameraIcon } from '@heroicons/react/24/outline';
 import { format } from 'date-fns';
+import CancelSessionDialog from '../../components/CancelSessionDialog';
+import RescheduleSessionDialog from '../../components/RescheduleSessionDialog';
+
+// Weeks between sessions offered for a series; 0 books a single session
+const REPEAT_OPTIONS = [0, 1, 2, 4];
+const MIN_OCCURRENCES = 2;
+const MAX_OCCURRENCES = 52;
+
+// The video room opens this long before a session starts
+const JOIN_EARLY_MINUTES = 10;
 
 const ScheduleSession = () => {
-  const { user } = useAuth();
   const { t } = useTranslation();
+  const { user } = useAuth();
   const [loading, setLoading] = useState(true);
   const [therapists, setTherapists] = useState([]);
   const [selectedTherapist, setSelectedTherapist] = useState(null);
@@ -17,6 +27,22 @@ const ScheduleSession = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [errorMessage, setErrorMessage] = useState('');
+  // Bumped to fetch the slots again, such as after a slot was taken
+  const [slotsVersion, setSlotsVersion] = useState(0);
+  const [repeatWeeks, setRepeatWeeks] = useState(0);
+  const [occurrences, setOccurrences] = useState(12);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [upcomingSessions, setUpcomingSessions] = useState([]);
+  // Bumped to fetch the upcoming sessions again after a booking or cancellation
+  const [upcomingVersion, setUpcomingVersion] = useState(0);
+  const [lateCancelHours, setLateCancelHours] = useState(null);
+  const [cancelling, setCancelling] = useState(null);
+  const [rescheduling, setRescheduling] = useState(null);
+  const [joiningId, setJoiningId] = useState(null);
+  const timeZone = getTimeZone();
+  const validOccurrences = occurrences >= MIN_OCCURRENCES && occurrences <= MAX_OCCURRENCES;
+  const conflictCount = preview ? preview.occurrences.filter(occurrence => occurrence.conflict).length : 0;
 
   // Get available therapists
   useEffect(() => {
@@ -54,7 +80,61 @@ const ScheduleSession = () => {
     };
 
     fetchAvailableSlots();
-  }, [selectedTherapist, selectedDate, t]);
+  }, [selectedTherapist, selectedDate, slotsVersion, t]);
+
+  // Preview the sessions of a series as its rule changes
+  useEffect(() => {
+    if (!selectedTherapist || !selectedTime || !repeatWeeks || !validOccurrences) {
+      setPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchPreview = async () => {
+      try {
+        setPreviewLoading(true);
+        const plan = await userService.previewSeries({
+          therapist_id: selectedTherapist.id,
+          start_time: selectedTime,
+          interval_weeks: repeatWeeks,
+          occurrences
+        });
+        if (!cancelled) setPreview(plan);
+      } catch (error) {
+        console.error('Error previewing series:', error);
+        if (!cancelled) setErrorMessage(t('series.errorPreview'));
+      } finally {
+        if (!cancelled) setPreviewLoading(false);
+      }
+    };
+
+    fetchPreview();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTherapist, selectedTime, repeatWeeks, occurrences, validOccurrences, t]);
+
+  // Get the client's upcoming sessions
+  useEffect(() => {
+    const fetchUpcomingSessions = async () => {
+      if (!user) return;
+
+      try {
+        const [sessions, attendance] = await Promise.all([
+          userService.getUpcomingSessions(user.id, 'client'),
+          userService.getAttendance(user.id)
+        ]);
+        setUpcomingSessions(sessions.filter(session => ['scheduled', 'in-progress'].includes(session.status)));
+        setLateCancelHours(attendance.late_cancel_hours);
+      } catch (error) {
+        console.error('Error fetching upcoming sessions:', error);
+      }
+    };
+
+    fetchUpcomingSessions();
+  }, [user, upcomingVersion]);
 
   const handleTherapistSelect = (therapist) => {
     setSelectedTherapist(therapist);
@@ -73,7 +153,7 @@ const ScheduleSession = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!selectedTherapist || !selectedDate || !selectedTime) {
+    if (!selectedTherapist || !selectedDate || !selectedTime || (repeatWeeks && !validOccurrences)) {
       setErrorMessage(t('schedule.pleaseCompleteAllFields'));
       return;
     }
@@ -82,26 +162,33 @@ const ScheduleSession = () => {
       setIsSubmitting(true);
       setErrorMessage('');
       
-      // Format the datetime for the API
-      const sessionDateTime = `${selectedDate}T${selectedTime}:00`;
-      
-      // Schedule the session
-      await userService.scheduleSession({
-        client_id: user.id,
-        therapist_id: selectedTherapist.id,
-        start_time: sessionDateTime,
-        duration_minutes: 50, // Default session length
-        session_type: 'video',
-        status: 'scheduled'
-      });
-      
-      // Show success message
-      setSuccessMessage(t('schedule.sessionScheduledSuccess'));
+      // selectedTime is the ISO start of the chosen slot
+      if (repeatWeeks) {
+        // The conflicts were shown in the preview; book the free sessions
+        const series = await userService.createSeries({
+          therapist_id: selectedTherapist.id,
+          start_time: selectedTime,
+          interval_weeks: repeatWeeks,
+          occurrences,
+          time_zone: timeZone,
+          skip_conflicts: conflictCount > 0
+        });
+        setSuccessMessage(t('series.booked', { count: series.sessions.length }));
+      } else {
+        await userService.scheduleSession({
+          therapist_id: selectedTherapist.id,
+          start_time: selectedTime,
+          time_zone: timeZone
+        });
+        setSuccessMessage(t('schedule.sessionScheduledSuccess'));
+      }
       
       // Reset form
       setSelectedTherapist(null);
       setSelectedDate('');
       setSelectedTime('');
+      setRepeatWeeks(0);
+      setUpcomingVersion(version => version + 1);
       
       // Clear success message after 5 seconds
       setTimeout(() => {
@@ -109,14 +196,58 @@ const ScheduleSession = () => {
       }, 5000);
     } catch (error) {
       console.error('Error scheduling session:', error);
-      setErrorMessage(t('schedule.errorSchedulingSession'));
+      
+      // The sessions of a series changed since the preview: show them again
+      if (repeatWeeks && error.response?.status === 409 && error.response.data?.details) {
+        setErrorMessage(t('series.conflictsChanged'));
+        setPreview(plan => plan && { ...plan, occurrences: error.response.data.details });
+      } else if (error.response?.status === 409) {
+        // Someone else booked the slot first
+        setErrorMessage(t('schedule.slotTaken'));
+        setSelectedTime('');
+        setSlotsVersion(version => version + 1);
+      } else {
+        setErrorMessage(t('schedule.errorSchedulingSession'));
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const handleCancelled = (scope) => {
+    setCancelling(null);
+    setSuccessMessage(t(scope === 'series' ? 'series.cancelled' : 'cancelSession.cancelled'));
+    setUpcomingVersion(version => version + 1);
+  };
+
+  const handleRescheduled = () => {
+    setRescheduling(null);
+    setSuccessMessage(t('rescheduleSession.rescheduled'));
+    setUpcomingVersion(version => version + 1);
+  };
+
+  const handleJoin = async (session) => {
+    try {
+      setJoiningId(session.id);
+      setErrorMessage('');
+      const { meeting_url: meetingUrl } = await userService.joinSession(session.id);
+      window.open(meetingUrl, '_blank', 'noopener,noreferrer');
+    } catch (error) {
+      console.error('Error joining session:', error);
+      setErrorMessage(error.message);
+    } finally {
+      setJoiningId(null);
+    }
+  };
+
+  const now = Date.now();
+  const canJoin = (session) => now >= new Date(session.start_time).getTime() - JOIN_EARLY_MINUTES * 60 * 1000;
+  // Clients can no longer move sessions inside the late-cancel window
+  const canMove = (session) => session.status === 'scheduled' && lateCancelHours !== null
+    && new Date(session.start_time).getTime() - now >= lateCancelHours * 60 * 60 * 1000;
+
   // Get min date (today) for date picker
-  const today = new Date().toISOString().split('T')[0];
+  const today = format(new Date(), 'yyyy-MM-dd');
 
   return (
     <div className="max-w-4xl mx-auto px-4 py-8">
@@ -207,6 +338,9 @@ const ScheduleSession = () => {
                 <span className="bg-primary-100 text-primary-800 text-sm font-semibold mr-2 px-2.5 py-0.5 rounded">3</span>
                 {t('schedule.selectTime')}
               </h2>
+              <p className="text-sm text-gray-500 -mt-2 mb-4">
+                {t('schedule.timeZoneHint', { timeZone })}
+              </p>
               
               {selectedDate && selectedTherapist ? (
                 loading ? (
@@ -217,16 +351,16 @@ const ScheduleSession = () => {
                   <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
                     {availableSlots.map((slot) => (
                       <div
-                        key={slot}
-                        onClick={() => handleTimeSelect(slot)}
+                        key={slot.start}
+                        onClick={() => handleTimeSelect(slot.start)}
                         className={`flex items-center justify-center p-3 border rounded-md cursor-pointer ${
-                          selectedTime === slot
+                          selectedTime === slot.start
                             ? 'bg-primary-500 text-white border-primary-500'
                             : 'border-gray-300 hover:bg-gray-50'
                         }`}
                       >
                         <ClockIcon className="h-4 w-4 mr-2" />
-                        {slot}
+                        {format(new Date(slot.start), 'HH:mm')}
                       </div>
                     ))}
                   </div>
@@ -238,11 +372,81 @@ const ScheduleSession = () => {
               )}
             </div>
             
+            {/* Step 4: Repeat */}
+            <div className="mb-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-4">
+                <span className="bg-primary-100 text-primary-800 text-sm font-semibold mr-2 px-2.5 py-0.5 rounded">4</span>
+                {t('series.repeat')}
+              </h2>
+              
+              <div className="flex flex-wrap items-center gap-4">
+                <div className="flex items-center">
+                  <ArrowPathIcon className="h-5 w-5 text-gray-400 mr-2" />
+                  <select
+                    value={repeatWeeks}
+                    onChange={(e) => setRepeatWeeks(Number(e.target.value))}
+                    disabled={!selectedTime}
+                    className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 disabled:opacity-50 disabled:bg-gray-100"
+                  >
+                    {REPEAT_OPTIONS.map(weeks => (
+                      <option key={weeks} value={weeks}>
+                        {weeks ? t('series.everyWeeks', { count: weeks }) : t('series.doesNotRepeat')}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {repeatWeeks > 0 && (
+                  <label className="flex items-center text-sm text-gray-700">
+                    {t('series.occurrences')}
+                    <input
+                      type="number"
+                      min={MIN_OCCURRENCES}
+                      max={MAX_OCCURRENCES}
+                      value={occurrences}
+                      onChange={(e) => setOccurrences(Number(e.target.value))}
+                      className="ml-2 w-20 border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+                    />
+                  </label>
+                )}
+              </div>
+              
+              {repeatWeeks > 0 && (
+                previewLoading && !preview ? (
+                  <div className="flex justify-center mt-4">
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-500"></div>
+                  </div>
+                ) : preview && (
+                  <div className="mt-4">
+                    {conflictCount > 0 && (
+                      <p className="text-sm text-yellow-700 mb-2">
+                        {t('series.conflictsSkipped', { count: conflictCount })}
+                      </p>
+                    )}
+                    <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                      {preview.occurrences.map(occurrence => (
+                        <li key={occurrence.start} className="flex items-center justify-between px-3 py-2 text-sm">
+                          <span className={occurrence.conflict ? 'text-gray-400 line-through' : 'text-gray-900'}>
+                            {format(new Date(occurrence.start), 'EEE d MMM yyyy, HH:mm')}
+                          </span>
+                          {occurrence.conflict && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              {t(`series.conflict.${occurrence.conflict}`)}
+                            </span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )
+              )}
+            </div>
+            
             {/* Submit Button */}
             <div className="flex justify-end">
               <button
                 type="submit"
-                disabled={!selectedTherapist || !selectedDate || !selectedTime || isSubmitting}
+                disabled={!selectedTherapist || !selectedDate || !selectedTime || isSubmitting
+                  || (repeatWeeks > 0 && (!preview || previewLoading || conflictCount === preview.occurrences.length))}
                 className="bg-primary-500 text-white px-6 py-2 rounded-md hover:bg-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {isSubmitting ? (
@@ -250,6 +454,8 @@ const ScheduleSession = () => {
                     <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
                     {t('common.processing')}
                   </div>
+                ) : repeatWeeks > 0 && preview ? (
+                  t('series.confirmBooking', { count: preview.occurrences.length - conflictCount })
                 ) : (
                   t('schedule.confirmBooking')
                 )}
@@ -258,6 +464,83 @@ const ScheduleSession = () => {
           </form>
         </div>
       </div>
+      
+      {/* Upcoming sessions */}
+      {upcomingSessions.length > 0 && (
+        <div className="bg-white shadow rounded-lg overflow-hidden mt-8">
+          <div className="p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-1">{t('series.upcomingSessions')}</h2>
+            {lateCancelHours !== null && (
+              <p className="text-sm text-gray-500 mb-4">
+                {t('cancelSession.policy', { count: lateCancelHours })}
+              </p>
+            )}
+            <ul className="divide-y divide-gray-200">
+              {upcomingSessions.map(session => (
+                <li key={session.id} className="flex flex-wrap items-center justify-between gap-2 py-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {format(new Date(session.start_time), 'EEEE d MMMM yyyy, HH:mm')}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {session.therapists?.name || t('common.therapist')}
+                      {session.series_id && ` · ${t('series.partOfSeries')}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-4 text-sm">
+                    {canJoin(session) && (
+                      <button
+                        type="button"
+                        onClick={() => handleJoin(session)}
+                        disabled={joiningId === session.id}
+                        className="inline-flex items-center px-3 py-1 rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                      >
+                        <VideoCameraIcon className="h-4 w-4 mr-1" />
+                        {t('session.joinVideoSession')}
+                      </button>
+                    )}
+                    {canMove(session) && (
+                      <button
+                        type="button"
+                        onClick={() => setRescheduling(session)}
+                        className="text-primary-600 hover:text-primary-800"
+                      >
+                        {t('rescheduleSession.action')}
+                      </button>
+                    )}
+                    {session.status === 'scheduled' && new Date(session.start_time).getTime() > now && (
+                      <button
+                        type="button"
+                        onClick={() => setCancelling(session)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        {t('common.cancel')}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+      
+      {cancelling && (
+        <CancelSessionDialog
+          session={cancelling}
+          lateCancelHours={lateCancelHours}
+          onCancelled={handleCancelled}
+          onClose={() => setCancelling(null)}
+        />
+      )}
+      
+      {rescheduling && (
+        <RescheduleSessionDialog
+          session={rescheduling}
+          onRescheduled={handleRescheduled}
+          onClose={() => setRescheduling(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,459 @@
+/**
+ * Availability Page
+ *
+ * Where a therapist sets the hours clients can book: recurring weekly hours,
+ * hours for single dates picked on a month calendar, time off, and the
+ * session length and buffer between sessions. Saved hours apply to the
+ * booking page right away; upcoming sessions left outside them are listed.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { format, startOfMonth, endOfMonth, startOfWeek, addDays, addMonths, isSameMonth } from 'date-fns';
+import { ChevronLeftIcon, ChevronRightIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../hooks/useAuth';
+import { therapistService } from '../../services/therapistService';
+import { getTimeZone } from '../../services/userService';
+
+// Monday first, keyed as the server stores them
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DATE_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const SESSION_LENGTHS = [30, 45, 50, 60, 75, 90];
+const BUFFERS = [0, 5, 10, 15, 20, 30];
+
+const NEW_INTERVAL = { start: '09:00', end: '17:00' };
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const listTimeZones = () => (typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [getTimeZone()]);
+
+/**
+ * Bar showing a day's hours on a 24-hour line
+ */
+const HoursBar = ({ intervals }) => (
+  <div className="relative h-3 bg-secondary-100 rounded">
+    {intervals.map((interval, index) => (
+      <div
+        key={index}
+        className="absolute inset-y-0 bg-primary-400 rounded"
+        style={{
+          left: `${(toMinutes(interval.start) / 1440) * 100}%`,
+          width: `${Math.max(0, toMinutes(interval.end) - toMinutes(interval.start)) / 14.4}%`
+        }}
+      />
+    ))}
+  </div>
+);
+
+/**
+ * Editable list of a day's { start, end } hours
+ */
+const IntervalList = ({ intervals, onChange, t }) => (
+  <div className="space-y-2">
+    {intervals.map((interval, index) => (
+      <div key={index} className="flex items-center gap-2">
+        <input
+          type="time"
+          value={interval.start}
+          onChange={(e) => onChange(intervals.map((item, i) => (i === index ? { ...item, start: e.target.value } : item)))}
+          className="rounded-md border border-secondary-300 px-2 py-1 text-sm"
+        />
+        <span className="text-secondary-400">–</span>
+        <input
+          type="time"
+          value={interval.end === '24:00' ? '23:59' : interval.end}
+          onChange={(e) => onChange(intervals.map((item, i) => (i === index ? { ...item, end: e.target.value } : item)))}
+          className="rounded-md border border-secondary-300 px-2 py-1 text-sm"
+        />
+        <button
+          type="button"
+          onClick={() => onChange(intervals.filter((item, i) => i !== index))}
+          className="text-secondary-400 hover:text-red-600"
+          title={t('common.delete')}
+        >
+          <TrashIcon className="h-4 w-4" />
+        </button>
+      </div>
+    ))}
+    <button
+      type="button"
+      onClick={() => {
+        // New hours start where the last ones end
+        const last = intervals[intervals.length - 1];
+        onChange([...intervals, last
+          ? { start: last.end, end: toTime(Math.min(toMinutes(last.end) + 60, 1439)) }
+          : NEW_INTERVAL]);
+      }}
+      className="inline-flex items-center text-xs text-primary-600 hover:text-primary-700"
+    >
+      <PlusIcon className="h-3 w-3 mr-1" />
+      {t('availability.addHours')}
+    </button>
+  </div>
+);
+
+const Availability = () => {
+  const { user } = useAuth();
+  const { t, i18n } = useTranslation();
+  const [hours, setHours] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [outsideHours, setOutsideHours] = useState([]);
+  const [month, setMonth] = useState(startOfMonth(new Date()));
+  const [selectedDate, setSelectedDate] = useState(null);
+
+  useEffect(() => {
+    const fetchHours = async () => {
+      try {
+        setLoading(true);
+        const data = await therapistService.getHours(user.id);
+        // A therapist without hours yet starts in the browser's time zone
+        setHours(WEEKDAYS.some(day => data.weekly[day].length) ? data : { ...data, time_zone: getTimeZone() });
+      } catch (error) {
+        setError(t('availability.errorFetching'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (user) fetchHours();
+  }, [user, t]);
+
+  const update = (changes) => {
+    setHours(prev => ({ ...prev, ...changes }));
+    setSuccess('');
+  };
+
+  const weekdayName = (day) => new Date(Date.UTC(2024, 0, 1 + WEEKDAYS.indexOf(day)))
+    .toLocaleDateString(i18n.language, { weekday: 'long', timeZone: 'UTC' });
+
+  const dateKey = (date) => format(date, 'yyyy-MM-dd');
+  const overrideFor = (key) => hours.overrides.find(override => override.date === key);
+  const timeOffFor = (key) => hours.time_off.find(period => period.start <= key && key <= period.end);
+  const hoursFor = (date) => {
+    const key = dateKey(date);
+    if (timeOffFor(key)) return [];
+    return overrideFor(key)?.intervals || hours.weekly[DATE_WEEKDAYS[date.getDay()]];
+  };
+
+  const setOverride = (key, intervals) => update({
+    overrides: intervals === null
+      ? hours.overrides.filter(override => override.date !== key)
+      : [...hours.overrides.filter(override => override.date !== key), { date: key, intervals }]
+        .sort((a, b) => a.date.localeCompare(b.date))
+  });
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      // Time inputs cannot show midnight at the end of the day
+      const toServer = intervals => intervals.map(interval => ({ ...interval, end: interval.end === '23:59' ? '24:00' : interval.end }));
+      const result = await therapistService.saveHours(user.id, {
+        ...hours,
+        weekly: Object.fromEntries(WEEKDAYS.map(day => [day, toServer(hours.weekly[day])])),
+        overrides: hours.overrides.map(override => ({ ...override, intervals: toServer(override.intervals) }))
+      });
+      setHours(result.availability);
+      setOutsideHours(result.outside_hours);
+      setSuccess(t('availability.saved'));
+    } catch (error) {
+      setError(error.response?.data?.details?.[0]?.msg || error.message || t('availability.errorSaving'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !hours) {
+    return (
+      <div className="flex justify-center py-12">
+        {error
+          ? <p className="text-sm text-red-600">{error}</p>
+          : <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500"></div>}
+      </div>
+    );
+  }
+
+  // Whole weeks from the Monday on or before the first of the month
+  const firstCell = startOfWeek(startOfMonth(month), { weekStartsOn: 1 });
+  const cells = Array.from({ length: 42 }, (_, index) => addDays(firstCell, index))
+    .filter((date, index) => index < 35 || date <= endOfMonth(month));
+  const selectedKey = selectedDate && dateKey(selectedDate);
+  const selectedOverride = selectedKey && overrideFor(selectedKey);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-secondary-900">{t('availability.title')}</h1>
+          <p className="text-sm text-secondary-500">{t('availability.subtitle')}</p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm hover:bg-primary-700 disabled:opacity-50"
+        >
+          {saving ? t('common.processing') : t('common.save')}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {success && <p className="text-sm text-green-700">{success}</p>}
+
+      {outsideHours.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm">
+          <p className="font-medium text-amber-800">{t('availability.outsideHours', { count: outsideHours.length })}</p>
+          <ul className="mt-2 space-y-1">
+            {outsideHours.map(session => (
+              <li key={session.id}>
+                <Link to={`/therapist/sessions/${session.id}`} className="text-amber-700 hover:underline">
+                  {new Date(session.start_time).toLocaleString(i18n.language, { dateStyle: 'full', timeStyle: 'short', timeZone: hours.time_zone })}
+                  {session.clients?.name && ` · ${session.clients.name}`}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Session settings */}
+      <div className="bg-white rounded-lg shadow p-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <label className="block text-sm">
+          <span className="text-secondary-700">{t('availability.timeZone')}</span>
+          <select
+            value={hours.time_zone}
+            onChange={(e) => update({ time_zone: e.target.value })}
+            className="mt-1 block w-full rounded-md border border-secondary-300 px-2 py-1"
+          >
+            {[...new Set([hours.time_zone, ...listTimeZones()])].map(zone => (
+              <option key={zone} value={zone}>{zone}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm">
+          <span className="text-secondary-700">{t('availability.sessionLength')}</span>
+          <select
+            value={hours.session_minutes}
+            onChange={(e) => update({ session_minutes: Number(e.target.value) })}
+            className="mt-1 block w-full rounded-md border border-secondary-300 px-2 py-1"
+          >
+            {[...new Set([hours.session_minutes, ...SESSION_LENGTHS])].sort((a, b) => a - b).map(minutes => (
+              <option key={minutes} value={minutes}>{t('availability.minutes', { count: minutes })}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm">
+          <span className="text-secondary-700">{t('availability.buffer')}</span>
+          <select
+            value={hours.buffer_minutes}
+            onChange={(e) => update({ buffer_minutes: Number(e.target.value) })}
+            className="mt-1 block w-full rounded-md border border-secondary-300 px-2 py-1"
+          >
+            {[...new Set([hours.buffer_minutes, ...BUFFERS])].sort((a, b) => a - b).map(minutes => (
+              <option key={minutes} value={minutes}>{t('availability.minutes', { count: minutes })}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Weekly hours */}
+      <div className="bg-white rounded-lg shadow">
+        <h2 className="px-4 py-3 border-b text-lg font-medium text-secondary-900">{t('availability.weekly')}</h2>
+        <div className="divide-y">
+          {WEEKDAYS.map(day => (
+            <div key={day} className="grid grid-cols-1 md:grid-cols-4 gap-3 px-4 py-3 items-start">
+              <div>
+                <p className="text-sm font-medium text-secondary-900 capitalize">{weekdayName(day)}</p>
+                {!hours.weekly[day].length && <p className="text-xs text-secondary-400">{t('availability.unavailable')}</p>}
+              </div>
+              <div className="md:col-span-2 pt-1">
+                <HoursBar intervals={hours.weekly[day]} />
+              </div>
+              <IntervalList
+                intervals={hours.weekly[day]}
+                onChange={(intervals) => update({ weekly: { ...hours.weekly, [day]: intervals } })}
+                t={t}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Month calendar of date overrides and time off */}
+        <div className="bg-white rounded-lg shadow lg:col-span-2">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h2 className="text-lg font-medium text-secondary-900">{t('availability.dates')}</h2>
+            <div className="flex items-center gap-2">
+              <button onClick={() => setMonth(addMonths(month, -1))} className="p-1 text-secondary-500 hover:text-secondary-700">
+                <ChevronLeftIcon className="h-5 w-5" />
+              </button>
+              <span className="text-sm font-medium text-secondary-700 w-36 text-center capitalize">
+                {month.toLocaleDateString(i18n.language, { month: 'long', year: 'numeric' })}
+              </span>
+              <button onClick={() => setMonth(addMonths(month, 1))} className="p-1 text-secondary-500 hover:text-secondary-700">
+                <ChevronRightIcon className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+          <div className="p-4">
+            <div className="grid grid-cols-7 gap-1 text-center text-xs text-secondary-500 mb-1">
+              {WEEKDAYS.map(day => <div key={day} className="capitalize">{weekdayName(day).slice(0, 3)}</div>)}
+            </div>
+            <div className="grid grid-cols-7 gap-1">
+              {cells.map(date => {
+                const key = dateKey(date);
+                const dayHours = hoursFor(date);
+                const style = timeOffFor(key)
+                  ? 'bg-amber-100 text-amber-800'
+                  : overrideFor(key)
+                    ? 'bg-blue-100 text-blue-800'
+                    : dayHours.length ? 'bg-white text-secondary-800' : 'bg-secondary-50 text-secondary-400';
+
+                return (
+                  <button
+                    key={key}
+                    onClick={() => setSelectedDate(date)}
+                    className={`h-16 rounded border p-1 text-left text-xs ${style} ${isSameMonth(date, month) ? '' : 'opacity-40'} ${key === selectedKey ? 'ring-2 ring-primary-500' : 'border-secondary-200'}`}
+                  >
+                    <span className="font-medium">{format(date, 'd')}</span>
+                    {dayHours.slice(0, 2).map((interval, index) => (
+                      <span key={index} className="block truncate">{interval.start}–{interval.end}</span>
+                    ))}
+                  </button>
+                );
+              })}
+            </div>
+            <div className="flex gap-4 mt-3 text-xs text-secondary-500">
+              <span className="flex items-center"><span className="h-3 w-3 rounded bg-blue-100 mr-1" />{t('availability.override')}</span>
+              <span className="flex items-center"><span className="h-3 w-3 rounded bg-amber-100 mr-1" />{t('availability.timeOff')}</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Selected date */}
+        <div className="bg-white rounded-lg shadow p-4">
+          {selectedDate ? (
+            <div className="space-y-3">
+              <h3 className="text-sm font-medium text-secondary-900">
+                {selectedDate.toLocaleDateString(i18n.language, { dateStyle: 'full' })}
+              </h3>
+              {timeOffFor(selectedKey) ? (
+                <p className="text-sm text-amber-700">{t('availability.onTimeOff')}</p>
+              ) : selectedOverride ? (
+                <>
+                  <p className="text-xs text-secondary-500">
+                    {selectedOverride.intervals.length ? t('availability.customHours') : t('availability.dayOff')}
+                  </p>
+                  <IntervalList
+                    intervals={selectedOverride.intervals}
+                    onChange={(intervals) => setOverride(selectedKey, intervals)}
+                    t={t}
+                  />
+                  <button onClick={() => setOverride(selectedKey, null)} className="text-xs text-primary-600 hover:text-primary-700">
+                    {t('availability.useWeekly')}
+                  </button>
+                </>
+              ) : (
+                <>
+                  <p className="text-xs text-secondary-500">{t('availability.weeklyApplies')}</p>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => setOverride(selectedKey, hoursFor(selectedDate).length ? hoursFor(selectedDate) : [NEW_INTERVAL])}
+                      className="px-2 py-1 rounded border border-secondary-300 text-xs text-secondary-700 hover:bg-secondary-50"
+                    >
+                      {t('availability.setCustomHours')}
+                    </button>
+                    <button
+                      onClick={() => setOverride(selectedKey, [])}
+                      className="px-2 py-1 rounded border border-secondary-300 text-xs text-secondary-700 hover:bg-secondary-50"
+                    >
+                      {t('availability.markDayOff')}
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-secondary-500">{t('availability.pickDate')}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Time off */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="flex items-center justify-between px-4 py-3 border-b">
+          <h2 className="text-lg font-medium text-secondary-900">{t('availability.timeOff')}</h2>
+          <button
+            onClick={() => {
+              const today = dateKey(new Date());
+              update({ time_off: [...hours.time_off, { start: today, end: today, note: '' }] });
+            }}
+            className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            {t('availability.addTimeOff')}
+          </button>
+        </div>
+        <div className="divide-y">
+          {hours.time_off.length === 0 && (
+            <p className="px-4 py-4 text-sm text-secondary-500 italic">{t('availability.noTimeOff')}</p>
+          )}
+          {hours.time_off.map((period, index) => {
+            const change = (changes) => update({
+              time_off: hours.time_off.map((item, i) => (i === index ? { ...item, ...changes } : item))
+            });
+
+            return (
+              <div key={index} className="flex flex-wrap items-center gap-2 px-4 py-3">
+                <input
+                  type="date"
+                  value={period.start}
+                  onChange={(e) => change({ start: e.target.value })}
+                  className="rounded-md border border-secondary-300 px-2 py-1 text-sm"
+                />
+                <span className="text-secondary-400">–</span>
+                <input
+                  type="date"
+                  value={period.end}
+                  min={period.start}
+                  onChange={(e) => change({ end: e.target.value })}
+                  className="rounded-md border border-secondary-300 px-2 py-1 text-sm"
+                />
+                <input
+                  type="text"
+                  value={period.note || ''}
+                  maxLength={200}
+                  placeholder={t('availability.note')}
+                  onChange={(e) => change({ note: e.target.value })}
+                  className="flex-1 min-w-[10rem] rounded-md border border-secondary-300 px-2 py-1 text-sm"
+                />
+                <button
+                  onClick={() => update({ time_off: hours.time_off.filter((item, i) => i !== index) })}
+                  className="text-secondary-400 hover:text-red-600"
+                  title={t('common.delete')}
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Availability;
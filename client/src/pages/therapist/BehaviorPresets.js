@@ -2,13 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { therapistService } from '../../services/therapistService';
 import { useTranslation } from 'react-i18next';
+import PromptTemplateEditor from '../../components/PromptTemplateEditor';
+import BehaviorVersionHistory from '../../components/BehaviorVersionHistory';
+import { validatePromptTemplate } from '../../utils/promptVariables';
 import { 
   PlusIcon, 
   PencilIcon, 
   TrashIcon, 
   CheckIcon, 
   XMarkIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 
 const BehaviorPresets = () => {
@@ -36,6 +40,12 @@ const BehaviorPresets = () => {
   // Tag input
   const [tagInput, setTagInput] = useState('');
   
+  // Change note recorded with the new version when editing
+  const [changeNote, setChangeNote] = useState('');
+  
+  // Version history modal
+  const [historyPreset, setHistoryPreset] = useState(null);
+  
   // Delete confirmation
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [presetToDelete, setPresetToDelete] = useState(null);
@@ -114,6 +124,11 @@ const BehaviorPresets = () => {
       return;
     }
     
+    if (validatePromptTemplate(currentPreset.prompt_template).length > 0) {
+      setError(t('promptTemplate.invalid'));
+      return;
+    }
+    
     try {
       setLoading(true);
       
@@ -121,6 +136,7 @@ const BehaviorPresets = () => {
         // Update existing preset
         await therapistService.updateBehaviorPreset(currentPreset.id, {
           ...currentPreset,
+          change_note: changeNote,
           updated_by: user.id
         });
         setSuccess(t('behaviorPresets.updateSuccess'));
@@ -202,6 +218,7 @@ const BehaviorPresets = () => {
       is_active: true
     });
     setTagInput('');
+    setChangeNote('');
     setIsEditing(false);
     setShowForm(false);
     setError('');
@@ -322,12 +339,11 @@ const BehaviorPresets = () => {
                 <label htmlFor="prompt_template" className="block text-sm font-medium text-gray-700">
                   {t('behaviorPresets.promptTemplate')} *
                 </label>
-                <textarea
-                  name="prompt_template"
+                <PromptTemplateEditor
                   id="prompt_template"
                   rows={6}
                   value={currentPreset.prompt_template}
-                  onChange={handleInputChange}
+                  onChange={(promptTemplate) => setCurrentPreset({ ...currentPreset, prompt_template: promptTemplate })}
                   className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm font-mono"
                   required
                 />
@@ -336,6 +352,23 @@ const BehaviorPresets = () => {
                 </p>
               </div>
               
+              {/* Change note */}
+              {isEditing && (
+                <div>
+                  <label htmlFor="change_note" className="block text-sm font-medium text-gray-700">
+                    {t('versionHistory.changeNote')}
+                  </label>
+                  <input
+                    type="text"
+                    id="change_note"
+                    value={changeNote}
+                    onChange={(e) => setChangeNote(e.target.value)}
+                    placeholder={t('versionHistory.changeNotePlaceholder')}
+                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  />
+                </div>
+              )}
+              
               {/* Tags */}
               <div>
                 <label htmlFor="tags" className="block text-sm font-medium text-gray-700">
@@ -492,6 +525,13 @@ const BehaviorPresets = () => {
                     >
                       <CheckIcon className="h-5 w-5" />
                     </button>
+                    <button
+                      onClick={() => setHistoryPreset(preset)}
+                      className="p-1 text-gray-400 hover:text-gray-600 rounded-full"
+                      title={t('versionHistory.history')}
+                    >
+                      <ClockIcon className="h-5 w-5" />
+                    </button>
                     <button
                       onClick={() => editPreset(preset)}
                       className="p-1 text-gray-400 hover:text-gray-600 rounded-full"
@@ -514,6 +554,15 @@ const BehaviorPresets = () => {
         )}
       </div>
       
+      {/* Version History Modal */}
+      {historyPreset && (
+        <BehaviorVersionHistory
+          behavior={historyPreset}
+          onClose={() => setHistoryPreset(null)}
+          onRestored={fetchPresets}
+        />
+      )}
+      
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -0,0 +1,367 @@
+/**
+ * Calendar Page
+ *
+ * The therapist's sessions by day, week or month, coloured by status.
+ * Upcoming scheduled sessions can be dragged to another time: while one is
+ * dragged the therapist's free slots are shown as drop targets, and the
+ * server checks the new time against their availability again. Clicking a
+ * session opens it.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import {
+  format,
+  addDays,
+  addMonths,
+  differenceInMinutes,
+  endOfMonth,
+  isSameDay,
+  isSameMonth,
+  startOfDay,
+  startOfMonth,
+  startOfWeek
+} from 'date-fns';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../hooks/useAuth';
+import { therapistService } from '../../services/therapistService';
+import { getTimeZone } from '../../services/userService';
+
+const VIEWS = ['day', 'week', 'month'];
+
+const STATUSES = ['scheduled', 'in-progress', 'completed', 'cancelled'];
+
+const STATUS_STYLES = {
+  scheduled: 'bg-blue-100 border-blue-400 text-blue-800',
+  'in-progress': 'bg-amber-100 border-amber-400 text-amber-800',
+  completed: 'bg-green-100 border-green-400 text-green-800',
+  cancelled: 'bg-secondary-100 border-secondary-300 text-secondary-500 line-through',
+  'no-show': 'bg-red-100 border-red-400 text-red-800'
+};
+
+// Hours shown on the day and week grids, widened to fit every session
+const FIRST_HOUR = 7;
+const LAST_HOUR = 21;
+const HOUR_HEIGHT = 48;
+
+/**
+ * Get the days shown by a view around a date
+ * @param {string} view - 'day', 'week' or 'month'
+ * @param {Date} cursor - A date in the period shown
+ * @returns {Array<Date>} - Midnight of every day shown
+ */
+const getDays = (view, cursor) => {
+  if (view === 'day') return [startOfDay(cursor)];
+
+  if (view === 'week') {
+    const monday = startOfWeek(cursor, { weekStartsOn: 1 });
+    return Array.from({ length: 7 }, (_, index) => addDays(monday, index));
+  }
+
+  // Whole weeks from the Monday on or before the first of the month
+  const firstCell = startOfWeek(startOfMonth(cursor), { weekStartsOn: 1 });
+  return Array.from({ length: 42 }, (_, index) => addDays(firstCell, index))
+    .filter((date, index) => index < 35 || date <= endOfMonth(cursor));
+};
+
+const canMove = (session) => session.status === 'scheduled' && new Date(session.start_time) > new Date();
+
+const Calendar = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const { t, i18n } = useTranslation();
+  const [view, setView] = useState('week');
+  const [cursor, setCursor] = useState(new Date());
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  // The session being dragged and the free slots it can move to
+  const [dragging, setDragging] = useState(null);
+  const [slots, setSlots] = useState([]);
+
+  const days = getDays(view, cursor);
+  const rangeStart = days[0];
+  const rangeEnd = addDays(days[days.length - 1], 1);
+
+  const loadSessions = useCallback(async () => {
+    if (!user) return;
+
+    const shown = getDays(view, cursor);
+
+    try {
+      setLoading(true);
+      const data = await therapistService.getSessionsInRange(user.id, shown[0], addDays(shown[shown.length - 1], 1));
+      setSessions(data);
+    } catch (error) {
+      setError(t('calendar.errorFetching'));
+    } finally {
+      setLoading(false);
+    }
+  }, [user, view, cursor, t]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const move = (direction) => {
+    if (view === 'day') setCursor(addDays(cursor, direction));
+    else if (view === 'week') setCursor(addDays(cursor, 7 * direction));
+    else setCursor(addMonths(cursor, direction));
+  };
+
+  const openSession = (session) => navigate(`/therapist/sessions/${session.id}`, {
+    state: { from: '/therapist/calendar' }
+  });
+
+  const handleDragStart = async (event, session) => {
+    event.dataTransfer.effectAllowed = 'move';
+    setDragging(session);
+    setSlots([]);
+    setError('');
+    setSuccess('');
+
+    // The slot endpoint covers at most 31 days: the month itself in month view
+    const from = view === 'month' ? startOfMonth(cursor) : rangeStart;
+    const to = view === 'month' ? endOfMonth(cursor) : addDays(rangeEnd, -1);
+
+    try {
+      setSlots(await therapistService.getAvailableSlots(user.id, {
+        from: format(from, 'yyyy-MM-dd'),
+        to: format(to, 'yyyy-MM-dd'),
+        excludeSessionId: session.id
+      }));
+    } catch (error) {
+      setError(t('calendar.errorFetchingSlots'));
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setSlots([]);
+  };
+
+  const reschedule = async (session, startTime) => {
+    handleDragEnd();
+    if (new Date(startTime).getTime() === new Date(session.start_time).getTime()) return;
+
+    try {
+      await therapistService.rescheduleSession(session.id, startTime);
+      setSuccess(t('calendar.moved', {
+        time: new Date(startTime).toLocaleString(i18n.language, { dateStyle: 'full', timeStyle: 'short' })
+      }));
+      loadSessions();
+    } catch (error) {
+      setError(error.message || t('calendar.errorMoving'));
+    }
+  };
+
+  // Month view: a session dropped on a day keeps its time of day
+  const handleDayDrop = (day) => {
+    if (!dragging) return;
+
+    const time = format(new Date(dragging.start_time), 'HH:mm');
+    const slot = slots.find(candidate => isSameDay(new Date(candidate.start), day)
+      && format(new Date(candidate.start), 'HH:mm') === time);
+
+    if (slot) {
+      reschedule(dragging, slot.start);
+    } else {
+      handleDragEnd();
+      setError(t('calendar.noSlotThatDay', { time }));
+    }
+  };
+
+  const allowDrop = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+  };
+
+  const sessionsOn = (day) => sessions.filter(session => isSameDay(new Date(session.start_time), day));
+  const slotsOn = (day) => slots.filter(slot => isSameDay(new Date(slot.start), day));
+
+  const title = view === 'month'
+    ? cursor.toLocaleDateString(i18n.language, { month: 'long', year: 'numeric' })
+    : view === 'week'
+      ? `${rangeStart.toLocaleDateString(i18n.language, { day: 'numeric', month: 'short' })} – ${days[6].toLocaleDateString(i18n.language, { day: 'numeric', month: 'short', year: 'numeric' })}`
+      : cursor.toLocaleDateString(i18n.language, { dateStyle: 'full' });
+
+  // Grid hours, widened to fit sessions and slots outside the usual day
+  const hoursOf = [...sessions.map(session => session.start_time), ...slots.map(slot => slot.start)]
+    .map(value => new Date(value).getHours());
+  const firstHour = Math.min(FIRST_HOUR, ...hoursOf);
+  const lastHour = Math.max(LAST_HOUR, ...hoursOf.map(hour => hour + 1));
+  const hours = Array.from({ length: lastHour - firstHour }, (_, index) => firstHour + index);
+
+  const position = (start, end, day) => {
+    const top = differenceInMinutes(new Date(start), day) - firstHour * 60;
+    return {
+      top: `${(top / 60) * HOUR_HEIGHT}px`,
+      height: `${Math.max(differenceInMinutes(new Date(end), new Date(start)), 20) / 60 * HOUR_HEIGHT}px`
+    };
+  };
+
+  const clientName = (session) => session.clients?.name || session.clients?.profile_data?.name || t('common.client');
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold text-secondary-900">{t('calendar.title')}</h1>
+          <p className="text-sm text-secondary-500">{t('calendar.hint', { timeZone: getTimeZone() })}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="inline-flex rounded-md border border-secondary-300 overflow-hidden">
+            {VIEWS.map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-3 py-1 text-sm ${view === option ? 'bg-primary-600 text-white' : 'bg-white text-secondary-700 hover:bg-secondary-50'}`}
+              >
+                {t(`calendar.view.${option}`)}
+              </button>
+            ))}
+          </div>
+          <button onClick={() => setCursor(new Date())} className="px-3 py-1 text-sm rounded-md border border-secondary-300 bg-white text-secondary-700 hover:bg-secondary-50">
+            {t('calendar.today')}
+          </button>
+          <button onClick={() => move(-1)} className="p-1 text-secondary-500 hover:text-secondary-700">
+            <ChevronLeftIcon className="h-5 w-5" />
+          </button>
+          <span className="text-sm font-medium text-secondary-800 min-w-[12rem] text-center capitalize">{title}</span>
+          <button onClick={() => move(1)} className="p-1 text-secondary-500 hover:text-secondary-700">
+            <ChevronRightIcon className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-xs text-secondary-600">
+        {STATUSES.map(status => (
+          <span key={status} className="flex items-center">
+            <span className={`h-3 w-3 rounded border mr-1 ${STATUS_STYLES[status]}`} />
+            {t(`calendar.status.${status}`)}
+          </span>
+        ))}
+        {dragging && (
+          <span className="flex items-center text-green-700">
+            <span className="h-3 w-3 rounded border border-dashed border-green-500 bg-green-50 mr-1" />
+            {t('calendar.dropHint')}
+          </span>
+        )}
+        {loading && <span className="italic">{t('common.loading')}</span>}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {success && <p className="text-sm text-green-700">{success}</p>}
+
+      {view === 'month' ? (
+        <div className="bg-white rounded-lg shadow p-2">
+          <div className="grid grid-cols-7 gap-1 text-center text-xs text-secondary-500 mb-1">
+            {days.slice(0, 7).map(day => (
+              <div key={day.toISOString()} className="capitalize">
+                {day.toLocaleDateString(i18n.language, { weekday: 'short' })}
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-7 gap-1">
+            {days.map(day => {
+              const daySessions = sessionsOn(day);
+              const droppable = dragging && slotsOn(day).length > 0;
+
+              return (
+                <div
+                  key={day.toISOString()}
+                  onDragOver={droppable ? allowDrop : undefined}
+                  onDrop={droppable ? () => handleDayDrop(day) : undefined}
+                  className={`min-h-[6rem] rounded border p-1 text-xs ${droppable ? 'border-dashed border-green-500 bg-green-50' : 'border-secondary-200'} ${isSameMonth(day, cursor) ? '' : 'opacity-50'}`}
+                >
+                  <button
+                    onClick={() => { setView('day'); setCursor(day); }}
+                    className={`font-medium ${isSameDay(day, new Date()) ? 'text-primary-600' : 'text-secondary-700'} hover:underline`}
+                  >
+                    {format(day, 'd')}
+                  </button>
+                  <div className="mt-1 space-y-1">
+                    {daySessions.slice(0, 4).map(session => (
+                      <button
+                        key={session.id}
+                        draggable={canMove(session)}
+                        onDragStart={(event) => handleDragStart(event, session)}
+                        onDragEnd={handleDragEnd}
+                        onClick={() => openSession(session)}
+                        className={`block w-full truncate rounded border px-1 text-left ${STATUS_STYLES[session.status] || STATUS_STYLES.scheduled}`}
+                      >
+                        {format(new Date(session.start_time), 'HH:mm')} {clientName(session)}
+                      </button>
+                    ))}
+                    {daySessions.length > 4 && (
+                      <p className="text-secondary-500">{t('calendar.more', { count: daySessions.length - 4 })}</p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <div className="flex min-w-[40rem]">
+            {/* Hour labels */}
+            <div className="w-14 flex-shrink-0 pt-8">
+              {hours.map(hour => (
+                <div key={hour} className="text-right pr-2 text-xs text-secondary-400" style={{ height: HOUR_HEIGHT }}>
+                  {`${String(hour).padStart(2, '0')}:00`}
+                </div>
+              ))}
+            </div>
+
+            {days.map(day => (
+              <div key={day.toISOString()} className="flex-1 border-l border-secondary-100">
+                <div className={`h-8 text-center text-xs font-medium leading-8 capitalize ${isSameDay(day, new Date()) ? 'text-primary-600' : 'text-secondary-600'}`}>
+                  {day.toLocaleDateString(i18n.language, { weekday: 'short', day: 'numeric' })}
+                </div>
+                <div className="relative" style={{ height: hours.length * HOUR_HEIGHT }}>
+                  {hours.map(hour => (
+                    <div key={hour} className="border-t border-secondary-100" style={{ height: HOUR_HEIGHT }} />
+                  ))}
+
+                  {sessionsOn(day).map(session => (
+                    <button
+                      key={session.id}
+                      draggable={canMove(session)}
+                      onDragStart={(event) => handleDragStart(event, session)}
+                      onDragEnd={handleDragEnd}
+                      onClick={() => openSession(session)}
+                      title={t(`calendar.status.${session.status}`)}
+                      style={position(session.start_time, session.end_time, day)}
+                      className={`absolute inset-x-1 z-10 overflow-hidden rounded border-l-4 px-1 text-left text-xs ${STATUS_STYLES[session.status] || STATUS_STYLES.scheduled} ${canMove(session) ? 'cursor-move' : ''} ${dragging?.id === session.id ? 'opacity-50' : ''}`}
+                    >
+                      <span className="font-medium">{format(new Date(session.start_time), 'HH:mm')}</span>{' '}
+                      {clientName(session)}
+                    </button>
+                  ))}
+
+                  {/* Free slots the dragged session can move to */}
+                  {slotsOn(day).map(slot => (
+                    <div
+                      key={slot.start}
+                      onDragOver={allowDrop}
+                      onDrop={() => reschedule(dragging, slot.start)}
+                      style={position(slot.start, slot.end, day)}
+                      className="absolute inset-x-1 z-20 rounded border border-dashed border-green-500 bg-green-50 bg-opacity-80 px-1 text-xs text-green-700"
+                    >
+                      {format(new Date(slot.start), 'HH:mm')}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Calendar;
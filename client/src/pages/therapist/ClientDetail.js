@@ -4,8 +4,13 @@ import { useAuth } from '../../hooks/useAuth';
 import { useTranslation } from 'react-i18next';
 import { supabase } from '../../services/supabaseClient';
 import { therapistService } from '../../services/therapistService';
+import { userService } from '../../services/userService';
 import BehaviorPresetManager from '../../components/BehaviorPresetManager';
+import ClientInsightsPanel from '../../components/ClientInsightsPanel';
+import ClientMemoryManager from '../../components/ClientMemoryManager';
+import LiveConversationPanel from '../../components/LiveConversationPanel';
 import { Line } from 'react-chartjs-2';
+import { buildSentimentChartData } from '../../utils/sentimentChart';
 
 const ClientDetail = () => {
   const { id } = useParams();
@@ -18,6 +23,9 @@ const ClientDetail = () => {
   const [sentimentData, setSentimentData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('profile');
+  const [expandedConversations, setExpandedConversations] = useState({});
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [attendance, setAttendance] = useState(null);
 
   useEffect(() => {
     const fetchClientData = async () => {
@@ -45,8 +53,9 @@ const ClientDetail = () => {
             summaries (
               id,
               summary_text,
-              sentiment_score,
+              sentiment_metrics,
               key_topics,
+              action_items,
               created_at
             ),
             messages (
@@ -54,7 +63,8 @@ const ClientDetail = () => {
               sender,
               text,
               timestamp,
-              sentiment_score
+              sentiment_score,
+              emotions
             )
           `)
           .eq('client_id', id)
@@ -74,24 +84,21 @@ const ClientDetail = () => {
         setConversations(conversationsData || []);
         setBehaviors(behaviorsData || []);
 
-        // Process sentiment data for chart
+        // Chart the client's own messages; AI replies would skew the trend
         if (conversationsData) {
-          const sentimentScores = conversationsData
+          const scoredMessages = conversationsData
             .flatMap(conv => conv.messages)
-            .filter(msg => msg.sentiment_score !== null)
+            .filter(msg => msg.sender === 'user' && msg.sentiment_score !== null)
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-          const chartData = {
-            labels: sentimentScores.map(msg => new Date(msg.timestamp).toLocaleDateString()),
-            datasets: [{
-              label: 'Sentiment Score',
-              data: sentimentScores.map(msg => msg.sentiment_score),
-              borderColor: 'rgb(75, 192, 192)',
-              tension: 0.1
-            }]
-          };
-
-          setSentimentData(chartData);
+          setSentimentData(buildSentimentChartData(
+            scoredMessages.map(msg => ({
+              label: new Date(msg.timestamp).toLocaleDateString(),
+              score: msg.sentiment_score,
+              emotions: msg.emotions
+            })),
+            t
+          ));
         }
       } catch (error) {
         console.error('Error fetching client data:', error);
@@ -101,8 +108,35 @@ const ClientDetail = () => {
     };
 
     fetchClientData();
+  }, [id, t]);
+
+  // No-show and late-cancellation counts for the profile
+  useEffect(() => {
+    userService.getAttendance(id)
+      .then(setAttendance)
+      .catch(() => setAttendance(null));
   }, [id]);
 
+  // Scroll to the message or conversation an AI answer cited
+  useEffect(() => {
+    if (!highlightedId) return;
+    document.getElementById(highlightedId)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [highlightedId]);
+
+  const toggleConversation = (conversationId) => {
+    setExpandedConversations(prev => ({ ...prev, [conversationId]: !prev[conversationId] }));
+  };
+
+  const showCitation = (citation) => {
+    setExpandedConversations(prev => ({
+      ...prev,
+      [citation.conversation_id]: citation.type === 'message' || prev[citation.conversation_id]
+    }));
+    setHighlightedId(citation.type === 'message'
+      ? `message-${citation.id}`
+      : `conversation-${citation.conversation_id}`);
+  };
+
   // Handle client data refresh after behavior updates
   const handleBehaviorUpdate = async () => {
     try {
@@ -154,6 +188,14 @@ const ClientDetail = () => {
     );
   }
 
+  const clientScores = conversations
+    .flatMap(conv => conv.messages)
+    .filter(msg => msg.sender === 'user' && msg.sentiment_score !== null)
+    .map(msg => msg.sentiment_score);
+  const averageSentiment = clientScores.length
+    ? clientScores.reduce((sum, score) => sum + score, 0) / clientScores.length
+    : null;
+
   return (
     <div className="space-y-6">
       {/* Client Header */}
@@ -235,6 +277,27 @@ const ClientDetail = () => {
                       : t('client.noSessions')}
                   </p>
                 </div>
+                
+                {attendance && (
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-500">{t('client.attendance')}</h3>
+                    <p className="text-base text-gray-900">
+                      <span className={attendance.no_shows ? 'text-red-700' : undefined}>
+                        {t('client.noShows', { count: attendance.no_shows })}
+                      </span>
+                      {' · '}
+                      <span className={attendance.late_cancels ? 'text-yellow-700' : undefined}>
+                        {t('client.lateCancels', { count: attendance.late_cancels })}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {t('client.pastSessions', { count: attendance.past_sessions })}
+                      {attendance.last_no_show_at && ` · ${t('client.lastNoShow', {
+                        date: new Date(attendance.last_no_show_at).toLocaleDateString()
+                      })}`}
+                    </p>
+                  </div>
+                )}
               </div>
               
               <div className="space-y-4">
@@ -290,14 +353,7 @@ const ClientDetail = () => {
         <div className="bg-white rounded-lg shadow p-6">
           <h3 className="text-lg font-medium text-secondary-900">Average Sentiment</h3>
           <p className="mt-2 text-3xl font-bold text-primary-600">
-            {conversations.length > 0
-              ? (conversations.reduce((acc, conv) => {
-                  const scores = conv.messages
-                    .filter(msg => msg.sentiment_score !== null)
-                    .map(msg => msg.sentiment_score);
-                  return acc + (scores.reduce((a, b) => a + b, 0) / scores.length);
-                }, 0) / conversations.length).toFixed(2)
-              : 'N/A'}
+            {averageSentiment !== null ? averageSentiment.toFixed(2) : 'N/A'}
           </p>
         </div>
       </div>
@@ -376,6 +432,19 @@ const ClientDetail = () => {
         </div>
       </div>
 
+      {/* Ask the AI about this client */}
+      {user?.role === 'therapist' && (
+        <ClientInsightsPanel clientId={id} onCitationClick={showCitation} />
+      )}
+
+      {/* Follow and take over open conversations */}
+      {user?.role === 'therapist' && (
+        <LiveConversationPanel clientId={id} therapistId={user.id} />
+      )}
+
+      {/* What the AI coach remembers */}
+      <ClientMemoryManager clientId={id} />
+
       {/* Conversation History */}
       <div className="bg-white rounded-lg shadow p-6">
         <h2 className="text-lg font-medium text-secondary-900 mb-4">Conversation History</h2>
@@ -383,7 +452,8 @@ const ClientDetail = () => {
           {conversations.map((conversation) => (
             <div
               key={conversation.id}
-              className="border-b border-secondary-200 last:border-0 pb-4 last:pb-0"
+              id={`conversation-${conversation.id}`}
+              className={`border-b border-secondary-200 last:border-0 pb-4 last:pb-0 ${highlightedId === `conversation-${conversation.id}` ? 'bg-yellow-50' : ''}`}
             >
               <div className="flex justify-between items-start mb-2">
                 <div>
@@ -394,18 +464,18 @@ const ClientDetail = () => {
                     <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                       Messages: {conversation.messages.length}
                     </span>
-                    {conversation.summaries?.[0] && (
+                    {conversation.summaries?.[0]?.sentiment_metrics?.average != null && (
                       <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
-                        Sentiment: {conversation.summaries[0].sentiment_score.toFixed(2)}
+                        Sentiment: {conversation.summaries[0].sentiment_metrics.average.toFixed(2)}
                       </span>
                     )}
                   </div>
                 </div>
                 <button
-                  onClick={() => {/* View conversation logic */}}
+                  onClick={() => toggleConversation(conversation.id)}
                   className="text-primary-600 hover:text-primary-700 text-sm font-medium"
                 >
-                  View Details
+                  {expandedConversations[conversation.id] ? 'Hide Details' : 'View Details'}
                 </button>
               </div>
               {conversation.summaries?.[0] && (
@@ -425,6 +495,33 @@ const ClientDetail = () => {
                       ))}
                     </div>
                   )}
+                  {conversation.summaries[0].action_items?.length > 0 && (
+                    <div className="mt-2">
+                      <p className="text-xs font-medium text-secondary-700">Action items</p>
+                      <ul className="mt-1 list-disc list-inside text-sm text-secondary-600">
+                        {conversation.summaries[0].action_items.map((item, index) => (
+                          <li key={index}>{item}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              )}
+              {expandedConversations[conversation.id] && (
+                <div className="mt-3 space-y-2 max-h-96 overflow-y-auto bg-secondary-50 rounded-lg p-3">
+                  {[...conversation.messages]
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                    .map(message => (
+                      <div
+                        key={message.id}
+                        id={`message-${message.id}`}
+                        className={`text-sm rounded p-2 ${highlightedId === `message-${message.id}` ? 'bg-yellow-100 ring-2 ring-yellow-300' : ''}`}
+                      >
+                        <span className="font-medium text-secondary-700 capitalize mr-2">{message.sender}</span>
+                        <span className="text-xs text-secondary-500">{new Date(message.timestamp).toLocaleString()}</span>
+                        <p className="text-secondary-800 whitespace-pre-wrap">{message.text}</p>
+                      </div>
+                    ))}
                 </div>
               )}
             </div>
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { therapistService } from '../../services/therapistService';
+import RiskAlertQueue from '../../components/RiskAlertQueue';
 import { DATA } from '../../utils/supabaseData';
 import { useTranslation } from 'react-i18next';
 import useLanguage from '../../hooks/useLanguage';
@@ -50,17 +51,14 @@ const Dashboard = () => {
       // Get user ID
       const userId = user?.id;
       
-      // Fetch data from Supabase
-      const [clientsData, sessionsData, summariesData] = await Promise.all([
-        // Fetch assigned clients
-        userId ? therapistService.getAssignedClients(userId) : DATA.getClients(),
-        
-        // Fetch upcoming sessions
-        userId ? therapistService.getUpcomingSessions(userId) : DATA.getUpcomingSessions(),
-        
-        // Fetch recent summaries
-        userId ? therapistService.getRecentSummaries(userId) : DATA.getRecentSummaries()
-      ]);
+      // Fetch the dashboard overview from the API
+      const { clients: clientsData, upcomingSessions: sessionsData, recentSummaries: summariesData } = userId
+        ? await therapistService.getDashboard(userId)
+        : {
+            clients: await DATA.getClients(),
+            upcomingSessions: await DATA.getUpcomingSessions(),
+            recentSummaries: await DATA.getRecentSummaries()
+          };
       
       // Update state with fetched data
       setClients(clientsData || []);
@@ -180,6 +178,9 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Risk Alerts */}
+      <RiskAlertQueue />
+
       {/* Quick Stats */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
         <div className="bg-white rounded-xl shadow p-6 flex items-center">
@@ -288,7 +289,7 @@ const Dashboard = () => {
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-xl font-semibold text-gray-800">{t('dashboard.upcomingSessions')}</h2>
               <Link
-                to="/therapist/clients"
+                to="/therapist/calendar"
                 className="text-blue-600 hover:text-blue-800 text-sm font-medium flex items-center"
               >
                 {t('common.viewAll')} <ArrowRightIcon className="h-4 w-4 ml-1" />
@@ -364,7 +365,7 @@ const Dashboard = () => {
                           {summary.conversations?.clients?.name || t('common.client')}
                         </p>
                         <p className="text-sm text-gray-600">
-                          {new Date(summary.created_at).toLocaleString()}
+                          {new Date(summary.updated_at || summary.created_at).toLocaleString()}
                         </p>
                       </div>
                       <Link
@@ -0,0 +1,430 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../hooks/useAuth';
+import { therapistService } from '../../services/therapistService';
+import {
+  PlusIcon,
+  TrashIcon,
+  PlayIcon,
+  PaperAirplaneIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+
+const MAX_CONFIGURATIONS = 4;
+const MAX_PROMPTS = 6;
+const CONFIGURATION_LABELS = ['A', 'B', 'C', 'D'];
+
+const PresetPlayground = () => {
+  const { user } = useAuth();
+  const { t, i18n } = useTranslation();
+  const [searchParams] = useSearchParams();
+
+  const [presets, setPresets] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [clientId, setClientId] = useState(searchParams.get('client') || '');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Preset combinations to compare; the first starts from the link's presets
+  const [configurations, setConfigurations] = useState(() => {
+    const initial = (searchParams.get('presets') || '').split(',').filter(Boolean);
+    return [
+      { label: CONFIGURATION_LABELS[0], behavior_ids: initial },
+      { label: CONFIGURATION_LABELS[1], behavior_ids: [] }
+    ];
+  });
+
+  // Scripted test prompts, one per line
+  const [promptText, setPromptText] = useState(() => [
+    t('playground.samplePrompts.anxious'),
+    t('playground.samplePrompts.work'),
+    t('playground.samplePrompts.sleep'),
+    t('playground.samplePrompts.progress')
+  ].join('\n'));
+
+  const [comparison, setComparison] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [expandedPrompt, setExpandedPrompt] = useState(null);
+
+  // Sandbox chat
+  const [chatConfiguration, setChatConfiguration] = useState(0);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [chatInput, setChatInput] = useState('');
+  const [chatSending, setChatSending] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        const [presetData, dashboard] = await Promise.all([
+          therapistService.getBehaviorPresets(),
+          therapistService.getDashboard(user.id)
+        ]);
+        setPresets(presetData);
+        setClients(dashboard?.clients || []);
+      } catch (error) {
+        console.error('Error loading playground:', error);
+        setError(t('playground.loadError'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (user?.id) {
+      fetchData();
+    }
+  }, [user, t]);
+
+  const contextOptions = () => ({ clientId: clientId || null, language: i18n.language });
+
+  const prompts = promptText.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const togglePreset = (index, presetId) => {
+    setConfigurations(configurations.map((configuration, i) => {
+      if (i !== index) return configuration;
+
+      const selected = configuration.behavior_ids.includes(presetId);
+      return {
+        ...configuration,
+        behavior_ids: selected
+          ? configuration.behavior_ids.filter(id => id !== presetId)
+          : [...configuration.behavior_ids, presetId]
+      };
+    }));
+    setComparison(null);
+  };
+
+  const addConfiguration = () => {
+    const used = configurations.map(configuration => configuration.label);
+    const label = CONFIGURATION_LABELS.find(candidate => !used.includes(candidate));
+    setConfigurations([...configurations, { label, behavior_ids: [] }]);
+    setComparison(null);
+  };
+
+  const removeConfiguration = (index) => {
+    setConfigurations(configurations.filter((_, i) => i !== index));
+    setChatConfiguration(0);
+    setChatMessages([]);
+    setComparison(null);
+  };
+
+  const runComparison = async () => {
+    if (prompts.length === 0) {
+      setError(t('playground.noPrompts'));
+      return;
+    }
+
+    if (prompts.length > MAX_PROMPTS) {
+      setError(t('playground.tooManyPrompts', { max: MAX_PROMPTS }));
+      return;
+    }
+
+    try {
+      setRunning(true);
+      setError('');
+      const data = await therapistService.runPlaygroundComparison(configurations, prompts, contextOptions());
+      setComparison(data);
+    } catch (error) {
+      console.error('Error running comparison:', error);
+      setError(error.message || t('playground.runError'));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const sendChatMessage = async (e) => {
+    e.preventDefault();
+    if (!chatInput.trim() || chatSending) return;
+
+    const history = [...chatMessages, { role: 'user', content: chatInput.trim() }];
+    setChatMessages(history);
+    setChatInput('');
+
+    try {
+      setChatSending(true);
+      const reply = await therapistService.sendPlaygroundMessage(
+        configurations[chatConfiguration].behavior_ids,
+        history.map(({ role, content }) => ({ role, content })),
+        contextOptions()
+      );
+      setChatMessages([...history, { role: 'assistant', content: reply.message, metadata: reply.metadata }]);
+    } catch (error) {
+      console.error('Error sending playground message:', error);
+      setError(error.message || t('playground.runError'));
+    } finally {
+      setChatSending(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-full p-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-8 space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">{t('playground.title')}</h1>
+        <p className="mt-1 text-sm text-gray-500">{t('playground.description')}</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* Client context */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <label htmlFor="context-client" className="block text-sm font-medium text-gray-700">
+          {t('playground.clientContext')}
+        </label>
+        <select
+          id="context-client"
+          value={clientId}
+          onChange={(e) => {
+            setClientId(e.target.value);
+            setComparison(null);
+          }}
+          className="mt-1 block w-full md:w-1/2 border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+        >
+          <option value="">{t('playground.sampleClient')}</option>
+          {clients.map(client => (
+            <option key={client.user_id} value={client.user_id}>
+              {client.users?.name || client.users?.email}
+            </option>
+          ))}
+        </select>
+        <p className="mt-2 text-xs text-gray-500">{t('playground.nothingSaved')}</p>
+      </div>
+
+      {/* Preset combinations */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900">{t('playground.configurations')}</h2>
+          {configurations.length < MAX_CONFIGURATIONS && (
+            <button
+              onClick={addConfiguration}
+              className="flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              {t('playground.addConfiguration')}
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {configurations.map((configuration, index) => (
+            <div key={configuration.label} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-semibold text-gray-900">
+                  {t('playground.configuration', { label: configuration.label })}
+                </h3>
+                {configurations.length > 1 && (
+                  <button
+                    onClick={() => removeConfiguration(index)}
+                    className="text-gray-400 hover:text-red-600"
+                    title={t('common.delete')}
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+              <ul className="space-y-1 max-h-48 overflow-y-auto">
+                {presets.map(preset => (
+                  <li key={preset.id}>
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={configuration.behavior_ids.includes(preset.id)}
+                        onChange={() => togglePreset(index, preset.id)}
+                        className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                      />
+                      {preset.name}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+              {configuration.behavior_ids.length === 0 && (
+                <p className="mt-2 text-xs text-gray-500">{t('playground.basePromptOnly')}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Scripted test prompts */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <label htmlFor="test-prompts" className="block text-lg font-medium text-gray-900">
+          {t('playground.testPrompts')}
+        </label>
+        <p className="mt-1 text-sm text-gray-500">{t('playground.testPromptsHelp', { max: MAX_PROMPTS })}</p>
+        <textarea
+          id="test-prompts"
+          rows={MAX_PROMPTS}
+          value={promptText}
+          onChange={(e) => setPromptText(e.target.value)}
+          className="mt-2 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+        />
+        <div className="mt-4 flex justify-end">
+          <button
+            onClick={runComparison}
+            disabled={running}
+            className="flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            {running ? (
+              <ArrowPathIcon className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <PlayIcon className="h-4 w-4 mr-2" />
+            )}
+            {running ? t('playground.running') : t('playground.runComparison')}
+          </button>
+        </div>
+      </div>
+
+      {/* Side-by-side results */}
+      {comparison && (
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-48">
+                  {t('playground.prompt')}
+                </th>
+                {comparison.map(run => (
+                  <th key={run.label} className="px-4 py-3 text-left text-xs font-medium text-gray-500 tracking-wider align-top">
+                    <span className="uppercase">{t('playground.configuration', { label: run.label })}</span>
+                    <p className="mt-1 normal-case font-normal text-gray-600">
+                      {run.applied.length > 0
+                        ? run.applied.map(item => item.name).join(', ')
+                        : t('playground.basePromptOnly')}
+                    </p>
+                    {run.overridden.length > 0 && (
+                      <p className="mt-1 normal-case font-normal text-amber-600">
+                        {t('playground.overridden', { names: run.overridden.map(item => item.name).join(', ') })}
+                      </p>
+                    )}
+                    <button
+                      onClick={() => setExpandedPrompt(expandedPrompt === run.label ? null : run.label)}
+                      className="mt-1 normal-case font-normal text-primary-600 hover:text-primary-800"
+                    >
+                      {expandedPrompt === run.label ? t('behaviors.hidePreview') : t('behaviors.previewPrompt')}
+                    </button>
+                    {expandedPrompt === run.label && (
+                      <pre className="mt-2 p-2 bg-gray-100 rounded text-xs font-mono normal-case font-normal text-gray-700 whitespace-pre-wrap max-h-64 overflow-y-auto">
+                        {run.system}
+                      </pre>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {prompts.map((prompt, row) => (
+                <tr key={row}>
+                  <td className="px-4 py-4 text-sm font-medium text-gray-900 align-top">{prompt}</td>
+                  {comparison.map(run => {
+                    const result = run.results[row];
+                    return (
+                      <td key={run.label} className="px-4 py-4 text-sm text-gray-700 align-top">
+                        {result?.error ? (
+                          <p className="text-red-600">{result.error}</p>
+                        ) : (
+                          <>
+                            <p className="whitespace-pre-wrap">{result?.text}</p>
+                            {result && (
+                              <p className="mt-2 text-xs text-gray-400">
+                                {result.provider} · {result.model} · {result.latency_ms} ms
+                              </p>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Sandbox chat */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900">{t('playground.sandboxChat')}</h2>
+          <div className="flex items-center space-x-3">
+            <select
+              value={chatConfiguration}
+              onChange={(e) => {
+                setChatConfiguration(parseInt(e.target.value, 10));
+                setChatMessages([]);
+              }}
+              className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+            >
+              {configurations.map((configuration, index) => (
+                <option key={configuration.label} value={index}>
+                  {t('playground.configuration', { label: configuration.label })}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setChatMessages([])}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              {t('playground.resetChat')}
+            </button>
+          </div>
+        </div>
+
+        <div className="h-80 overflow-y-auto border border-gray-200 rounded-md p-4 space-y-3 bg-gray-50">
+          {chatMessages.length === 0 && (
+            <p className="text-sm text-gray-500">{t('playground.chatEmpty')}</p>
+          )}
+          {chatMessages.map((message, index) => (
+            <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+              <div
+                className={`max-w-lg rounded-lg px-4 py-2 text-sm ${
+                  message.role === 'user' ? 'bg-primary-600 text-white' : 'bg-white border border-gray-200 text-gray-800'
+                }`}
+                title={message.metadata ? `${message.metadata.provider} · ${message.metadata.model}` : undefined}
+              >
+                <p className="whitespace-pre-wrap">{message.content}</p>
+              </div>
+            </div>
+          ))}
+          {chatSending && (
+            <div className="flex justify-start">
+              <div className="bg-white border border-gray-200 rounded-lg px-4 py-2">
+                <div className="animate-pulse text-sm text-gray-400">{t('playground.thinking')}</div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <form onSubmit={sendChatMessage} className="mt-4 flex">
+          <input
+            type="text"
+            value={chatInput}
+            onChange={(e) => setChatInput(e.target.value)}
+            placeholder={t('chat.typeMessage')}
+            className="flex-1 border-gray-300 rounded-l-md focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          />
+          <button
+            type="submit"
+            disabled={chatSending || !chatInput.trim()}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-r-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            <PaperAirplaneIcon className="h-4 w-4" />
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PresetPlayground;
@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { therapistService } from '../../services/therapistService';
-import { chatService } from '../../services/chatService';
+import { userService } from '../../services/userService';
 import { useTranslation } from 'react-i18next';
+import { format } from 'date-fns';
+import CancelSessionDialog from '../../components/CancelSessionDialog';
 import { 
+  ArrowPathIcon,
   CalendarIcon, 
   ClockIcon, 
   UserIcon, 
@@ -14,9 +17,13 @@ import {
   ArrowLeftIcon
 } from '@heroicons/react/24/outline';
 
+// Value of a datetime-local input for an ISO time, in the browser's time zone
+const toInputTime = (isoString) => format(new Date(isoString), "yyyy-MM-dd'T'HH:mm");
+
 const SessionManagement = () => {
   const { sessionId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const { user } = useAuth();
   const { t } = useTranslation();
   
@@ -30,6 +37,16 @@ const SessionManagement = () => {
   const [showJoinModal, setShowJoinModal] = useState(false);
   const [videoUrl, setVideoUrl] = useState('');
   const [error, setError] = useState('');
+  const [series, setSeries] = useState(null);
+  // 'session' moves this session only, 'series' every upcoming one
+  const [moveScope, setMoveScope] = useState('session');
+  const [moveTime, setMoveTime] = useState('');
+  const [moveReason, setMoveReason] = useState('');
+  const [moving, setMoving] = useState(false);
+  const [showCancelDialog, setShowCancelDialog] = useState(false);
+  const [manageMessage, setManageMessage] = useState('');
+  // Bumped to fetch the session and its series again after a change
+  const [dataVersion, setDataVersion] = useState(0);
 
   // Fetch session data
   useEffect(() => {
@@ -37,22 +54,26 @@ const SessionManagement = () => {
       try {
         setLoading(true);
         
-        // Get session details
-        const sessionData = await therapistService.getSessionById(sessionId);
+        // Get session details, with the client's user row
+        const sessionData = await therapistService.getSessionDetails(sessionId);
         setSession(sessionData);
+        setMoveScope('session');
+        setMoveTime(sessionData?.start_time ? toInputTime(sessionData.start_time) : '');
+        setMoveReason('');
+        setSeries(sessionData?.series_id ? await userService.getSeries(sessionData.series_id) : null);
         
-        // Get client details
         if (sessionData?.client_id) {
-          const clientData = await therapistService.getClientById(sessionData.client_id);
-          setClient(clientData);
-          
-          // Get client's AI conversations
-          const conversationsData = await chatService.getClientConversations(sessionData.client_id);
-          setConversations(conversationsData);
+          setClient(sessionData.clients);
           
-          // Get AI summaries
-          const summariesData = await therapistService.getClientSummaries(sessionData.client_id);
-          setAiSummaries(summariesData);
+          // Get client's AI conversations and their summaries
+          const conversationsData = await therapistService.getClientConversations(sessionData.client_id);
+          setConversations(conversationsData.map(conversation => ({
+            ...conversation,
+            message_count: conversation.messages?.length || 0
+          })));
+          setAiSummaries(conversationsData
+            .flatMap(conversation => conversation.summaries || [])
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
           
           // Get session notes
           if (sessionData.notes) {
@@ -70,7 +91,7 @@ const SessionManagement = () => {
     if (sessionId) {
       fetchSessionData();
     }
-  }, [sessionId, t]);
+  }, [sessionId, dataVersion, t]);
 
   // Save session notes
   const saveNotes = async () => {
@@ -92,14 +113,65 @@ const SessionManagement = () => {
     }
   };
 
-  // Join video session
-  const joinVideoSession = () => {
+  const upcomingInSeries = series
+    ? series.sessions.filter(item => item.status === 'scheduled' && new Date(item.start_time) > new Date())
+    : [];
+  const isUpcoming = session?.status === 'scheduled' && new Date(session.start_time) > new Date();
+
+  // The time input starts at the time of the session being moved
+  const handleMoveScopeChange = (scope) => {
+    setMoveScope(scope);
+    setMoveTime(toInputTime(scope === 'series' ? upcomingInSeries[0].start_time : session.start_time));
+  };
+
+  // Move this session, or every upcoming session of its series
+  const moveSessions = async (e) => {
+    e.preventDefault();
+    if (!moveTime) return;
+
+    const startTime = new Date(moveTime).toISOString();
+
+    try {
+      setMoving(true);
+      setError('');
+      setManageMessage('');
+      if (moveScope === 'series') {
+        await userService.rescheduleSeries(series.id, startTime);
+      } else {
+        await therapistService.rescheduleSession(session.id, startTime, moveReason.trim());
+      }
+      setManageMessage(t('series.moved'));
+      setDataVersion(version => version + 1);
+    } catch (error) {
+      console.error('Error moving sessions:', error);
+      const conflicts = (error.response?.data?.details || []).filter(occurrence => occurrence.conflict);
+      setError(error.response?.status === 409 && conflicts.length
+        ? t('series.moveConflicts', { count: conflicts.length })
+        : error.response?.status === 409 ? t('schedule.slotTaken') : error.message);
+    } finally {
+      setMoving(false);
+    }
+  };
+
+  const handleCancelled = (scope) => {
+    setShowCancelDialog(false);
+    setManageMessage(t(scope === 'series' ? 'series.cancelled' : 'cancelSession.cancelled'));
+    setDataVersion(version => version + 1);
+  };
+
+  // Join video session; the server records that the therapist joined
+  const joinVideoSession = async () => {
     if (!session) return;
     
-    // Generate video URL (in a real app, this would be a secure URL from your video provider)
-    const url = `https://meet.jit.si/${session.id}`;
-    setVideoUrl(url);
-    setShowJoinModal(true);
+    try {
+      setError('');
+      const { meeting_url: meetingUrl } = await userService.joinSession(session.id);
+      setVideoUrl(meetingUrl);
+      setShowJoinModal(true);
+    } catch (error) {
+      console.error('Error joining session:', error);
+      setError(error.message);
+    }
   };
 
   // Format date for display
@@ -109,9 +181,9 @@ const SessionManagement = () => {
     return date.toLocaleString();
   };
 
-  // Handle back button
+  // Handle back button: to the calendar when opened from it
   const handleBack = () => {
-    navigate('/therapist/clients');
+    navigate(location.state?.from || '/therapist/clients');
   };
 
   if (loading) {
@@ -164,9 +236,11 @@ const SessionManagement = () => {
               ? 'bg-green-100 text-green-800' 
               : session.status === 'scheduled' 
               ? 'bg-yellow-100 text-yellow-800'
+              : session.status === 'no-show'
+              ? 'bg-red-100 text-red-800'
               : 'bg-gray-100 text-gray-800'
           }`}>
-            {session.status}
+            {t(`calendar.status.${session.status}`)}
           </span>
         </div>
       </div>
@@ -332,6 +406,155 @@ const SessionManagement = () => {
         </div>
       </div>
       
+      {/* Move or cancel the session, and its recurring series */}
+      {(isUpcoming || series || session.status === 'cancelled') && (
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h2 className="flex items-center text-lg font-medium text-gray-900">
+              {series && <ArrowPathIcon className="h-5 w-5 mr-2 text-primary-500" />}
+              {series ? t('series.title') : t('session.manage')}
+            </h2>
+            {series && (
+              <span className="text-sm text-gray-500">
+                {t('series.everyWeeks', { count: series.interval_weeks })} · {t('series.sessionCount', { count: series.sessions.length })}
+                {series.status === 'cancelled' && ` · ${t('calendar.status.cancelled')}`}
+              </span>
+            )}
+          </div>
+          
+          {manageMessage && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+              {manageMessage}
+            </div>
+          )}
+          
+          {session.status === 'cancelled' && session.cancelled_at && (
+            <div className="mb-4 text-sm text-gray-700">
+              <p>
+                {t(session.cancelled_by === session.client_id ? 'session.cancelledByClient' : 'session.cancelledByTherapist', {
+                  time: formatSessionDate(session.cancelled_at)
+                })}
+                {session.late_cancel && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                    {t('session.lateCancel')}
+                  </span>
+                )}
+              </p>
+              {session.cancel_reason && (
+                <p className="mt-1 text-gray-500">{t('session.cancelReason', { reason: session.cancel_reason })}</p>
+              )}
+            </div>
+          )}
+          
+          <div className={`grid grid-cols-1 gap-6 ${series ? 'lg:grid-cols-2' : ''}`}>
+            {series && (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md max-h-80 overflow-y-auto">
+                {series.sessions.map(item => (
+                  <li
+                    key={item.id}
+                    onClick={() => item.id !== session.id && navigate(`/therapist/sessions/${item.id}`, { state: location.state })}
+                    className={`flex items-center justify-between px-3 py-2 text-sm ${
+                      item.id === session.id ? 'bg-primary-50 font-medium' : 'cursor-pointer hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className={item.status === 'cancelled' ? 'text-gray-400 line-through' : 'text-gray-900'}>
+                      {formatSessionDate(item.start_time)}
+                    </span>
+                    <span className="flex items-center gap-2">
+                      {item.conflict && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                          {t(`series.conflict.${item.conflict}`)}
+                        </span>
+                      )}
+                      <span className="text-xs text-gray-500">{t(`calendar.status.${item.status}`)}</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            
+            {isUpcoming ? (
+              <div className="space-y-6">
+                <form onSubmit={moveSessions} className="space-y-3">
+                  <h3 className="text-sm font-medium text-gray-700">{t('series.move')}</h3>
+                  {series && (
+                    <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          checked={moveScope === 'session'}
+                          onChange={() => handleMoveScopeChange('session')}
+                          className="mr-2 text-primary-600 focus:ring-primary-500"
+                        />
+                        {t('series.thisSession')}
+                      </label>
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          checked={moveScope === 'series'}
+                          onChange={() => handleMoveScopeChange('series')}
+                          className="mr-2 text-primary-600 focus:ring-primary-500"
+                        />
+                        {t('series.allUpcoming', { count: upcomingInSeries.length })}
+                      </label>
+                    </div>
+                  )}
+                  {moveScope === 'series' && (
+                    <p className="text-xs text-gray-500">{t('series.moveAllHint')}</p>
+                  )}
+                  <div className="flex flex-wrap items-center gap-3">
+                    <input
+                      type="datetime-local"
+                      value={moveTime}
+                      onChange={(e) => setMoveTime(e.target.value)}
+                      className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+                    />
+                    {moveScope === 'session' && (
+                      <input
+                        type="text"
+                        value={moveReason}
+                        onChange={(e) => setMoveReason(e.target.value)}
+                        maxLength={500}
+                        placeholder={t('rescheduleSession.reason')}
+                        className="flex-1 min-w-0 border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    )}
+                    <button
+                      type="submit"
+                      disabled={moving || !moveTime}
+                      className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      {moving ? t('common.processing') : t('series.moveButton')}
+                    </button>
+                  </div>
+                </form>
+                
+                <div>
+                  <button
+                    type="button"
+                    onClick={() => setShowCancelDialog(true)}
+                    disabled={moving}
+                    className="text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    {t('cancelSession.title')}
+                  </button>
+                </div>
+              </div>
+            ) : series && (
+              <p className="text-sm text-gray-500">{t('series.notUpcoming')}</p>
+            )}
+          </div>
+        </div>
+      )}
+      
+      {showCancelDialog && (
+        <CancelSessionDialog
+          session={session}
+          onCancelled={handleCancelled}
+          onClose={() => setShowCancelDialog(false)}
+        />
+      )}
+      
       {/* Video session modal */}
       {showJoinModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -84,7 +84,7 @@ CREATE TABLE IF NOT EXISTS sessions (
   therapist_id UUID REFERENCES users(id) ON DELETE SET NULL,
   start_time TIMESTAMP WITH TIME ZONE NOT NULL,
   end_time TIMESTAMP WITH TIME ZONE NOT NULL,
-  status TEXT CHECK (status IN ('scheduled', 'in-progress', 'completed', 'cancelled')),
+  status TEXT CHECK (status IN ('scheduled', 'in-progress', 'completed', 'cancelled', 'no-show')),
   meeting_url TEXT,
   notes TEXT,
   CONSTRAINT client_required CHECK (client_id IS NOT NULL),
@@ -92,6 +92,458 @@ CREATE TABLE IF NOT EXISTS sessions (
   CONSTRAINT valid_time_range CHECK (end_time > start_time)
 );
 
+-- Behavior composition: presets are merged by priority (highest first) and
+-- at most one preset per conflict_group is applied. A client assignment may
+-- override the preset's default priority.
+ALTER TABLE behaviors ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE behaviors ADD COLUMN IF NOT EXISTS conflict_group TEXT;
+ALTER TABLE client_behaviors ADD COLUMN IF NOT EXISTS priority INTEGER;
+
+-- Behavior preset versions: every change to a preset is recorded as an
+-- immutable version. behaviors holds the current content and its number.
+ALTER TABLE behaviors ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS behavior_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  behavior_id UUID REFERENCES behaviors(id) ON DELETE SET NULL,
+  version INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  prompt_template TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 0,
+  conflict_group TEXT,
+  change_note TEXT,
+  restored_from INTEGER,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (behavior_id, version)
+);
+
+-- Versions may only lose their preset or author through ON DELETE SET NULL
+CREATE OR REPLACE FUNCTION prevent_behavior_version_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+    AND (NEW.behavior_id IS NOT DISTINCT FROM OLD.behavior_id OR NEW.behavior_id IS NULL)
+    AND (NEW.created_by IS NOT DISTINCT FROM OLD.created_by OR NEW.created_by IS NULL)
+    AND ROW(NEW.version, NEW.name, NEW.prompt_template, NEW.priority, NEW.conflict_group,
+            NEW.change_note, NEW.restored_from, NEW.created_at)
+      IS NOT DISTINCT FROM
+        ROW(OLD.version, OLD.name, OLD.prompt_template, OLD.priority, OLD.conflict_group,
+            OLD.change_note, OLD.restored_from, OLD.created_at) THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'behavior_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS behavior_versions_immutable ON behavior_versions;
+CREATE TRIGGER behavior_versions_immutable
+  BEFORE UPDATE OR DELETE ON behavior_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_behavior_version_changes();
+
+-- Save the next version of a preset and make it current in one transaction.
+-- Fails with unique_violation when someone else saved that version first.
+CREATE OR REPLACE FUNCTION save_behavior_version(
+  p_behavior_id UUID,
+  p_version INTEGER,
+  p_name TEXT,
+  p_prompt_template TEXT,
+  p_priority INTEGER,
+  p_conflict_group TEXT,
+  p_change_note TEXT,
+  p_restored_from INTEGER,
+  p_author UUID
+)
+RETURNS SETOF behaviors AS $$
+BEGIN
+  INSERT INTO behavior_versions (behavior_id, version, name, prompt_template, priority, conflict_group,
+                                 change_note, restored_from, created_by)
+  VALUES (p_behavior_id, p_version, p_name, p_prompt_template, p_priority, p_conflict_group,
+          p_change_note, p_restored_from, p_author);
+
+  RETURN QUERY
+    UPDATE behaviors
+    SET name = p_name, prompt_template = p_prompt_template, priority = p_priority,
+        conflict_group = p_conflict_group, current_version = p_version
+    WHERE id = p_behavior_id AND current_version = p_version - 1
+    RETURNING *;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'behavior % is no longer at version %', p_behavior_id, p_version - 1
+      USING ERRCODE = 'unique_violation';
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION save_behavior_version(UUID, INTEGER, TEXT, TEXT, INTEGER, TEXT, TEXT, INTEGER, UUID)
+  FROM PUBLIC, anon, authenticated;
+
+-- Create a preset and record it as version 1 in one transaction
+CREATE OR REPLACE FUNCTION create_behavior(
+  p_name TEXT,
+  p_prompt_template TEXT,
+  p_priority INTEGER,
+  p_conflict_group TEXT,
+  p_change_note TEXT,
+  p_author UUID
+)
+RETURNS SETOF behaviors AS $$
+DECLARE
+  created behaviors;
+BEGIN
+  INSERT INTO behaviors (name, prompt_template, priority, conflict_group, current_version, created_by)
+  VALUES (p_name, p_prompt_template, p_priority, p_conflict_group, 1, p_author)
+  RETURNING * INTO created;
+
+  INSERT INTO behavior_versions (behavior_id, version, name, prompt_template, priority, conflict_group,
+                                 change_note, created_by)
+  VALUES (created.id, 1, p_name, p_prompt_template, p_priority, p_conflict_group, p_change_note, p_author);
+
+  RETURN NEXT created;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION create_behavior(TEXT, TEXT, INTEGER, TEXT, TEXT, UUID)
+  FROM PUBLIC, anon, authenticated;
+
+-- Presets whose first version failed to save get their current content as
+-- that version, so diff and rollback work for them
+INSERT INTO behavior_versions (behavior_id, version, name, prompt_template, priority, conflict_group,
+                               change_note, created_by)
+SELECT b.id, b.current_version, b.name, b.prompt_template, b.priority, b.conflict_group,
+       'Recorded from the saved preset', b.created_by
+FROM behaviors b
+WHERE NOT EXISTS (SELECT 1 FROM behavior_versions v WHERE v.behavior_id = b.id)
+ON CONFLICT (behavior_id, version) DO NOTHING;
+
+-- Reply metadata (provider, model, preset versions used) saved with each message
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+-- Emotion intensities (anxiety, sadness, anger, joy; 0-1) scored on the
+-- server together with sentiment_score for every text message
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS emotions JSONB;
+
+-- Conversation summaries are produced by the server's summarization job:
+-- one row per conversation, updated in place when new messages arrive
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS key_topics TEXT[];
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS action_items TEXT[];
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS message_count INTEGER;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS provider TEXT;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS model TEXT;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Earlier runs could leave several rows per conversation; keep the newest
+DELETE FROM summaries s
+USING summaries newer
+WHERE newer.conversation_id = s.conversation_id
+  AND (COALESCE(newer.created_at, '-infinity'), newer.id) > (COALESCE(s.created_at, '-infinity'), s.id);
+
+DROP INDEX IF EXISTS summaries_conversation_id_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS summaries_conversation_id_key ON summaries (conversation_id);
+
+-- Long-term memory: durable facts about a client (goals, people, coping
+-- strategies that worked) extracted from conversations or written by the
+-- therapist. keywords holds word stems used to retrieve relevant memories.
+CREATE TABLE IF NOT EXISTS client_memories (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  category TEXT NOT NULL CHECK (category IN ('goal', 'person', 'coping_strategy', 'preference', 'fact')),
+  content TEXT NOT NULL,
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  source TEXT NOT NULL DEFAULT 'ai' CHECK (source IN ('ai', 'therapist')),
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS client_memories_client_id_idx ON client_memories (client_id);
+CREATE INDEX IF NOT EXISTS client_memories_keywords_idx ON client_memories USING GIN (keywords);
+
+-- Context compaction: once a long conversation no longer fits the model's
+-- context window, its older turns are rolled into a running summary.
+-- context_summarized_turns counts the chat turns the summary covers.
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS context_summary TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS context_summarized_turns INTEGER NOT NULL DEFAULT 0;
+
+-- Conversation list: clients keep several conversations, each with a title
+-- (taken from the first message until renamed), a preview of the latest
+-- message for the sidebar, and an optional archive date
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS title TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_message_preview TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS conversations_client_activity_idx ON conversations (client_id, last_message_at DESC);
+
+-- Conversation lifecycle: conversations close when the client ends them or
+-- after a period of inactivity. The post-close work (summary, sentiment
+-- roll-up, therapist notification) runs as one keyed job per close;
+-- close_processed_at marks that it has finished.
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS closed_reason TEXT CHECK (closed_reason IN ('ended', 'idle'));
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS close_processed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS sentiment_metrics JSONB;
+
+-- Live takeover: while ai_paused_at is set the AI does not answer and the
+-- therapist in paused_by replies to the client directly
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS ai_paused_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS paused_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- In-app notifications for a user; data holds the IDs a notification links to
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_id_idx ON notifications (user_id, created_at DESC);
+
+-- Notification center: link is the app path a notification opens. Which
+-- channels (in_app, email, push) each type is sent on is kept per user in
+-- users.profile_data.preferences.notifications.
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS link TEXT;
+CREATE INDEX IF NOT EXISTS notifications_unread_idx ON notifications (user_id) WHERE read_at IS NULL;
+
+-- Direct messages: one thread per pair of users, between a client and their
+-- therapist or a therapist and an admin. participant_a holds the lower user
+-- ID so a pair has a single thread. read_at is the recipient's read receipt.
+CREATE TABLE IF NOT EXISTS direct_threads (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  participant_a UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  participant_b UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  last_message_at TIMESTAMP WITH TIME ZONE,
+  last_message_preview TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (participant_a, participant_b),
+  CHECK (participant_a < participant_b)
+);
+
+CREATE TABLE IF NOT EXISTS direct_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  thread_id UUID REFERENCES direct_threads(id) ON DELETE CASCADE NOT NULL,
+  sender_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  recipient_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  body TEXT NOT NULL,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS direct_messages_thread_id_idx ON direct_messages (thread_id, created_at);
+CREATE INDEX IF NOT EXISTS direct_messages_unread_idx ON direct_messages (recipient_id) WHERE read_at IS NULL;
+
+-- Email outbox: rendered emails waiting to be sent by the server. Failed
+-- sends are retried with backoff at next_attempt_at; locked_at marks a row
+-- claimed by a sending process.
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  to_address TEXT NOT NULL,
+  template TEXT NOT NULL,
+  language TEXT NOT NULL DEFAULT 'en',
+  subject TEXT NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS email_outbox_due_idx ON email_outbox (status, next_attempt_at);
+
+-- welcome_sent_at is set when a user's welcome email is queued. Users who
+-- existed before welcome emails are marked as welcomed.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'welcome_sent_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN welcome_sent_at TIMESTAMP WITH TIME ZONE;
+    UPDATE users SET welcome_sent_at = COALESCE(created_at, NOW());
+  END IF;
+END $$;
+
+-- Scheduled jobs run by the API server. One-off jobs run once at run_at;
+-- recurring jobs (interval_seconds set) are rescheduled after every run.
+-- key de-duplicates jobs, such as one reminder per session and lead time.
+-- Failed runs are retried with backoff until max_attempts.
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  type TEXT NOT NULL,
+  key TEXT UNIQUE,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  interval_seconds INTEGER CHECK (interval_seconds > 0),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  last_error TEXT,
+  last_result JSONB,
+  locked_by TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS jobs_due_idx ON jobs (status, run_at);
+
+-- Claim up to p_limit due jobs for a worker. SKIP LOCKED lets several
+-- servers poll at once without claiming the same job; jobs left running
+-- longer than p_lock_seconds by a worker that died are claimed again.
+CREATE OR REPLACE FUNCTION claim_jobs(p_worker TEXT, p_limit INTEGER, p_lock_seconds INTEGER)
+RETURNS SETOF jobs AS $$
+  UPDATE jobs
+  SET status = 'running', locked_by = p_worker, locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+  WHERE id IN (
+    SELECT id FROM jobs
+    WHERE (status = 'pending' AND run_at <= NOW())
+       OR (status = 'running' AND locked_at < NOW() - make_interval(secs => p_lock_seconds))
+    ORDER BY run_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION claim_jobs(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Job counts by type and status for the admin status page
+CREATE OR REPLACE VIEW job_status WITH (security_invoker = true) AS
+SELECT
+  type,
+  status,
+  COUNT(*) AS count,
+  MIN(run_at) AS next_run_at,
+  MAX(finished_at) AS last_finished_at,
+  MAX(interval_seconds) AS interval_seconds
+FROM jobs
+GROUP BY type, status;
+
+-- Scheduling: therapists.availability holds a therapist's bookable hours as
+-- { time_zone, session_minutes, buffer_minutes,
+--   weekly: { monday: [{ start: '09:00', end: '12:00' }], ... },
+--   overrides: [{ date: 'YYYY-MM-DD', intervals: [...] }],
+--   time_off: [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', note }] }
+-- Times are wall-clock times in time_zone. Sessions are booked through the
+-- server, which checks them against these hours; sessions_no_overlap keeps
+-- two active sessions of a therapist from overlapping even when bookings race.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'sessions_no_overlap') THEN
+    ALTER TABLE sessions ADD CONSTRAINT sessions_no_overlap EXCLUDE USING gist (
+      therapist_id WITH =,
+      tstzrange(start_time, end_time) WITH &&
+    ) WHERE (status IN ('scheduled', 'in-progress'));
+  END IF;
+END $$;
+
+-- Recurring sessions: a series books the same weekday and time, in
+-- time_zone, every interval_weeks weeks. Its sessions link back through
+-- sessions.series_id and can still be moved or cancelled one by one.
+CREATE TABLE IF NOT EXISTS session_series (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  therapist_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  time_zone TEXT NOT NULL,
+  interval_weeks INTEGER NOT NULL DEFAULT 1 CHECK (interval_weeks BETWEEN 1 AND 4),
+  occurrences INTEGER NOT NULL CHECK (occurrences BETWEEN 2 AND 52),
+  first_start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES session_series(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS sessions_series_idx ON sessions (series_id, start_time);
+
+-- Move sessions of a series in the order given and record the series' new
+-- first start, in one transaction. Sessions cancelled or moved out of the
+-- series meanwhile fail the call with no_data_found and nothing moves.
+CREATE OR REPLACE FUNCTION reschedule_series(p_series_id UUID, p_moves JSONB, p_first_start_time TIMESTAMP WITH TIME ZONE)
+RETURNS VOID AS $$
+DECLARE
+  move JSONB;
+BEGIN
+  FOR move IN SELECT value FROM jsonb_array_elements(p_moves) WITH ORDINALITY ORDER BY ordinality LOOP
+    UPDATE sessions
+    SET start_time = (move->>'start_time')::TIMESTAMPTZ, end_time = (move->>'end_time')::TIMESTAMPTZ
+    WHERE id = (move->>'id')::UUID AND series_id = p_series_id AND status = 'scheduled';
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'session % is no longer scheduled in series %', move->>'id', p_series_id
+        USING ERRCODE = 'no_data_found';
+    END IF;
+  END LOOP;
+
+  UPDATE session_series
+  SET first_start_time = p_first_start_time, updated_at = NOW()
+  WHERE id = p_series_id;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION reschedule_series(UUID, JSONB, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+
+-- Attendance: clients and therapists can cancel a session with a reason.
+-- Clients cancelling within SCHEDULING_LATE_CANCEL_HOURS of the start are
+-- recorded with late_cancel. Joining the video room sets client_joined_at or
+-- therapist_joined_at. Sessions that end with both joined become 'completed';
+-- the others become 'no-show', with absent recording who did not join.
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_status_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_status_check
+  CHECK (status IN ('scheduled', 'in-progress', 'completed', 'cancelled', 'no-show'));
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS late_cancel BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS client_joined_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS therapist_joined_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS absent TEXT CHECK (absent IN ('client', 'therapist', 'both'));
+-- No-shows marked before absent existed were sessions the client never joined
+UPDATE sessions
+SET absent = CASE WHEN therapist_joined_at IS NULL THEN 'both' ELSE 'client' END
+WHERE status = 'no-show' AND absent IS NULL AND client_joined_at IS NULL;
+CREATE INDEX IF NOT EXISTS sessions_status_end_idx ON sessions (status, end_time);
+
+-- Safety: conversations with detected risk language are flagged and an
+-- alert is queued for the responsible therapist.
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS risk_level TEXT CHECK (risk_level IN ('medium', 'high'));
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS risk_alerts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  client_id UUID CONSTRAINT risk_alerts_client_id_fkey REFERENCES users(id) ON DELETE CASCADE,
+  therapist_id UUID CONSTRAINT risk_alerts_therapist_id_fkey REFERENCES users(id) ON DELETE SET NULL,
+  categories TEXT[] NOT NULL,
+  severity TEXT NOT NULL CHECK (severity IN ('medium', 'high')),
+  matches TEXT[],
+  sources TEXT[],
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+  note TEXT,
+  acknowledged_by UUID CONSTRAINT risk_alerts_acknowledged_by_fkey REFERENCES users(id) ON DELETE SET NULL,
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS risk_alerts_therapist_status_idx ON risk_alerts (therapist_id, status);
+
 -- Row Level Security Policies
 
 -- Users table policies
@@ -160,6 +612,70 @@ ALTER TABLE behaviors ENABLE ROW LEVEL SECURITY;
 CREATE POLICY behaviors_select_all ON behaviors 
   FOR SELECT USING (true);
 
+-- Behavior_versions table policies
+ALTER TABLE behavior_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY behavior_versions_select_staff ON behavior_versions 
+  FOR SELECT USING (
+    auth.uid() IN (
+      SELECT id FROM users WHERE role IN ('therapist', 'admin')
+    )
+  );
+
+-- Client_memories table policies
+ALTER TABLE client_memories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY client_memories_select_therapist ON client_memories 
+  FOR SELECT USING (
+    auth.uid() IN (
+      SELECT therapist_id FROM sessions WHERE client_id = client_memories.client_id
+      UNION
+      SELECT therapist_id FROM conversations WHERE client_id = client_memories.client_id
+    )
+  );
+
+-- Notifications table policies
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY notifications_select_own ON notifications 
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Direct_threads and direct_messages table policies
+ALTER TABLE direct_threads ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY direct_threads_select_participant ON direct_threads 
+  FOR SELECT USING (auth.uid() IN (participant_a, participant_b));
+
+ALTER TABLE direct_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY direct_messages_select_participant ON direct_messages 
+  FOR SELECT USING (auth.uid() IN (sender_id, recipient_id));
+
+-- Email_outbox is only read and written by the server
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+
+-- Jobs are only read and written by the server
+ALTER TABLE jobs ENABLE ROW LEVEL SECURITY;
+
+-- Session_series table policies
+ALTER TABLE session_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY session_series_select_participant ON session_series 
+  FOR SELECT USING (auth.uid() IN (client_id, therapist_id));
+
+-- Risk_alerts table policies
+ALTER TABLE risk_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY risk_alerts_select_therapist ON risk_alerts 
+  FOR SELECT USING (auth.uid() = therapist_id);
+
+CREATE POLICY risk_alerts_select_admin ON risk_alerts 
+  FOR SELECT USING (
+    auth.uid() IN (
+      SELECT id FROM users WHERE role = 'admin'
+    )
+  );
+
 -- Client_behaviors table policies
 ALTER TABLE client_behaviors ENABLE ROW LEVEL SECURITY;
 
@@ -407,7 +923,7 @@ BEGIN
     ('00000000-0000-0000-0000-000000000024', '00000000-0000-0000-0000-000000000009', 
      'Jane reported positive results from practicing breathing exercises for anxiety management. She used the technique multiple times when feeling stressed and noticed improvement. We discussed incorporating this into a daily routine and adding additional mindfulness practices.', 
      '{"average": 0.73, "min": 0.6, "max": 0.8, "trend": "improving"}'::jsonb)
-  ON CONFLICT (id) DO NOTHING;
+  ON CONFLICT DO NOTHING;
   
   -- Insert upcoming session
   INSERT INTO sessions (id, client_id, therapist_id, start_time, end_time, status, meeting_url)
@@ -420,3 +936,11 @@ $$ LANGUAGE plpgsql;
 
 -- Call the function to insert mock data
 SELECT insert_mock_data();
+
+-- Record the current content of existing presets as their first version
+INSERT INTO behavior_versions (behavior_id, version, name, prompt_template, priority, conflict_group, change_note, created_by, created_at)
+SELECT id, current_version, name, prompt_template, priority, conflict_group, 'Initial version', created_by, created_at
+FROM behaviors b
+WHERE NOT EXISTS (
+  SELECT 1 FROM behavior_versions v WHERE v.behavior_id = b.id AND v.version = b.current_version
+);
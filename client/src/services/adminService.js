@@ -1,4 +1,5 @@
 import { supabase } from './supabaseClient';
+import { apiClient } from './apiClient';
 
 /**
  * Service for handling admin-related functionality
@@ -222,12 +223,7 @@ export const adminService = {
    */
   async getBehaviorPresets() {
     try {
-      const { data, error } = await supabase
-        .from('behaviors')
-        .select('*, created_by:users(name)')
-        .order('name', { ascending: true });
-        
-      if (error) throw error;
+      const { data } = await apiClient.get('/admin/behaviors');
       
       return data || [];
     } catch (error) {
@@ -265,18 +261,11 @@ export const adminService = {
    */
   async createBehaviorPreset(behaviorData) {
     try {
-      const { data, error } = await supabase
-        .from('behaviors')
-        .insert([{
-          name: behaviorData.name,
-          prompt_template: behaviorData.prompt_template,
-          created_by: behaviorData.created_by,
-          created_at: new Date().toISOString()
-        }])
-        .select()
-        .single();
-        
-      if (error) throw error;
+      const { data } = await apiClient.post('/admin/behaviors', {
+        name: behaviorData.name,
+        prompt_template: behaviorData.prompt_template,
+        change_note: behaviorData.change_note
+      });
       
       return data;
     } catch (error) {
@@ -293,17 +282,11 @@ export const adminService = {
    */
   async updateBehaviorPreset(behaviorId, behaviorData) {
     try {
-      const { data, error } = await supabase
-        .from('behaviors')
-        .update({
-          name: behaviorData.name,
-          prompt_template: behaviorData.prompt_template
-        })
-        .eq('id', behaviorId)
-        .select()
-        .single();
-        
-      if (error) throw error;
+      const { data } = await apiClient.put(`/admin/behaviors/${behaviorId}`, {
+        name: behaviorData.name,
+        prompt_template: behaviorData.prompt_template,
+        change_note: behaviorData.change_note
+      });
       
       return data;
     } catch (error) {
@@ -319,12 +302,7 @@ export const adminService = {
    */
   async deleteBehaviorPreset(behaviorId) {
     try {
-      const { error } = await supabase
-        .from('behaviors')
-        .delete()
-        .eq('id', behaviorId);
-        
-      if (error) throw error;
+      await apiClient.delete(`/admin/behaviors/${behaviorId}`);
     } catch (error) {
       console.error('Error deleting behavior preset:', error);
       throw error;
@@ -374,5 +352,52 @@ export const adminService = {
       console.error('Error fetching system stats:', error);
       throw error;
     }
+  },
+  
+  /**
+   * Get scheduled jobs, soonest due first
+   * @param {Object} [filters] - { status, type, limit }
+   * @returns {Promise<Array>} - Array of jobs
+   */
+  async getJobs(filters = {}) {
+    try {
+      const { data } = await apiClient.get('/admin/jobs', { params: filters });
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get job counts by type and status
+   * @returns {Promise<Array>} - Rows of { type, status, count, next_run_at, last_finished_at, interval_seconds }
+   */
+  async getJobStatus() {
+    try {
+      const { data } = await apiClient.get('/admin/jobs/status');
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching job status:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Run a pending job now, or retry a failed one
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object>} - The updated job
+   */
+  async runJob(jobId) {
+    try {
+      const { data } = await apiClient.post(`/admin/jobs/${jobId}/run`);
+      
+      return data;
+    } catch (error) {
+      console.error('Error running job:', error);
+      throw error;
+    }
   }
 };
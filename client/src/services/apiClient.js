@@ -0,0 +1,158 @@
+/**
+ * API Client
+ * 
+ * Axios instance for the application's REST API server. Every request carries
+ * the current Supabase access token so the server can authenticate and audit it.
+ */
+
+import axios from 'axios';
+import { supabase } from './supabaseClient';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
+
+/**
+ * Build the authentication headers for an API request
+ * @returns {Promise<Object>} - Headers object
+ */
+export const getAuthHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  
+  if (session?.access_token) {
+    return { Authorization: `Bearer ${session.access_token}` };
+  }
+  
+  // Development mock login has no Supabase session
+  const mockUserStr = localStorage.getItem('smarttherapist_mock_user');
+  if (process.env.NODE_ENV === 'development' && mockUserStr) {
+    try {
+      return { 'x-dev-user-id': JSON.parse(mockUserStr).id };
+    } catch (e) {
+      console.error('Error parsing mock user:', e);
+    }
+  }
+  
+  return {};
+};
+
+// Delay before reconnecting a dropped event stream
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Read a Server-Sent Events response, calling onEvent for each event
+ * @param {Response} response - Fetch response with an event stream body
+ * @param {Function} onEvent - Called with (event, data)
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+      
+      // Comment lines only keep the connection alive
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      if (event) {
+        onEvent(event, JSON.parse(block.match(/^data: (.*)$/m)?.[1] || 'null'));
+      }
+    }
+  }
+};
+
+/**
+ * Follow a long-lived Server-Sent Events endpoint of the API, reconnecting
+ * when the connection drops
+ * @param {string} path - Endpoint path below API_URL
+ * @param {Function} onEvent - Called with (event, data)
+ * @returns {Function} - Stops following the endpoint
+ */
+export const followEventStream = (path, onEvent) => {
+  const controller = new AbortController();
+  
+  const connect = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        const response = await fetch(`${API_URL}${path}`, {
+          headers: { Accept: 'text/event-stream', ...(await getAuthHeaders()) },
+          signal: controller.signal
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Event stream failed with status ${response.status}`);
+        }
+        
+        await readEventStream(response, onEvent);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error following event stream:', error);
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+    }
+  };
+  
+  connect();
+  
+  return () => controller.abort();
+};
+
+// Listeners sharing the connection to the user's live update stream
+const userEventListeners = new Set();
+let stopUserEvents = null;
+
+/**
+ * Follow the signed-in user's live updates (direct messages, notifications).
+ * Every subscriber shares one connection, which closes with the last one.
+ * @param {Function} listener - Called with (event, data)
+ * @returns {Function} - Stops listening
+ */
+export const subscribeToUserEvents = (listener) => {
+  userEventListeners.add(listener);
+  
+  if (!stopUserEvents) {
+    stopUserEvents = followEventStream('/events', (event, data) => {
+      userEventListeners.forEach(callback => callback(event, data));
+    });
+  }
+  
+  return () => {
+    userEventListeners.delete(listener);
+    
+    if (!userEventListeners.size && stopUserEvents) {
+      stopUserEvents();
+      stopUserEvents = null;
+    }
+  };
+};
+
+export const apiClient = axios.create({
+  baseURL: API_URL,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+apiClient.interceptors.request.use(async (config) => {
+  config.headers = { ...config.headers, ...(await getAuthHeaders()) };
+  return config;
+});
+
+// Surface the server's error message instead of axios' generic one
+apiClient.interceptors.response.use(
+  response => response,
+  error => {
+    const message = error.response?.data?.error;
+    if (message) {
+      error.message = message;
+    }
+    return Promise.reject(error);
+  }
+);
@@ -1,4 +1,4 @@
-import { supabase } from './supabaseClient';
+import { apiClient, getAuthHeaders, readEventStream, followEventStream, API_URL } from './apiClient';
 
 /**
  * Service for handling chat-related functionality
@@ -11,13 +11,7 @@ export const chatService = {
    */
   async getConversationHistory(conversationId) {
     try {
-      const { data, error } = await supabase
-        .from('messages')
-        .select('*')
-        .eq('conversation_id', conversationId)
-        .order('timestamp', { ascending: true });
-        
-      if (error) throw error;
+      const { data } = await apiClient.get(`/conversations/${conversationId}/messages`);
       
       return data || [];
     } catch (error) {
@@ -27,26 +21,38 @@ export const chatService = {
   },
   
   /**
-   * Create a new conversation
+   * List a client's conversations, most recently active first
+   * @param {string} clientId - The client's user ID
+   * @param {Object} options
+   * @param {boolean} options.archived - List archived conversations instead of current ones
+   * @returns {Promise<Array>} - Conversations with their summaries
+   */
+  async getConversations(clientId, { archived = false } = {}) {
+    try {
+      const { data } = await apiClient.get(`/clients/${clientId}/conversations`, {
+        params: { archived }
+      });
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Create a new conversation. The server opens it with the AI's greeting.
    * @param {string} clientId - The client's user ID
    * @param {string|null} therapistId - The therapist's user ID (null for AI-only)
+   * @param {string} language - Language code of the greeting
    * @returns {Promise<string>} - The new conversation ID
    */
-  async createConversation(clientId, therapistId = null) {
+  async createConversation(clientId, therapistId = null, language = 'en') {
     try {
-      const { data, error } = await supabase
-        .from('conversations')
-        .insert([
-          {
-            client_id: clientId,
-            therapist_id: therapistId,
-            start_ts: new Date().toISOString()
-          }
-        ])
-        .select()
-        .single();
-        
-      if (error) throw error;
+      const { data } = await apiClient.post(`/clients/${clientId}/conversations`, {
+        therapist_id: therapistId,
+        language
+      });
       
       return data.id;
     } catch (error) {
@@ -56,24 +62,55 @@ export const chatService = {
   },
   
   /**
-   * End a conversation
+   * End a conversation. The server then summarizes it and notifies the
+   * therapist.
    * @param {string} conversationId - The ID of the conversation to end
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - The ended conversation
    */
   async endConversation(conversationId) {
     try {
-      const { error } = await supabase
-        .from('conversations')
-        .update({ end_ts: new Date().toISOString() })
-        .eq('id', conversationId);
-        
-      if (error) throw error;
+      const { data } = await apiClient.post(`/conversations/${conversationId}/end`);
+      
+      return data;
     } catch (error) {
       console.error('Error ending conversation:', error);
       throw error;
     }
   },
   
+  /**
+   * Rename, archive or unarchive a conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} changes - { title, archived }
+   * @returns {Promise<Object>} - The updated conversation
+   */
+  async updateConversation(conversationId, changes) {
+    try {
+      const { data } = await apiClient.patch(`/conversations/${conversationId}`, changes);
+      
+      return data;
+    } catch (error) {
+      console.error('Error updating conversation:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Reopen an ended or archived conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object>} - The reopened conversation
+   */
+  async resumeConversation(conversationId) {
+    try {
+      const { data } = await apiClient.post(`/conversations/${conversationId}/resume`);
+      
+      return data;
+    } catch (error) {
+      console.error('Error resuming conversation:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Save a message to the database
    * @param {Object} message - The message object
@@ -81,13 +118,16 @@ export const chatService = {
    */
   async saveMessage(message) {
     try {
-      const { data, error } = await supabase
-        .from('messages')
-        .insert([message])
-        .select()
-        .single();
-        
-      if (error) throw error;
+      const { conversation_id, sender, text, audio_url, sentiment_score, timestamp, metadata, language } = message;
+      const { data } = await apiClient.post(`/conversations/${conversation_id}/messages`, {
+        sender,
+        text,
+        audio_url,
+        sentiment_score,
+        timestamp,
+        metadata,
+        language
+      });
       
       return data;
     } catch (error) {
@@ -97,44 +137,28 @@ export const chatService = {
   },
   
   /**
-   * Get AI response for a message
+   * Get AI response for a message from the server's LLM proxy. The server
+   * saves the reply.
    * @param {string} message - The user's message
    * @param {string} conversationId - The conversation ID
    * @param {string} userId - The user's ID
-   * @returns {Promise<Object>} - The AI response
+   * @param {string} language - Language code the AI should reply in
+   * @returns {Promise<Object>} - The saved AI response with its ID and provider metadata
    */
-  async getAIResponse(message, conversationId, userId) {
+  async getAIResponse(message, conversationId, userId, language = 'en') {
     try {
-      // In a real implementation, this would call your backend API
-      // For now, we'll simulate a response with a delay
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          // Get the current behavior for the user
-          this.getCurrentBehavior(userId).then(behavior => {
-            let responseText = 'I understand how you feel. Can you tell me more about that?';
-            
-            // Simple keyword-based responses for demo purposes
-            if (message.toLowerCase().includes('anxious') || message.toLowerCase().includes('anxiety')) {
-              responseText = `I notice you mentioned feeling anxious. ${behavior?.name === 'CBT-focused' ? 
-                'Let\'s identify what thoughts might be contributing to this anxiety. Can you share what\'s going through your mind?' : 
-                'Taking slow, deep breaths can help in the moment. Would you like to try a brief breathing exercise together?'}`;
-            } else if (message.toLowerCase().includes('sad') || message.toLowerCase().includes('depressed')) {
-              responseText = `I'm sorry to hear you're feeling down. ${behavior?.name === 'Motivational' ? 
-                "What's one small thing you could do today that might bring you a moment of joy?" : 
-                "Depression can make everything feel more difficult. Have you noticed any patterns to when these feelings are strongest?"}`;
-            } else if (message.toLowerCase().includes('work') || message.toLowerCase().includes('job')) {
-              responseText = `Work situations can be challenging. ${behavior?.name === 'Mindfulness' ? 
-                "When you're at work, what helps you stay grounded in the present moment?" : 
-                "How do you think your thoughts about work are affecting your emotions and behaviors?"}`;
-            }
-            
-            resolve({
-              message: responseText,
-              sentiment_score: Math.random() * 0.5 + 0.5 // Random positive sentiment between 0.5-1.0
-            });
-          });
-        }, 1000);
+      const { data } = await apiClient.post(`/conversations/${conversationId}/reply`, {
+        message,
+        language
       });
+      
+      return {
+        id: data.id,
+        timestamp: data.timestamp,
+        message: data.message,
+        sentiment_score: data.sentiment_score,
+        metadata: data.metadata
+      };
     } catch (error) {
       console.error('Error getting AI response:', error);
       throw error;
@@ -142,106 +166,141 @@ export const chatService = {
   },
   
   /**
-   * Get the current active behavior for a user
-   * @param {string} userId - The user's ID
-   * @returns {Promise<Object|null>} - The active behavior or null
+   * Stream the AI response for a message over Server-Sent Events. The server
+   * saves the reply, or the part already streamed when the stream is aborted.
+   * @param {string} message - The user's message
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} options
+   * @param {string} options.language - Language code the AI should reply in
+   * @param {Function} options.onDelta - Called with each text delta as it arrives
+   * @param {AbortSignal} options.signal - Aborts the stream
+   * @returns {Promise<Object>} - The saved AI response with its ID and provider metadata
    */
-  async getCurrentBehavior(userId) {
+  async streamAIResponse(message, conversationId, { language = 'en', onDelta, signal } = {}) {
+    const response = await fetch(`${API_URL}/conversations/${conversationId}/reply/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(await getAuthHeaders())
+      },
+      body: JSON.stringify({ message, language }),
+      signal
+    });
+    
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || `Streaming request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    let result = null;
+    await readEventStream(response, (event, data) => {
+      if (event === 'delta') {
+        onDelta?.(data.text);
+      } else if (event === 'done') {
+        result = data;
+      } else if (event === 'error') {
+        throw new Error(data.error);
+      }
+    });
+    
+    if (!result) {
+      throw new Error('Stream ended without a reply');
+    }
+    
+    return {
+      id: result.id,
+      timestamp: result.timestamp,
+      message: result.message,
+      sentiment_score: result.sentiment_score,
+      metadata: result.metadata
+    };
+  },
+  
+  /**
+   * Follow a conversation live: new messages and changes to who is
+   * responding. Reconnects when the connection drops.
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} handlers
+   * @param {Function} handlers.onMessage - Called with each saved message
+   * @param {Function} handlers.onConversation - Called with the conversation and its `responder` whenever it changes
+   * @returns {Function} - Stops following the conversation
+   */
+  subscribeToConversation(conversationId, { onMessage, onConversation }) {
+    return followEventStream(`/conversations/${conversationId}/events`, (event, data) => {
+      if (event === 'message') onMessage?.(data);
+      if (event === 'conversation') onConversation?.(data);
+    });
+  },
+  
+  /**
+   * Pause the AI so the therapist can reply to the client directly
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object>} - The conversation with its responder
+   */
+  async takeOverConversation(conversationId) {
     try {
-      const { data, error } = await supabase
-        .from('client_behaviors')
-        .select('behaviors(*)')
-        .eq('client_id', userId)
-        .eq('active', true)
-        .single();
-        
-      if (error && error.code !== 'PGRST116') throw error;
+      const { data } = await apiClient.post(`/conversations/${conversationId}/takeover`);
       
-      return data?.behaviors || null;
+      return data;
     } catch (error) {
-      console.error('Error getting current behavior:', error);
-      return null;
+      console.error('Error taking over conversation:', error);
+      throw error;
     }
   },
   
   /**
-   * Generate a summary for a conversation
+   * Let the AI answer the client again
    * @param {string} conversationId - The conversation ID
-   * @returns {Promise<Object>} - The generated summary
+   * @returns {Promise<Object>} - The conversation
    */
-  async generateSummary(conversationId) {
+  async handBackConversation(conversationId) {
     try {
-      // In a real implementation, this would call your backend API
-      // For now, we'll create a mock summary
-      const { data: messages, error } = await supabase
-        .from('messages')
-        .select('*')
-        .eq('conversation_id', conversationId)
-        .order('timestamp', { ascending: true });
-        
-      if (error) throw error;
-      
-      // Calculate simple sentiment metrics
-      const sentimentScores = messages
-        .filter(m => m.sentiment_score !== null)
-        .map(m => m.sentiment_score);
-        
-      const sentimentMetrics = {
-        average: sentimentScores.length > 0 
-          ? sentimentScores.reduce((sum, score) => sum + score, 0) / sentimentScores.length 
-          : 0.5,
-        min: sentimentScores.length > 0 
-          ? Math.min(...sentimentScores) 
-          : 0.5,
-        max: sentimentScores.length > 0 
-          ? Math.max(...sentimentScores) 
-          : 0.5,
-        trend: sentimentScores.length > 1 && sentimentScores[sentimentScores.length - 1] > sentimentScores[0]
-          ? 'improving'
-          : sentimentScores.length > 1 && sentimentScores[sentimentScores.length - 1] < sentimentScores[0]
-          ? 'declining'
-          : 'stable'
-      };
-      
-      // Create a simple summary based on message content
-      let summaryText = 'Session focused on ';
-      
-      if (messages.some(m => m.text.toLowerCase().includes('anxiety') || m.text.toLowerCase().includes('anxious'))) {
-        summaryText += 'anxiety management. ';
-      } else if (messages.some(m => m.text.toLowerCase().includes('work') || m.text.toLowerCase().includes('job'))) {
-        summaryText += 'work-related stress. ';
-      } else if (messages.some(m => m.text.toLowerCase().includes('sad') || m.text.toLowerCase().includes('depressed'))) {
-        summaryText += 'mood improvement strategies. ';
-      } else {
-        summaryText += 'general well-being. ';
-      }
+      const { data } = await apiClient.post(`/conversations/${conversationId}/handback`);
       
-      summaryText += `Overall sentiment was ${sentimentMetrics.trend}. `;
-      
-      if (sentimentMetrics.trend === 'improving') {
-        summaryText += 'Client showed progress during the session.';
-      } else if (sentimentMetrics.trend === 'declining') {
-        summaryText += 'Client may need additional support in future sessions.';
-      } else {
-        summaryText += 'Client maintained consistent engagement throughout the session.';
-      }
+      return data;
+    } catch (error) {
+      console.error('Error handing back conversation:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get every active behavior preset for a user
+   * @param {string} userId - The user's ID
+   * @returns {Promise<Array>} - The active behaviors, highest priority first
+   */
+  async getActiveBehaviors(userId) {
+    try {
+      const { data } = await apiClient.get(`/clients/${userId}/behaviors`);
       
-      // Save the summary to the database
-      const { data: summary, error: summaryError } = await supabase
-        .from('summaries')
-        .insert([
-          {
-            conversation_id: conversationId,
-            summary_text: summaryText,
-            sentiment_metrics: sentimentMetrics
-          }
-        ])
-        .select()
-        .single();
-        
-      if (summaryError) throw summaryError;
+      return (data || [])
+        .filter(clientBehavior => clientBehavior.active && clientBehavior.behaviors)
+        .map(clientBehavior => ({
+          ...clientBehavior.behaviors,
+          priority: clientBehavior.priority ?? clientBehavior.behaviors.priority ?? 0
+        }))
+        .sort((a, b) => b.priority - a.priority);
+    } catch (error) {
+      console.error('Error getting active behaviors:', error);
+      return [];
+    }
+  },
+  
+  /**
+   * Summarize a conversation on the server. The server keeps one summary per
+   * conversation and only regenerates it when new messages have arrived.
+   * @param {string} conversationId - The conversation ID
+   * @param {boolean} force - Regenerate even if nothing changed (therapists and admins)
+   * @returns {Promise<Object>} - { summary, skipped }
+   */
+  async generateSummary(conversationId, force = false) {
+    try {
+      const { data } = await apiClient.post(`/conversations/${conversationId}/summary`, { force });
       
-      return summary;
+      return data;
     } catch (error) {
       console.error('Error generating summary:', error);
       throw error;
@@ -0,0 +1,135 @@
+import { apiClient, subscribeToUserEvents } from './apiClient';
+
+/**
+ * Service for direct messages between clients, therapists and admins
+ */
+export const inboxService = {
+  /**
+   * List the user's threads, most recently active first
+   * @returns {Promise<Array>} - Threads with `contact` and `unread`
+   */
+  async getThreads() {
+    try {
+      const { data } = await apiClient.get('/inbox/threads');
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching message threads:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * List the users the user may start a thread with
+   * @returns {Promise<Array>} - Users as { id, name, email, role }
+   */
+  async getContacts() {
+    try {
+      const { data } = await apiClient.get('/inbox/contacts');
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching message contacts:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Find or start the thread with another user
+   * @param {string} recipientId - The other user's ID
+   * @returns {Promise<Object>} - The thread
+   */
+  async openThread(recipientId) {
+    try {
+      const { data } = await apiClient.post('/inbox/threads', { recipient_id: recipientId });
+      
+      return data;
+    } catch (error) {
+      console.error('Error opening message thread:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get a thread's messages, oldest first
+   * @param {string} threadId - The thread ID
+   * @param {Object} [options]
+   * @param {string} [options.before] - Only messages sent before this timestamp
+   * @returns {Promise<Array>} - Messages
+   */
+  async getMessages(threadId, { before } = {}) {
+    try {
+      const { data } = await apiClient.get(`/inbox/threads/${threadId}/messages`, {
+        params: { before }
+      });
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching direct messages:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Send a message in a thread
+   * @param {string} threadId - The thread ID
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} - The saved message
+   */
+  async sendMessage(threadId, body) {
+    try {
+      const { data } = await apiClient.post(`/inbox/threads/${threadId}/messages`, { body });
+      
+      return data;
+    } catch (error) {
+      console.error('Error sending direct message:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Mark the messages the user received in a thread as read
+   * @param {string} threadId - The thread ID
+   * @returns {Promise<number>} - Number of messages marked as read
+   */
+  async markThreadRead(threadId) {
+    try {
+      const { data } = await apiClient.post(`/inbox/threads/${threadId}/read`);
+      
+      return data.read;
+    } catch (error) {
+      console.error('Error marking thread as read:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Count the direct messages the user has not read
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount() {
+    try {
+      const { data } = await apiClient.get('/inbox/unread');
+      
+      return data.count;
+    } catch (error) {
+      console.error('Error counting unread messages:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Follow the user's direct messages live. Reconnects when the connection drops.
+   * @param {Object} handlers
+   * @param {Function} [handlers.onMessage] - Called with each message the user sends or receives
+   * @param {Function} [handlers.onRead] - Called with { thread_id, reader_id, read_at, message_ids } when a thread is read
+   * @returns {Function} - Stops following
+   */
+  subscribe({ onMessage, onRead }) {
+    return subscribeToUserEvents((event, data) => {
+      if (event === 'direct_message') onMessage?.(data);
+      if (event === 'direct_read') onRead?.(data);
+    });
+  }
+};
+
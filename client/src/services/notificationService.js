@@ -0,0 +1,115 @@
+import { apiClient, subscribeToUserEvents } from './apiClient';
+
+/**
+ * Service for the in-app notification center
+ */
+export const notificationService = {
+  /**
+   * List the user's notifications, newest first
+   * @param {Object} [options]
+   * @param {boolean} [options.unread] - Only notifications not read yet
+   * @param {number} [options.limit] - Maximum number of notifications
+   * @returns {Promise<Array>} - Notifications
+   */
+  async getNotifications({ unread, limit } = {}) {
+    try {
+      const { data } = await apiClient.get('/notifications', { params: { unread, limit } });
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Count the notifications the user has not read
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount() {
+    try {
+      const { data } = await apiClient.get('/notifications/unread');
+      
+      return data.count;
+    } catch (error) {
+      console.error('Error counting unread notifications:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Mark a notification as read
+   * @param {string} notificationId - The notification ID
+   * @returns {Promise<number>} - Number of notifications marked as read
+   */
+  async markRead(notificationId) {
+    try {
+      const { data } = await apiClient.post(`/notifications/${notificationId}/read`);
+      
+      return data.read;
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Mark every notification as read
+   * @returns {Promise<number>} - Number of notifications marked as read
+   */
+  async markAllRead() {
+    try {
+      const { data } = await apiClient.post('/notifications/read-all');
+      
+      return data.read;
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the channels the user receives each notification type on
+   * @returns {Promise<Object>} - { channels, preferences, required }
+   */
+  async getPreferences() {
+    try {
+      const { data } = await apiClient.get('/notifications/preferences');
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Change the channels of one or more notification types
+   * @param {Object} changes - { [type]: { in_app, email } }
+   * @returns {Promise<Object>} - { channels, preferences, required }
+   */
+  async updatePreferences(changes) {
+    try {
+      const { data } = await apiClient.patch('/notifications/preferences', changes);
+      
+      return data;
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Follow the user's notifications live
+   * @param {Object} handlers
+   * @param {Function} [handlers.onNotification] - Called with each new notification
+   * @param {Function} [handlers.onRead] - Called with { ids, read_at } when notifications are read
+   * @returns {Function} - Stops following
+   */
+  subscribe({ onNotification, onRead }) {
+    return subscribeToUserEvents((event, data) => {
+      if (event === 'notification') onNotification?.(data);
+      if (event === 'notification_read') onRead?.(data);
+    });
+  }
+};
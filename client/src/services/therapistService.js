@@ -1,4 +1,6 @@
 import { supabase } from './supabaseClient';
+import { apiClient } from './apiClient';
+import { getTimeZone } from './userService';
 
 /**
  * Service for handling therapist-related functionality
@@ -128,6 +130,115 @@ export const therapistService = {
     }
   },
   
+  /**
+   * Create a behavior preset
+   * @param {Object} presetData - name, prompt_template and an optional change_note
+   * @returns {Promise<Object>} - The created behavior preset
+   */
+  async createBehaviorPreset(presetData) {
+    try {
+      const { data } = await apiClient.post('/behaviors', {
+        name: presetData.name,
+        prompt_template: presetData.prompt_template,
+        change_note: presetData.change_note
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error creating behavior preset:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Update a behavior preset, recording the change as a new version
+   * @param {string} behaviorId - The behavior ID
+   * @param {Object} presetData - name, prompt_template and an optional change_note
+   * @returns {Promise<Object>} - The updated behavior preset
+   */
+  async updateBehaviorPreset(behaviorId, presetData) {
+    try {
+      const { data } = await apiClient.put(`/behaviors/${behaviorId}`, {
+        name: presetData.name,
+        prompt_template: presetData.prompt_template,
+        change_note: presetData.change_note
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error updating behavior preset:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the version history of a behavior preset
+   * @param {string} behaviorId - The behavior ID
+   * @returns {Promise<Array>} - Versions, newest first
+   */
+  async getBehaviorVersions(behaviorId) {
+    try {
+      const { data } = await apiClient.get(`/behaviors/${behaviorId}/versions`);
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching behavior versions:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Restore an earlier version of a behavior preset
+   * @param {string} behaviorId - The behavior ID
+   * @param {number} version - The version to restore
+   * @returns {Promise<Object>} - The updated behavior preset
+   */
+  async rollbackBehaviorPreset(behaviorId, version) {
+    try {
+      const { data } = await apiClient.post(`/behaviors/${behaviorId}/rollback`, { version });
+      
+      return data;
+    } catch (error) {
+      console.error('Error rolling back behavior preset:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the behavior presets assigned to a client
+   * @param {string} clientId - The client's user ID
+   * @returns {Promise<Array>} - Client behaviors with their preset and priority
+   */
+  async getClientBehaviors(clientId) {
+    try {
+      const { data } = await apiClient.get(`/clients/${clientId}/behaviors`);
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching client behaviors:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Preview the system prompt composed from a client's active presets
+   * @param {string} clientId - The client's user ID
+   * @param {string} language - Language the agent replies in
+   * @returns {Promise<Object>} - The merged prompt with applied and overridden presets
+   */
+  async getPromptPreview(clientId, language = 'en') {
+    try {
+      const { data } = await apiClient.get(`/clients/${clientId}/prompt-preview`, {
+        params: { language }
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching prompt preview:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Add a behavior to a client
    * @param {string} clientId - The client's user ID
@@ -137,19 +248,11 @@ export const therapistService = {
    */
   async addClientBehavior(clientId, behaviorId, active = true) {
     try {
-      const { data, error } = await supabase
-        .from('client_behaviors')
-        .insert([{
-          client_id: clientId,
-          behavior_id: behaviorId,
-          active
-        }])
-        .select()
-        .single();
-        
-      if (error) throw error;
+      const { data } = await apiClient.patch(`/clients/${clientId}/behaviors`, {
+        behaviors: [{ behavior_id: behaviorId, active }]
+      });
       
-      return data;
+      return data.find(behavior => behavior.behavior_id === behaviorId);
     } catch (error) {
       console.error('Error adding client behavior:', error);
       throw error;
@@ -161,20 +264,16 @@ export const therapistService = {
    * @param {string} clientId - The client's user ID
    * @param {string} behaviorId - The behavior ID
    * @param {boolean} active - Whether the behavior is active
+   * @param {number|null} [priority] - Client-specific priority; omit to keep the current one
    * @returns {Promise<Object>} - The updated client behavior
    */
-  async updateClientBehavior(clientId, behaviorId, active) {
+  async updateClientBehavior(clientId, behaviorId, active, priority) {
     try {
-      const { data, error } = await supabase
-        .from('client_behaviors')
-        .update({ active })
-        .match({ client_id: clientId, behavior_id: behaviorId })
-        .select()
-        .single();
-        
-      if (error) throw error;
+      const { data } = await apiClient.patch(`/clients/${clientId}/behaviors`, {
+        behaviors: [{ behavior_id: behaviorId, active, priority }]
+      });
       
-      return data;
+      return data.find(behavior => behavior.behavior_id === behaviorId);
     } catch (error) {
       console.error('Error updating client behavior:', error);
       throw error;
@@ -189,18 +288,219 @@ export const therapistService = {
    */
   async removeClientBehavior(clientId, behaviorId) {
     try {
-      const { error } = await supabase
-        .from('client_behaviors')
-        .delete()
-        .match({ client_id: clientId, behavior_id: behaviorId });
-        
-      if (error) throw error;
+      await apiClient.patch(`/clients/${clientId}/behaviors`, {
+        remove: [behaviorId]
+      });
     } catch (error) {
       console.error('Error removing client behavior:', error);
       throw error;
     }
   },
   
+  /**
+   * Compose the system prompt for a preset combination in the playground
+   * @param {Array} behaviorIds - Presets to apply
+   * @param {Object} options - Optional clientId for profile context and language
+   * @returns {Promise<Object>} - The merged prompt with applied and overridden presets
+   */
+  async getPlaygroundPreview(behaviorIds, { clientId = null, language = 'en' } = {}) {
+    try {
+      const { data } = await apiClient.post('/playground/preview', {
+        behavior_ids: behaviorIds,
+        client_id: clientId,
+        language
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching playground preview:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Run test prompts against several preset combinations without saving anything
+   * @param {Array} configurations - { label, behavior_ids } per combination
+   * @param {Array} prompts - Test messages
+   * @param {Object} options - Optional clientId for profile context and language
+   * @returns {Promise<Array>} - Replies per combination
+   */
+  async runPlaygroundComparison(configurations, prompts, { clientId = null, language = 'en' } = {}) {
+    try {
+      const { data } = await apiClient.post('/playground/compare', {
+        configurations,
+        prompts,
+        client_id: clientId,
+        language
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error running playground comparison:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the next reply in a playground chat without saving anything
+   * @param {Array} behaviorIds - Presets to apply
+   * @param {Array} messages - Chat turns as { role, content }
+   * @param {Object} options - Optional clientId for profile context and language
+   * @returns {Promise<Object>} - The reply and its metadata
+   */
+  async sendPlaygroundMessage(behaviorIds, messages, { clientId = null, language = 'en' } = {}) {
+    try {
+      const { data } = await apiClient.post('/playground/chat', {
+        behavior_ids: behaviorIds,
+        messages,
+        client_id: clientId,
+        language
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error sending playground message:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the dashboard overview for a therapist
+   * @param {string} therapistId - The therapist's user ID
+   * @returns {Promise<Object>} - Assigned clients, upcoming sessions and recent summaries
+   */
+  async getDashboard(therapistId) {
+    try {
+      const { data } = await apiClient.get(`/therapists/${therapistId}/dashboard`);
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching therapist dashboard:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Ask the AI a question about a client, answered from the client's
+   * messages, summaries and session notes
+   * @param {string} clientId - The client's user ID
+   * @param {string} question - The question
+   * @param {Object} options - Optional `days` window and answer `language`
+   * @returns {Promise<Object>} - { answer, citations, sources_considered }
+   */
+  async askAboutClient(clientId, question, { days = null, language = 'en' } = {}) {
+    try {
+      const { data } = await apiClient.post(`/clients/${clientId}/ask`, { question, days, language });
+      
+      return data;
+    } catch (error) {
+      console.error('Error asking about client:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get what the AI coach remembers about a client
+   * @param {string} clientId - The client's user ID
+   * @returns {Promise<Array>} - Memories, newest first
+   */
+  async getClientMemories(clientId) {
+    try {
+      const { data } = await apiClient.get(`/clients/${clientId}/memories`);
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching client memories:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Add a memory for a client
+   * @param {string} clientId - The client's user ID
+   * @param {Object} memory - { category, content }
+   * @returns {Promise<Object>} - The created memory
+   */
+  async createClientMemory(clientId, memory) {
+    try {
+      const { data } = await apiClient.post(`/clients/${clientId}/memories`, memory);
+      
+      return data;
+    } catch (error) {
+      console.error('Error creating client memory:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Edit a client's memory
+   * @param {string} clientId - The client's user ID
+   * @param {string} memoryId - The memory ID
+   * @param {Object} changes - { category, content }
+   * @returns {Promise<Object>} - The updated memory
+   */
+  async updateClientMemory(clientId, memoryId, changes) {
+    try {
+      const { data } = await apiClient.patch(`/clients/${clientId}/memories/${memoryId}`, changes);
+      
+      return data;
+    } catch (error) {
+      console.error('Error updating client memory:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Delete a client's memory
+   * @param {string} clientId - The client's user ID
+   * @param {string} memoryId - The memory ID
+   * @returns {Promise<void>}
+   */
+  async deleteClientMemory(clientId, memoryId) {
+    try {
+      await apiClient.delete(`/clients/${clientId}/memories/${memoryId}`);
+    } catch (error) {
+      console.error('Error deleting client memory:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the risk alert queue for the current therapist
+   * @param {Array<string>} statuses - Alert statuses to include
+   * @returns {Promise<Array>} - Alerts ordered by severity, newest first
+   */
+  async getRiskAlerts(statuses = ['open', 'acknowledged']) {
+    try {
+      const { data } = await apiClient.get('/alerts', {
+        params: { status: statuses.join(',') }
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching risk alerts:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Acknowledge or resolve a risk alert
+   * @param {string} alertId - The alert ID
+   * @param {string} status - 'acknowledged' or 'resolved'
+   * @param {string} note - Optional follow-up note
+   * @returns {Promise<Object>} - The updated alert
+   */
+  async updateRiskAlert(alertId, status, note) {
+    try {
+      const { data } = await apiClient.patch(`/alerts/${alertId}`, { status, note });
+      
+      return data;
+    } catch (error) {
+      console.error('Error updating risk alert:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Get upcoming sessions for a therapist
    * @param {string} therapistId - The therapist's user ID
@@ -227,6 +527,101 @@ export const therapistService = {
     }
   },
   
+  /**
+   * Get a therapist's sessions of every status starting within a range
+   * @param {string} therapistId - The therapist's user ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end, exclusive
+   * @returns {Promise<Array>} - Sessions with the client's user row
+   */
+  async getSessionsInRange(therapistId, from, to) {
+    try {
+      const { data, error } = await supabase
+        .from('sessions')
+        .select(`
+          *,
+          clients:users!sessions_client_id_fkey(id, email, name, profile_data)
+        `)
+        .eq('therapist_id', therapistId)
+        .gte('start_time', from.toISOString())
+        .lt('start_time', to.toISOString())
+        .order('start_time', { ascending: true });
+        
+      if (error) throw error;
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get a therapist's free slots over a range of dates
+   * @param {string} therapistId - The therapist's user ID
+   * @param {Object} range
+   * @param {string} range.from - First date, 'YYYY-MM-DD' in the browser's time zone
+   * @param {string} range.to - Last date included
+   * @param {string} [range.excludeSessionId] - A session whose time counts as free, for moving it
+   * @returns {Promise<Array>} - Slots as { start, end } ISO strings
+   */
+  async getAvailableSlots(therapistId, { from, to, excludeSessionId }) {
+    try {
+      const { data } = await apiClient.get(`/therapists/${therapistId}/availability`, {
+        params: {
+          from,
+          to,
+          time_zone: getTimeZone(),
+          exclude_session_id: excludeSessionId
+        }
+      });
+      
+      return data.slots;
+    } catch (error) {
+      console.error('Error fetching available slots:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Move a scheduled session to another free slot. Fails with status 409
+   * when the therapist is not available then.
+   * @param {string} sessionId - The session ID
+   * @param {string} startTime - ISO start of the new slot
+   * @param {string} [reason] - Why it is moved, for the client
+   * @returns {Promise<Object>} - The updated session
+   */
+  async rescheduleSession(sessionId, startTime, reason) {
+    try {
+      const { data } = await apiClient.post(`/sessions/${sessionId}/reschedule`, {
+        start_time: startTime,
+        reason: reason || undefined
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error rescheduling session:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Save the therapist's notes on a session
+   * @param {string} sessionId - The session ID
+   * @param {string} notes - The notes
+   * @returns {Promise<Object>} - The updated session
+   */
+  async updateSessionNotes(sessionId, notes) {
+    try {
+      const { data } = await apiClient.patch(`/sessions/${sessionId}`, { notes });
+      
+      return data;
+    } catch (error) {
+      console.error('Error saving session notes:', error);
+      throw error;
+    }
+  },
+  
   /**
    * Get recent conversation summaries
    * @param {string} therapistId - The therapist's user ID
@@ -260,19 +655,46 @@ export const therapistService = {
   },
   
   /**
-   * Schedule a session with a client
-   * @param {Object} sessionData - The session data
+   * Get a therapist's bookable hours
+   * @param {string} therapistId - The therapist's user ID
+   * @returns {Promise<Object>} - { time_zone, session_minutes, buffer_minutes, weekly, overrides, time_off }
+   */
+  async getHours(therapistId) {
+    try {
+      const { data } = await apiClient.get(`/therapists/${therapistId}/hours`);
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching hours:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Save a therapist's bookable hours; clients book against them right away
+   * @param {string} therapistId - The therapist's user ID
+   * @param {Object} hours - { time_zone, session_minutes, buffer_minutes, weekly, overrides, time_off }
+   * @returns {Promise<Object>} - { availability, outside_hours: upcoming sessions outside the new hours }
+   */
+  async saveHours(therapistId, hours) {
+    try {
+      const { data } = await apiClient.put(`/therapists/${therapistId}/hours`, hours);
+      
+      return data;
+    } catch (error) {
+      console.error('Error saving hours:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Schedule a session with a client in one of the therapist's free slots
+   * @param {Object} sessionData - { therapist_id, client_id, start_time, time_zone? }
    * @returns {Promise<Object>} - The created session
    */
   async scheduleSession(sessionData) {
     try {
-      const { data, error } = await supabase
-        .from('sessions')
-        .insert([sessionData])
-        .select()
-        .single();
-        
-      if (error) throw error;
+      const { data } = await apiClient.post('/sessions', sessionData);
       
       return data;
     } catch (error) {
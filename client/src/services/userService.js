@@ -1,4 +1,11 @@
 import { supabase } from './supabaseClient';
+import { apiClient } from './apiClient';
+
+/**
+ * Get the browser's time zone, such as 'Europe/Madrid'
+ * @returns {string}
+ */
+export const getTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 /**
  * Service for handling user-related functionality
@@ -104,7 +111,7 @@ export const userService = {
   },
   
   /**
-   * Get upcoming sessions for a user
+   * Get upcoming sessions for a user, including any under way
    * @param {string} userId - The user's ID
    * @param {string} role - The user's role ('client' or 'therapist')
    * @returns {Promise<Array>} - Array of upcoming sessions
@@ -118,7 +125,7 @@ export const userService = {
           clients:users!sessions_client_id_fkey(*),
           therapists:users!sessions_therapist_id_fkey(*)
         `)
-        .gt('start_time', new Date().toISOString())
+        .gt('end_time', new Date().toISOString())
         .order('start_time', { ascending: true });
         
       // Filter by role
@@ -202,24 +209,243 @@ export const userService = {
   },
   
   /**
-   * Schedule a session
-   * @param {Object} sessionData - The session data
+   * Get the therapists sessions can be booked with
+   * @returns {Promise<Array>} - Therapists with their time zone and session length
+   */
+  async getAvailableTherapists() {
+    try {
+      const { data } = await apiClient.get('/therapists/available');
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching available therapists:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get a therapist's free slots on a date of the user's calendar
+   * @param {string} therapistId - The therapist's user ID
+   * @param {string} date - 'YYYY-MM-DD' in the user's time zone
+   * @param {string} [timeZone] - The user's time zone; the browser's when not given
+   * @param {string} [excludeSessionId] - Session being moved, whose time counts as free
+   * @returns {Promise<Array>} - Slots as { start, end } ISO strings
+   */
+  async getTherapistAvailability(therapistId, date, timeZone = getTimeZone(), excludeSessionId) {
+    try {
+      const { data } = await apiClient.get(`/therapists/${therapistId}/availability`, {
+        params: { date, time_zone: timeZone, exclude_session_id: excludeSessionId }
+      });
+      
+      return data.slots;
+    } catch (error) {
+      console.error('Error fetching therapist availability:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Book a session in one of a therapist's free slots. Fails with status 409
+   * when the slot has been taken in the meantime.
+   * @param {Object} sessionData - { therapist_id, start_time, client_id?, time_zone? }
    * @returns {Promise<Object>} - The created session
    */
   async scheduleSession(sessionData) {
     try {
-      const { data, error } = await supabase
-        .from('sessions')
-        .insert([sessionData])
-        .select()
-        .single();
-        
-      if (error) throw error;
+      const { data } = await apiClient.post('/sessions', {
+        time_zone: getTimeZone(),
+        ...sessionData
+      });
       
       return data;
     } catch (error) {
       console.error('Error scheduling session:', error);
       throw error;
     }
+  },
+  
+  /**
+   * Move a session to another free slot of its therapist. Fails with status
+   * 409 when the slot was taken or, for clients, the session starts too soon
+   * to be moved.
+   * @param {string} sessionId - The session ID
+   * @param {string} startTime - ISO start of the new slot
+   * @param {string} [reason] - Why it is moved, for the other participant
+   * @returns {Promise<Object>} - The updated session
+   */
+  async rescheduleSession(sessionId, startTime, reason) {
+    try {
+      const { data } = await apiClient.post(`/sessions/${sessionId}/reschedule`, {
+        start_time: startTime,
+        reason: reason || undefined
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error moving session:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Cancel a scheduled session
+   * @param {string} sessionId - The session ID
+   * @param {string} reason - Why it is cancelled
+   * @returns {Promise<Object>} - The updated session, with late_cancel set when the client cancelled late
+   */
+  async cancelSession(sessionId, reason) {
+    try {
+      const { data } = await apiClient.post(`/sessions/${sessionId}/cancel`, { reason });
+      
+      return data;
+    } catch (error) {
+      console.error('Error cancelling session:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Open a session's video room, recording that the user joined
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Object>} - { session, meeting_url }
+   */
+  async joinSession(sessionId) {
+    try {
+      const { data } = await apiClient.post(`/sessions/${sessionId}/join`);
+      
+      return data;
+    } catch (error) {
+      console.error('Error joining session:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get a client's no-show and late-cancellation counts
+   * @param {string} clientId - The client's user ID
+   * @returns {Promise<Object>} - { past_sessions, no_shows, late_cancels, last_no_show_at, last_late_cancel_at, late_cancel_hours }
+   */
+  async getAttendance(clientId) {
+    try {
+      const { data } = await apiClient.get(`/clients/${clientId}/attendance`);
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching attendance:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Plan a recurring series without booking it
+   * @param {Object} seriesData - { therapist_id, start_time, interval_weeks, occurrences, client_id?, time_zone? }
+   * @returns {Promise<Object>} - { time_zone, occurrences: [{ start, end, conflict }] }
+   */
+  async previewSeries(seriesData) {
+    try {
+      const { data } = await apiClient.post('/sessions/series/preview', {
+        time_zone: getTimeZone(),
+        ...seriesData
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error previewing session series:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Book a recurring series. Fails with status 409 when some sessions
+   * conflict, unless skip_conflicts is set.
+   * @param {Object} seriesData - As for previewSeries, plus skip_conflicts
+   * @returns {Promise<Object>} - The series with its sessions
+   */
+  async createSeries(seriesData) {
+    try {
+      const { data } = await apiClient.post('/sessions/series', {
+        time_zone: getTimeZone(),
+        ...seriesData
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error booking session series:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get a series with its sessions, those outside the therapist's hours flagged
+   * @param {string} seriesId - The series ID
+   * @returns {Promise<Object>} - The series with its sessions
+   */
+  async getSeries(seriesId) {
+    try {
+      const { data } = await apiClient.get(`/sessions/series/${seriesId}`);
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching session series:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Move every upcoming session of a series. Fails with status 409 when any
+   * of the new times conflict.
+   * @param {string} seriesId - The series ID
+   * @param {string} startTime - New ISO start of the first upcoming session
+   * @returns {Promise<Object>} - The series with its sessions
+   */
+  async rescheduleSeries(seriesId, startTime) {
+    try {
+      const { data } = await apiClient.patch(`/sessions/series/${seriesId}`, { start_time: startTime });
+      
+      return data;
+    } catch (error) {
+      console.error('Error moving session series:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Cancel the rest of a series
+   * @param {string} seriesId - The series ID
+   * @param {string} [fromSessionId] - First session to cancel; every upcoming one when not given
+   * @param {string} [reason] - Why the sessions are cancelled
+   * @returns {Promise<Object>} - The series with its sessions
+   */
+  async cancelSeries(seriesId, fromSessionId, reason) {
+    try {
+      const { data } = await apiClient.post(`/sessions/series/${seriesId}/cancel`, {
+        from_session_id: fromSessionId,
+        reason: reason || undefined
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error cancelling session series:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get a client's daily sentiment and emotion history
+   * @param {string} userId - The client's user ID
+   * @param {number} days - How many days back to include
+   * @returns {Promise<Object>} - { daily: [{ date, score, emotions, count }], summary }
+   */
+  async getUserSentimentHistory(userId, days = 30) {
+    try {
+      const { data } = await apiClient.get(`/clients/${userId}/sentiment`, {
+        params: { days }
+      });
+      
+      return data;
+    } catch (error) {
+      console.error('Error fetching sentiment history:', error);
+      throw error;
+    }
   }
 };
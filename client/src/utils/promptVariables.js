@@ -0,0 +1,58 @@
+/**
+ * Variables that behavior prompt templates may reference as {{variable}}.
+ * They are resolved on the server from the client's profile and latest
+ * summary; keep this list in sync with server/src/services/promptTemplate.js.
+ */
+export const PROMPT_VARIABLES = [
+  { name: 'client.name', descriptionKey: 'promptTemplate.variables.clientName' },
+  { name: 'client.goals', descriptionKey: 'promptTemplate.variables.clientGoals' },
+  { name: 'client.concerns', descriptionKey: 'promptTemplate.variables.clientConcerns' },
+  { name: 'language', descriptionKey: 'promptTemplate.variables.language' },
+  { name: 'last_summary', descriptionKey: 'promptTemplate.variables.lastSummary' }
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Check a prompt template for unknown variables and unbalanced braces
+ * @param {string} template - The prompt template
+ * @returns {Array} - Problems as { type: 'unknown' | 'unbalanced', variable }
+ */
+export const validatePromptTemplate = (template) => {
+  const known = PROMPT_VARIABLES.map(variable => variable.name);
+  const problems = [];
+
+  for (const match of (template || '').matchAll(VARIABLE_PATTERN)) {
+    if (!known.includes(match[1])) {
+      problems.push({ type: 'unknown', variable: match[1] });
+    }
+  }
+
+  if (/\{\{|\}\}/.test((template || '').replace(VARIABLE_PATTERN, ''))) {
+    problems.push({ type: 'unbalanced', variable: null });
+  }
+
+  return problems;
+};
+
+/**
+ * Find the variable being typed at the caret, e.g. "{{cli|"
+ * @param {string} text - The template text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} - { start, query } where start is the index of "{{"
+ */
+export const getVariableQuery = (text, caret) => {
+  const match = /\{\{\s*([\w.]*)$/.exec(text.slice(0, caret));
+  if (!match) return null;
+
+  return { start: match.index, query: match[1] };
+};
+
+/**
+ * Get the variables matching a partially typed name
+ * @param {string} query - Partial variable name
+ * @returns {Array} - Matching entries from PROMPT_VARIABLES
+ */
+export const suggestVariables = (query) => PROMPT_VARIABLES.filter(variable =>
+  variable.name.toLowerCase().includes((query || '').toLowerCase())
+);
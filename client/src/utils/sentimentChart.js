@@ -0,0 +1,42 @@
+/**
+ * Chart.js helpers for sentiment and emotion trends
+ */
+
+export const EMOTIONS = ['anxiety', 'sadness', 'anger', 'joy'];
+
+export const EMOTION_COLORS = {
+  anxiety: 'rgb(245, 158, 11)',
+  sadness: 'rgb(59, 130, 246)',
+  anger: 'rgb(239, 68, 68)',
+  joy: 'rgb(16, 185, 129)'
+};
+
+/**
+ * Build line chart data with the sentiment score and one dashed line per emotion
+ * @param {Array<Object>} points - Points with { label, score, emotions }
+ * @param {Function} t - Translation function
+ * @returns {Object} - Chart.js data
+ */
+export const buildSentimentChartData = (points, t) => ({
+  labels: points.map(point => point.label),
+  datasets: [
+    {
+      label: t('dashboard.sentimentScore'),
+      data: points.map(point => point.score),
+      borderColor: 'rgb(75, 192, 192)',
+      backgroundColor: 'rgba(75, 192, 192, 0.5)',
+      tension: 0.3
+    },
+    ...EMOTIONS.map(emotion => ({
+      label: t(`emotions.${emotion}`),
+      data: points.map(point => point.emotions?.[emotion] ?? null),
+      borderColor: EMOTION_COLORS[emotion],
+      backgroundColor: EMOTION_COLORS[emotion],
+      borderDash: [4, 4],
+      borderWidth: 1.5,
+      pointRadius: 2,
+      tension: 0.3,
+      spanGaps: true
+    }))
+  ]
+});
@@ -0,0 +1,16 @@
+/**
+ * Conversation lifecycle settings, read from the environment.
+ *
+ * Open conversations without a message for CONVERSATION_IDLE_MINUTES are
+ * closed automatically. The check runs every CONVERSATION_CHECK_MINUTES and
+ * also queues post-close work that was never queued, for conversations
+ * closed within CONVERSATION_RETRY_HOURS.
+ */
+module.exports = {
+  idleMinutes: parseFloat(process.env.CONVERSATION_IDLE_MINUTES) || 30,
+  // Minutes between checks; 0 removes the scheduled job
+  checkMinutes: process.env.CONVERSATION_CHECK_MINUTES !== undefined
+    ? parseFloat(process.env.CONVERSATION_CHECK_MINUTES)
+    : 5,
+  retryHours: parseFloat(process.env.CONVERSATION_RETRY_HOURS) || 24
+};
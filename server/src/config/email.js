@@ -0,0 +1,36 @@
+/**
+ * Email delivery settings, read from the environment.
+ *
+ * EMAIL_TRANSPORT picks how mail leaves the server: 'smtp', 'file' (one .eml
+ * file per message in EMAIL_FILE_DIR) or 'console'. Outside production it
+ * defaults to 'smtp' when SMTP_HOST is set and to 'console' otherwise; in
+ * production it must be set, so a missing SMTP_HOST cannot silently stop
+ * mail. Emails are queued in the email_outbox table and retried with
+ * exponential backoff.
+ */
+const defaultTransport = process.env.SMTP_HOST ? 'smtp' : 'console';
+const transport = process.env.EMAIL_TRANSPORT
+  || (process.env.NODE_ENV === 'production' ? null : defaultTransport);
+
+module.exports = {
+  transport,
+  from: process.env.EMAIL_FROM || 'AI Coach <no-reply@localhost>',
+  // Base URL of the web app, used for links in emails
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  fileDir: process.env.EMAIL_FILE_DIR || 'tmp/emails',
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+  // Delay before the first retry; doubled after every failed attempt
+  retryMinutes: parseFloat(process.env.EMAIL_RETRY_MINUTES) || 1,
+  // Seconds between outbox runs; 0 removes the scheduled job
+  outboxSeconds: process.env.EMAIL_OUTBOX_SECONDS !== undefined
+    ? parseFloat(process.env.EMAIL_OUTBOX_SECONDS)
+    : 60,
+  batchSize: parseInt(process.env.EMAIL_BATCH_SIZE, 10) || 20
+};
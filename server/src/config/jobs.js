@@ -0,0 +1,32 @@
+/**
+ * Scheduled job runner settings, read from the environment.
+ *
+ * Jobs are stored in the jobs table and run by every server process: each
+ * process polls every JOBS_POLL_SECONDS and claims due jobs with row locks,
+ * so a job runs on one process at a time. Failed runs are retried with
+ * exponential backoff starting at JOBS_RETRY_SECONDS.
+ */
+module.exports = {
+  // Seconds between polls; 0 disables the runner in this process
+  pollSeconds: process.env.JOBS_POLL_SECONDS !== undefined
+    ? parseFloat(process.env.JOBS_POLL_SECONDS)
+    : 15,
+  batchSize: parseInt(process.env.JOBS_BATCH_SIZE, 10) || 10,
+  maxAttempts: parseInt(process.env.JOBS_MAX_ATTEMPTS, 10) || 3,
+  retrySeconds: parseFloat(process.env.JOBS_RETRY_SECONDS) || 60,
+  // Jobs running this long belong to a process that died and are run again
+  lockMinutes: parseFloat(process.env.JOBS_LOCK_MINUTES) || 15,
+  // Finished one-off jobs are deleted after this many days
+  retentionDays: parseFloat(process.env.JOBS_RETENTION_DAYS) || 7,
+  // Hours before sessions.start_time that reminders are sent
+  reminderHours: (process.env.SESSION_REMINDER_HOURS || '24,1')
+    .split(',')
+    .map(hours => parseFloat(hours))
+    .filter(hours => hours > 0),
+  // Minutes between scans for sessions that need reminders
+  reminderScanMinutes: parseFloat(process.env.SESSION_REMINDER_SCAN_MINUTES) || 15,
+  // Minutes between scans settling the attendance of ended sessions; 0 disables
+  noShowScanMinutes: process.env.SESSION_NO_SHOW_SCAN_MINUTES !== undefined
+    ? parseFloat(process.env.SESSION_NO_SHOW_SCAN_MINUTES)
+    : 15
+};
@@ -0,0 +1,62 @@
+/**
+ * LLM provider configuration, read from the environment.
+ *
+ * LLM_PROVIDERS sets the fallback order as a comma separated list of provider
+ * names. When it is not set, every provider with credentials is tried in the
+ * order below. The offline mock provider answers with canned replies, so it
+ * is only tried last outside production; in production it must be listed in
+ * LLM_PROVIDERS, and otherwise a request fails with 502 once the real
+ * providers are exhausted.
+ *
+ * contextTokens is the context window budgeted for each model; the reply's
+ * maxTokens is reserved out of it and long conversations are compacted to fit
+ * the rest.
+ */
+const DEFAULT_ORDER = process.env.NODE_ENV === 'production'
+  ? ['openai', 'anthropic', 'local']
+  : ['openai', 'anthropic', 'local', 'mock'];
+
+const providers = {
+  openai: {
+    type: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    contextTokens: parseInt(process.env.OPENAI_CONTEXT_TOKENS, 10) || 16000
+  },
+  anthropic: {
+    type: 'anthropic',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    contextTokens: parseInt(process.env.ANTHROPIC_CONTEXT_TOKENS, 10) || 16000
+  },
+  // Any OpenAI-compatible server running next to the API (Ollama, vLLM, LM Studio...)
+  local: {
+    type: 'openai',
+    apiKey: process.env.LOCAL_LLM_API_KEY || null,
+    baseUrl: process.env.LOCAL_LLM_BASE_URL,
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    contextTokens: parseInt(process.env.LOCAL_LLM_CONTEXT_TOKENS, 10) || 8192,
+    requiresApiKey: false
+  },
+  mock: {
+    type: 'mock',
+    model: 'mock-therapist',
+    contextTokens: parseInt(process.env.MOCK_LLM_CONTEXT_TOKENS, 10) || 4096,
+    delayMs: parseInt(process.env.MOCK_LLM_DELAY_MS, 10) || 0,
+    tokenDelayMs: parseInt(process.env.MOCK_LLM_TOKEN_DELAY_MS, 10) || 40
+  }
+};
+
+const order = process.env.LLM_PROVIDERS
+  ? process.env.LLM_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+  : DEFAULT_ORDER;
+
+module.exports = {
+  providers,
+  order,
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000,
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || 512,
+  temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : 0.7
+};
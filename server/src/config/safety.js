@@ -0,0 +1,16 @@
+/**
+ * Safety classifier configuration, read from the environment.
+ *
+ * The local lexicon always runs. SAFETY_MODEL_URL optionally adds a model
+ * classifier: the message is POSTed as { text, language } and the endpoint
+ * answers { categories: { suicidal_ideation, self_harm, harm_to_others } }
+ * with scores between 0 and 1.
+ */
+module.exports = {
+  modelUrl: process.env.SAFETY_MODEL_URL || null,
+  modelApiKey: process.env.SAFETY_MODEL_API_KEY || null,
+  modelTimeoutMs: parseInt(process.env.SAFETY_MODEL_TIMEOUT_MS, 10) || 3000,
+  // Model scores at or above these thresholds raise a medium or high risk
+  mediumThreshold: parseFloat(process.env.SAFETY_MEDIUM_THRESHOLD) || 0.5,
+  highThreshold: parseFloat(process.env.SAFETY_HIGH_THRESHOLD) || 0.8
+};
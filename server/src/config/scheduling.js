@@ -0,0 +1,29 @@
+/**
+ * Session scheduling settings, read from the environment.
+ *
+ * Therapists set their hours in therapists.availability; these defaults
+ * apply to what they have not set. Hours saved without a time zone are read
+ * in SCHEDULING_DEFAULT_TIME_ZONE.
+ */
+module.exports = {
+  defaultTimeZone: process.env.SCHEDULING_DEFAULT_TIME_ZONE || 'UTC',
+  sessionMinutes: parseInt(process.env.SCHEDULING_SESSION_MINUTES, 10) || 50,
+  bufferMinutes: process.env.SCHEDULING_BUFFER_MINUTES !== undefined
+    ? parseInt(process.env.SCHEDULING_BUFFER_MINUTES, 10)
+    : 10,
+  // Slots starting sooner than this cannot be booked
+  minNoticeHours: process.env.SCHEDULING_MIN_NOTICE_HOURS !== undefined
+    ? parseFloat(process.env.SCHEDULING_MIN_NOTICE_HOURS)
+    : 2,
+  // How far ahead sessions can be booked
+  maxDaysAhead: parseInt(process.env.SCHEDULING_MAX_DAYS_AHEAD, 10) || 90,
+  // How far ahead the last session of a recurring series can be
+  seriesMaxDaysAhead: parseInt(process.env.SCHEDULING_SERIES_MAX_DAYS_AHEAD, 10) || 365,
+  // Clients cancelling sooner than this before a session cancel late, and
+  // can no longer move it
+  lateCancelHours: process.env.SCHEDULING_LATE_CANCEL_HOURS !== undefined
+    ? parseFloat(process.env.SCHEDULING_LATE_CANCEL_HOURS)
+    : 24,
+  // A session's video room is this URL followed by the session ID
+  meetingBaseUrl: process.env.SESSION_MEETING_BASE_URL || 'https://meet.jit.si'
+};
@@ -0,0 +1,17 @@
+/**
+ * Conversation summarization settings, read from the environment.
+ *
+ * Closed conversations are summarized as soon as they end. The daily run
+ * refreshes conversations that have been open longer than
+ * SUMMARY_OPEN_AFTER_HOURS and catches up closed ones that were missed.
+ */
+module.exports = {
+  // Hours between runs; 0 removes the scheduled job
+  intervalHours: process.env.SUMMARY_INTERVAL_HOURS !== undefined
+    ? parseFloat(process.env.SUMMARY_INTERVAL_HOURS)
+    : 24,
+  openAfterHours: parseFloat(process.env.SUMMARY_OPEN_AFTER_HOURS) || 24,
+  lookbackDays: parseInt(process.env.SUMMARY_LOOKBACK_DAYS, 10) || 7,
+  // Older messages are cut from the transcript beyond this length
+  maxTranscriptChars: parseInt(process.env.SUMMARY_MAX_TRANSCRIPT_CHARS, 10) || 24000
+};
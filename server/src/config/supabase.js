@@ -0,0 +1,17 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Server-side Supabase client.
+ *
+ * Uses the service role key from the environment, so every query made through
+ * it bypasses row level security. Routes are responsible for checking access
+ * before touching data (see middleware/auth.js).
+ */
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY, {
+  auth: {
+    autoRefreshToken: false,
+    persistSession: false
+  }
+});
+
+module.exports = { supabase };
@@ -0,0 +1,25 @@
+const { auditLogger } = require('../utils/logger');
+
+/**
+ * Record every API call with the acting user, the target and the outcome.
+ * Request bodies are not logged since they may contain clinical content.
+ */
+const audit = (req, res, next) => {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    auditLogger.info('api_request', {
+      userId: req.user?.id || null,
+      role: req.user?.role || null,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ip: req.ip
+    });
+  });
+
+  next();
+};
+
+module.exports = { audit };
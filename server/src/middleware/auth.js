@@ -0,0 +1,169 @@
+const { supabase } = require('../config/supabase');
+const { ApiError, asyncHandler } = require('../utils/errors');
+const { sendWelcomeEmail, sendInBackground } = require('../services/emailService');
+
+/**
+ * Load the application profile for an authenticated user id
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object|null>} - The users row or null
+ */
+const loadUserProfile = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, email, role, name, profile_data, welcome_sent_at')
+    .eq('id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  return data || null;
+};
+
+/**
+ * Authenticate the request from a Supabase access token in the Authorization
+ * header. In development the client's mock login sends the user id in the
+ * x-dev-user-id header instead, which is accepted only when NODE_ENV is
+ * 'development'. A user's first authenticated request sends their welcome
+ * email.
+ */
+const authenticate = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  let userId = null;
+
+  if (token) {
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data?.user) {
+      throw new ApiError(401, 'Invalid or expired token');
+    }
+
+    userId = data.user.id;
+  } else if (process.env.NODE_ENV === 'development' && req.headers['x-dev-user-id']) {
+    userId = req.headers['x-dev-user-id'];
+  }
+
+  if (!userId) {
+    throw new ApiError(401, 'Authentication required');
+  }
+
+  const profile = await loadUserProfile(userId);
+
+  if (!profile) {
+    throw new ApiError(401, 'User profile not found');
+  }
+
+  if (!profile.welcome_sent_at) {
+    sendInBackground('welcome', sendWelcomeEmail(profile));
+  }
+
+  req.user = profile;
+  next();
+});
+
+/**
+ * Restrict a route to the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ApiError(403, 'Insufficient permissions'));
+  }
+
+  next();
+};
+
+/**
+ * Check whether a therapist is assigned to a client. A therapist is assigned
+ * when they have a scheduled session or a shared conversation with the client,
+ * matching the row level security policies in setup_supabase_schema.sql.
+ * @param {string} therapistId - The therapist's user ID
+ * @param {string} clientId - The client's user ID
+ * @returns {Promise<boolean>}
+ */
+const isAssignedTherapist = async (therapistId, clientId) => {
+  const [sessions, conversations] = await Promise.all([
+    supabase
+      .from('sessions')
+      .select('id', { count: 'exact', head: true })
+      .eq('therapist_id', therapistId)
+      .eq('client_id', clientId),
+    supabase
+      .from('conversations')
+      .select('id', { count: 'exact', head: true })
+      .eq('therapist_id', therapistId)
+      .eq('client_id', clientId)
+  ]);
+
+  if (sessions.error) throw sessions.error;
+  if (conversations.error) throw conversations.error;
+
+  return (sessions.count || 0) + (conversations.count || 0) > 0;
+};
+
+/**
+ * Check whether a user may access a client's data
+ * @param {Object} user - The authenticated user
+ * @param {string} clientId - The client's user ID
+ * @returns {Promise<boolean>}
+ */
+const canAccessClient = async (user, clientId) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'client') return user.id === clientId;
+  if (user.role === 'therapist') return isAssignedTherapist(user.id, clientId);
+
+  return false;
+};
+
+/**
+ * Ensure the authenticated user may access the client named by a route param
+ * @param {string} param - Name of the route parameter holding the client ID
+ * @returns {Function} - Express middleware
+ */
+const authorizeClient = (param = 'id') => asyncHandler(async (req, res, next) => {
+  if (!(await canAccessClient(req.user, req.params[param]))) {
+    throw new ApiError(403, 'You do not have access to this client');
+  }
+
+  next();
+});
+
+/**
+ * Load the conversation named by a route param onto req.conversation and
+ * ensure the authenticated user may access it
+ * @param {string} param - Name of the route parameter holding the conversation ID
+ * @returns {Function} - Express middleware
+ */
+const authorizeConversation = (param = 'id') => asyncHandler(async (req, res, next) => {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', req.params[param])
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  if (!conversation) {
+    throw new ApiError(404, 'Conversation not found');
+  }
+
+  const allowed = conversation.therapist_id === req.user.id
+    || await canAccessClient(req.user, conversation.client_id);
+
+  if (!allowed) {
+    throw new ApiError(403, 'You do not have access to this conversation');
+  }
+
+  req.conversation = conversation;
+  next();
+});
+
+module.exports = {
+  authenticate,
+  requireRole,
+  isAssignedTherapist,
+  canAccessClient,
+  authorizeClient,
+  authorizeConversation
+};
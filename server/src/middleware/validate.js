@@ -0,0 +1,17 @@
+const { validationResult } = require('express-validator');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Reject the request with a 400 when express-validator checks failed
+ */
+const validate = (req, res, next) => {
+  const result = validationResult(req);
+
+  if (!result.isEmpty()) {
+    return next(new ApiError(400, 'Invalid request', result.array()));
+  }
+
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,94 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../utils/errors');
+const jobs = require('../services/jobs');
+const behaviorRoutes = require('./behaviors');
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+/**
+ * GET /admin/behaviors
+ * List all behavior presets
+ */
+router.get(
+  '/behaviors',
+  asyncHandler(async (req, res) => {
+    const { data, error } = await supabase
+      .from('behaviors')
+      .select('*, created_by:users(name)')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(data || []);
+  })
+);
+
+// Creating, updating, versions and rollback are shared with therapists
+router.use('/behaviors', behaviorRoutes);
+
+/**
+ * DELETE /admin/behaviors/:id
+ * Delete a behavior preset
+ */
+router.delete(
+  '/behaviors/:id',
+  param('id').isUUID(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { error } = await supabase
+      .from('behaviors')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    res.status(204).end();
+  })
+);
+
+/**
+ * GET /admin/jobs
+ * Scheduled jobs, soonest due first (`?status=`, `?type=`, `?limit=50`)
+ */
+router.get(
+  '/jobs',
+  query('status').optional().isIn(['pending', 'running', 'completed', 'failed']),
+  query('type').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await jobs.listJobs(req.query));
+  })
+);
+
+/**
+ * GET /admin/jobs/status
+ * Job counts by type and status, with the next and last runs
+ */
+router.get(
+  '/jobs/status',
+  asyncHandler(async (req, res) => {
+    res.json(await jobs.getJobStatus());
+  })
+);
+
+/**
+ * POST /admin/jobs/:id/run
+ * Run a pending job now, or retry a failed one
+ */
+router.post(
+  '/jobs/:id/run',
+  param('id').isUUID(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await jobs.runJobNow(req.params.id));
+  })
+);
+
+module.exports = router;
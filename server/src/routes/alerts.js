@@ -0,0 +1,87 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { ApiError, asyncHandler } = require('../utils/errors');
+const { listAlerts } = require('../services/riskAlertService');
+
+const router = express.Router();
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+router.use(requireRole('therapist', 'admin'));
+
+/**
+ * GET /alerts
+ * Risk alert queue. Therapists see alerts for their clients; admins see all.
+ * `status` is a comma separated list (default: open,acknowledged).
+ */
+router.get(
+  '/',
+  query('status').optional().isString(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const statuses = (req.query.status || 'open,acknowledged').split(',').map(status => status.trim());
+
+    if (statuses.some(status => !STATUSES.includes(status))) {
+      throw new ApiError(400, `status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    const alerts = await listAlerts({
+      therapistId: req.user.role === 'therapist' ? req.user.id : null,
+      statuses
+    });
+
+    res.json(alerts);
+  })
+);
+
+/**
+ * PATCH /alerts/:id
+ * Acknowledge or resolve a risk alert
+ */
+router.patch(
+  '/:id',
+  param('id').isUUID(),
+  body('status').isIn(['acknowledged', 'resolved']),
+  body('note').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { data: alert, error } = await supabase
+      .from('risk_alerts')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    if (!alert) {
+      throw new ApiError(404, 'Alert not found');
+    }
+
+    if (req.user.role === 'therapist' && alert.therapist_id !== req.user.id) {
+      throw new ApiError(403, 'This alert is assigned to another therapist');
+    }
+
+    const now = new Date().toISOString();
+    const { data, error: updateError } = await supabase
+      .from('risk_alerts')
+      .update({
+        status: req.body.status,
+        note: req.body.note ?? alert.note,
+        acknowledged_by: alert.acknowledged_by || req.user.id,
+        acknowledged_at: alert.acknowledged_at || now,
+        ...(req.body.status === 'resolved' ? { resolved_at: now } : {})
+      })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    res.json(data);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../utils/errors');
+const { sendPasswordResetEmail } = require('../services/emailService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * POST /auth/password-reset
+ * Email a password reset link. Public; always answers 202 so the response
+ * does not reveal whether the address has an account.
+ */
+router.post(
+  '/password-reset',
+  body('email').isEmail(),
+  body('language').optional().isString(),
+  validate,
+  asyncHandler(async (req, res) => {
+    try {
+      await sendPasswordResetEmail(req.body.email, req.body.language);
+    } catch (error) {
+      logger.error('Failed to send password reset email', { error: error.message });
+    }
+
+    res.status(202).json({ message: 'If the address has an account, a reset link is on its way' });
+  })
+);
+
+module.exports = router;
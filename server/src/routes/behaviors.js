@@ -0,0 +1,122 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../utils/errors');
+const { assertValidTemplate } = require('../services/promptTemplate');
+const {
+  createBehavior,
+  updateBehavior,
+  listVersions,
+  rollbackBehavior
+} = require('../services/behaviorService');
+
+const router = express.Router();
+
+router.use(requireRole('therapist', 'admin'));
+
+/**
+ * GET /behaviors
+ * List all behavior presets
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { data, error } = await supabase
+      .from('behaviors')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(data || []);
+  })
+);
+
+/**
+ * POST /behaviors
+ * Create a behavior preset (recorded as version 1)
+ */
+router.post(
+  '/',
+  body('name').isString().trim().notEmpty(),
+  body('prompt_template').isString().trim().notEmpty().custom(assertValidTemplate),
+  body('priority').optional().isInt({ min: -100, max: 100 }),
+  body('conflict_group').optional({ nullable: true }).isString().trim(),
+  body('change_note').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const behavior = await createBehavior(req.body, {
+      authorId: req.user.id,
+      changeNote: req.body.change_note
+    });
+
+    res.status(201).json(behavior);
+  })
+);
+
+/**
+ * PUT /behaviors/:id
+ * Update a behavior preset, recording the change as a new version
+ */
+router.put(
+  '/:id',
+  param('id').isUUID(),
+  body('name').isString().trim().notEmpty(),
+  body('prompt_template').isString().trim().notEmpty().custom(assertValidTemplate),
+  body('priority').optional().isInt({ min: -100, max: 100 }),
+  body('conflict_group').optional({ nullable: true }).isString().trim(),
+  body('change_note').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, prompt_template, priority, conflict_group } = req.body;
+
+    const behavior = await updateBehavior(req.params.id, {
+      name,
+      prompt_template,
+      ...(priority !== undefined ? { priority } : {}),
+      ...(conflict_group !== undefined ? { conflict_group } : {})
+    }, {
+      authorId: req.user.id,
+      changeNote: req.body.change_note
+    });
+
+    res.json(behavior);
+  })
+);
+
+/**
+ * GET /behaviors/:id/versions
+ * List the version history of a behavior preset, newest first
+ */
+router.get(
+  '/:id/versions',
+  param('id').isUUID(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await listVersions(req.params.id));
+  })
+);
+
+/**
+ * POST /behaviors/:id/rollback
+ * Restore an earlier version as the preset's new current version
+ */
+router.post(
+  '/:id/rollback',
+  param('id').isUUID(),
+  body('version').isInt({ min: 1 }).toInt(),
+  body('change_note').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const behavior = await rollbackBehavior(req.params.id, req.body.version, {
+      authorId: req.user.id,
+      changeNote: req.body.change_note
+    });
+
+    res.json(behavior);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authorizeClient, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { ApiError, asyncHandler } = require('../utils/errors');
+const { getActiveBehaviors } = require('../services/promptService');
+const { composePrompt } = require('../services/promptComposer');
+const { getTemplateContext } = require('../services/promptTemplate');
+const { summarizeSentiment } = require('../services/sentiment');
+const { askAboutClient } = require('../services/clientInsightService');
+const memory = require('../services/memoryService');
+const { getAttendance } = require('../services/sessionService');
+const { saveMessage } = require('../services/messageService');
+const { greetingFor } = require('../services/chatService');
+
+const router = express.Router();
+
+/**
+ * GET /clients/:id/conversations
+ * List a client's conversations with their summaries, most recently active
+ * first. `archived=true` lists only archived conversations and
+ * `archived=false` only the others; by default all are listed.
+ */
+router.get(
+  '/:id/conversations',
+  param('id').isUUID(),
+  query('archived').optional().isBoolean().toBoolean(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const request = supabase
+      .from('conversations')
+      .select(`
+        *,
+        summaries (
+          id,
+          summary_text,
+          sentiment_metrics,
+          created_at
+        )
+      `)
+      .eq('client_id', req.params.id)
+      .order('last_message_at', { ascending: false, nullsFirst: false })
+      .order('start_ts', { ascending: false });
+
+    if (req.query.archived === true) request.not('archived_at', 'is', null);
+    if (req.query.archived === false) request.is('archived_at', null);
+
+    const { data, error } = await request;
+
+    if (error) throw error;
+
+    res.json(data || []);
+  })
+);
+
+/**
+ * POST /clients/:id/conversations
+ * Start a new conversation for a client, opening with the AI's greeting in
+ * `language`
+ */
+router.post(
+  '/:id/conversations',
+  param('id').isUUID(),
+  body('therapist_id').optional({ nullable: true }).isUUID(),
+  body('language').optional().isString(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const { data, error } = await supabase
+      .from('conversations')
+      .insert([{
+        client_id: req.params.id,
+        therapist_id: req.body.therapist_id || null,
+        start_ts: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { data: client, error: clientError } = await supabase
+      .from('users')
+      .select('name')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (clientError) throw clientError;
+
+    await saveMessage(data, {
+      sender: 'ai',
+      text: greetingFor(client?.name, req.body.language),
+      language: req.body.language
+    });
+
+    res.status(201).json(data);
+  })
+);
+
+/**
+ * GET /clients/:id/sentiment
+ * Daily sentiment and emotion averages of the client's own messages over
+ * the last `days` days (default 30), oldest first, plus an overall summary
+ */
+router.get(
+  '/:id/sentiment',
+  param('id').isUUID(),
+  query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const since = new Date(Date.now() - (req.query.days || 30) * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from('messages')
+      .select('timestamp, sentiment_score, emotions, conversations!inner(client_id)')
+      .eq('conversations.client_id', req.params.id)
+      .eq('sender', 'user')
+      .not('sentiment_score', 'is', null)
+      .gte('timestamp', since.toISOString())
+      .order('timestamp', { ascending: true });
+
+    if (error) throw error;
+
+    const messages = data || [];
+    const byDay = messages.reduce((days, message) => {
+      const date = message.timestamp.slice(0, 10);
+      (days[date] = days[date] || []).push(message);
+      return days;
+    }, {});
+
+    res.json({
+      daily: Object.entries(byDay).map(([date, dayMessages]) => {
+        const { average, emotions, count } = summarizeSentiment(dayMessages);
+        return { date, score: average, emotions, count };
+      }),
+      summary: summarizeSentiment(messages)
+    });
+  })
+);
+
+/**
+ * GET /clients/:id/attendance
+ * The client's no-show and late-cancellation counts
+ */
+router.get(
+  '/:id/attendance',
+  param('id').isUUID(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    res.json(await getAttendance(req.params.id));
+  })
+);
+
+/**
+ * GET /clients/:id/behaviors
+ * List the behavior presets assigned to a client
+ */
+router.get(
+  '/:id/behaviors',
+  param('id').isUUID(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const { data, error } = await supabase
+      .from('client_behaviors')
+      .select('behavior_id, active, priority, behaviors(*)')
+      .eq('client_id', req.params.id);
+
+    if (error) throw error;
+
+    res.json(data || []);
+  })
+);
+
+/**
+ * PATCH /clients/:id/behaviors
+ * Update a client's behavior presets. `behaviors` is a list of
+ * { behavior_id, active, priority? } entries to upsert and `remove` a list of
+ * behavior IDs to unassign. Priority is only changed when given. Responds
+ * with the client's resulting behaviors.
+ */
+router.patch(
+  '/:id/behaviors',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  body('behaviors').optional().isArray(),
+  body('behaviors.*.behavior_id').isUUID(),
+  body('behaviors.*.active').isBoolean(),
+  body('behaviors.*.priority').optional({ nullable: true }).isInt({ min: -100, max: 100 }),
+  body('remove').optional().isArray(),
+  body('remove.*').isUUID(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const updates = req.body.behaviors || [];
+    const removals = req.body.remove || [];
+
+    if (updates.length === 0 && removals.length === 0) {
+      throw new ApiError(400, 'No behavior changes provided');
+    }
+
+    // Upsert one row at a time so entries without a priority keep the stored one
+    const results = await Promise.all(updates.map(({ behavior_id, active, priority }) => supabase
+      .from('client_behaviors')
+      .upsert({
+        client_id: req.params.id,
+        behavior_id,
+        active,
+        ...(priority !== undefined ? { priority } : {})
+      })));
+
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+
+    if (removals.length > 0) {
+      const { error } = await supabase
+        .from('client_behaviors')
+        .delete()
+        .eq('client_id', req.params.id)
+        .in('behavior_id', removals);
+
+      if (error) throw error;
+    }
+
+    const { data, error } = await supabase
+      .from('client_behaviors')
+      .select('behavior_id, active, priority, behaviors(*)')
+      .eq('client_id', req.params.id);
+
+    if (error) throw error;
+
+    res.json(data || []);
+  })
+);
+
+/**
+ * GET /clients/:id/prompt-preview
+ * Preview the system prompt composed from the client's active presets,
+ * with template variables filled in from the client's profile, and the
+ * presets that were applied and those overridden by conflicts
+ */
+router.get(
+  '/:id/prompt-preview',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  query('language').optional().isString(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const { language } = req.query;
+    const [behaviors, context] = await Promise.all([
+      getActiveBehaviors(req.params.id),
+      getTemplateContext(req.params.id, { language })
+    ]);
+
+    res.json(composePrompt(behaviors, { language, context }));
+  })
+);
+
+/**
+ * POST /clients/:id/ask
+ * Answer a question about the client from their messages, conversation
+ * summaries and session notes, with citations. Only the client's assigned
+ * therapist may ask; admins are deliberately excluded.
+ */
+router.post(
+  '/:id/ask',
+  requireRole('therapist'),
+  param('id').isUUID(),
+  body('question').isString().trim().isLength({ min: 3, max: 1000 }),
+  body('days').optional({ nullable: true }).isInt({ min: 1, max: 365 }).toInt(),
+  body('language').optional().isString(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const answer = await askAboutClient({
+      clientId: req.params.id,
+      question: req.body.question,
+      days: req.body.days || null,
+      language: req.body.language
+    });
+
+    res.json(answer);
+  })
+);
+
+/**
+ * GET /clients/:id/memories
+ * List what the AI coach remembers about the client across conversations
+ */
+router.get(
+  '/:id/memories',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    res.json(await memory.listMemories(req.params.id));
+  })
+);
+
+/**
+ * POST /clients/:id/memories
+ * Add a memory by hand
+ */
+router.post(
+  '/:id/memories',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  body('category').isIn(memory.CATEGORIES),
+  body('content').isString().trim().isLength({ min: 1, max: 300 }),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const created = await memory.createMemory(
+      req.params.id,
+      { category: req.body.category, content: req.body.content },
+      { authorId: req.user.id }
+    );
+
+    res.status(201).json(created);
+  })
+);
+
+/**
+ * PATCH /clients/:id/memories/:memoryId
+ * Correct a memory's category or content
+ */
+router.patch(
+  '/:id/memories/:memoryId',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  param('memoryId').isUUID(),
+  body('category').optional().isIn(memory.CATEGORIES),
+  body('content').optional().isString().trim().isLength({ min: 1, max: 300 }),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    const { category, content } = req.body;
+    if (!category && !content) {
+      throw new ApiError(400, 'No memory changes provided');
+    }
+
+    const updated = await memory.updateMemory(
+      req.params.id,
+      req.params.memoryId,
+      { category, content },
+      { authorId: req.user.id }
+    );
+
+    res.json(updated);
+  })
+);
+
+/**
+ * DELETE /clients/:id/memories/:memoryId
+ * Forget a memory
+ */
+router.delete(
+  '/:id/memories/:memoryId',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  param('memoryId').isUUID(),
+  validate,
+  authorizeClient(),
+  asyncHandler(async (req, res) => {
+    await memory.deleteMemory(req.params.id, req.params.memoryId);
+    res.status(204).end();
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,468 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { authorizeConversation, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { ApiError, asyncHandler } = require('../utils/errors');
+const { generateReply, streamReply } = require('../services/chatService');
+const { saveMessage } = require('../services/messageService');
+const { summarizeConversation } = require('../services/summaryService');
+const { closeConversation, queueClosedConversation } = require('../services/lifecycleService');
+const { publish, subscribe } = require('../services/eventHub');
+const { openEventStream, keepAlive } = require('../utils/sse');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Senders each role may post as. AI replies are only ever saved by the
+// server when it generates them.
+const ALLOWED_SENDERS = {
+  client: ['user'],
+  therapist: ['therapist'],
+  admin: ['system']
+};
+
+/**
+ * Ensure the authenticated user is the client the conversation belongs to
+ * @param {Object} req - Request with req.conversation loaded
+ */
+const requireOwnConversation = (req) => {
+  if (req.conversation.client_id !== req.user.id) {
+    throw new ApiError(403, 'Only the client can change this conversation');
+  }
+};
+
+/**
+ * Add who is answering the client to a conversation row: `responder` is the
+ * therapist who took over from the AI, or null while the AI responds
+ * @param {Object} conversation - The conversation row
+ * @returns {Promise<Object>} - The row with `responder` as { id, name }
+ */
+const describeConversation = async (conversation) => {
+  if (!conversation.paused_by) return { ...conversation, responder: null };
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, name')
+    .eq('id', conversation.paused_by)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return { ...conversation, responder: data };
+};
+
+/**
+ * Tell everyone following a conversation that its state changed
+ * @param {Object} conversation - The conversation row
+ * @returns {Promise<Object>} - The row with its responder
+ */
+const publishConversation = async (conversation) => {
+  const described = await describeConversation(conversation);
+  publish(`conversation:${conversation.id}`, 'conversation', described);
+  return described;
+};
+
+/**
+ * Ensure the AI may answer in a conversation
+ * @param {Object} conversation - The conversation row
+ */
+const requireAiResponder = (conversation) => {
+  if (conversation.end_ts) {
+    throw new ApiError(409, 'Conversation has ended');
+  }
+
+  if (conversation.ai_paused_at) {
+    throw new ApiError(409, 'A therapist is responding in this conversation');
+  }
+};
+
+/**
+ * Save an AI reply, unless a therapist took over or the conversation ended
+ * while it was being generated
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} reply - Result of generateReply or streamReply
+ * @param {string} [language] - Language code of the reply
+ * @returns {Promise<Object>} - The messages row
+ */
+const saveReply = async (conversationId, { message, sentiment_score, metadata }, language) => {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .single();
+
+  if (error) throw error;
+
+  requireAiResponder(conversation);
+
+  return saveMessage(conversation, { sender: 'ai', text: message, sentiment_score, metadata, language });
+};
+
+/**
+ * GET /conversations/:id/events
+ * Follow a conversation live over Server-Sent Events: a `conversation` event
+ * with its current state and responder first, then `message` for every saved
+ * message and `conversation` whenever a therapist takes over or hands back,
+ * or the conversation is renamed, closed or reopened.
+ */
+router.get(
+  '/:id/events',
+  param('id').isUUID(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    const conversation = await describeConversation(req.conversation);
+    const send = openEventStream(res);
+    send('conversation', conversation);
+
+    const unsubscribe = subscribe(`conversation:${req.params.id}`, ({ event, data }) => send(event, data));
+    const stopHeartbeat = keepAlive(res);
+
+    res.on('close', () => {
+      stopHeartbeat();
+      unsubscribe();
+    });
+  })
+);
+
+/**
+ * POST /conversations/:id/takeover
+ * Pause the AI so the therapist can reply to the client as themselves
+ */
+router.post(
+  '/:id/takeover',
+  requireRole('therapist'),
+  param('id').isUUID(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    if (req.conversation.end_ts) {
+      throw new ApiError(409, 'Conversation has ended');
+    }
+
+    // Conditional so two therapists taking over at once cannot both win
+    const { data, error } = await supabase
+      .from('conversations')
+      .update({ ai_paused_at: req.conversation.ai_paused_at || new Date().toISOString(), paused_by: req.user.id })
+      .eq('id', req.params.id)
+      .is('end_ts', null)
+      .or(`paused_by.is.null,paused_by.eq.${req.user.id}`)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      throw new ApiError(409, 'Another therapist is already responding');
+    }
+
+    res.json(await publishConversation(data));
+  })
+);
+
+/**
+ * POST /conversations/:id/handback
+ * Let the AI answer the client again
+ */
+router.post(
+  '/:id/handback',
+  requireRole('therapist'),
+  param('id').isUUID(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    if (!req.conversation.ai_paused_at) {
+      return res.json(await describeConversation(req.conversation));
+    }
+
+    const { data, error } = await supabase
+      .from('conversations')
+      .update({ ai_paused_at: null, paused_by: null })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(await publishConversation(data));
+  })
+);
+
+/**
+ * PATCH /conversations/:id
+ * Rename, archive or unarchive one of the client's own conversations. An
+ * empty title clears it.
+ */
+router.patch(
+  '/:id',
+  param('id').isUUID(),
+  body('title').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+  body('archived').optional().isBoolean(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    requireOwnConversation(req);
+
+    const { title, archived } = req.body;
+    if (title === undefined && archived === undefined) {
+      throw new ApiError(400, 'No conversation changes provided');
+    }
+
+    const { data, error } = await supabase
+      .from('conversations')
+      .update({
+        ...(title !== undefined ? { title: title || null } : {}),
+        ...(archived !== undefined ? { archived_at: archived ? new Date().toISOString() : null } : {})
+      })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(await publishConversation(data));
+  })
+);
+
+/**
+ * POST /conversations/:id/resume
+ * Reopen one of the client's own ended conversations so they can continue
+ * it. Resuming also takes it out of the archive; closing it again repeats
+ * the post-close work with the new messages.
+ */
+router.post(
+  '/:id/resume',
+  param('id').isUUID(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    requireOwnConversation(req);
+
+    if (!req.conversation.end_ts && !req.conversation.archived_at) {
+      return res.json(req.conversation);
+    }
+
+    const { data, error } = await supabase
+      .from('conversations')
+      .update({ end_ts: null, closed_reason: null, close_processed_at: null, archived_at: null })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(await publishConversation(data));
+  })
+);
+
+/**
+ * GET /conversations/:id/messages
+ * Fetch the message history of a conversation, oldest first
+ */
+router.get(
+  '/:id/messages',
+  param('id').isUUID(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('conversation_id', req.params.id)
+      .order('timestamp', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(data || []);
+  })
+);
+
+/**
+ * POST /conversations/:id/messages
+ * Save a client, therapist or system message (text or audio) to a
+ * conversation. Text messages are scored for sentiment and emotions on the
+ * server; client messages are also screened for risk and flagged ones raise a
+ * therapist alert. AI replies are saved by the reply routes below.
+ */
+router.post(
+  '/:id/messages',
+  param('id').isUUID(),
+  body('sender').isIn(['user', 'therapist', 'system']),
+  body('text').optional({ nullable: true }).isString(),
+  body('audio_url').optional({ nullable: true }).isURL(),
+  body('sentiment_score').optional({ nullable: true }).isFloat({ min: 0, max: 1 }),
+  body('timestamp').optional().isISO8601(),
+  body('metadata').optional({ nullable: true }).isObject(),
+  body('language').optional().isString(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    const { sender, text, audio_url, sentiment_score, timestamp, metadata, language } = req.body;
+
+    if (!(ALLOWED_SENDERS[req.user.role] || []).includes(sender)) {
+      throw new ApiError(403, `Cannot send messages as '${sender}'`);
+    }
+
+    if (!text && !audio_url) {
+      throw new ApiError(400, 'A message needs text or audio');
+    }
+
+    if (req.conversation.end_ts) {
+      throw new ApiError(409, 'Conversation has ended');
+    }
+
+    if (sender === 'therapist' && req.conversation.paused_by !== req.user.id) {
+      throw new ApiError(409, 'Take over the conversation before replying');
+    }
+
+    const data = await saveMessage(req.conversation, {
+      sender,
+      text,
+      audio_url,
+      sentiment_score: sentiment_score ?? null,
+      timestamp,
+      metadata,
+      language
+    });
+
+    res.status(201).json(data);
+  })
+);
+
+/**
+ * POST /conversations/:id/reply
+ * Generate the AI reply to the latest client message through the LLM proxy,
+ * save it and return it with its metadata and message `id`. Refused while a
+ * therapist has taken over the conversation.
+ */
+router.post(
+  '/:id/reply',
+  param('id').isUUID(),
+  body('message').optional().isString(),
+  body('language').optional().isString(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    requireAiResponder(req.conversation);
+
+    const reply = await generateReply(req.conversation, {
+      message: req.body.message,
+      language: req.body.language
+    });
+    const saved = await saveReply(req.params.id, reply, req.body.language);
+
+    res.json({ ...reply, id: saved.id, timestamp: saved.timestamp });
+  })
+);
+
+/**
+ * POST /conversations/:id/reply/stream
+ * Stream the AI reply over Server-Sent Events. Emits `delta` events with
+ * { text } as tokens arrive, then a single `done` event with the saved reply,
+ * its metadata and message `id`, or an `error` event. Closing the connection
+ * cancels the upstream LLM request; the text generated so far is saved as a
+ * stopped reply.
+ */
+router.post(
+  '/:id/reply/stream',
+  param('id').isUUID(),
+  body('message').optional().isString(),
+  body('language').optional().isString(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    requireAiResponder(req.conversation);
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const send = openEventStream(res);
+
+    try {
+      const reply = await streamReply(req.conversation, {
+        message: req.body.message,
+        language: req.body.language,
+        signal: controller.signal,
+        onDelta: (text) => send('delta', { text })
+      });
+
+      if (!reply.aborted) {
+        const saved = await saveReply(req.params.id, reply, req.body.language);
+        send('done', { ...reply, id: saved.id, timestamp: saved.timestamp });
+      } else if (reply.message) {
+        // Keep what the client already saw
+        await saveReply(req.params.id, { ...reply, metadata: { ...reply.metadata, stopped: true } }, req.body.language);
+      }
+    } catch (error) {
+      logger.error('Streaming reply failed', { conversationId: req.params.id, error: error.message });
+      send('error', { error: error.status && error.status < 500 ? error.message : 'Unable to generate a reply' });
+    }
+
+    res.end();
+  })
+);
+
+/**
+ * POST /conversations/:id/end
+ * End a conversation. Its summary, sentiment roll-up and therapist
+ * notification are produced once, by a background job.
+ */
+router.post(
+  '/:id/end',
+  param('id').isUUID(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    if (req.conversation.end_ts) {
+      return res.json(req.conversation);
+    }
+
+    const closed = await closeConversation(req.params.id, 'ended');
+    if (!closed) {
+      // Closed by the idle check in the meantime
+      const { data, error } = await supabase
+        .from('conversations')
+        .select('*')
+        .eq('id', req.params.id)
+        .single();
+
+      if (error) throw error;
+
+      return res.json(data);
+    }
+
+    try {
+      await queueClosedConversation(closed);
+    } catch (queueError) {
+      // The conversation is closed either way; the idle check queues it again
+      logger.error('Failed to queue closed conversation', { conversationId: req.params.id, error: queueError.message });
+    }
+
+    res.json(closed);
+  })
+);
+
+/**
+ * POST /conversations/:id/summary
+ * Summarize a conversation now. Returns the stored summary unchanged when no
+ * messages arrived since it was written, unless a therapist or admin passes
+ * `force`.
+ */
+router.post(
+  '/:id/summary',
+  param('id').isUUID(),
+  body('force').optional().isBoolean(),
+  validate,
+  authorizeConversation(),
+  asyncHandler(async (req, res) => {
+    const force = req.body.force === true && ['therapist', 'admin'].includes(req.user.role);
+    const result = await summarizeConversation(req.params.id, { force });
+
+    res.json(result);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const { subscribe } = require('../services/eventHub');
+const { openEventStream, keepAlive } = require('../utils/sse');
+
+const router = express.Router();
+
+/**
+ * GET /events
+ * Follow the authenticated user's live updates over Server-Sent Events:
+ * `direct_message` for every direct message they send or receive,
+ * `direct_read` when one of their threads is read, `notification` for each
+ * new notification and `notification_read` when notifications are read
+ */
+router.get('/', (req, res) => {
+  const send = openEventStream(res);
+  send('ready', { user_id: req.user.id });
+
+  const unsubscribe = subscribe(`user:${req.user.id}`, ({ event, data }) => send(event, data));
+  const stopHeartbeat = keepAlive(res);
+
+  res.on('close', () => {
+    stopHeartbeat();
+    unsubscribe();
+  });
+});
+
+module.exports = router;
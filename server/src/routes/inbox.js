@@ -0,0 +1,115 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../utils/errors');
+const inbox = require('../services/inboxService');
+
+const router = express.Router();
+
+const MESSAGE_MAX_CHARS = 5000;
+
+/**
+ * Load the thread named by the route onto req.thread, if the authenticated
+ * user takes part in it
+ */
+const loadThread = asyncHandler(async (req, res, next) => {
+  req.thread = await inbox.getThread(req.params.id, req.user.id);
+  next();
+});
+
+/**
+ * GET /inbox/threads
+ * The user's direct message threads with the other participant and unread count
+ */
+router.get(
+  '/threads',
+  asyncHandler(async (req, res) => {
+    res.json(await inbox.listThreads(req.user.id));
+  })
+);
+
+/**
+ * GET /inbox/contacts
+ * Users the authenticated user may start a thread with: a client's
+ * therapists, a therapist's clients and the admins, and an admin's therapists
+ */
+router.get(
+  '/contacts',
+  asyncHandler(async (req, res) => {
+    res.json(await inbox.listContacts(req.user));
+  })
+);
+
+/**
+ * GET /inbox/unread
+ * Number of direct messages the user has not read
+ */
+router.get(
+  '/unread',
+  asyncHandler(async (req, res) => {
+    res.json({ count: await inbox.countUnread(req.user.id) });
+  })
+);
+
+/**
+ * POST /inbox/threads
+ * Find or start the thread with another user
+ */
+router.post(
+  '/threads',
+  body('recipient_id').isUUID(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await inbox.openThread(req.user, req.body.recipient_id));
+  })
+);
+
+/**
+ * GET /inbox/threads/:id/messages
+ * A thread's messages, oldest first; `before` pages back through older ones
+ */
+router.get(
+  '/threads/:id/messages',
+  param('id').isUUID(),
+  query('before').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  validate,
+  loadThread,
+  asyncHandler(async (req, res) => {
+    res.json(await inbox.listMessages(req.thread.id, {
+      before: req.query.before,
+      limit: req.query.limit
+    }));
+  })
+);
+
+/**
+ * POST /inbox/threads/:id/messages
+ * Send a direct message; it is delivered live to the other participant
+ */
+router.post(
+  '/threads/:id/messages',
+  param('id').isUUID(),
+  body('body').isString().trim().isLength({ min: 1, max: MESSAGE_MAX_CHARS }),
+  validate,
+  loadThread,
+  asyncHandler(async (req, res) => {
+    res.status(201).json(await inbox.sendMessage(req.thread, req.user, req.body.body));
+  })
+);
+
+/**
+ * POST /inbox/threads/:id/read
+ * Mark the thread's messages to the user as read and send read receipts
+ */
+router.post(
+  '/threads/:id/read',
+  param('id').isUUID(),
+  validate,
+  loadThread,
+  asyncHandler(async (req, res) => {
+    res.json({ read: await inbox.markThreadRead(req.thread, req.user.id) });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const llm = require('../services/llm');
+
+const router = express.Router();
+
+/**
+ * GET /llm/providers
+ * List the configured LLM providers in fallback order, for the settings UI
+ */
+router.get('/providers', (req, res) => {
+  res.json(llm.listProviders());
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../utils/errors');
+const notifications = require('../services/notificationService');
+
+const router = express.Router();
+
+/**
+ * Shape a user's notification preferences for the client, with the channels
+ * that cannot be turned off
+ * @param {Object} user - The authenticated user
+ * @param {Object} preferences - Resolved preferences by type
+ * @returns {Object} - { channels, preferences, required }
+ */
+const describePreferences = (user, preferences) => ({
+  channels: notifications.CHANNELS,
+  preferences,
+  required: Object.fromEntries(Object.keys(preferences)
+    .map(type => [type, notifications.NOTIFICATION_TYPES[type].required || []]))
+});
+
+/**
+ * GET /notifications
+ * The user's notifications, newest first (`?unread=true`, `?limit=20`)
+ */
+router.get(
+  '/',
+  query('unread').optional().isBoolean().toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await notifications.listNotifications(req.user.id, {
+      unreadOnly: req.query.unread,
+      limit: req.query.limit
+    }));
+  })
+);
+
+/**
+ * GET /notifications/unread
+ * Number of notifications the user has not read
+ */
+router.get(
+  '/unread',
+  asyncHandler(async (req, res) => {
+    res.json({ count: await notifications.countUnread(req.user.id) });
+  })
+);
+
+/**
+ * GET /notifications/preferences
+ * The channels (in_app, email, push) the user receives each notification type on
+ */
+router.get('/preferences', (req, res) => {
+  res.json(describePreferences(req.user, notifications.resolvePreferences(req.user)));
+});
+
+/**
+ * PATCH /notifications/preferences
+ * Change channels per type: { [type]: { in_app, email, push } }
+ */
+router.patch(
+  '/preferences',
+  body().isObject(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(describePreferences(req.user, await notifications.updatePreferences(req.user, req.body)));
+  })
+);
+
+/**
+ * POST /notifications/read-all
+ * Mark every notification of the user as read
+ */
+router.post(
+  '/read-all',
+  asyncHandler(async (req, res) => {
+    res.json({ read: await notifications.markRead(req.user.id) });
+  })
+);
+
+/**
+ * POST /notifications/:id/read
+ * Mark one notification as read
+ */
+router.post(
+  '/:id/read',
+  param('id').isUUID(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json({ read: await notifications.markRead(req.user.id, req.params.id) });
+  })
+);
+
+module.exports = router;
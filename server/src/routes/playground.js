@@ -0,0 +1,101 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { requireRole, canAccessClient } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { ApiError, asyncHandler } = require('../utils/errors');
+const { composeSandboxPrompt, runComparison, chat } = require('../services/playgroundService');
+
+const router = express.Router();
+
+const MAX_CONFIGURATIONS = 4;
+const MAX_PROMPTS = 6;
+
+router.use(requireRole('therapist', 'admin'));
+
+/**
+ * Ensure the caller may use the optional client_id's profile as context
+ */
+const authorizeContextClient = asyncHandler(async (req, res, next) => {
+  if (req.body.client_id && !(await canAccessClient(req.user, req.body.client_id))) {
+    throw new ApiError(403, 'You do not have access to this client');
+  }
+
+  next();
+});
+
+const contextRules = [
+  body('client_id').optional({ nullable: true }).isUUID(),
+  body('language').optional().isString()
+];
+
+/**
+ * POST /playground/preview
+ * Compose the system prompt for a preset combination
+ */
+router.post(
+  '/preview',
+  body('behavior_ids').isArray(),
+  body('behavior_ids.*').isUUID(),
+  ...contextRules,
+  validate,
+  authorizeContextClient,
+  asyncHandler(async (req, res) => {
+    res.json(await composeSandboxPrompt({
+      behaviorIds: req.body.behavior_ids,
+      clientId: req.body.client_id,
+      language: req.body.language
+    }));
+  })
+);
+
+/**
+ * POST /playground/compare
+ * Run scripted test prompts against up to four preset combinations side by
+ * side. Nothing is saved.
+ */
+router.post(
+  '/compare',
+  body('configurations').isArray({ min: 1, max: MAX_CONFIGURATIONS }),
+  body('configurations.*.label').isString().trim().notEmpty(),
+  body('configurations.*.behavior_ids').isArray(),
+  body('configurations.*.behavior_ids.*').isUUID(),
+  body('prompts').isArray({ min: 1, max: MAX_PROMPTS }),
+  body('prompts.*').isString().trim().notEmpty(),
+  ...contextRules,
+  validate,
+  authorizeContextClient,
+  asyncHandler(async (req, res) => {
+    res.json(await runComparison({
+      configurations: req.body.configurations,
+      prompts: req.body.prompts,
+      clientId: req.body.client_id,
+      language: req.body.language
+    }));
+  })
+);
+
+/**
+ * POST /playground/chat
+ * Reply to a sandbox chat with the given presets. Nothing is saved.
+ */
+router.post(
+  '/chat',
+  body('behavior_ids').isArray(),
+  body('behavior_ids.*').isUUID(),
+  body('messages').isArray({ min: 1 }),
+  body('messages.*.role').isIn(['user', 'assistant']),
+  body('messages.*.content').isString().notEmpty(),
+  ...contextRules,
+  validate,
+  authorizeContextClient,
+  asyncHandler(async (req, res) => {
+    res.json(await chat({
+      behaviorIds: req.body.behavior_ids,
+      messages: req.body.messages.map(({ role, content }) => ({ role, content })),
+      clientId: req.body.client_id,
+      language: req.body.language
+    }));
+  })
+);
+
+module.exports = router;
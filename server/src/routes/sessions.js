@@ -0,0 +1,213 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { asyncHandler } = require('../utils/errors');
+const {
+  bookSession,
+  rescheduleSession,
+  cancelSession,
+  joinSession,
+  updateSessionNotes
+} = require('../services/sessionService');
+const {
+  previewSeries,
+  createSeries,
+  getSeries,
+  rescheduleSeries,
+  cancelSeries
+} = require('../services/seriesService');
+const { isValidTimeZone } = require('../utils/time');
+
+const router = express.Router();
+
+const REASON_MAX_LENGTH = 500;
+
+/**
+ * POST /sessions
+ * Book a session in one of the therapist's free slots. Clients book for
+ * themselves; therapists pass the client_id of one of their clients.
+ */
+router.post(
+  '/',
+  body('therapist_id').isUUID(),
+  body('client_id').optional().isUUID(),
+  body('start_time').isISO8601(),
+  body('time_zone').optional().custom(isValidTimeZone),
+  validate,
+  asyncHandler(async (req, res) => {
+    const session = await bookSession(req.user, {
+      therapistId: req.body.therapist_id,
+      clientId: req.body.client_id || req.user.id,
+      startTime: req.body.start_time,
+      timeZone: req.body.time_zone
+    });
+
+    res.status(201).json(session);
+  })
+);
+
+const seriesChecks = [
+  body('therapist_id').isUUID(),
+  body('client_id').optional().isUUID(),
+  body('start_time').isISO8601(),
+  body('interval_weeks').isInt({ min: 1, max: 4 }).toInt(),
+  body('occurrences').isInt({ min: 2, max: 52 }).toInt(),
+  body('time_zone').optional().custom(isValidTimeZone)
+];
+
+/**
+ * Read a series request from the body
+ * @param {Object} req - Express request
+ * @returns {Object} - previewSeries/createSeries request
+ */
+const toSeriesRequest = (req) => ({
+  therapistId: req.body.therapist_id,
+  clientId: req.body.client_id || req.user.id,
+  startTime: req.body.start_time,
+  intervalWeeks: req.body.interval_weeks,
+  occurrences: req.body.occurrences,
+  timeZone: req.body.time_zone
+});
+
+/**
+ * POST /sessions/series/preview
+ * Every session a recurring series would book, with conflicts flagged
+ */
+router.post(
+  '/series/preview',
+  ...seriesChecks,
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await previewSeries(req.user, toSeriesRequest(req)));
+  })
+);
+
+/**
+ * POST /sessions/series
+ * Book a recurring series, such as every Tuesday 10:00 for 12 weeks. With
+ * conflicts the request fails with 409 unless skip_conflicts is set.
+ */
+router.post(
+  '/series',
+  ...seriesChecks,
+  body('skip_conflicts').optional().isBoolean().toBoolean(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const series = await createSeries(req.user, {
+      ...toSeriesRequest(req),
+      skipConflicts: req.body.skip_conflicts
+    });
+
+    res.status(201).json(series);
+  })
+);
+
+/**
+ * GET /sessions/series/:id
+ * A series with its sessions; upcoming ones outside the therapist's hours are flagged
+ */
+router.get(
+  '/series/:id',
+  param('id').isUUID(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await getSeries(req.user, req.params.id));
+  })
+);
+
+/**
+ * PATCH /sessions/series/:id
+ * Move every upcoming session of a series; start_time is the new start of
+ * the first of them
+ */
+router.patch(
+  '/series/:id',
+  param('id').isUUID(),
+  body('start_time').isISO8601(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await rescheduleSeries(req.user, req.params.id, { startTime: req.body.start_time }));
+  })
+);
+
+/**
+ * POST /sessions/series/:id/cancel
+ * Cancel the rest of a series, from from_session_id or every upcoming session
+ */
+router.post(
+  '/series/:id/cancel',
+  param('id').isUUID(),
+  body('from_session_id').optional().isUUID(),
+  body('reason').optional().isString().trim().isLength({ max: REASON_MAX_LENGTH }),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await cancelSeries(req.user, req.params.id, {
+      fromSessionId: req.body.from_session_id,
+      reason: req.body.reason
+    }));
+  })
+);
+
+/**
+ * PATCH /sessions/:id
+ * Save the therapist's notes on a session
+ */
+router.patch(
+  '/:id',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  body('notes').isString().isLength({ max: 20000 }),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await updateSessionNotes(req.user, req.params.id, req.body.notes));
+  })
+);
+
+/**
+ * POST /sessions/:id/reschedule
+ * Move a scheduled session to another of the therapist's free slots, with
+ * an optional reason for the other participant
+ */
+router.post(
+  '/:id/reschedule',
+  param('id').isUUID(),
+  body('start_time').isISO8601(),
+  body('reason').optional().isString().trim().isLength({ max: REASON_MAX_LENGTH }),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await rescheduleSession(req.user, req.params.id, {
+      startTime: req.body.start_time,
+      reason: req.body.reason
+    }));
+  })
+);
+
+/**
+ * POST /sessions/:id/cancel
+ * Cancel a scheduled session, giving a reason
+ */
+router.post(
+  '/:id/cancel',
+  param('id').isUUID(),
+  body('reason').isString().trim().isLength({ min: 1, max: REASON_MAX_LENGTH }),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await cancelSession(req.user, req.params.id, { reason: req.body.reason }));
+  })
+);
+
+/**
+ * POST /sessions/:id/join
+ * Open the session's video room, recording that the participant joined
+ */
+router.post(
+  '/:id/join',
+  param('id').isUUID(),
+  validate,
+  asyncHandler(async (req, res) => {
+    res.json(await joinSession(req.user, req.params.id));
+  })
+);
+
+module.exports = router;
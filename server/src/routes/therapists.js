@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { supabase } = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { ApiError, asyncHandler } = require('../utils/errors');
+const {
+  getAvailability,
+  saveAvailability,
+  getAvailableSlots,
+  listBookableTherapists
+} = require('../services/availabilityService');
+const {
+  WEEKDAYS,
+  DATE_PATTERN,
+  TIME_PATTERN,
+  addDays,
+  isValidTimeZone,
+  timeToMinutes
+} = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * Get the IDs of clients assigned to a therapist through sessions or
+ * conversations
+ * @param {string} therapistId - The therapist's user ID
+ * @returns {Promise<Array<string>>} - Unique client IDs
+ */
+const getAssignedClientIds = async (therapistId) => {
+  const [sessions, conversations] = await Promise.all([
+    supabase.from('sessions').select('client_id').eq('therapist_id', therapistId),
+    supabase.from('conversations').select('client_id').eq('therapist_id', therapistId)
+  ]);
+
+  if (sessions.error) throw sessions.error;
+  if (conversations.error) throw conversations.error;
+
+  return [...new Set([
+    ...sessions.data.map(row => row.client_id),
+    ...conversations.data.map(row => row.client_id)
+  ])];
+};
+
+/**
+ * GET /therapists/:id/dashboard
+ * Therapist overview: assigned clients, upcoming sessions and recent summaries
+ */
+router.get(
+  '/:id/dashboard',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  query('summaries').optional().isInt({ min: 1, max: 50 }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const therapistId = req.params.id;
+
+    if (req.user.role === 'therapist' && req.user.id !== therapistId) {
+      throw new ApiError(403, 'You can only view your own dashboard');
+    }
+
+    const clientIds = await getAssignedClientIds(therapistId);
+
+    if (clientIds.length === 0) {
+      return res.json({ clients: [], upcomingSessions: [], recentSummaries: [] });
+    }
+
+    const [clients, sessions, summaries] = await Promise.all([
+      supabase
+        .from('clients')
+        .select(`
+          *,
+          users:user_id (id, email, name, profile_data),
+          client_behaviors (
+            behavior_id,
+            active,
+            behaviors (id, name, prompt_template)
+          )
+        `)
+        .in('user_id', clientIds),
+      supabase
+        .from('sessions')
+        .select(`
+          *,
+          clients:users!sessions_client_id_fkey(id, email, name, profile_data)
+        `)
+        .eq('therapist_id', therapistId)
+        .gt('start_time', new Date().toISOString())
+        .order('start_time', { ascending: true }),
+      supabase
+        .from('summaries')
+        .select(`
+          *,
+          conversations!inner (
+            id,
+            client_id,
+            start_ts,
+            clients:users!conversations_client_id_fkey(id, email, name, profile_data)
+          )
+        `)
+        .in('conversations.client_id', clientIds)
+        .order('updated_at', { ascending: false })
+        .limit(parseInt(req.query.summaries, 10) || 5)
+    ]);
+
+    if (clients.error) throw clients.error;
+    if (sessions.error) throw sessions.error;
+    if (summaries.error) throw summaries.error;
+
+    res.json({
+      clients: clients.data || [],
+      upcomingSessions: sessions.data || [],
+      recentSummaries: summaries.data || []
+    });
+  })
+);
+
+/**
+ * GET /therapists/available
+ * Therapists with weekly hours that sessions can be booked with
+ */
+router.get(
+  '/available',
+  asyncHandler(async (req, res) => {
+    res.json(await listBookableTherapists());
+  })
+);
+
+/**
+ * GET /therapists/:id/availability
+ * Bookable slots for a date (`?date=`) or range of dates (`?from=&to=`, up
+ * to 31 days) on the caller's calendar, in `?time_zone=`. The time of
+ * `?exclude_session_id=` counts as free, for moving that session.
+ */
+router.get(
+  '/:id/availability',
+  param('id').isUUID(),
+  query('date').optional().matches(DATE_PATTERN),
+  query('from').optional().matches(DATE_PATTERN),
+  query('to').optional().matches(DATE_PATTERN),
+  query('time_zone').optional().custom(isValidTimeZone),
+  query('exclude_session_id').optional().isUUID(),
+  validate,
+  asyncHandler(async (req, res) => {
+    const from = req.query.date || req.query.from;
+    const to = req.query.date || req.query.to || from;
+
+    if (!from) {
+      throw new ApiError(400, 'Pass a date or a from date');
+    }
+
+    if (to < from || addDays(from, 31) < to) {
+      throw new ApiError(400, 'The range must run forward and span at most 31 days');
+    }
+
+    res.json(await getAvailableSlots(req.params.id, {
+      from,
+      to,
+      timeZone: req.query.time_zone,
+      excludeSessionId: req.query.exclude_session_id
+    }));
+  })
+);
+
+/**
+ * Checks for a list of { start, end } times of day that run forward
+ * @param {string} path - Body path of the list
+ * @returns {Array} - express-validator chains
+ */
+const intervalChecks = (path) => [
+  body(path).isArray({ max: 12 }),
+  body(`${path}.*.start`).matches(TIME_PATTERN),
+  body(`${path}.*.end`).matches(TIME_PATTERN),
+  body(`${path}.*`)
+    .custom(interval => timeToMinutes(interval.start) < timeToMinutes(interval.end))
+    .withMessage('Hours must end after they start')
+];
+
+/**
+ * Only the therapist themselves and admins manage a therapist's hours
+ */
+const authorizeHours = (req, res, next) => {
+  if (req.user.role === 'therapist' && req.user.id !== req.params.id) {
+    return next(new ApiError(403, 'You can only manage your own hours'));
+  }
+
+  next();
+};
+
+/**
+ * GET /therapists/:id/hours
+ * The therapist's weekly hours, per-date overrides, time off, session
+ * length and buffer
+ */
+router.get(
+  '/:id/hours',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  validate,
+  authorizeHours,
+  asyncHandler(async (req, res) => {
+    res.json(await getAvailability(req.params.id));
+  })
+);
+
+/**
+ * PUT /therapists/:id/hours
+ * Replace the therapist's hours; bookings use them right away. Upcoming
+ * sessions that fall outside the new hours are returned as outside_hours.
+ */
+router.put(
+  '/:id/hours',
+  requireRole('therapist', 'admin'),
+  param('id').isUUID(),
+  body('time_zone').custom(isValidTimeZone).withMessage('Unknown time zone'),
+  body('session_minutes').isInt({ min: 15, max: 240 }).toInt(),
+  body('buffer_minutes').isInt({ min: 0, max: 120 }).toInt(),
+  body('weekly')
+    .isObject()
+    .custom(weekly => Object.keys(weekly).every(day => WEEKDAYS.includes(day)))
+    .withMessage(`Weekly hours are keyed by ${WEEKDAYS.join(', ')}`),
+  ...WEEKDAYS.flatMap(day => intervalChecks(`weekly.${day}`).map(check => check.optional())),
+  body('overrides').optional().isArray({ max: 366 }),
+  body('overrides.*.date').matches(DATE_PATTERN),
+  ...intervalChecks('overrides.*.intervals'),
+  body('time_off').optional().isArray({ max: 100 }),
+  body('time_off.*.start').matches(DATE_PATTERN),
+  body('time_off.*.end').matches(DATE_PATTERN),
+  body('time_off.*.note').optional({ nullable: true }).isString().isLength({ max: 200 }),
+  validate,
+  authorizeHours,
+  asyncHandler(async (req, res) => {
+    const { time_zone, session_minutes, buffer_minutes, weekly, overrides, time_off } = req.body;
+
+    res.json(await saveAvailability(req.params.id, {
+      time_zone,
+      session_minutes,
+      buffer_minutes,
+      weekly,
+      overrides,
+      time_off
+    }));
+  })
+);
+
+module.exports = router;
@@ -4,6 +4,26 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
+const { authenticate } = require('./middleware/auth');
+const { audit } = require('./middleware/audit');
+const { logger } = require('./utils/logger');
+const { registerJobs } = require('./services/jobs/registry');
+const { startScheduler } = require('./services/jobs');
+
+// Routers
+const authRoutes = require('./routes/auth');
+const clientRoutes = require('./routes/clients');
+const conversationRoutes = require('./routes/conversations');
+const therapistRoutes = require('./routes/therapists');
+const adminRoutes = require('./routes/admin');
+const behaviorRoutes = require('./routes/behaviors');
+const playgroundRoutes = require('./routes/playground');
+const alertRoutes = require('./routes/alerts');
+const llmRoutes = require('./routes/llm');
+const inboxRoutes = require('./routes/inbox');
+const eventRoutes = require('./routes/events');
+const notificationRoutes = require('./routes/notifications');
+const sessionRoutes = require('./routes/sessions');
 
 // Initialize express app
 const app = express();
@@ -25,16 +45,43 @@ app.get('/', (req, res) => {
   res.status(200).json({ message: 'AI Coach & Therapist API' });
 });
 
+// Public API routes
+app.use('/api/auth', audit, authRoutes);
+
+// API routes (authenticated and audited)
+app.use('/api', audit, authenticate);
+app.use('/api/clients', clientRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/therapists', therapistRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/behaviors', behaviorRoutes);
+app.use('/api/playground', playgroundRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/llm', llmRoutes);
+app.use('/api/inbox', inboxRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/sessions', sessionRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message, details: err.details || undefined });
+  }
+
+  logger.error(err.message, { stack: err.stack, path: req.originalUrl });
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
 // Start server
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+if (require.main === module) {
+  const PORT = process.env.PORT || 5001;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    registerJobs()
+      .then(startScheduler)
+      .catch(error => logger.error('Failed to start scheduled jobs', { error: error.message }));
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,136 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { normalizeAvailability, generateSlots, isWithinHours } = require('../availabilityService');
+const { zonedTimeToDate } = require('../../utils/time');
+
+const NEW_YORK = 'America/New_York';
+
+// Slot starts between two dates of a time zone, as ISO strings
+const slotStarts = (availability, from, to = from) => generateSlots(
+  availability,
+  zonedTimeToDate(from, '00:00', availability.time_zone),
+  zonedTimeToDate(to, '24:00', availability.time_zone)
+).map(slot => slot.start.toISOString());
+
+describe('normalizeAvailability', () => {
+  it('fills in the defaults', () => {
+    expect(normalizeAvailability(null)).toMatchObject({
+      time_zone: 'UTC',
+      session_minutes: 50,
+      buffer_minutes: 10,
+      overrides: [],
+      time_off: []
+    });
+  });
+
+  it('reads legacy lists of slot starts as hour-long intervals', () => {
+    const { weekly } = normalizeAvailability({ monday: ['10:00', '9:00'] });
+
+    expect(weekly.monday).toEqual([{ start: '09:00', end: '10:00' }, { start: '10:00', end: '11:00' }]);
+    expect(weekly.tuesday).toEqual([]);
+  });
+
+  it('drops unreadable intervals and unknown time zones', () => {
+    const availability = normalizeAvailability({
+      time_zone: 'Nowhere/Else',
+      weekly: { monday: ['9:00-12:00', { start: '14:00', end: '13:00' }, 'soon'] }
+    });
+
+    expect(availability.time_zone).toBe('UTC');
+    expect(availability.weekly.monday).toEqual([{ start: '09:00', end: '12:00' }]);
+  });
+});
+
+describe('generateSlots', () => {
+  const weekdays = normalizeAvailability({
+    time_zone: NEW_YORK,
+    session_minutes: 50,
+    buffer_minutes: 10,
+    weekly: { monday: ['09:00-12:00'], tuesday: ['09:00-10:00'] }
+  });
+
+  it('fits sessions and buffers into the hours, in the therapist\'s time zone', () => {
+    expect(slotStarts(weekdays, '2026-10-19')).toEqual([
+      '2026-10-19T13:00:00.000Z',
+      '2026-10-19T14:00:00.000Z',
+      '2026-10-19T15:00:00.000Z'
+    ]);
+  });
+
+  it('follows the therapist\'s offset across daylight saving time', () => {
+    // The first Monday after clocks go back in New York
+    expect(slotStarts(weekdays, '2026-11-02')[0]).toBe('2026-11-02T14:00:00.000Z');
+  });
+
+  it('replaces the weekly hours with a date\'s override and skips time off', () => {
+    const availability = normalizeAvailability({
+      ...weekdays,
+      overrides: [{ date: '2026-10-19', intervals: ['15:00-16:00'] }],
+      time_off: [{ start: '2026-10-20', end: '2026-10-20' }]
+    });
+
+    expect(slotStarts(availability, '2026-10-19', '2026-10-20')).toEqual(['2026-10-19T19:00:00.000Z']);
+  });
+
+  it('only returns slots starting within the range', () => {
+    const slots = generateSlots(weekdays, new Date('2026-10-19T13:30:00Z'), new Date('2026-10-19T15:00:00Z'));
+
+    expect(slots.map(slot => slot.start.toISOString())).toEqual(['2026-10-19T14:00:00.000Z']);
+    expect(slots[0].end.toISOString()).toBe('2026-10-19T14:50:00.000Z');
+  });
+
+  it('leaves out start times skipped when clocks go forward', () => {
+    const availability = normalizeAvailability({
+      time_zone: NEW_YORK,
+      session_minutes: 60,
+      buffer_minutes: 0,
+      weekly: { sunday: ['01:00-05:00'] }
+    });
+
+    // 02:00 does not exist on 2026-03-08 in New York
+    expect(slotStarts(availability, '2026-03-08')).toEqual([
+      '2026-03-08T06:00:00.000Z',
+      '2026-03-08T07:00:00.000Z',
+      '2026-03-08T08:00:00.000Z'
+    ]);
+  });
+
+  it('handles zones ahead of UTC whose days start on the previous UTC date', () => {
+    const availability = normalizeAvailability({
+      time_zone: 'Australia/Sydney',
+      session_minutes: 60,
+      buffer_minutes: 0,
+      weekly: { monday: ['08:00-10:00'] }
+    });
+
+    expect(slotStarts(availability, '2026-10-19')).toEqual([
+      '2026-10-18T21:00:00.000Z',
+      '2026-10-18T22:00:00.000Z'
+    ]);
+  });
+});
+
+describe('isWithinHours', () => {
+  const availability = normalizeAvailability({
+    time_zone: NEW_YORK,
+    weekly: { monday: ['09:00-12:00'] }
+  });
+
+  it('accepts sessions inside an interval of their date', () => {
+    expect(isWithinHours(availability, {
+      start_time: '2026-10-19T15:10:00Z',
+      end_time: '2026-10-19T16:00:00Z'
+    })).toBe(true);
+  });
+
+  it('rejects sessions running past the end or on a day off', () => {
+    expect(isWithinHours(availability, {
+      start_time: '2026-10-19T15:30:00Z',
+      end_time: '2026-10-19T16:20:00Z'
+    })).toBe(false);
+    expect(isWithinHours(availability, {
+      start_time: '2026-10-20T13:00:00Z',
+      end_time: '2026-10-20T13:50:00Z'
+    })).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { composePrompt, orderBehaviors, effectivePriority } = require('../promptComposer');
+
+const preset = (overrides) => ({
+  id: overrides.name,
+  prompt_template: `Follow ${overrides.name}.`,
+  priority: 0,
+  conflict_group: null,
+  ...overrides
+});
+
+describe('effectivePriority', () => {
+  it('prefers the per-client priority over the preset default', () => {
+    expect(effectivePriority({ priority: 5, client_priority: 1 })).toBe(1);
+    expect(effectivePriority({ priority: 5, client_priority: 0 })).toBe(0);
+    expect(effectivePriority({ priority: 5, client_priority: null })).toBe(5);
+    expect(effectivePriority({})).toBe(0);
+  });
+});
+
+describe('orderBehaviors', () => {
+  it('sorts by effective priority, highest first, then by name', () => {
+    const ordered = orderBehaviors([
+      preset({ name: 'b', priority: 1 }),
+      preset({ name: 'c', priority: 9 }),
+      preset({ name: 'a', priority: 1 }),
+      preset({ name: 'd', priority: 0, client_priority: 10 })
+    ]);
+
+    expect(ordered.map(behavior => behavior.name)).toEqual(['d', 'c', 'a', 'b']);
+  });
+
+  it('does not reorder the input', () => {
+    const behaviors = [preset({ name: 'low', priority: 1 }), preset({ name: 'high', priority: 2 })];
+    orderBehaviors(behaviors);
+
+    expect(behaviors[0].name).toBe('low');
+  });
+});
+
+describe('composePrompt', () => {
+  it('applies only the highest priority preset of a conflict group', () => {
+    const { applied, overridden } = composePrompt([
+      preset({ name: 'gentle', conflict_group: 'tone', priority: 1 }),
+      preset({ name: 'direct', conflict_group: 'tone', priority: 5 }),
+      preset({ name: 'cbt', priority: 3 })
+    ]);
+
+    expect(applied.map(behavior => behavior.name)).toEqual(['direct', 'cbt']);
+    expect(overridden).toEqual([
+      expect.objectContaining({ name: 'gentle', reason: 'conflict', overridden_by: 'direct' })
+    ]);
+  });
+
+  it('lets a per-client priority decide the conflict', () => {
+    const { applied, overridden } = composePrompt([
+      preset({ name: 'gentle', conflict_group: 'tone', priority: 1, client_priority: 8 }),
+      preset({ name: 'direct', conflict_group: 'tone', priority: 5 })
+    ]);
+
+    expect(applied.map(behavior => behavior.name)).toEqual(['gentle']);
+    expect(overridden[0]).toMatchObject({ name: 'direct', overridden_by: 'gentle' });
+  });
+
+  it('applies identical templates once and skips empty ones', () => {
+    const { applied, overridden } = composePrompt([
+      preset({ name: 'first', prompt_template: 'Be brief.', priority: 2 }),
+      preset({ name: 'copy', prompt_template: '  Be brief.\n', priority: 1 }),
+      preset({ name: 'blank', prompt_template: '   ' })
+    ]);
+
+    expect(applied.map(behavior => behavior.name)).toEqual(['first']);
+    expect(overridden).toEqual([
+      expect.objectContaining({ name: 'copy', reason: 'duplicate', overridden_by: 'first' }),
+      expect.objectContaining({ name: 'blank', reason: 'empty', overridden_by: null })
+    ]);
+  });
+
+  it('lists applied presets in priority order with their rendered templates', () => {
+    const { system } = composePrompt([
+      preset({ name: 'Goals', prompt_template: 'Work towards {{client.goals}}.', priority: 1 }),
+      preset({ name: 'Tone', prompt_template: 'Be warm.', priority: 2 })
+    ], { context: { 'client.goals': ['sleep better', 'exercise'] } });
+
+    expect(system).toContain('## 1. Tone\nBe warm.');
+    expect(system).toContain('## 2. Goals\nWork towards sleep better, exercise.');
+    expect(system.indexOf('## 1. Tone')).toBeLessThan(system.indexOf('## 2. Goals'));
+  });
+
+  it('leaves out the precedence note when no preset applies', () => {
+    const { system, applied } = composePrompt([], { language: 'es-MX' });
+
+    expect(applied).toEqual([]);
+    expect(system).not.toContain('highest to lowest priority');
+    expect(system).toMatch(/Always reply in Spanish\.$/);
+  });
+
+  it('reports the version and effective priority of each preset', () => {
+    const { applied } = composePrompt([
+      preset({ name: 'cbt', priority: 3, client_priority: 7, current_version: 4 })
+    ]);
+
+    expect(applied).toEqual([
+      { id: 'cbt', name: 'cbt', version: 4, priority: 7, conflict_group: null }
+    ]);
+  });
+});
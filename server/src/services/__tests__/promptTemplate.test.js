@@ -0,0 +1,123 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const {
+  languageName,
+  validateTemplate,
+  assertValidTemplate,
+  renderTemplate,
+  getTemplateContext
+} = require('../promptTemplate');
+
+// Chainable query that resolves to `result` whatever filters are applied
+const queryResolving = (result) => {
+  const query = {};
+  ['select', 'eq', 'order', 'limit'].forEach(method => { query[method] = () => query; });
+  query.maybeSingle = () => Promise.resolve(result);
+  return query;
+};
+
+describe('renderTemplate', () => {
+  it('fills in known variables, with or without inner spaces', () => {
+    const text = renderTemplate('Hi {{client.name}}, we reply in {{ language }}.', {
+      'client.name': 'Ana',
+      language: 'Spanish'
+    });
+
+    expect(text).toBe('Hi Ana, we reply in Spanish.');
+  });
+
+  it('joins lists and marks missing values as not specified', () => {
+    const text = renderTemplate('Goals: {{client.goals}}. Concerns: {{client.concerns}}. Last: {{last_summary}}.', {
+      'client.goals': ['sleep', 'focus'],
+      'client.concerns': [],
+      last_summary: '   '
+    });
+
+    expect(text).toBe('Goals: sleep, focus. Concerns: not specified. Last: not specified.');
+  });
+
+  it('leaves unknown variables in place', () => {
+    expect(renderTemplate('Dear {{client.nickname}}', { 'client.nickname': 'x' })).toBe('Dear {{client.nickname}}');
+  });
+
+  it('treats a missing template as empty', () => {
+    expect(renderTemplate(null)).toBe('');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('accepts templates using only known variables', () => {
+    expect(validateTemplate('Help {{client.name}} with {{ client.goals }}.')).toEqual([]);
+    expect(validateTemplate('')).toEqual([]);
+  });
+
+  it('reports unknown variables', () => {
+    expect(validateTemplate('{{client.age}} and {{mood}}')).toEqual([
+      { variable: 'client.age', message: 'Unknown template variable "{{client.age}}"' },
+      { variable: 'mood', message: 'Unknown template variable "{{mood}}"' }
+    ]);
+  });
+
+  it('reports unbalanced braces', () => {
+    expect(validateTemplate('Hi {{client.name}')).toEqual([
+      { variable: null, message: 'Unbalanced "{{" or "}}" in template' }
+    ]);
+  });
+
+  it('throws every problem from assertValidTemplate', () => {
+    expect(assertValidTemplate('{{client.name}}')).toBe(true);
+    expect(() => assertValidTemplate('{{x}} }}')).toThrow(
+      'Unknown template variable "{{x}}"; Unbalanced "{{" or "}}" in template'
+    );
+  });
+});
+
+describe('languageName', () => {
+  it('names regional codes by their language and falls back to English', () => {
+    expect(languageName('es-MX')).toBe('Spanish');
+    expect(languageName('fr')).toBe('English');
+    expect(languageName()).toBe('English');
+  });
+});
+
+describe('getTemplateContext', () => {
+  afterEach(() => supabase.from.mockReset());
+
+  it('prefers the profile name and reads the latest summary', async () => {
+    const results = {
+      users: { data: { name: 'Account name' }, error: null },
+      clients: { data: { profile_data: { name: 'Ana', goals: ['sleep'] } }, error: null },
+      summaries: { data: { summary_text: 'Talked about work.' }, error: null }
+    };
+    supabase.from.mockImplementation(table => queryResolving(results[table]));
+
+    await expect(getTemplateContext('client-1', { language: 'es' })).resolves.toEqual({
+      'client.name': 'Ana',
+      'client.goals': ['sleep'],
+      'client.concerns': undefined,
+      language: 'Spanish',
+      last_summary: 'Talked about work.'
+    });
+  });
+
+  it('falls back to the account name without a client profile', async () => {
+    supabase.from.mockImplementation(table => queryResolving(
+      table === 'users' ? { data: { name: 'Ana' }, error: null } : { data: null, error: null }
+    ));
+
+    const context = await getTemplateContext('client-1');
+
+    expect(context['client.name']).toBe('Ana');
+    expect(context.last_summary).toBeUndefined();
+  });
+
+  it('rejects when a query fails', async () => {
+    const failure = new Error('boom');
+    supabase.from.mockImplementation(table => queryResolving(
+      table === 'clients' ? { data: null, error: failure } : { data: null, error: null }
+    ));
+
+    await expect(getTemplateContext('client-1')).rejects.toBe(failure);
+  });
+});
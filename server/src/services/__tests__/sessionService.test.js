@@ -0,0 +1,206 @@
+jest.mock('../../config/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../config/supabase');
+const config = require('../../config/scheduling');
+const {
+  cancellationFields,
+  assertClientMayMove,
+  attendanceOutcome,
+  settleAttendance,
+  getAttendance
+} = require('../sessionService');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const client = { id: 'client-1', role: 'client' };
+const therapist = { id: 'therapist-1', role: 'therapist' };
+
+// A session starting this many hours from NOW
+const startingIn = (hours) => ({ start_time: new Date(NOW.getTime() + hours * HOUR_MS).toISOString() });
+
+// Chainable query recording its calls, resolving to `result(calls)`
+const recordingQuery = (result) => {
+  const calls = [];
+  const query = {};
+  ['select', 'update', 'eq', 'in', 'lte', 'gt', 'order'].forEach(method => {
+    query[method] = (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    };
+  });
+  query.then = (resolve, reject) => Promise.resolve(result(calls)).then(resolve, reject);
+  return query;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  supabase.from.mockReset();
+});
+
+describe('cancellationFields', () => {
+  it('records a client cancelling inside the window as late', () => {
+    expect(cancellationFields(client, startingIn(config.lateCancelHours - 1), 'Sick')).toEqual({
+      status: 'cancelled',
+      cancelled_at: NOW.toISOString(),
+      cancelled_by: 'client-1',
+      cancel_reason: 'Sick',
+      late_cancel: true
+    });
+  });
+
+  it('records a client cancelling before the window as on time', () => {
+    expect(cancellationFields(client, startingIn(config.lateCancelHours + 1)).late_cancel).toBe(false);
+  });
+
+  it('treats the start of the window as on time', () => {
+    expect(cancellationFields(client, startingIn(config.lateCancelHours)).late_cancel).toBe(false);
+    expect(cancellationFields(client, startingIn(config.lateCancelHours - 1 / 60)).late_cancel).toBe(true);
+  });
+
+  it('never records therapists or admins as cancelling late', () => {
+    expect(cancellationFields(therapist, startingIn(1)).late_cancel).toBe(false);
+    expect(cancellationFields({ id: 'admin-1', role: 'admin' }, startingIn(1)).late_cancel).toBe(false);
+  });
+
+  it('stores a missing reason as null', () => {
+    expect(cancellationFields(therapist, startingIn(48)).cancel_reason).toBeNull();
+  });
+});
+
+describe('assertClientMayMove', () => {
+  it('lets clients move sessions before the window', () => {
+    expect(() => assertClientMayMove(client, startingIn(config.lateCancelHours + 1))).not.toThrow();
+  });
+
+  it('refuses clients inside the window with a 409', () => {
+    expect(() => assertClientMayMove(client, startingIn(1))).toThrow(
+      expect.objectContaining({ status: 409 })
+    );
+  });
+
+  it('lets therapists move sessions at any time', () => {
+    expect(() => assertClientMayMove(therapist, startingIn(1))).not.toThrow();
+  });
+});
+
+describe('attendanceOutcome', () => {
+  const joined = NOW.toISOString();
+
+  it('completes sessions both participants joined', () => {
+    expect(attendanceOutcome({ client_joined_at: joined, therapist_joined_at: joined }))
+      .toEqual({ status: 'completed', absent: null });
+  });
+
+  it('records who was absent from a no-show', () => {
+    expect(attendanceOutcome({ client_joined_at: null, therapist_joined_at: joined }))
+      .toEqual({ status: 'no-show', absent: 'client' });
+    expect(attendanceOutcome({ client_joined_at: joined, therapist_joined_at: null }))
+      .toEqual({ status: 'no-show', absent: 'therapist' });
+    expect(attendanceOutcome({ client_joined_at: null, therapist_joined_at: null }))
+      .toEqual({ status: 'no-show', absent: 'both' });
+  });
+});
+
+describe('settleAttendance', () => {
+  it('settles each ended session by who joined, guarded by status', async () => {
+    const joined = NOW.toISOString();
+    const ended = [
+      { id: 'a', client_joined_at: joined, therapist_joined_at: joined },
+      { id: 'b', client_joined_at: joined, therapist_joined_at: null },
+      { id: 'c', client_joined_at: null, therapist_joined_at: joined },
+      { id: 'd', client_joined_at: null, therapist_joined_at: joined }
+    ];
+    const updates = [];
+    supabase.from.mockImplementation(() => recordingQuery(calls => {
+      const update = calls.find(([method]) => method === 'update');
+      if (!update) return { data: ended, error: null };
+
+      const ids = calls.find(([method, column]) => method === 'in' && column === 'id')[2];
+      updates.push({ fields: update[1], ids, calls });
+      return { data: ids.map(id => ({ id })), error: null };
+    }));
+
+    await expect(settleAttendance()).resolves.toEqual({ completed: 1, no_shows: 3 });
+
+    expect(updates.map(({ fields, ids }) => [fields, ids])).toEqual([
+      [{ status: 'completed', absent: null }, ['a']],
+      [{ status: 'no-show', absent: 'therapist' }, ['b']],
+      [{ status: 'no-show', absent: 'client' }, ['c', 'd']]
+    ]);
+    updates.forEach(({ calls }) => {
+      expect(calls).toContainEqual(['in', 'status', ['scheduled', 'in-progress']]);
+    });
+  });
+
+  it('settles sessions that ended long ago, as after the scheduler was down', async () => {
+    const queries = [];
+    supabase.from.mockImplementation(() => recordingQuery(calls => {
+      queries.push(calls);
+      return calls.some(([method]) => method === 'update')
+        ? { data: [{ id: 'old' }], error: null }
+        : { data: [{ id: 'old', client_joined_at: null, therapist_joined_at: null }], error: null };
+    }));
+
+    await expect(settleAttendance()).resolves.toEqual({ completed: 0, no_shows: 1 });
+
+    const [select] = queries;
+    expect(select).toContainEqual(['lte', 'end_time', NOW.toISOString()]);
+    expect(select.filter(([method]) => method === 'gt')).toEqual([]);
+  });
+
+  it('updates large backlogs in batches', async () => {
+    const ended = Array.from({ length: 250 }, (_, index) => ({
+      id: `s${index}`,
+      client_joined_at: null,
+      therapist_joined_at: null
+    }));
+    const batches = [];
+    supabase.from.mockImplementation(() => recordingQuery(calls => {
+      if (!calls.some(([method]) => method === 'update')) return { data: ended, error: null };
+
+      const ids = calls.find(([method, column]) => method === 'in' && column === 'id')[2];
+      batches.push(ids.length);
+      return { data: ids.map(id => ({ id })), error: null };
+    }));
+
+    await expect(settleAttendance()).resolves.toEqual({ completed: 0, no_shows: 250 });
+    expect(batches).toEqual([100, 100, 50]);
+  });
+
+  it('does nothing without ended sessions', async () => {
+    supabase.from.mockImplementation(() => recordingQuery(() => ({ data: [], error: null })));
+
+    await expect(settleAttendance()).resolves.toEqual({ completed: 0, no_shows: 0 });
+    expect(supabase.from).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getAttendance', () => {
+  it('counts no-shows the client missed and late cancellations', async () => {
+    supabase.from.mockImplementation(() => recordingQuery(() => ({
+      data: [
+        { start_time: '2026-10-15T10:00:00Z', status: 'no-show', absent: 'therapist', late_cancel: false },
+        { start_time: '2026-10-12T10:00:00Z', status: 'no-show', absent: 'client', late_cancel: false },
+        { start_time: '2026-10-08T10:00:00Z', status: 'cancelled', absent: null, late_cancel: true },
+        { start_time: '2026-10-05T10:00:00Z', status: 'no-show', absent: null, late_cancel: false },
+        { start_time: '2026-10-01T10:00:00Z', status: 'completed', absent: null, late_cancel: false }
+      ],
+      error: null
+    })));
+
+    await expect(getAttendance('client-1')).resolves.toEqual({
+      past_sessions: 4,
+      no_shows: 2,
+      late_cancels: 1,
+      last_no_show_at: '2026-10-12T10:00:00Z',
+      last_late_cancel_at: '2026-10-08T10:00:00Z',
+      late_cancel_hours: config.lateCancelHours
+    });
+  });
+});
@@ -0,0 +1,444 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/scheduling');
+const { ApiError } = require('../utils/errors');
+const {
+  WEEKDAYS,
+  DATE_PATTERN,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  addDays,
+  getWeekday,
+  timeToMinutes,
+  minutesToTime
+} = require('../utils/time');
+
+// Session statuses that hold the therapist's time
+const BLOCKING_STATUSES = ['scheduled', 'in-progress'];
+
+// Availability saved before hours were ranges lists slot start times, each an hour long
+const LEGACY_SLOT_MINUTES = 60;
+
+/**
+ * Read one entry of a day's hours: { start, end }, a '9:00-12:00' range or a
+ * legacy '9:00' slot start
+ * @param {Object|string} entry - The entry
+ * @returns {Object|null} - { start, end } as 'HH:MM', or null when unreadable
+ */
+const toInterval = (entry) => {
+  let start;
+  let end;
+
+  if (typeof entry === 'string') {
+    [start, end] = entry.split('-').map(part => part.trim());
+    if (!end && /^\d{1,2}:\d{2}$/.test(start || '')) {
+      end = minutesToTime(Math.min(timeToMinutes(start) + LEGACY_SLOT_MINUTES, 24 * 60));
+    }
+  } else if (entry && typeof entry === 'object') {
+    ({ start, end } = entry);
+  }
+
+  if (!/^\d{1,2}:\d{2}$/.test(start || '') || !/^\d{1,2}:\d{2}$/.test(end || '')) return null;
+  if (timeToMinutes(start) >= timeToMinutes(end)) return null;
+
+  return { start: minutesToTime(timeToMinutes(start)), end: minutesToTime(timeToMinutes(end)) };
+};
+
+const toIntervals = (entries) => (Array.isArray(entries) ? entries : [])
+  .map(toInterval)
+  .filter(Boolean)
+  .sort((a, b) => a.start.localeCompare(b.start));
+
+/**
+ * Read a therapist's availability into its full shape, filling defaults.
+ * Both the current shape and the legacy per-weekday lists of '9:00' slot
+ * starts are accepted.
+ * @param {Object|null} availability - therapists.availability
+ * @returns {Object} - { time_zone, session_minutes, buffer_minutes, weekly, overrides, time_off }
+ */
+const normalizeAvailability = (availability) => {
+  const saved = availability || {};
+  const weeklySource = saved.weekly || saved;
+
+  return {
+    time_zone: isValidTimeZone(saved.time_zone) ? saved.time_zone : config.defaultTimeZone,
+    session_minutes: saved.session_minutes || config.sessionMinutes,
+    buffer_minutes: saved.buffer_minutes ?? config.bufferMinutes,
+    weekly: Object.fromEntries(WEEKDAYS.map(day => [day, toIntervals(weeklySource[day])])),
+    // Hours for one date in place of the weekly hours; no intervals is a day off
+    overrides: (saved.overrides || [])
+      .filter(override => DATE_PATTERN.test(override?.date || ''))
+      .map(override => ({ date: override.date, intervals: toIntervals(override.intervals) })),
+    // Whole days off, start and end dates included
+    time_off: (saved.time_off || [])
+      .filter(period => DATE_PATTERN.test(period?.start || '') && DATE_PATTERN.test(period?.end || ''))
+      .map(period => ({ start: period.start, end: period.end, note: period.note || null }))
+  };
+};
+
+/**
+ * Get the hours a therapist works on a date of their own calendar
+ * @param {Object} availability - Normalized availability
+ * @param {string} date - 'YYYY-MM-DD' in the therapist's time zone
+ * @returns {Array<Object>} - { start, end } intervals
+ */
+const getHoursForDate = (availability, date) => {
+  if (availability.time_off.some(period => period.start <= date && date <= period.end)) {
+    return [];
+  }
+
+  const override = availability.overrides.find(entry => entry.date === date);
+
+  return override ? override.intervals : availability.weekly[getWeekday(date)];
+};
+
+/**
+ * Generate the session start times of a therapist between two instants,
+ * before taking booked sessions into account. Start times skipped when the
+ * clocks go forward are left out.
+ * @param {Object} availability - Normalized availability
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end, exclusive
+ * @returns {Array<Object>} - Slots as { start, end } Dates
+ */
+const generateSlots = (availability, from, to) => {
+  const { time_zone: timeZone, session_minutes: sessionMinutes, buffer_minutes: bufferMinutes } = availability;
+  const lastDate = getZonedParts(to, timeZone).date;
+  const slots = [];
+
+  for (let date = getZonedParts(from, timeZone).date; date <= lastDate; date = addDays(date, 1)) {
+    for (const interval of getHoursForDate(availability, date)) {
+      const intervalEnd = timeToMinutes(interval.end);
+
+      for (let start = timeToMinutes(interval.start); start + sessionMinutes <= intervalEnd; start += sessionMinutes + bufferMinutes) {
+        const slotStart = zonedTimeToDate(date, minutesToTime(start), timeZone);
+        const slotEnd = new Date(slotStart.getTime() + sessionMinutes * 60000);
+        const exists = getZonedParts(slotStart, timeZone).time === minutesToTime(start);
+
+        if (exists && slotStart >= from && slotStart < to) {
+          slots.push({ start: slotStart, end: slotEnd });
+        }
+      }
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Load a therapist's normalized availability
+ * @param {string} therapistId - The therapist's user ID
+ * @returns {Promise<Object>} - Normalized availability
+ */
+const getAvailability = async (therapistId) => {
+  const { data, error } = await supabase
+    .from('therapists')
+    .select('user_id, availability')
+    .eq('user_id', therapistId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    throw new ApiError(404, 'Therapist not found');
+  }
+
+  return normalizeAvailability(data.availability);
+};
+
+/**
+ * Load the sessions holding a therapist's time around a range
+ * @param {string} therapistId - The therapist's user ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} [options]
+ * @param {string} [options.excludeSessionId] - A session to leave out, such as one being moved
+ * @returns {Promise<Array>} - sessions rows with id, start_time and end_time
+ */
+const getBookedSessions = async (therapistId, from, to, { excludeSessionId = null } = {}) => {
+  let query = supabase
+    .from('sessions')
+    .select('id, start_time, end_time')
+    .eq('therapist_id', therapistId)
+    .in('status', BLOCKING_STATUSES)
+    .lt('start_time', to.toISOString())
+    .gt('end_time', from.toISOString());
+
+  if (excludeSessionId) {
+    query = query.neq('id', excludeSessionId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Check whether a time overlaps a booked session, counting the buffer the
+ * therapist keeps between sessions
+ * @param {Object} slot - { start, end } Dates
+ * @param {Array} sessions - sessions rows
+ * @param {number} bufferMinutes - Minutes kept free around sessions
+ * @returns {boolean}
+ */
+const overlapsSession = (slot, sessions, bufferMinutes) => {
+  const buffer = bufferMinutes * 60000;
+
+  return sessions.some(session => (
+    slot.start.getTime() < new Date(session.end_time).getTime() + buffer
+    && slot.end.getTime() + buffer > new Date(session.start_time).getTime()
+  ));
+};
+
+/**
+ * Get the bookable slots of a therapist for a range of dates on the
+ * viewer's calendar. Slots come from the weekly hours, replaced by per-date
+ * overrides and removed by time off, in the therapist's time zone; slots
+ * overlapping a booked session, too soon or too far ahead are left out.
+ * @param {string} therapistId - The therapist's user ID
+ * @param {Object} range
+ * @param {string} range.from - First date, 'YYYY-MM-DD' in the viewer's time zone
+ * @param {string} [range.to] - Last date included; the first date when not given
+ * @param {string} [range.timeZone] - The viewer's time zone; the therapist's when not given
+ * @param {string} [range.excludeSessionId] - A session whose time counts as free, such as one being moved
+ * @returns {Promise<Object>} - { time_zone, therapist_time_zone, session_minutes, slots: [{ start, end }] }
+ */
+const getAvailableSlots = async (therapistId, { from, to = from, timeZone, excludeSessionId } = {}) => {
+  const availability = await getAvailability(therapistId);
+  const viewerTimeZone = timeZone || availability.time_zone;
+
+  if (!isValidTimeZone(viewerTimeZone)) {
+    throw new ApiError(400, `Unknown time zone '${viewerTimeZone}'`);
+  }
+
+  const now = Date.now();
+  const earliest = new Date(now + config.minNoticeHours * 60 * 60 * 1000);
+  const latest = new Date(now + config.maxDaysAhead * 24 * 60 * 60 * 1000);
+  const rangeStart = new Date(Math.max(zonedTimeToDate(from, '00:00', viewerTimeZone).getTime(), earliest.getTime()));
+  const rangeEnd = new Date(Math.min(zonedTimeToDate(addDays(to, 1), '00:00', viewerTimeZone).getTime(), latest.getTime()));
+
+  const result = {
+    time_zone: viewerTimeZone,
+    therapist_time_zone: availability.time_zone,
+    session_minutes: availability.session_minutes,
+    slots: []
+  };
+
+  if (rangeStart >= rangeEnd) return result;
+
+  const buffer = availability.buffer_minutes * 60000;
+  const sessions = await getBookedSessions(
+    therapistId,
+    new Date(rangeStart.getTime() - buffer),
+    new Date(rangeEnd.getTime() + availability.session_minutes * 60000 + buffer),
+    { excludeSessionId }
+  );
+
+  result.slots = generateSlots(availability, rangeStart, rangeEnd)
+    .filter(slot => !overlapsSession(slot, sessions, availability.buffer_minutes))
+    .map(slot => ({ start: slot.start.toISOString(), end: slot.end.toISOString() }));
+
+  return result;
+};
+
+/**
+ * Check instants a therapist would see sessions start, such as the
+ * occurrences of a recurring series, in one pass. Each must be a slot start
+ * of their hours, free of booked sessions and within the booking window.
+ * @param {string} therapistId - The therapist's user ID
+ * @param {Array<Date>} startTimes - The requested starts
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeSessionIds] - Sessions whose time counts as free, such as ones being moved
+ * @param {number} [options.maxDaysAhead] - How far ahead a session may start
+ * @returns {Promise<Array>} - { start, end, conflict } per start, in order; conflict is null or
+ *   'too_soon', 'too_far', 'unavailable' (outside their hours) or 'booked'
+ */
+const checkTimes = async (therapistId, startTimes, { excludeSessionIds = [], maxDaysAhead = config.maxDaysAhead } = {}) => {
+  const availability = await getAvailability(therapistId);
+  const sessionLength = availability.session_minutes * 60000;
+  const buffer = availability.buffer_minutes * 60000;
+  const starts = startTimes.map(start => new Date(start));
+
+  const now = Date.now();
+  const earliest = now + config.minNoticeHours * 60 * 60 * 1000;
+  const latest = now + maxDaysAhead * 24 * 60 * 60 * 1000;
+
+  const times = starts.map(start => start.getTime());
+  const sessions = starts.length
+    ? (await getBookedSessions(
+      therapistId,
+      new Date(Math.min(...times) - buffer),
+      new Date(Math.max(...times) + sessionLength + buffer)
+    )).filter(session => !excludeSessionIds.includes(session.id))
+    : [];
+
+  return starts.map(start => {
+    const slot = { start, end: new Date(start.getTime() + sessionLength) };
+    const isSlotStart = generateSlots(availability, start, new Date(start.getTime() + 1)).length > 0;
+
+    let conflict = null;
+    if (start.getTime() < earliest) conflict = 'too_soon';
+    else if (start.getTime() > latest) conflict = 'too_far';
+    else if (!isSlotStart) conflict = 'unavailable';
+    else if (overlapsSession(slot, sessions, availability.buffer_minutes)) conflict = 'booked';
+
+    return { start: slot.start.toISOString(), end: slot.end.toISOString(), conflict };
+  });
+};
+
+/**
+ * Find the bookable slot starting at an instant
+ * @param {string} therapistId - The therapist's user ID
+ * @param {Date|string} startTime - The requested start
+ * @param {Object} [options]
+ * @param {string} [options.excludeSessionId] - A session whose time counts as free
+ * @returns {Promise<Object|null>} - { start, end } ISO strings, or null when the time cannot be booked
+ */
+const findSlot = async (therapistId, startTime, { excludeSessionId } = {}) => {
+  const start = new Date(startTime);
+  const availability = await getAvailability(therapistId);
+  const date = getZonedParts(start, availability.time_zone).date;
+
+  const { slots } = await getAvailableSlots(therapistId, {
+    from: date,
+    timeZone: availability.time_zone,
+    excludeSessionId
+  });
+
+  return slots.find(slot => new Date(slot.start).getTime() === start.getTime()) || null;
+};
+
+/**
+ * List the therapists clients can book, with their time zone and session
+ * length. Therapists without weekly hours are left out.
+ * @returns {Promise<Array>} - { id, name, profile_data, credentials, time_zone, session_minutes }
+ */
+const listBookableTherapists = async () => {
+  const { data, error } = await supabase
+    .from('therapists')
+    .select('user_id, credentials, availability, users:user_id (id, name, profile_data)')
+    .order('user_id', { ascending: true });
+
+  if (error) throw error;
+
+  return data
+    .map(row => ({ row, availability: normalizeAvailability(row.availability) }))
+    .filter(({ row, availability }) => row.users && WEEKDAYS.some(day => availability.weekly[day].length))
+    .map(({ row, availability }) => ({
+      id: row.user_id,
+      name: row.users.name,
+      profile_data: { name: row.users.name, ...row.users.profile_data },
+      credentials: row.credentials,
+      time_zone: availability.time_zone,
+      session_minutes: availability.session_minutes
+    }));
+};
+
+/**
+ * Reject hours that cannot be meant: overlapping intervals on a day, two
+ * overrides of one date or time off ending before it starts
+ * @param {Object} availability - Normalized availability
+ */
+const checkAvailability = (availability) => {
+  const overlaps = intervals => intervals.some((interval, index) => index > 0 && interval.start < intervals[index - 1].end);
+
+  const day = WEEKDAYS.find(weekday => overlaps(availability.weekly[weekday]));
+  if (day) {
+    throw new ApiError(400, `The hours on ${day} overlap`);
+  }
+
+  const override = availability.overrides.find((entry, index) => (
+    overlaps(entry.intervals) || availability.overrides.findIndex(other => other.date === entry.date) !== index
+  ));
+  if (override) {
+    throw new ApiError(400, `The hours for ${override.date} overlap or are given twice`);
+  }
+
+  const period = availability.time_off.find(entry => entry.end < entry.start);
+  if (period) {
+    throw new ApiError(400, `Time off from ${period.start} ends before it starts`);
+  }
+};
+
+/**
+ * Check whether a session lies within the hours of its date
+ * @param {Object} availability - Normalized availability
+ * @param {Object} session - sessions row with start_time and end_time
+ * @returns {boolean}
+ */
+const isWithinHours = (availability, session) => {
+  const start = getZonedParts(new Date(session.start_time), availability.time_zone);
+  const startMinutes = timeToMinutes(start.time);
+  const endMinutes = startMinutes + (new Date(session.end_time) - new Date(session.start_time)) / 60000;
+
+  return getHoursForDate(availability, start.date).some(interval => (
+    timeToMinutes(interval.start) <= startMinutes && endMinutes <= timeToMinutes(interval.end)
+  ));
+};
+
+/**
+ * Save a therapist's hours. They apply to bookings right away; sessions
+ * already booked are kept, and the upcoming ones that fall outside the new
+ * hours are returned so the therapist can move them.
+ * @param {string} therapistId - The therapist's user ID
+ * @param {Object} availability - { time_zone, session_minutes, buffer_minutes, weekly, overrides, time_off }
+ * @returns {Promise<Object>} - { availability, outside_hours: sessions rows }
+ */
+const saveAvailability = async (therapistId, availability) => {
+  const normalized = normalizeAvailability({ ...availability, weekly: availability.weekly || {} });
+  checkAvailability(normalized);
+
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, role')
+    .eq('id', therapistId)
+    .maybeSingle();
+
+  if (userError) throw userError;
+
+  if (!user || user.role !== 'therapist') {
+    throw new ApiError(404, 'Therapist not found');
+  }
+
+  const { error } = await supabase
+    .from('therapists')
+    .upsert({ user_id: therapistId, availability: normalized }, { onConflict: 'user_id' });
+
+  if (error) throw error;
+
+  const { data: upcoming, error: sessionsError } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      start_time,
+      end_time,
+      status,
+      clients:users!sessions_client_id_fkey(id, name)
+    `)
+    .eq('therapist_id', therapistId)
+    .in('status', BLOCKING_STATUSES)
+    .gt('start_time', new Date().toISOString())
+    .order('start_time', { ascending: true });
+
+  if (sessionsError) throw sessionsError;
+
+  return {
+    availability: normalized,
+    outside_hours: upcoming.filter(session => !isWithinHours(normalized, session))
+  };
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  normalizeAvailability,
+  generateSlots,
+  isWithinHours,
+  getAvailability,
+  saveAvailability,
+  getAvailableSlots,
+  findSlot,
+  checkTimes,
+  listBookableTherapists
+};
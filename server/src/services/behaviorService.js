@@ -0,0 +1,166 @@
+const { supabase } = require('../config/supabase');
+const { ApiError } = require('../utils/errors');
+
+// Preset fields that are captured in every version
+const VERSIONED_FIELDS = ['name', 'prompt_template', 'priority', 'conflict_group'];
+
+const STALE_VERSION_MESSAGE = 'The preset was changed by someone else; reload and try again';
+
+/**
+ * Pick the versioned fields of a behavior
+ * @param {Object} behavior - Behavior or version row
+ * @returns {Object}
+ */
+const versionedContent = (behavior) => ({
+  name: behavior.name,
+  prompt_template: behavior.prompt_template,
+  priority: behavior.priority ?? 0,
+  conflict_group: behavior.conflict_group || null
+});
+
+/**
+ * Get a behavior preset
+ * @param {string} behaviorId - The behavior ID
+ * @returns {Promise<Object>} - The behavior row
+ */
+const getBehavior = async (behaviorId) => {
+  const { data, error } = await supabase
+    .from('behaviors')
+    .select('*')
+    .eq('id', behaviorId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  if (!data) {
+    throw new ApiError(404, 'Behavior preset not found');
+  }
+
+  return data;
+};
+
+/**
+ * Create a behavior preset and record it as version 1, in one transaction
+ * @param {Object} fields - name, prompt_template, priority, conflict_group
+ * @param {Object} options
+ * @param {string} options.authorId - User creating the preset
+ * @param {string} [options.changeNote] - Note for the first version
+ * @returns {Promise<Object>} - The behavior row
+ */
+const createBehavior = async (fields, { authorId, changeNote = null }) => {
+  const content = versionedContent(fields);
+
+  const { data, error } = await supabase
+    .rpc('create_behavior', {
+      p_name: content.name,
+      p_prompt_template: content.prompt_template,
+      p_priority: content.priority,
+      p_conflict_group: content.conflict_group,
+      p_change_note: changeNote || 'Initial version',
+      p_author: authorId
+    })
+    .single();
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Update a behavior preset. The new content is recorded as the next version
+ * and made current in one transaction; saving identical content is a no-op.
+ * @param {string} behaviorId - The behavior ID
+ * @param {Object} changes - Any of name, prompt_template, priority, conflict_group
+ * @param {Object} options
+ * @param {string} options.authorId - User making the change
+ * @param {string} [options.changeNote] - Why the change was made
+ * @param {number} [options.restoredFrom] - Version a rollback restored
+ * @returns {Promise<Object>} - The behavior row
+ */
+const updateBehavior = async (behaviorId, changes, { authorId, changeNote = null, restoredFrom = null }) => {
+  const current = await getBehavior(behaviorId);
+  const content = versionedContent({ ...current, ...changes });
+
+  const unchanged = VERSIONED_FIELDS.every(field => content[field] === versionedContent(current)[field]);
+  if (unchanged) {
+    return current;
+  }
+
+  const { data, error } = await supabase
+    .rpc('save_behavior_version', {
+      p_behavior_id: behaviorId,
+      p_version: current.current_version + 1,
+      p_name: content.name,
+      p_prompt_template: content.prompt_template,
+      p_priority: content.priority,
+      p_conflict_group: content.conflict_group,
+      p_change_note: changeNote,
+      p_restored_from: restoredFrom,
+      p_author: authorId
+    })
+    .single();
+
+  // Someone else saved this preset first
+  if (error?.code === '23505') {
+    throw new ApiError(409, STALE_VERSION_MESSAGE);
+  }
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * List every version of a behavior preset, newest first
+ * @param {string} behaviorId - The behavior ID
+ * @returns {Promise<Array>} - Version rows with their author's name
+ */
+const listVersions = async (behaviorId) => {
+  const { data, error } = await supabase
+    .from('behavior_versions')
+    .select('*, author:users(name)')
+    .eq('behavior_id', behaviorId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+
+  return data || [];
+};
+
+/**
+ * Restore an earlier version. History is never rewritten: the old content
+ * becomes a new version that records which version it restored.
+ * @param {string} behaviorId - The behavior ID
+ * @param {number} version - Version to restore
+ * @param {Object} options
+ * @param {string} options.authorId - User rolling back
+ * @param {string} [options.changeNote] - Why the rollback was made
+ * @returns {Promise<Object>} - The behavior row
+ */
+const rollbackBehavior = async (behaviorId, version, { authorId, changeNote = null }) => {
+  const { data: target, error } = await supabase
+    .from('behavior_versions')
+    .select('*')
+    .eq('behavior_id', behaviorId)
+    .eq('version', version)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  if (!target) {
+    throw new ApiError(404, 'Behavior preset version not found');
+  }
+
+  return updateBehavior(behaviorId, versionedContent(target), {
+    authorId,
+    changeNote: changeNote || `Rolled back to version ${version}`,
+    restoredFrom: version
+  });
+};
+
+module.exports = {
+  getBehavior,
+  createBehavior,
+  updateBehavior,
+  listVersions,
+  rollbackBehavior
+};
@@ -0,0 +1,253 @@
+const { supabase } = require('../config/supabase');
+const llm = require('./llm');
+const { buildConversationPrompt } = require('./promptService');
+const safety = require('./safety');
+const memory = require('./memoryService');
+const { fitContext } = require('./contextService');
+const { analyzeSentiment } = require('./sentiment');
+const { resolveLanguage, getTranslator } = require('../utils/i18n');
+const { logger } = require('../utils/logger');
+
+/**
+ * Get the LLM provider a client picked in their settings, if any
+ * @param {string} clientId - The client's user ID
+ * @returns {Promise<string|null>} - Provider name
+ */
+const getPreferredProvider = async (clientId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('profile_data')
+    .eq('id', clientId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  return data?.profile_data?.preferences?.llm_provider || null;
+};
+
+// Recent client turns used to pick the memories relevant to this reply
+const MEMORY_QUERY_TURNS = 3;
+
+/**
+ * Look up what the coach remembers about the client that bears on the
+ * latest turns. Memory is a nice-to-have: a failed lookup never blocks the
+ * reply.
+ * @param {string} clientId - The client's user ID
+ * @param {Array<Object>} messages - Prompt messages, oldest first
+ * @returns {Promise<Array>} - client_memories rows
+ */
+const recallMemories = async (clientId, messages) => {
+  const recent = messages
+    .filter(turn => turn.role === 'user')
+    .slice(-MEMORY_QUERY_TURNS)
+    .map(turn => turn.content)
+    .join('\n');
+
+  try {
+    return await memory.retrieveMemories(clientId, recent);
+  } catch (error) {
+    logger.warn('Failed to load client memories', { clientId, error: error.message });
+    return [];
+  }
+};
+
+/**
+ * Build the prompt for the next AI turn, resolve the client's provider
+ * preference and add what the coach remembers about the client from earlier
+ * conversations. The client's latest message was screened for risk when it
+ * was saved, and that assessment is reused; only a message sent along that
+ * has not been saved is screened here. A flagged message adds safety
+ * guidance to the system prompt. The history is then
+ * fitted to the context window of the providers that may answer.
+ * @param {Object} conversation - The conversation row
+ * @param {Object} options
+ * @param {string} [options.message] - The client's message, when it has not been saved yet
+ * @param {string} [options.language] - Language code to reply in
+ * @returns {Promise<Object>} - { prompt, preferredProvider, assessment }
+ */
+const prepareReply = async (conversation, { message = null, language = 'en' } = {}) => {
+  const [prompt, preferredProvider] = await Promise.all([
+    buildConversationPrompt(conversation, { language }),
+    getPreferredProvider(conversation.client_id)
+  ]);
+
+  const lastTurn = prompt.messages[prompt.messages.length - 1];
+  const unsaved = message && !(lastTurn?.role === 'user' && lastTurn.content === message);
+  if (unsaved) {
+    prompt.messages.push({ role: 'user', content: message });
+  }
+
+  const [assessment, memories] = await Promise.all([
+    unsaved
+      ? safety.assessMessage(message, { language })
+      : safety.savedAssessment(prompt.lastClientMessage),
+    recallMemories(conversation.client_id, prompt.messages)
+  ]);
+
+  const context = await fitContext(conversation, {
+    sections: {
+      preset: prompt.system,
+      memories: memories.length ? memory.formatMemories(memories) : '',
+      safety: assessment.flagged ? safety.buildSafetyInstruction(assessment) : ''
+    },
+    messages: prompt.messages,
+    budget: llm.getContextBudget(preferredProvider)
+  });
+
+  prompt.system = context.system;
+  prompt.messages = context.messages;
+  prompt.context = context.context;
+  prompt.memories = memories.map(({ id }) => id);
+
+  logger.debug('Prompt context assembled', { conversationId: conversation.id, ...prompt.context });
+
+  return { prompt, preferredProvider, assessment };
+};
+
+/**
+ * Crisis resources appended to replies to flagged messages
+ * @param {Object} assessment - Result of safety.assessMessage
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+const crisisAddendum = (assessment, language) =>
+  `\n\n${safety.getCrisisResources(language, assessment.categories)}`;
+
+/**
+ * Reply used when a message is flagged but no provider could answer; the
+ * client must still see the crisis resources
+ * @param {Object} assessment - Result of safety.assessMessage
+ * @param {string} language - Language code
+ * @param {Error} error - The LLM failure
+ * @returns {Object} - { message, sentiment_score, metadata }
+ */
+const crisisFallbackReply = (assessment, language, error) => {
+  logger.error('LLM failed on a flagged message; sending crisis resources only', { error: error.message });
+
+  return {
+    message: safety.getCrisisResources(language, assessment.categories),
+    sentiment_score: null,
+    metadata: {
+      provider: null,
+      model: null,
+      safety: { severity: assessment.severity, categories: assessment.categories }
+    }
+  };
+};
+
+/**
+ * Build the metadata returned alongside an AI reply
+ * @param {Object} result - Result from the LLM layer
+ * @param {Object} prompt - The prompt the reply was generated from
+ * @returns {Object} - Reply metadata
+ */
+const buildMetadata = (result, prompt, assessment) => ({
+  provider: result.provider,
+  model: result.model,
+  latency_ms: result.latencyMs,
+  first_token_ms: result.firstTokenMs ?? null,
+  usage: result.usage,
+  fallbacks: result.attempts,
+  behaviors: prompt.behaviors.map(({ id, name, version }) => ({ id, name, version })),
+  overridden_behaviors: prompt.overridden.map(({ id, reason }) => ({ id, reason })),
+  memories: prompt.memories || [],
+  context: prompt.context || null,
+  ...(assessment?.flagged
+    ? { safety: { severity: assessment.severity, categories: assessment.categories } }
+    : {})
+});
+
+/**
+ * Generate the AI reply for the latest turn of a conversation. The reply is
+ * not saved here; the reply routes save it once it has been generated.
+ * Replies to flagged messages end with localized crisis resources.
+ * @param {Object} conversation - The conversation row
+ * @param {Object} options
+ * @param {string} [options.message] - The client's message, when it has not been saved yet
+ * @param {string} [options.language] - Language code to reply in
+ * @returns {Promise<Object>} - { message, sentiment_score, metadata }
+ */
+const generateReply = async (conversation, options = {}) => {
+  const { language = 'en' } = options;
+  const { prompt, preferredProvider, assessment } = await prepareReply(conversation, options);
+
+  let result;
+  try {
+    result = await llm.generate({
+      system: prompt.system,
+      messages: prompt.messages,
+      preferredProvider
+    });
+  } catch (error) {
+    if (assessment.flagged) return crisisFallbackReply(assessment, language, error);
+    throw error;
+  }
+
+  const text = assessment.flagged ? result.text + crisisAddendum(assessment, language) : result.text;
+
+  return {
+    message: text,
+    sentiment_score: analyzeSentiment(text, { language }).score,
+    metadata: buildMetadata(result, prompt, assessment)
+  };
+};
+
+/**
+ * Stream the AI reply for the latest turn of a conversation. Like
+ * generateReply, the reply is not saved.
+ * @param {Object} conversation - The conversation row
+ * @param {Object} options
+ * @param {string} [options.message] - The client's message, when it has not been saved yet
+ * @param {string} [options.language] - Language code to reply in
+ * @param {Function} options.onDelta - Called with each text delta
+ * @param {AbortSignal} [options.signal] - Cancels generation
+ * @returns {Promise<Object>} - { message, sentiment_score, metadata, aborted }
+ */
+const streamReply = async (conversation, { onDelta, signal, ...options }) => {
+  const { language = 'en' } = options;
+  const { prompt, preferredProvider, assessment } = await prepareReply(conversation, options);
+
+  let result;
+  try {
+    result = await llm.stream({
+      system: prompt.system,
+      messages: prompt.messages,
+      preferredProvider,
+      onDelta,
+      signal
+    });
+  } catch (error) {
+    if (!assessment.flagged) throw error;
+
+    const reply = crisisFallbackReply(assessment, language, error);
+    onDelta(reply.message);
+    return { ...reply, aborted: false };
+  }
+
+  let text = result.text;
+  if (assessment.flagged && !result.aborted) {
+    const addendum = crisisAddendum(assessment, language);
+    onDelta(addendum);
+    text += addendum;
+  }
+
+  return {
+    message: text,
+    sentiment_score: text ? analyzeSentiment(text, { language }).score : null,
+    metadata: buildMetadata(result, prompt, assessment),
+    aborted: result.aborted
+  };
+};
+
+/**
+ * The AI's opening message for a new conversation, from the server's locales
+ * @param {string} [name] - The client's name
+ * @param {string} [language] - Language code, e.g. "es" or "es-MX"
+ * @returns {string}
+ */
+const greetingFor = (name, language) => {
+  const t = getTranslator(resolveLanguage(language));
+  return name ? t('chat.greeting', { name }) : t('chat.greetingAnonymous');
+};
+
+module.exports = { generateReply, streamReply, greetingFor };
@@ -0,0 +1,207 @@
+const { supabase } = require('../config/supabase');
+const llm = require('./llm');
+const { languageName } = require('./promptTemplate');
+const { tokenize, extractKeywords, truncate } = require('../utils/text');
+
+const MAX_MESSAGES = 500;
+const MAX_SOURCES = 12;
+const MIN_SOURCES = 4;
+const PROMPT_EXCERPT_CHARS = 500;
+const CITATION_EXCERPT_CHARS = 200;
+
+// Words every question about a client uses; they say nothing about the topic
+const QUESTION_WORDS = ['client', 'cliente', 'month', 'week', 'lately', 'mes', 'semana', 'ultimamente'];
+
+/**
+ * Load everything the assistant may cite about a client: their messages,
+ * conversation summaries and session notes, newest first
+ * @param {string} clientId - The client's user ID
+ * @param {Object} options
+ * @param {string|null} [options.since] - ISO date; older sources are ignored
+ * @returns {Promise<Array<Object>>} - Sources as { type, id, conversation_id, session_id, timestamp, text }
+ */
+const loadSources = async (clientId, { since = null } = {}) => {
+  const messagesQuery = supabase
+    .from('messages')
+    .select('id, conversation_id, sender, text, timestamp, conversations!inner(client_id)')
+    .eq('conversations.client_id', clientId)
+    .not('text', 'is', null)
+    .order('timestamp', { ascending: false })
+    .limit(MAX_MESSAGES);
+
+  const summariesQuery = supabase
+    .from('summaries')
+    .select('id, conversation_id, summary_text, key_topics, action_items, updated_at, conversations!inner(client_id)')
+    .eq('conversations.client_id', clientId)
+    .order('updated_at', { ascending: false });
+
+  const sessionsQuery = supabase
+    .from('sessions')
+    .select('id, start_time, status, notes')
+    .eq('client_id', clientId)
+    .not('notes', 'is', null)
+    .order('start_time', { ascending: false });
+
+  if (since) {
+    messagesQuery.gte('timestamp', since);
+    summariesQuery.gte('updated_at', since);
+    sessionsQuery.gte('start_time', since);
+  }
+
+  const [messages, summaries, sessions] = await Promise.all([messagesQuery, summariesQuery, sessionsQuery]);
+
+  const failed = [messages, summaries, sessions].find(result => result.error);
+  if (failed) throw failed.error;
+
+  return [
+    ...(summaries.data || []).map(summary => ({
+      type: 'summary',
+      id: summary.id,
+      conversation_id: summary.conversation_id,
+      timestamp: summary.updated_at,
+      text: [
+        summary.summary_text,
+        summary.key_topics?.length ? `Topics: ${summary.key_topics.join(', ')}.` : '',
+        summary.action_items?.length ? `Action items: ${summary.action_items.join('; ')}.` : ''
+      ].filter(Boolean).join(' ')
+    })),
+    ...(sessions.data || []).map(session => ({
+      type: 'session_note',
+      id: session.id,
+      session_id: session.id,
+      timestamp: session.start_time,
+      text: session.notes
+    })),
+    ...(messages.data || []).map(message => ({
+      type: 'message',
+      id: message.id,
+      conversation_id: message.conversation_id,
+      sender: message.sender,
+      timestamp: message.timestamp,
+      text: message.text
+    }))
+  ].filter(source => source.text);
+};
+
+/**
+ * Rank sources by how many of the question's keywords they contain. Summaries
+ * and session notes get a small boost because they are dense, and newer
+ * sources win ties. When few sources match, the latest summaries and client
+ * messages fill the list so the model still has context.
+ * @param {Array<Object>} sources - Sources from loadSources
+ * @param {string} question - The therapist's question
+ * @param {Set<string>} ignore - Words to leave out of the match, such as the client's name
+ * @returns {Array<Object>} - Selected sources, oldest first
+ */
+const selectSources = (sources, question, ignore) => {
+  const wanted = extractKeywords(question, ignore);
+  const newestFirst = [...sources].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  const ranked = newestFirst
+    .map((source, index) => {
+      const found = extractKeywords(source.text, ignore);
+      const hits = [...wanted].filter(word => found.has(word)).length;
+      const density = source.type === 'message' ? 0 : 0.5;
+      const recency = 0.5 * (1 - index / newestFirst.length);
+      return { source, hits, score: hits ? hits + density + recency : 0 };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SOURCES)
+    .map(entry => entry.source);
+
+  if (ranked.length < MIN_SOURCES) {
+    const fill = newestFirst.filter(source =>
+      !ranked.includes(source) && (source.type !== 'message' || source.sender === 'user'));
+    ranked.push(...fill.slice(0, MIN_SOURCES * 2 - ranked.length));
+  }
+
+  return ranked.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+/**
+ * Describe a source for the prompt
+ * @param {Object} source - A selected source
+ * @param {number} index - Its 1-based citation number
+ * @returns {string}
+ */
+const formatSource = (source, index) => {
+  const date = source.timestamp ? source.timestamp.slice(0, 10) : 'undated';
+  const label = {
+    summary: 'Conversation summary',
+    session_note: 'Therapist session note',
+    message: source.sender === 'user' ? 'Client message' : `${source.sender === 'ai' ? 'AI coach' : 'Therapist'} message`
+  }[source.type];
+
+  return `[${index + 1}] ${label}, ${date}: ${truncate(source.text, PROMPT_EXCERPT_CHARS)}`;
+};
+
+/**
+ * Answer a therapist's question about a client from the client's own record.
+ * The answer cites sources as [n]; each citation points at the exact
+ * message, summary or session note it came from.
+ * @param {Object} options
+ * @param {string} options.clientId - The client's user ID
+ * @param {string} options.question - The therapist's question
+ * @param {number|null} [options.days] - Only consider the last N days
+ * @param {string} [options.language] - Language code to answer in
+ * @returns {Promise<Object>} - { answer, citations, sources_considered, provider, model }
+ */
+const askAboutClient = async ({ clientId, question, days = null, language = 'en' }) => {
+  const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+  const [{ data: client, error }, sources] = await Promise.all([
+    supabase.from('users').select('name').eq('id', clientId).maybeSingle(),
+    loadSources(clientId, { since })
+  ]);
+
+  if (error) throw error;
+
+  const clientName = client?.name || 'the client';
+  const selected = selectSources(sources, question, new Set([...tokenize(client?.name), ...QUESTION_WORDS]));
+
+  if (!selected.length) {
+    return {
+      answer: null,
+      citations: [],
+      sources_considered: 0,
+      provider: null,
+      model: null
+    };
+  }
+
+  const system = [
+    `You help a therapist answer questions about their client, ${clientName}, using only the numbered sources provided.`,
+    'Cite every statement with the number of the source it comes from in square brackets, for example [2].',
+    'If the sources do not answer the question, say so plainly instead of guessing.',
+    'Keep the answer brief and clinical; do not give a diagnosis.',
+    `Answer in ${languageName(language)}.`
+  ].join('\n');
+
+  const result = await llm.generate({
+    system,
+    messages: [{
+      role: 'user',
+      content: `Sources:\n${selected.map(formatSource).join('\n')}\n\nQuestion: ${question}`
+    }]
+  });
+
+  const cited = [...new Set(
+    [...result.text.matchAll(/\[(\d+)\]/g)]
+      .map(match => Number(match[1]))
+      .filter(number => number >= 1 && number <= selected.length)
+  )];
+
+  return {
+    answer: result.text,
+    citations: cited.map(number => {
+      const { text, ...source } = selected[number - 1];
+      return { number, ...source, excerpt: truncate(text, CITATION_EXCERPT_CHARS) };
+    }),
+    sources_considered: selected.length,
+    provider: result.provider,
+    model: result.model
+  };
+};
+
+module.exports = { askAboutClient };
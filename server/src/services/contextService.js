@@ -0,0 +1,156 @@
+const { supabase } = require('../config/supabase');
+const llm = require('./llm');
+const { estimateTokens } = require('../utils/text');
+const { logger } = require('../utils/logger');
+
+// Role markers and separators each chat turn adds on top of its text
+const TURN_OVERHEAD_TOKENS = 4;
+const SUMMARY_MAX_WORDS = 250;
+// Room kept for the running summary when deciding how many turns to keep
+const SUMMARY_RESERVE_TOKENS = 500;
+// After compacting, recent turns fill at most this share of the room left, so
+// the next few turns fit without compacting again
+const RECENT_SHARE = 0.5;
+
+const SUMMARY_HEADING = 'Summary of the earlier part of this conversation:';
+
+const SPEAKERS = {
+  user: 'Client',
+  assistant: 'Coach'
+};
+
+const SUMMARY_SYSTEM_PROMPT = [
+  'You keep a running summary of a conversation between a therapy client and an AI coach, so the coach can continue it without the full transcript.',
+  'Merge the previous summary and the new turns into one updated summary.',
+  'Keep what the coach needs to continue: the client\'s concerns and feelings, what was tried or agreed, and open questions.',
+  `Write plain prose in the third person, at most ${SUMMARY_MAX_WORDS} words. Respond with the summary only.`
+].join('\n');
+
+const turnTokens = (turn) => estimateTokens(turn.content) + TURN_OVERHEAD_TOKENS;
+const countTokens = (turns) => turns.reduce((total, turn) => total + turnTokens(turn), 0);
+const summaryBlock = (summary) => (summary ? `${SUMMARY_HEADING}\n${summary}` : '');
+
+/**
+ * Fold older turns into the conversation's running summary
+ * @param {string|null} previous - The current running summary
+ * @param {Array<Object>} turns - Chat turns to add, oldest first
+ * @returns {Promise<string>} - The updated summary
+ */
+const summarizeTurns = async (previous, turns) => {
+  const transcript = turns
+    .map(turn => `${SPEAKERS[turn.role]}: ${turn.content}`)
+    .join('\n');
+
+  const result = await llm.generate({
+    system: SUMMARY_SYSTEM_PROMPT,
+    messages: [{
+      role: 'user',
+      content: `Previous summary: ${previous || 'none'}\n\nNew turns:\n${transcript}`
+    }]
+  });
+
+  const summary = result.text.trim();
+  if (!summary) throw new Error('Compaction returned an empty summary');
+
+  return summary;
+};
+
+/**
+ * Store the running summary on the conversation. A failed write only costs a
+ * repeat of the compaction on the next turn, so it is logged, not thrown.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} summary - The running summary
+ * @param {number} summarizedTurns - Number of chat turns it covers
+ */
+const saveSummary = async (conversationId, summary, summarizedTurns) => {
+  const { error } = await supabase
+    .from('conversations')
+    .update({ context_summary: summary, context_summarized_turns: summarizedTurns })
+    .eq('id', conversationId);
+
+  if (error) {
+    logger.warn('Failed to save conversation summary', { conversationId, error: error.message });
+  }
+};
+
+/**
+ * Fit a conversation's prompt into the model's token budget. Recent turns
+ * are kept verbatim; when the history no longer fits, older turns are rolled
+ * into a running summary stored on the conversation and reused on later
+ * turns. The system prompt sections are never cut: if they leave too little
+ * room, the oldest remaining turns are dropped, down to the latest one.
+ * @param {Object} conversation - The conversation row
+ * @param {Object} options
+ * @param {Object} options.sections - System prompt sections by name, starting with `preset`; the running summary follows the preset and empty sections are skipped
+ * @param {Array<Object>} options.messages - Every chat turn of the conversation, oldest first
+ * @param {number|null} options.budget - Prompt token budget; null disables the limit
+ * @returns {Promise<Object>} - { system, messages, context } where context is the token breakdown
+ */
+const fitContext = async (conversation, { sections, messages, budget }) => {
+  let summary = conversation.context_summary || null;
+  let summarized = Math.min(conversation.context_summarized_turns || 0, messages.length);
+  let turns = messages.slice(summarized);
+  let compacted = 0;
+  let dropped = 0;
+
+  const sectionTokens = Object.values(sections).reduce((total, text) => total + estimateTokens(text), 0);
+  const promptTokens = () => sectionTokens + estimateTokens(summaryBlock(summary)) + countTokens(turns);
+
+  if (budget && promptTokens() > budget) {
+    const target = (budget - sectionTokens - SUMMARY_RESERVE_TOKENS) * RECENT_SHARE;
+
+    let keep = 1;
+    while (keep < turns.length && countTokens(turns.slice(-(keep + 1))) <= target) {
+      keep += 1;
+    }
+
+    const older = turns.slice(0, turns.length - keep);
+    if (older.length) {
+      try {
+        summary = await summarizeTurns(summary, older);
+        summarized += older.length;
+        compacted = older.length;
+        await saveSummary(conversation.id, summary, summarized);
+        logger.info('Conversation compacted', { conversationId: conversation.id, turns: compacted, summarized });
+      } catch (error) {
+        dropped += older.length;
+        logger.warn('Conversation compaction failed; dropping older turns', {
+          conversationId: conversation.id,
+          error: error.message
+        });
+      }
+
+      turns = turns.slice(older.length);
+    }
+  }
+
+  while (budget && turns.length > 1 && promptTokens() > budget) {
+    turns = turns.slice(1);
+    dropped += 1;
+  }
+
+  const context = {
+    budget,
+    ...Object.fromEntries(Object.entries(sections).map(([name, text]) => [name, estimateTokens(text)])),
+    summary: estimateTokens(summaryBlock(summary)),
+    history: countTokens(turns),
+    total: promptTokens(),
+    turns: turns.length,
+    summarized_turns: summarized,
+    compacted_turns: compacted,
+    dropped_turns: dropped
+  };
+
+  if (budget && context.total > budget) {
+    logger.warn('Prompt exceeds the context budget', { conversationId: conversation.id, ...context });
+  }
+
+  const { preset, ...rest } = sections;
+  return {
+    system: [preset, summaryBlock(summary), ...Object.values(rest)].filter(Boolean).join('\n\n'),
+    messages: turns,
+    context
+  };
+};
+
+module.exports = { fitContext };
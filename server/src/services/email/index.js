@@ -0,0 +1,195 @@
+const { supabase } = require('../../config/supabase');
+const emailConfig = require('../../config/email');
+const { renderEmail } = require('./templates');
+const { createSmtpTransport } = require('./transports/smtpTransport');
+const { createFileTransport } = require('./transports/fileTransport');
+const { createConsoleTransport } = require('./transports/consoleTransport');
+const { logger } = require('../../utils/logger');
+
+// Messages left in 'sending' this long belong to a run that died; retry them
+const STALE_LOCK_MINUTES = 10;
+
+const TRANSPORT_FACTORIES = {
+  smtp: () => createSmtpTransport(emailConfig.smtp),
+  file: () => createFileTransport({ dir: emailConfig.fileDir }),
+  console: () => createConsoleTransport()
+};
+
+if (!emailConfig.transport) {
+  throw new Error('EMAIL_TRANSPORT must be set when NODE_ENV is production');
+}
+
+if (!TRANSPORT_FACTORIES[emailConfig.transport]) {
+  throw new Error(`Unknown EMAIL_TRANSPORT '${emailConfig.transport}'`);
+}
+
+const transport = TRANSPORT_FACTORIES[emailConfig.transport]();
+
+let running = false;
+
+/**
+ * Delay before the next attempt after a failure, doubled every time
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+const retryDelay = (attempts) => emailConfig.retryMinutes * 60 * 1000 * 2 ** (attempts - 1);
+
+/**
+ * Send one claimed outbox row and record the outcome. Failed sends are
+ * retried with backoff until maxAttempts, then marked failed.
+ * @param {Object} email - email_outbox row
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const deliver = async (email) => {
+  const attempts = email.attempts + 1;
+
+  try {
+    await transport.send({
+      from: emailConfig.from,
+      to: email.to_address,
+      subject: email.subject,
+      text: email.text_body,
+      html: email.html_body
+    }, { template: email.template });
+
+    const { error } = await supabase
+      .from('email_outbox')
+      .update({ status: 'sent', attempts, sent_at: new Date().toISOString(), locked_at: null, last_error: null })
+      .eq('id', email.id);
+
+    if (error) throw error;
+
+    return true;
+  } catch (sendError) {
+    const failed = attempts >= emailConfig.maxAttempts;
+
+    logger.warn('Email delivery failed', {
+      emailId: email.id,
+      template: email.template,
+      attempts,
+      error: sendError.message
+    });
+
+    const { error } = await supabase
+      .from('email_outbox')
+      .update({
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        last_error: sendError.message,
+        next_attempt_at: failed ? email.next_attempt_at : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+        locked_at: null
+      })
+      .eq('id', email.id);
+
+    if (error) throw error;
+
+    return false;
+  }
+};
+
+/**
+ * Send the emails that are due. Each row is claimed with a conditional
+ * update before sending, so several server processes can share the outbox
+ * without sending the same email twice.
+ * @returns {Promise<Object>} - { sent, failed } counts for this run
+ */
+const processOutbox = async () => {
+  const totals = { sent: 0, failed: 0 };
+
+  if (running) return totals;
+  running = true;
+
+  try {
+    const now = new Date();
+
+    const { error: staleError } = await supabase
+      .from('email_outbox')
+      .update({ status: 'pending', locked_at: null })
+      .eq('status', 'sending')
+      .lt('locked_at', new Date(now.getTime() - STALE_LOCK_MINUTES * 60 * 1000).toISOString());
+
+    if (staleError) throw staleError;
+
+    const { data: due, error } = await supabase
+      .from('email_outbox')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(emailConfig.batchSize);
+
+    if (error) throw error;
+
+    for (const email of due) {
+      const { data: claimed, error: claimError } = await supabase
+        .from('email_outbox')
+        .update({ status: 'sending', locked_at: new Date().toISOString() })
+        .eq('id', email.id)
+        .eq('status', 'pending')
+        .select('id');
+
+      if (claimError) throw claimError;
+      if (!claimed.length) continue;
+
+      if (await deliver(email)) {
+        totals.sent += 1;
+      } else {
+        totals.failed += 1;
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  if (totals.sent || totals.failed) {
+    logger.info('Email outbox run finished', { ...totals, transport: transport.name });
+  }
+
+  return totals;
+};
+
+/**
+ * Render an email in the recipient's language and add it to the outbox.
+ * Delivery starts right away in the background; failures are retried by
+ * the email.outbox job.
+ * @param {Object} email
+ * @param {string} email.to - Recipient address
+ * @param {string} [email.userId] - Recipient's user ID
+ * @param {string} email.template - Template name
+ * @param {string} [email.language] - Language code, 'en' when not given
+ * @param {Object} [email.data] - Template data
+ * @returns {Promise<Object>} - The email_outbox row
+ */
+const queueEmail = async ({ to, userId = null, template, language = 'en', data = {} }) => {
+  const { subject, text, html } = renderEmail(template, language, data);
+
+  const { data: email, error } = await supabase
+    .from('email_outbox')
+    .insert([{
+      user_id: userId,
+      to_address: to,
+      template,
+      language,
+      subject,
+      text_body: text,
+      html_body: html,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  processOutbox().catch(processError => {
+    logger.error('Email outbox run failed', { error: processError.message });
+  });
+
+  return email;
+};
+
+module.exports = {
+  queueEmail,
+  processOutbox
+};
@@ -0,0 +1,140 @@
+const emailConfig = require('../../config/email');
+const { resolveLanguage, getTranslator } = require('../../utils/i18n');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format a date and time for the reader's language and time zone
+ * @param {string} value - ISO timestamp
+ * @param {string} language - Language code
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Object} - { date, time }
+ */
+const formatDateTime = (value, language, timeZone) => {
+  const when = new Date(value);
+  const options = timeZone ? { timeZone } : {};
+
+  return {
+    date: when.toLocaleDateString(language, { ...options, dateStyle: 'full' }),
+    time: when.toLocaleTimeString(language, { ...options, timeStyle: 'short' })
+  };
+};
+
+const appLink = (link) => `${emailConfig.appUrl}${link || '/'}`;
+
+/**
+ * Templates, each turning its data into a subject and the blocks of the
+ * body: paragraphs, an optional titled list and an optional call to action
+ */
+const TEMPLATES = {
+  /**
+   * @param {Object} data - { date, timeZone, keyTopics, actionItems, link }
+   */
+  summary: (t, data, language) => ({
+    subject: t('email.summary.subject'),
+    paragraphs: [t('email.summary.intro', { date: formatDateTime(data.date || new Date().toISOString(), language, data.timeZone).date })],
+    lists: [
+      { title: t('email.summary.topics'), items: data.keyTopics || [] },
+      { title: t('email.summary.actionItems'), items: data.actionItems || [] }
+    ],
+    action: { label: t('email.summary.action'), url: appLink(data.link || '/client/chat') }
+  }),
+
+  /**
+   * @param {Object} data - { startTime, timeZone, withName, link }
+   */
+  session_reminder: (t, data, language) => {
+    const { date, time } = formatDateTime(data.startTime, language, data.timeZone);
+
+    return {
+      subject: t('email.sessionReminder.subject', { date }),
+      paragraphs: [data.withName
+        ? t('email.sessionReminder.intro', { name: data.withName, date, time })
+        : t('email.sessionReminder.introWithoutName', { date, time })],
+      action: { label: t('email.sessionReminder.action'), url: appLink(data.link) }
+    };
+  },
+
+  /**
+   * @param {Object} data - { link }
+   */
+  welcome: (t, data) => ({
+    subject: t('email.welcome.subject'),
+    paragraphs: [t('email.welcome.intro')],
+    action: { label: t('email.welcome.action'), url: appLink(data.link) }
+  }),
+
+  /**
+   * @param {Object} data - { url } the one-time recovery link
+   */
+  password_reset: (t, data) => ({
+    subject: t('email.passwordReset.subject'),
+    paragraphs: [t('email.passwordReset.intro'), t('email.passwordReset.ignore')],
+    action: { label: t('email.passwordReset.action'), url: data.url }
+  }),
+
+  /**
+   * @param {Object} data - { title, body, link } from an in-app notification
+   */
+  notification: (t, data) => ({
+    subject: data.title,
+    paragraphs: data.body ? [data.body] : [],
+    action: { label: t('email.notification.action'), url: appLink(data.link) }
+  })
+};
+
+/**
+ * Render an email in the recipient's language
+ * @param {string} template - Template name, one of TEMPLATES
+ * @param {string} language - Language code; unsupported languages get English
+ * @param {Object} data - Template data, plus the recipient's name
+ * @returns {Object} - { subject, text, html }
+ */
+const renderEmail = (template, language, data = {}) => {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown email template '${template}'`);
+  }
+
+  const lang = resolveLanguage(language);
+  const base = getTranslator(lang);
+  const app = base('app.name');
+  const t = (key, values) => base(key, { app, ...values });
+  const { subject, paragraphs, lists = [], action } = TEMPLATES[template](t, data, lang);
+
+  const greeting = data.name ? t('email.greeting', { name: data.name }) : t('email.greetingAnonymous');
+  const filledLists = lists.filter(list => list.items.length);
+  const signature = t('email.signature');
+  const footer = t('email.footer');
+
+  const text = [
+    greeting,
+    ...paragraphs,
+    ...filledLists.map(list => [list.title, ...list.items.map(item => `- ${item}`)].join('\n')),
+    action ? `${action.label}: ${action.url}` : null,
+    signature,
+    `--\n${footer}`
+  ].filter(Boolean).join('\n\n');
+
+  const html = [
+    `<div style="font-family: Arial, sans-serif; font-size: 15px; line-height: 1.5; color: #1f2937; max-width: 560px;">`,
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    ...filledLists.map(list => `<p><strong>${escapeHtml(list.title)}</strong></p><ul>${list.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`),
+    action ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 16px; background: #0ea5e9; color: #ffffff; text-decoration: none; border-radius: 6px;">${escapeHtml(action.label)}</a></p>` : '',
+    `<p>${escapeHtml(signature)}</p>`,
+    `<p style="font-size: 12px; color: #6b7280;">${escapeHtml(footer)}</p>`,
+    '</div>'
+  ].join('\n');
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderEmail
+};
@@ -0,0 +1,24 @@
+const { logger } = require('../../../utils/logger');
+
+/**
+ * Create a transport that logs each message instead of sending it, the
+ * default outside production when no mail server is configured. Only the
+ * recipient, subject and template are logged; bodies can hold reset links
+ * and conversation summaries.
+ * @returns {Object} - Transport with send(message, details)
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(message, { template = null } = {}) {
+    logger.info('Email (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      template
+    });
+
+    return { messageId: null };
+  }
+});
+
+module.exports = { createConsoleTransport };
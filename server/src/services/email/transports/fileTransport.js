@@ -0,0 +1,32 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../../../utils/logger');
+
+/**
+ * Create a transport that writes each message to an .eml file instead of
+ * sending it, for local development and testing. The files open in any mail
+ * client.
+ * @param {Object} config - { dir } directory the files are written to
+ * @returns {Object} - Transport with send(message)
+ */
+const createFileTransport = (config) => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const file = path.join(config.dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+
+      await fs.mkdir(config.dir, { recursive: true });
+      await fs.writeFile(file, info.message);
+      logger.info('Email written to file', { to: message.to, subject: message.subject, file });
+
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createFileTransport };
@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a transport that sends mail through an SMTP server
+ * @param {Object} config - { host, port, secure, user, pass }
+ * @returns {Object} - Transport with send(message)
+ */
+const createSmtpTransport = (config) => {
+  const transporter = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,100 @@
+const { supabase } = require('../config/supabase');
+const emailConfig = require('../config/email');
+const { queueEmail } = require('./email');
+const { logger } = require('../utils/logger');
+
+const HOME_PATHS = {
+  client: '/client/dashboard',
+  therapist: '/therapist/dashboard',
+  admin: '/admin/dashboard'
+};
+
+/**
+ * Queue a templated email to a user, in their preferred language
+ * @param {Object} user - users row with id, email, name and profile_data
+ * @param {string} template - Template name
+ * @param {Object} [data] - Template data
+ * @returns {Promise<Object|null>} - The email_outbox row, or null when the user has no address
+ */
+const sendToUser = async (user, template, data = {}) => {
+  if (!user?.email) return null;
+
+  return queueEmail({
+    to: user.email,
+    userId: user.id,
+    template,
+    language: user.profile_data?.language || 'en',
+    data: { name: user.name, ...data }
+  });
+};
+
+/**
+ * Send the welcome email the first time a user is seen. The user is claimed
+ * by setting welcome_sent_at first, so concurrent requests send it once.
+ * @param {Object} user - users row with id, email, name, role and profile_data
+ * @returns {Promise<Object|null>} - The email_outbox row, or null when already sent
+ */
+const sendWelcomeEmail = async (user) => {
+  const { data: claimed, error } = await supabase
+    .from('users')
+    .update({ welcome_sent_at: new Date().toISOString() })
+    .eq('id', user.id)
+    .is('welcome_sent_at', null)
+    .select('id');
+
+  if (error) throw error;
+  if (!claimed.length) return null;
+
+  return sendToUser(user, 'welcome', { link: HOME_PATHS[user.role] });
+};
+
+/**
+ * Email a password reset link. Unknown addresses are ignored so callers
+ * cannot tell which emails have accounts.
+ * @param {string} email - The address the reset was requested for
+ * @param {string} [language] - Language of the request, used when the user has no saved preference
+ * @returns {Promise<Object|null>} - The email_outbox row, or null when no user has the address
+ */
+const sendPasswordResetEmail = async (email, language = 'en') => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, name, profile_data')
+    .eq('email', email.toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) return null;
+
+  const { data: link, error: linkError } = await supabase.auth.admin.generateLink({
+    type: 'recovery',
+    email: user.email,
+    options: { redirectTo: `${emailConfig.appUrl}/login` }
+  });
+
+  if (linkError) throw linkError;
+
+  return sendToUser(
+    { ...user, profile_data: { language, ...user.profile_data } },
+    'password_reset',
+    { url: link.properties.action_link }
+  );
+};
+
+/**
+ * Run an email sender in the background, logging failures instead of
+ * failing the request that triggered it
+ * @param {string} label - What is being sent, for the log
+ * @param {Promise} promise - The sender's promise
+ */
+const sendInBackground = (label, promise) => {
+  promise.catch(error => {
+    logger.error(`Failed to queue ${label} email`, { error: error.message });
+  });
+};
+
+module.exports = {
+  sendToUser,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendInBackground
+};
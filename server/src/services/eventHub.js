@@ -0,0 +1,33 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process publish/subscribe for live updates. Channels are named after
+ * what they follow, such as `conversation:<id>`. Only subscribers connected
+ * to this server process receive an event.
+ */
+const emitter = new EventEmitter();
+// One listener per open stream; there is no meaningful limit
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event to everyone following a channel
+ * @param {string} channel - Channel name
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const publish = (channel, event, data) => {
+  emitter.emit(channel, { event, data });
+};
+
+/**
+ * Follow a channel
+ * @param {string} channel - Channel name
+ * @param {Function} listener - Called with { event, data }
+ * @returns {Function} - Stops following the channel
+ */
+const subscribe = (channel, listener) => {
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+module.exports = { publish, subscribe };
@@ -0,0 +1,316 @@
+const { supabase } = require('../config/supabase');
+const { isAssignedTherapist } = require('../middleware/auth');
+const { publish } = require('./eventHub');
+const { ApiError } = require('../utils/errors');
+const { truncate } = require('../utils/text');
+
+const PREVIEW_CHARS = 120;
+
+// Thread participants are stored in ID order so each pair has one thread
+const orderPair = (userId, otherId) => (userId < otherId ? [userId, otherId] : [otherId, userId]);
+
+const otherParticipant = (thread, userId) =>
+  (thread.participant_a === userId ? thread.participant_b : thread.participant_a);
+
+/**
+ * Check whether two users may message each other: a client and a therapist
+ * assigned to them, or a therapist and an admin
+ * @param {Object} user - users row of the sender
+ * @param {Object} other - users row of the recipient
+ * @returns {Promise<boolean>}
+ */
+const canMessage = async (user, other) => {
+  const roles = [user.role, other.role].sort().join(':');
+
+  if (roles === 'admin:therapist') return true;
+  if (roles !== 'client:therapist') return false;
+
+  return user.role === 'therapist'
+    ? isAssignedTherapist(user.id, other.id)
+    : isAssignedTherapist(other.id, user.id);
+};
+
+/**
+ * List the users someone may start a thread with
+ * @param {Object} user - The authenticated user
+ * @returns {Promise<Array>} - users rows as { id, name, email, role }
+ */
+const listContacts = async (user) => {
+  const ids = new Set();
+  const roles = [];
+
+  if (user.role === 'client' || user.role === 'therapist') {
+    const column = user.role === 'client' ? 'client_id' : 'therapist_id';
+    const other = user.role === 'client' ? 'therapist_id' : 'client_id';
+
+    const [sessions, conversations] = await Promise.all([
+      supabase.from('sessions').select(other).eq(column, user.id),
+      supabase.from('conversations').select(other).eq(column, user.id)
+    ]);
+
+    if (sessions.error) throw sessions.error;
+    if (conversations.error) throw conversations.error;
+
+    [...sessions.data, ...conversations.data].forEach(row => row[other] && ids.add(row[other]));
+  }
+
+  if (user.role === 'therapist') roles.push('admin');
+  if (user.role === 'admin') roles.push('therapist');
+
+  const queries = [];
+  if (ids.size) {
+    queries.push(supabase.from('users').select('id, name, email, role').in('id', [...ids]));
+  }
+  if (roles.length) {
+    queries.push(supabase.from('users').select('id, name, email, role').in('role', roles));
+  }
+
+  const results = await Promise.all(queries);
+  const contacts = new Map();
+
+  for (const { data, error } of results) {
+    if (error) throw error;
+    data.forEach(contact => contact.id !== user.id && contacts.set(contact.id, contact));
+  }
+
+  return [...contacts.values()].sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email));
+};
+
+/**
+ * List a user's threads, most recently active first, with the other
+ * participant and the number of messages they have not read yet
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} - direct_threads rows with `contact` and `unread`
+ */
+const listThreads = async (userId) => {
+  const { data: threads, error } = await supabase
+    .from('direct_threads')
+    .select('*')
+    .or(`participant_a.eq.${userId},participant_b.eq.${userId}`)
+    .order('last_message_at', { ascending: false, nullsFirst: false });
+
+  if (error) throw error;
+  if (!threads.length) return [];
+
+  const [contacts, unread] = await Promise.all([
+    supabase
+      .from('users')
+      .select('id, name, email, role')
+      .in('id', threads.map(thread => otherParticipant(thread, userId))),
+    supabase
+      .from('direct_messages')
+      .select('thread_id')
+      .eq('recipient_id', userId)
+      .is('read_at', null)
+  ]);
+
+  if (contacts.error) throw contacts.error;
+  if (unread.error) throw unread.error;
+
+  return threads.map(thread => ({
+    ...thread,
+    contact: contacts.data.find(contact => contact.id === otherParticipant(thread, userId)) || null,
+    unread: unread.data.filter(row => row.thread_id === thread.id).length
+  }));
+};
+
+/**
+ * Load a thread the user takes part in. Threads of other users are reported
+ * as missing.
+ * @param {string} threadId - The thread ID
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object>} - The direct_threads row
+ */
+const getThread = async (threadId, userId) => {
+  const { data: thread, error } = await supabase
+    .from('direct_threads')
+    .select('*')
+    .eq('id', threadId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!thread || ![thread.participant_a, thread.participant_b].includes(userId)) {
+    throw new ApiError(404, 'Thread not found');
+  }
+
+  return thread;
+};
+
+/**
+ * Find or start the thread between the user and a recipient
+ * @param {Object} user - The authenticated user
+ * @param {string} recipientId - The other user's ID
+ * @returns {Promise<Object>} - The direct_threads row
+ */
+const openThread = async (user, recipientId) => {
+  const { data: recipient, error } = await supabase
+    .from('users')
+    .select('id, role')
+    .eq('id', recipientId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!recipient || recipient.id === user.id) {
+    throw new ApiError(404, 'Recipient not found');
+  }
+
+  if (!(await canMessage(user, recipient))) {
+    throw new ApiError(403, 'You cannot message this user');
+  }
+
+  const [participantA, participantB] = orderPair(user.id, recipient.id);
+
+  const { data: existing, error: findError } = await supabase
+    .from('direct_threads')
+    .select('*')
+    .eq('participant_a', participantA)
+    .eq('participant_b', participantB)
+    .maybeSingle();
+
+  if (findError) throw findError;
+  if (existing) return existing;
+
+  const { data: thread, error: insertError } = await supabase
+    .from('direct_threads')
+    .upsert([{ participant_a: participantA, participant_b: participantB }], {
+      onConflict: 'participant_a,participant_b'
+    })
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  return thread;
+};
+
+/**
+ * List a thread's messages, oldest first
+ * @param {string} threadId - The thread ID
+ * @param {Object} [options]
+ * @param {string} [options.before] - Only messages created before this timestamp
+ * @param {number} [options.limit] - Maximum number of messages
+ * @returns {Promise<Array>} - direct_messages rows
+ */
+const listMessages = async (threadId, { before = null, limit = 50 } = {}) => {
+  let query = supabase
+    .from('direct_messages')
+    .select('*')
+    .eq('thread_id', threadId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (before) {
+    query = query.lt('created_at', before);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return data.reverse();
+};
+
+/**
+ * Send a message in a thread and deliver it live to both participants. The
+ * pair must still be allowed to message each other, so a client loses access
+ * once they are no longer assigned to the therapist.
+ * @param {Object} thread - The direct_threads row
+ * @param {Object} sender - The authenticated user
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} - The direct_messages row
+ */
+const sendMessage = async (thread, sender, body) => {
+  const recipientId = otherParticipant(thread, sender.id);
+
+  const { data: recipient, error: recipientError } = await supabase
+    .from('users')
+    .select('id, role')
+    .eq('id', recipientId)
+    .maybeSingle();
+
+  if (recipientError) throw recipientError;
+
+  if (!recipient || !(await canMessage(sender, recipient))) {
+    throw new ApiError(403, 'You cannot message this user');
+  }
+
+  const { data: message, error } = await supabase
+    .from('direct_messages')
+    .insert([{ thread_id: thread.id, sender_id: sender.id, recipient_id: recipientId, body }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: threadError } = await supabase
+    .from('direct_threads')
+    .update({ last_message_at: message.created_at, last_message_preview: truncate(body, PREVIEW_CHARS) })
+    .eq('id', thread.id);
+
+  if (threadError) throw threadError;
+
+  publish(`user:${recipientId}`, 'direct_message', message);
+  publish(`user:${sender.id}`, 'direct_message', message);
+
+  return message;
+};
+
+/**
+ * Mark every message the user received in a thread as read and send the
+ * read receipt to the sender
+ * @param {Object} thread - The direct_threads row
+ * @param {string} userId - The reader's user ID
+ * @returns {Promise<number>} - Number of messages marked as read
+ */
+const markThreadRead = async (thread, userId) => {
+  const readAt = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('direct_messages')
+    .update({ read_at: readAt })
+    .eq('thread_id', thread.id)
+    .eq('recipient_id', userId)
+    .is('read_at', null)
+    .select('id');
+
+  if (error) throw error;
+
+  if (data.length) {
+    const receipt = { thread_id: thread.id, reader_id: userId, read_at: readAt, message_ids: data.map(row => row.id) };
+    publish(`user:${otherParticipant(thread, userId)}`, 'direct_read', receipt);
+    publish(`user:${userId}`, 'direct_read', receipt);
+  }
+
+  return data.length;
+};
+
+/**
+ * Count the messages a user has not read yet
+ * @param {string} userId - The user's ID
+ * @returns {Promise<number>}
+ */
+const countUnread = async (userId) => {
+  const { count, error } = await supabase
+    .from('direct_messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('recipient_id', userId)
+    .is('read_at', null);
+
+  if (error) throw error;
+
+  return count || 0;
+};
+
+module.exports = {
+  canMessage,
+  listContacts,
+  listThreads,
+  getThread,
+  openThread,
+  listMessages,
+  sendMessage,
+  markThreadRead,
+  countUnread
+};
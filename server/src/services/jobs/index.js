@@ -0,0 +1,379 @@
+const os = require('os');
+const { supabase } = require('../../config/supabase');
+const config = require('../../config/jobs');
+const { ApiError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+
+// Identifies this process in jobs.locked_by
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+
+let running = false;
+
+/**
+ * Register the function that runs jobs of a type. Its return value is
+ * stored as the job's last_result.
+ * @param {string} type - Job type, such as 'sessions.reminder'
+ * @param {Function} handler - async (payload, job) => result
+ * @param {Object} [options]
+ * @param {number} [options.retrySeconds] - Delay before the first retry
+ */
+const registerJob = (type, handler, { retrySeconds = config.retrySeconds } = {}) => {
+  handlers[type] = { handler, retrySeconds };
+};
+
+const recurringKey = (type) => `recurring:${type}`;
+
+/**
+ * Add a one-off job. A job with a key is only added once: while a job with
+ * the same key exists, enqueueing it again does nothing.
+ * @param {string} type - Job type
+ * @param {Object} [payload] - Data passed to the handler
+ * @param {Object} [options]
+ * @param {Date|string} [options.runAt] - When to run it; now by default
+ * @param {string} [options.key] - De-duplication key
+ * @param {number} [options.maxAttempts] - Runs before it is marked failed
+ * @returns {Promise<Object|null>} - The jobs row, or null when the key already exists
+ */
+const enqueueJob = async (type, payload = {}, { runAt = new Date(), key = null, maxAttempts = config.maxAttempts } = {}) => {
+  const row = {
+    type,
+    key,
+    payload,
+    run_at: new Date(runAt).toISOString(),
+    max_attempts: maxAttempts
+  };
+
+  const query = key
+    ? supabase.from('jobs').upsert([row], { onConflict: 'key', ignoreDuplicates: true })
+    : supabase.from('jobs').insert([row]);
+
+  const { data, error } = await query.select();
+
+  if (error) throw error;
+
+  return data?.[0] || null;
+};
+
+/**
+ * Make sure a recurring job exists with the given interval. Its first run is
+ * due right away; an existing job keeps its next run unless the new interval
+ * brings it forward. An interval of 0 removes the job.
+ * @param {string} type - Job type
+ * @param {number} intervalSeconds - Seconds between runs
+ * @param {Object} [payload] - Data passed to the handler
+ * @returns {Promise<Object|null>} - The jobs row, or null when removed
+ */
+const scheduleRecurringJob = async (type, intervalSeconds, payload = {}) => {
+  const key = recurringKey(type);
+
+  if (!intervalSeconds) {
+    const { error } = await supabase
+      .from('jobs')
+      .delete()
+      .eq('key', key)
+      .neq('status', 'running');
+
+    if (error) throw error;
+
+    return null;
+  }
+
+  const { data: existing, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!existing) {
+    const row = {
+      type,
+      key,
+      payload,
+      interval_seconds: Math.round(intervalSeconds),
+      run_at: new Date().toISOString(),
+      max_attempts: config.maxAttempts
+    };
+
+    // Another process may have added it first
+    const { data, error: insertError } = await supabase
+      .from('jobs')
+      .upsert([row], { onConflict: 'key', ignoreDuplicates: true })
+      .select();
+
+    if (insertError) throw insertError;
+
+    return data?.[0] || null;
+  }
+
+  if (existing.interval_seconds === Math.round(intervalSeconds)) {
+    return existing;
+  }
+
+  const sooner = new Date(Date.now() + intervalSeconds * 1000);
+  const changes = {
+    interval_seconds: Math.round(intervalSeconds),
+    payload,
+    updated_at: new Date().toISOString()
+  };
+  if (new Date(existing.run_at) > sooner) {
+    changes.run_at = sooner.toISOString();
+  }
+
+  const { data, error: updateError } = await supabase
+    .from('jobs')
+    .update(changes)
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  return data;
+};
+
+/**
+ * Record the outcome of a run. One-off jobs complete, or are retried with
+ * backoff until max_attempts and then marked failed. Recurring jobs are
+ * rescheduled one interval later, after their retries run out if they fail.
+ * The update only applies while this process still holds the job.
+ * @param {Object} job - The claimed jobs row
+ * @param {Object} outcome - { result } or { error }
+ */
+const finishJob = async (job, { result = null, error = null }) => {
+  const now = new Date();
+  const retrySeconds = handlers[job.type]?.retrySeconds || config.retrySeconds;
+  const retriesLeft = error && job.attempts < job.max_attempts;
+  const changes = {
+    locked_by: null,
+    locked_at: null,
+    finished_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    last_error: error ? error.message : null
+  };
+
+  if (retriesLeft) {
+    Object.assign(changes, {
+      status: 'pending',
+      run_at: new Date(now.getTime() + retrySeconds * 1000 * 2 ** (job.attempts - 1)).toISOString()
+    });
+  } else if (job.interval_seconds) {
+    Object.assign(changes, {
+      status: 'pending',
+      attempts: 0,
+      run_at: new Date(now.getTime() + job.interval_seconds * 1000).toISOString()
+    });
+  } else {
+    changes.status = error ? 'failed' : 'completed';
+  }
+
+  if (!error) {
+    changes.last_result = result ?? null;
+  }
+
+  const { error: updateError } = await supabase
+    .from('jobs')
+    .update(changes)
+    .eq('id', job.id)
+    .eq('status', 'running')
+    .eq('locked_by', WORKER_ID);
+
+  if (updateError) throw updateError;
+};
+
+/**
+ * Run one claimed job with its registered handler
+ * @param {Object} job - The claimed jobs row
+ * @returns {Promise<boolean>} - Whether the run succeeded
+ */
+const runJob = async (job) => {
+  const registered = handlers[job.type];
+
+  try {
+    if (!registered) {
+      throw new Error(`No handler registered for job type '${job.type}'`);
+    }
+
+    const result = await registered.handler(job.payload || {}, job);
+    await finishJob(job, { result });
+
+    return true;
+  } catch (error) {
+    logger.error('Job failed', { jobId: job.id, type: job.type, attempt: job.attempts, error: error.message });
+    await finishJob(job, { error });
+
+    return false;
+  }
+};
+
+/**
+ * Claim the jobs that are due and run them one at a time. claim_jobs locks
+ * the rows with SKIP LOCKED, so processes polling together never claim the
+ * same job; jobs left running by a process that died are claimed again
+ * after the lock timeout.
+ * @returns {Promise<Object>} - { succeeded, failed } counts for this poll
+ */
+const runDueJobs = async () => {
+  const totals = { succeeded: 0, failed: 0 };
+
+  if (running) return totals;
+  running = true;
+
+  try {
+    const { data: jobs, error } = await supabase.rpc('claim_jobs', {
+      p_worker: WORKER_ID,
+      p_limit: config.batchSize,
+      p_lock_seconds: Math.round(config.lockMinutes * 60)
+    });
+
+    if (error) throw error;
+
+    for (const job of jobs || []) {
+      totals[await runJob(job) ? 'succeeded' : 'failed'] += 1;
+    }
+  } finally {
+    running = false;
+  }
+
+  return totals;
+};
+
+/**
+ * Poll for due jobs on an interval inside the server process
+ * @returns {NodeJS.Timeout|null} - The interval, or null when disabled
+ */
+const startScheduler = () => {
+  if (!config.pollSeconds) return null;
+
+  const poll = () => {
+    runDueJobs().catch(error => {
+      logger.error('Job poll failed', { error: error.message });
+    });
+  };
+
+  const timer = setInterval(poll, config.pollSeconds * 1000);
+  poll();
+
+  // Never keep the process alive just for the schedule
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Delete finished one-off jobs older than the retention period
+ * @returns {Promise<Object>} - { deleted }
+ */
+const cleanUpJobs = async () => {
+  const cutoff = new Date(Date.now() - config.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('jobs')
+    .delete()
+    .in('status', ['completed', 'failed'])
+    .lt('finished_at', cutoff)
+    .select('id');
+
+  if (error) throw error;
+
+  return { deleted: data.length };
+};
+
+/**
+ * List jobs, soonest due first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Only jobs with this status
+ * @param {string} [filters.type] - Only jobs of this type
+ * @param {number} [filters.limit] - Maximum number of jobs
+ * @returns {Promise<Array>} - jobs rows
+ */
+const listJobs = async ({ status, type, limit = 50 } = {}) => {
+  let query = supabase
+    .from('jobs')
+    .select('*')
+    .order('run_at', { ascending: status !== 'completed' && status !== 'failed' })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+  if (type) query = query.eq('type', type);
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Job counts by type and status from the job_status view
+ * @returns {Promise<Array>} - job_status rows
+ */
+const getJobStatus = async () => {
+  const { data, error } = await supabase
+    .from('job_status')
+    .select('*')
+    .order('type', { ascending: true });
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Run a pending or failed job as soon as possible. A failed job gets its
+ * attempts back.
+ * @param {string} jobId - The job's ID
+ * @returns {Promise<Object>} - The updated jobs row
+ */
+const runJobNow = async (jobId) => {
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('id, status')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!job) {
+    throw new ApiError(404, 'Job not found');
+  }
+
+  if (!['pending', 'failed'].includes(job.status)) {
+    throw new ApiError(409, `A ${job.status} job cannot be run again`);
+  }
+
+  const { data, error: updateError } = await supabase
+    .from('jobs')
+    .update({
+      status: 'pending',
+      run_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      ...(job.status === 'failed' ? { attempts: 0 } : {})
+    })
+    .eq('id', jobId)
+    .eq('status', job.status)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+
+  if (!data) {
+    throw new ApiError(409, 'The job changed; refresh and try again');
+  }
+
+  return data;
+};
+
+module.exports = {
+  registerJob,
+  enqueueJob,
+  scheduleRecurringJob,
+  runDueJobs,
+  startScheduler,
+  cleanUpJobs,
+  listJobs,
+  getJobStatus,
+  runJobNow
+};
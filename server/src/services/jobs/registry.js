@@ -0,0 +1,37 @@
+const config = require('../../config/jobs');
+const summaryConfig = require('../../config/summaries');
+const conversationConfig = require('../../config/conversations');
+const emailConfig = require('../../config/email');
+const { registerJob, scheduleRecurringJob, cleanUpJobs } = require('./index');
+const { runDailySummaries } = require('../summaryService');
+const { closeIdleConversations, processClosedConversation } = require('../lifecycleService');
+const { processOutbox } = require('../email');
+const { queueSessionReminders, sendSessionReminder } = require('../reminderService');
+const { settleAttendance } = require('../sessionService');
+
+/**
+ * Register the handler of every job type and make sure the recurring jobs
+ * exist with their configured intervals
+ * @returns {Promise<void>}
+ */
+const registerJobs = async () => {
+  registerJob('summaries.daily', () => runDailySummaries());
+  registerJob('conversations.close_idle', () => closeIdleConversations());
+  registerJob('conversations.process_closed', processClosedConversation);
+  registerJob('email.outbox', () => processOutbox());
+  registerJob('sessions.queue_reminders', () => queueSessionReminders());
+  registerJob('sessions.reminder', sendSessionReminder);
+  registerJob('sessions.mark_no_shows', () => settleAttendance());
+  registerJob('jobs.cleanup', () => cleanUpJobs());
+
+  await Promise.all([
+    scheduleRecurringJob('summaries.daily', summaryConfig.intervalHours * 60 * 60),
+    scheduleRecurringJob('conversations.close_idle', conversationConfig.checkMinutes * 60),
+    scheduleRecurringJob('email.outbox', emailConfig.outboxSeconds),
+    scheduleRecurringJob('sessions.queue_reminders', config.reminderHours.length ? config.reminderScanMinutes * 60 : 0),
+    scheduleRecurringJob('sessions.mark_no_shows', config.noShowScanMinutes * 60),
+    scheduleRecurringJob('jobs.cleanup', 24 * 60 * 60)
+  ]);
+};
+
+module.exports = { registerJobs };
@@ -0,0 +1,273 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/conversations');
+const { summarizeConversation } = require('./summaryService');
+const { summarizeSentiment } = require('./sentiment');
+const { getResponsibleTherapistId } = require('./riskAlertService');
+const { notify } = require('./notificationService');
+const { publish } = require('./eventHub');
+const { enqueueJob } = require('./jobs');
+const { truncate } = require('../utils/text');
+const { logger } = require('../utils/logger');
+
+const NOTIFICATION_BODY_CHARS = 300;
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+/**
+ * Close an open conversation and hand it back to the AI if a therapist had
+ * taken over. Only the request that actually closes it gets the row back,
+ * so the post-close work is started once.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} reason - 'ended' when the client ended it, 'idle' when it timed out
+ * @returns {Promise<Object|null>} - The closed conversation, or null if it was already closed
+ */
+const closeConversation = async (conversationId, reason) => {
+  const { data, error } = await supabase
+    .from('conversations')
+    .update({ end_ts: new Date().toISOString(), closed_reason: reason, ai_paused_at: null, paused_by: null })
+    .eq('id', conversationId)
+    .is('end_ts', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (data) {
+    publish(`conversation:${conversationId}`, 'conversation', { ...data, responder: null });
+  }
+
+  return data;
+};
+
+/**
+ * Store the sentiment of the client's messages on the conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object>} - Result of summarizeSentiment
+ */
+const rollUpSentiment = async (conversationId) => {
+  const { data: messages, error } = await supabase
+    .from('messages')
+    .select('sentiment_score, emotions')
+    .eq('conversation_id', conversationId)
+    .eq('sender', 'user')
+    .order('timestamp', { ascending: true });
+
+  if (error) throw error;
+
+  const metrics = summarizeSentiment(messages || []);
+  const { error: updateError } = await supabase
+    .from('conversations')
+    .update({ sentiment_metrics: metrics })
+    .eq('id', conversationId);
+
+  if (updateError) throw updateError;
+
+  return metrics;
+};
+
+/**
+ * Let the responsible therapist know a conversation has closed
+ * @param {Object} conversation - The closed conversation row
+ * @param {Object|null} summary - The conversation's summaries row
+ * @param {Object} sentiment - The conversation's sentiment roll-up
+ * @returns {Promise<Object|null>} - The notification, or null without a therapist or when they turned it off
+ */
+const notifyTherapist = async (conversation, summary, sentiment) => {
+  const therapistId = await getResponsibleTherapistId(conversation);
+  if (!therapistId) return null;
+
+  return notify({
+    userId: therapistId,
+    type: 'conversation_ended',
+    title: conversation.closed_reason === 'idle' ? 'Conversation closed after inactivity' : 'Conversation ended',
+    body: summary?.summary_text
+      ? truncate(summary.summary_text, NOTIFICATION_BODY_CHARS)
+      : `The client sent ${sentiment.count} message${sentiment.count === 1 ? '' : 's'}.`,
+    data: {
+      conversation_id: conversation.id,
+      client_id: conversation.client_id,
+      reason: conversation.closed_reason,
+      sentiment: sentiment.average,
+      trend: sentiment.trend
+    },
+    link: `/therapist/clients/${conversation.client_id}`
+  });
+};
+
+/**
+ * Send the client the summary of their conversation, by email unless they
+ * turned summary emails off
+ * @param {Object} conversation - The closed conversation row
+ * @param {Object} summary - The conversation's summaries row
+ * @returns {Promise<Object|null>} - The in-app notification, if the client gets one
+ */
+const notifyClientOfSummary = (conversation, summary) => notify({
+  userId: conversation.client_id,
+  type: 'summary_ready',
+  title: 'Your conversation summary is ready',
+  body: summary.key_topics?.length ? `Topics: ${summary.key_topics.join(', ')}` : null,
+  data: { conversation_id: conversation.id, summary_id: summary.id },
+  link: '/client/chat',
+  email: {
+    template: 'summary',
+    data: {
+      date: conversation.start_ts,
+      keyTopics: summary.key_topics || [],
+      actionItems: summary.action_items || [],
+      link: '/client/chat'
+    }
+  }
+});
+
+const PROCESS_JOB = 'conversations.process_closed';
+
+/**
+ * Queue the post-close work for a conversation. The job is keyed on the
+ * close, so it is queued once however often this is called; a conversation
+ * resumed and closed again gets a new job.
+ * @param {Object} conversation - The closed conversation row
+ * @returns {Promise<Object|null>} - The jobs row, or null when it was already queued
+ */
+const queueClosedConversation = (conversation) => enqueueJob(
+  PROCESS_JOB,
+  { conversation_id: conversation.id, end_ts: conversation.end_ts },
+  { key: `conversation_closed:${conversation.id}:${conversation.end_ts}` }
+);
+
+/**
+ * Job handler for the post-close work of a conversation: roll up its
+ * sentiment, summarize it (which also updates the client's memory) and notify
+ * the therapist and the client. A failed roll-up or summary fails the run so
+ * the job runner retries it; on the last attempt the notifications go out
+ * without them, and the daily summarization catches up the summary.
+ * close_processed_at is only set once the work has finished.
+ * @param {Object} payload - { conversation_id, end_ts } of the close
+ * @param {Object} [job] - The claimed jobs row
+ * @returns {Promise<Object>} - { processed }; false when the conversation was resumed or already processed
+ */
+const processClosedConversation = async ({ conversation_id: conversationId, end_ts: endTs }, job = null) => {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!conversation || conversation.end_ts !== endTs || conversation.close_processed_at) {
+    return { processed: false };
+  }
+
+  const lastAttempt = !job || job.attempts >= job.max_attempts;
+  const runStep = async (step, failure) => {
+    try {
+      return await step();
+    } catch (stepError) {
+      if (!lastAttempt) throw stepError;
+      logger.error(failure, { conversationId, error: stepError.message });
+      return null;
+    }
+  };
+
+  const sentiment = await runStep(() => rollUpSentiment(conversationId), 'Failed to roll up conversation sentiment');
+  const result = await runStep(() => summarizeConversation(conversationId), 'Failed to summarize closed conversation');
+  const summary = result?.summary || null;
+  const summaryIsNew = Boolean(summary) && !result.skipped;
+
+  // Conversations the client never wrote in are not worth a notification
+  if (sentiment?.count) {
+    try {
+      await notifyTherapist(conversation, summary, sentiment);
+    } catch (notifyError) {
+      logger.error('Failed to notify therapist of closed conversation', { conversationId, error: notifyError.message });
+    }
+  }
+
+  // A conversation resumed and closed again without new messages keeps its summary
+  if (summaryIsNew) {
+    try {
+      await notifyClientOfSummary(conversation, summary);
+    } catch (notifyError) {
+      logger.error('Failed to send conversation summary to client', { conversationId, error: notifyError.message });
+    }
+  }
+
+  const { error: stampError } = await supabase
+    .from('conversations')
+    .update({ close_processed_at: new Date().toISOString() })
+    .eq('id', conversationId)
+    .eq('end_ts', endTs);
+
+  if (stampError) throw stampError;
+
+  logger.info('Conversation closed', { conversationId, reason: conversation.closed_reason });
+
+  return { processed: true };
+};
+
+/**
+ * Close conversations that have been idle longer than the timeout and queue
+ * their post-close work, then queue it again for closes whose job was never
+ * added, such as after a crash.
+ * @returns {Promise<Object>} - { closed, queued, failed }
+ */
+const closeIdleConversations = async () => {
+  const idleSince = minutesAgo(config.idleMinutes);
+
+  const { data: idle, error } = await supabase
+    .from('conversations')
+    .select('id')
+    .is('end_ts', null)
+    .or(`last_message_at.lt."${idleSince}",and(last_message_at.is.null,start_ts.lt."${idleSince}")`);
+
+  if (error) throw error;
+
+  const totals = { closed: 0, queued: 0, failed: 0 };
+  const closed = [];
+
+  for (const { id } of idle || []) {
+    try {
+      const conversation = await closeConversation(id, 'idle');
+      if (conversation) {
+        totals.closed += 1;
+        closed.push(conversation);
+      }
+    } catch (closeError) {
+      totals.failed += 1;
+      logger.error('Failed to close idle conversation', { conversationId: id, error: closeError.message });
+    }
+  }
+
+  const { data: pending, error: pendingError } = await supabase
+    .from('conversations')
+    .select('id, end_ts')
+    .not('end_ts', 'is', null)
+    .is('close_processed_at', null)
+    .gte('end_ts', minutesAgo(config.retryHours * 60));
+
+  if (pendingError) throw pendingError;
+
+  const queue = [...closed, ...(pending || []).filter(({ id }) => !closed.some(conversation => conversation.id === id))];
+
+  // Keyed jobs: closes that already have one are not queued twice
+  for (const conversation of queue) {
+    try {
+      if (await queueClosedConversation(conversation)) totals.queued += 1;
+    } catch (queueError) {
+      totals.failed += 1;
+      logger.error('Failed to queue closed conversation', { conversationId: conversation.id, error: queueError.message });
+    }
+  }
+
+  if (totals.closed || totals.queued || totals.failed) {
+    logger.info('Idle conversation check finished', totals);
+  }
+
+  return totals;
+};
+
+module.exports = {
+  closeConversation,
+  queueClosedConversation,
+  processClosedConversation,
+  closeIdleConversations
+};
@@ -0,0 +1,59 @@
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('../../../config/llm', () => ({
+  providers: {
+    remote: { type: 'openai', apiKey: 'key', baseUrl: 'https://llm.test/v1', model: 'test-model', contextTokens: 8000 }
+  },
+  order: ['remote'],
+  timeoutMs: 1000,
+  maxTokens: 100,
+  temperature: 0.7
+}));
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const { stream } = require('..');
+
+const deltaEvent = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+// Response body that sends `events`, then waits and is destroyed with an
+// error once `signal` aborts, as axios does with a cancelled stream
+const abortableBody = (events, signal) => Readable.from((async function* body() {
+  yield* events;
+  await new Promise(resolve => signal.addEventListener('abort', resolve));
+  throw Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+})());
+
+describe('stream', () => {
+  afterEach(() => axios.post.mockReset());
+
+  it('keeps the text streamed before an abort the provider throws on', async () => {
+    const controller = new AbortController();
+    axios.post.mockImplementation(async (url, body, { signal }) => ({
+      data: abortableBody([deltaEvent('Hola, '), deltaEvent('¿cómo estás?')], signal)
+    }));
+
+    const deltas = [];
+    const result = await stream({
+      system: 'Be kind',
+      messages: [{ role: 'user', content: 'Hi' }],
+      signal: controller.signal,
+      onDelta: (delta) => {
+        deltas.push(delta);
+        if (deltas.length === 2) controller.abort();
+      }
+    });
+
+    expect(result).toMatchObject({ text: 'Hola, ¿cómo estás?', provider: 'remote', aborted: true });
+    expect(deltas).toEqual(['Hola, ', '¿cómo estás?']);
+  });
+
+  it('returns the whole text when not aborted', async () => {
+    axios.post.mockResolvedValue({
+      data: Readable.from([deltaEvent('Hello'), deltaEvent(' there'), 'data: [DONE]\n\n'])
+    });
+
+    const result = await stream({ system: '', messages: [], onDelta: () => {} });
+
+    expect(result).toMatchObject({ text: 'Hello there', aborted: false });
+  });
+});
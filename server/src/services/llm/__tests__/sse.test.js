@@ -0,0 +1,32 @@
+const { Readable } = require('stream');
+const { readEvents } = require('../sse');
+
+const collect = async (chunks) => {
+  const events = [];
+  for await (const event of readEvents(Readable.from(chunks))) events.push(event);
+  return events;
+};
+
+describe('readEvents', () => {
+  it('reads named and multi-line events', async () => {
+    await expect(collect([Buffer.from('event: delta\ndata: a\ndata: b\n\n: comment\n\ndata: c\n\n')])).resolves.toEqual([
+      { event: 'delta', data: 'a\nb' },
+      { event: 'message', data: 'c' }
+    ]);
+  });
+
+  it('decodes characters split across chunks', async () => {
+    const bytes = Buffer.from('data: ¿Qué tal? 🙂\n\n');
+    const splits = [9, bytes.indexOf(Buffer.from('🙂')) + 2];
+
+    await expect(collect([bytes.subarray(0, splits[0]), bytes.subarray(...splits), bytes.subarray(splits[1])]))
+      .resolves.toEqual([{ event: 'message', data: '¿Qué tal? 🙂' }]);
+  });
+
+  it('accepts events ending in \\r\\n, even when split between its \\r and \\n', async () => {
+    await expect(collect([Buffer.from('event: done\r\ndata: x\r'), Buffer.from('\n\r\ndata: y\r\r')])).resolves.toEqual([
+      { event: 'done', data: 'x' },
+      { event: 'message', data: 'y' }
+    ]);
+  });
+});
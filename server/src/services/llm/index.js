@@ -0,0 +1,181 @@
+const llmConfig = require('../../config/llm');
+const { createOpenAIProvider } = require('./providers/openaiProvider');
+const { createAnthropicProvider } = require('./providers/anthropicProvider');
+const { createMockProvider } = require('./providers/mockProvider');
+const { ApiError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider
+};
+
+// Instantiate every provider named in the configuration
+const providers = Object.entries(llmConfig.providers).reduce((registry, [name, config]) => {
+  registry[name] = PROVIDER_FACTORIES[config.type](name, config);
+  return registry;
+}, {});
+
+/**
+ * Get the providers to try, in fallback order. A preferred provider (from the
+ * user's settings) is moved to the front when it is part of the order.
+ * @param {string|null} preferredProvider - Provider name to try first
+ * @returns {Array<Object>} - Configured providers
+ */
+const getProviderChain = (preferredProvider = null) => {
+  const names = [...llmConfig.order];
+
+  if (preferredProvider && names.includes(preferredProvider)) {
+    names.splice(names.indexOf(preferredProvider), 1);
+    names.unshift(preferredProvider);
+  }
+
+  return names
+    .map(name => providers[name])
+    .filter(provider => provider && provider.isConfigured());
+};
+
+/**
+ * List the configured providers, in fallback order
+ * @returns {Array<Object>} - Provider names and models
+ */
+const listProviders = () => getProviderChain().map(({ name, model }) => ({ name, model }));
+
+/**
+ * Get the number of prompt tokens every provider that may answer can take,
+ * after reserving room for the reply. Any provider in the chain may end up
+ * answering, so the smallest window wins.
+ * @param {string|null} preferredProvider - Provider name to try first
+ * @returns {number|null} - Token budget, or null when no provider is configured
+ */
+const getContextBudget = (preferredProvider = null) => {
+  const windows = getProviderChain(preferredProvider)
+    .map(({ name }) => llmConfig.providers[name].contextTokens)
+    .filter(Boolean);
+
+  return windows.length ? Math.min(...windows) - llmConfig.maxTokens : null;
+};
+
+/**
+ * Generate a completion, falling back through the provider chain until one
+ * succeeds
+ * @param {Object} request - The completion request
+ * @param {string} request.system - System prompt
+ * @param {Array} request.messages - Chat turns as { role, content }
+ * @param {string} [request.preferredProvider] - Provider name to try first
+ * @returns {Promise<Object>} - { text, provider, model, usage, latencyMs, attempts }
+ */
+const generate = async ({ system, messages, preferredProvider = null }) => {
+  const chain = getProviderChain(preferredProvider);
+  const attempts = [];
+
+  for (const provider of chain) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await provider.complete({
+        system,
+        messages,
+        maxTokens: llmConfig.maxTokens,
+        temperature: llmConfig.temperature,
+        timeoutMs: llmConfig.timeoutMs
+      });
+
+      if (!result.text) {
+        throw new Error('Empty completion');
+      }
+
+      return {
+        text: result.text.trim(),
+        provider: provider.name,
+        model: provider.model,
+        usage: result.usage,
+        latencyMs: Date.now() - startedAt,
+        attempts
+      };
+    } catch (error) {
+      logger.warn('LLM provider failed, trying next', { provider: provider.name, error: error.message });
+      attempts.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  throw new ApiError(502, 'No LLM provider was able to respond', attempts);
+};
+
+/**
+ * Stream a completion token by token. Falls back to the next provider only
+ * while nothing has been streamed yet; once tokens have reached the caller a
+ * failure is final. When the signal aborts, the text streamed so far comes
+ * back with aborted set, whether or not the provider throws on abort.
+ * @param {Object} request - The completion request
+ * @param {string} request.system - System prompt
+ * @param {Array} request.messages - Chat turns as { role, content }
+ * @param {Function} request.onDelta - Called with each text delta
+ * @param {AbortSignal} [request.signal] - Cancels the upstream request
+ * @param {string} [request.preferredProvider] - Provider name to try first
+ * @returns {Promise<Object>} - { text, provider, model, usage, latencyMs, firstTokenMs, attempts, aborted }
+ */
+const stream = async ({ system, messages, onDelta, signal = null, preferredProvider = null }) => {
+  const chain = getProviderChain(preferredProvider);
+  const attempts = [];
+
+  for (const provider of chain) {
+    const startedAt = Date.now();
+    let firstTokenMs = null;
+    let streamed = '';
+
+    try {
+      const result = await provider.stream({
+        system,
+        messages,
+        maxTokens: llmConfig.maxTokens,
+        temperature: llmConfig.temperature,
+        timeoutMs: llmConfig.timeoutMs,
+        signal,
+        onDelta: (delta) => {
+          if (firstTokenMs === null) firstTokenMs = Date.now() - startedAt;
+          streamed += delta;
+          onDelta(delta);
+        }
+      });
+
+      if (!result.text && !signal?.aborted) {
+        throw new Error('Empty completion');
+      }
+
+      return {
+        text: result.text,
+        provider: provider.name,
+        model: provider.model,
+        usage: result.usage,
+        latencyMs: Date.now() - startedAt,
+        firstTokenMs,
+        attempts,
+        aborted: Boolean(signal?.aborted)
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        return {
+          text: streamed,
+          provider: provider.name,
+          model: provider.model,
+          usage: null,
+          latencyMs: Date.now() - startedAt,
+          firstTokenMs,
+          attempts,
+          aborted: true
+        };
+      }
+
+      if (firstTokenMs !== null) throw error;
+
+      logger.warn('LLM provider failed, trying next', { provider: provider.name, error: error.message });
+      attempts.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  throw new ApiError(502, 'No LLM provider was able to respond', attempts);
+};
+
+module.exports = { generate, stream, listProviders, getContextBudget };
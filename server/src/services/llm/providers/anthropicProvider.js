@@ -0,0 +1,119 @@
+const axios = require('axios');
+const { readEvents } = require('../sse');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * The messages API needs alternating turns that start with the user, so merge
+ * consecutive turns from the same role and drop leading assistant turns such
+ * as the chat welcome message
+ * @param {Array} messages - Chat turns
+ * @returns {Array} - Normalized chat turns
+ */
+const normalizeTurns = (messages) => {
+  const turns = [];
+
+  messages.forEach(({ role, content }) => {
+    if (turns.length === 0 && role !== 'user') return;
+
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content = `${last.content}\n\n${content}`;
+    } else {
+      turns.push({ role, content });
+    }
+  });
+
+  return turns;
+};
+
+/**
+ * Provider for the Anthropic messages API and compatible servers
+ * @param {string} name - Provider name used in the fallback order
+ * @param {Object} config - Provider configuration from config/llm.js
+ * @returns {Object} - LLM provider
+ */
+const createAnthropicProvider = (name, config) => ({
+  name,
+  model: config.model,
+
+  isConfigured() {
+    return Boolean(config.baseUrl && config.apiKey);
+  },
+
+  async complete({ system, messages, maxTokens, temperature, timeoutMs }) {
+    const { data } = await axios.post(
+      `${config.baseUrl.replace(/\/$/, '')}/v1/messages`,
+      {
+        model: config.model,
+        system,
+        messages: normalizeTurns(messages),
+        max_tokens: maxTokens,
+        temperature
+      },
+      {
+        timeout: timeoutMs,
+        headers: {
+          'x-api-key': config.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        }
+      }
+    );
+
+    return {
+      text: (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: {
+        inputTokens: data.usage?.input_tokens ?? null,
+        outputTokens: data.usage?.output_tokens ?? null
+      }
+    };
+  },
+
+  async stream({ system, messages, maxTokens, temperature, timeoutMs, signal, onDelta }) {
+    const response = await axios.post(
+      `${config.baseUrl.replace(/\/$/, '')}/v1/messages`,
+      {
+        model: config.model,
+        system,
+        messages: normalizeTurns(messages),
+        max_tokens: maxTokens,
+        temperature,
+        stream: true
+      },
+      {
+        timeout: timeoutMs,
+        signal,
+        responseType: 'stream',
+        headers: {
+          'x-api-key': config.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        }
+      }
+    );
+
+    let text = '';
+    const usage = { inputTokens: null, outputTokens: null };
+
+    for await (const { event, data } of readEvents(response.data)) {
+      const payload = JSON.parse(data);
+
+      if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        text += payload.delta.text;
+        onDelta(payload.delta.text);
+      } else if (event === 'message_start') {
+        usage.inputTokens = payload.message?.usage?.input_tokens ?? null;
+      } else if (event === 'message_delta') {
+        usage.outputTokens = payload.usage?.output_tokens ?? null;
+      } else if (event === 'error') {
+        throw new Error(payload.error?.message || 'Anthropic stream error');
+      }
+    }
+
+    return { text, usage };
+  }
+});
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,158 @@
+const TOPIC_KEYWORDS = {
+  anxiety: ['anxious', 'anxiety', 'worried', 'panic', 'ansiedad', 'ansios'],
+  'low mood': ['sad', 'depressed', 'down', 'triste', 'deprimid'],
+  work: ['work', 'job', 'boss', 'trabajo', 'jefe'],
+  sleep: ['sleep', 'insomnia', 'dormir', 'sueno'],
+  relationships: ['partner', 'family', 'friend', 'pareja', 'familia', 'amig']
+};
+
+/**
+ * Answer a summarization request with keyword-based topics, in the JSON
+ * shape the summary pipeline expects
+ * @param {string} transcript - The conversation transcript
+ * @returns {string}
+ */
+const mockSummary = (transcript) => {
+  const text = transcript.toLowerCase();
+  const topics = Object.keys(TOPIC_KEYWORDS)
+    .filter(topic => TOPIC_KEYWORDS[topic].some(keyword => text.includes(keyword)));
+  const turns = (transcript.match(/^Client:/gm) || []).length;
+
+  return JSON.stringify({
+    summary: `The client shared ${turns} message${turns === 1 ? '' : 's'} with the AI coach, focusing on ${topics.length ? topics.join(', ') : 'general well-being'}. The coach responded with supportive, reflective prompts.`,
+    key_topics: topics.length ? topics : ['general well-being'],
+    action_items: topics.includes('anxiety') ? ['Practice a brief breathing exercise when anxiety rises'] : []
+  });
+};
+
+/**
+ * Answer a question about a client by quoting the last two numbered sources
+ * @param {string} content - Sources followed by the question
+ * @returns {string}
+ */
+const mockClientAnswer = (content) => {
+  const sources = content.match(/^\[\d+\] .+$/gm) || [];
+  if (!sources.length) return 'The record does not contain enough information to answer this question.';
+
+  return sources.slice(-2)
+    .map(line => {
+      const [, number, label, text] = line.match(/^\[(\d+)\] ([^:]+): (.*)$/);
+      return `${label} notes: "${text.slice(0, 120)}" [${number}].`;
+    })
+    .join(' ');
+};
+
+/**
+ * Answer a memory extraction request with facts matched by simple patterns,
+ * in the JSON shape the memory pipeline expects
+ * @param {string} content - Known memories, summary and client messages
+ * @returns {string}
+ */
+const mockMemories = (content) => {
+  const memories = [];
+
+  (content.match(/^Client: .+$/gm) || []).forEach(line => {
+    const text = line.slice('Client: '.length).trim().replace(/[.!?]+$/, '');
+    const goal = text.match(/\b(?:i want to|my goal is to|i'd like to)\s+(.+)/i);
+    const person = text.match(/\bmy (sister|brother|mother|mom|father|dad|partner|wife|husband|friend|son|daughter|boss)\b/i);
+    const coping = text.match(/\b(breathing|walking|journaling|meditation|exercise)\b.*\bhelp/i);
+
+    if (goal) memories.push({ category: 'goal', content: `The client wants to ${goal[1]}.` });
+    if (person) memories.push({ category: 'person', content: `The client talked about their ${person[1].toLowerCase()}.` });
+    if (coping) memories.push({ category: 'coping_strategy', content: `${coping[1][0].toUpperCase()}${coping[1].slice(1).toLowerCase()} helps the client.` });
+  });
+
+  return JSON.stringify({ memories });
+};
+
+/**
+ * Answer a compaction request by appending the client's new turns to the
+ * previous running summary
+ * @param {string} content - Previous summary followed by the new turns
+ * @returns {string}
+ */
+const mockRunningSummary = (content) => {
+  const previous = (content.match(/^Previous summary: (.*)$/m) || [])[1];
+  const said = (content.match(/^Client: .+$/gm) || [])
+    .map(line => `"${line.slice('Client: '.length, 'Client: '.length + 60)}"`);
+
+  return [
+    previous && previous !== 'none' ? previous : '',
+    said.length ? `The client said: ${said.join('; ')}.` : 'The coach and the client kept talking.'
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Offline provider that answers from simple keyword rules, so the full chat
+ * flow can be exercised without network access or API keys
+ * @param {string} name - Provider name used in the fallback order
+ * @param {Object} config - Provider configuration from config/llm.js
+ * @returns {Object} - LLM provider
+ */
+const createMockProvider = (name, config) => ({
+  name,
+  model: config.model,
+
+  isConfigured() {
+    return true;
+  },
+
+  async complete({ system, messages }) {
+    if (config.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, config.delayMs));
+    }
+
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const text = (lastUserMessage?.content || '').toLowerCase();
+    const prompt = (system || '').toLowerCase();
+
+    let reply = 'I understand how you feel. Can you tell me more about that?';
+
+    if (prompt.includes('clinical documentation assistant')) {
+      reply = mockSummary(lastUserMessage?.content || '');
+    } else if (prompt.includes('running summary')) {
+      reply = mockRunningSummary(lastUserMessage?.content || '');
+    } else if (prompt.includes('long-term memory')) {
+      reply = mockMemories(lastUserMessage?.content || '');
+    } else if (prompt.includes('questions about their client')) {
+      reply = mockClientAnswer(lastUserMessage?.content || '');
+    } else if (prompt.includes('safety:')) {
+      reply = 'I\'m really glad you told me, and I\'m sorry you\'re carrying this right now. Your safety matters most. Please reach out to someone who can help immediately.';
+    } else if (text.includes('anxious') || text.includes('anxiety')) {
+      reply = `I notice you mentioned feeling anxious. ${prompt.includes('cbt')
+        ? 'Let\'s identify what thoughts might be contributing to this anxiety. Can you share what\'s going through your mind?'
+        : 'Taking slow, deep breaths can help in the moment. Would you like to try a brief breathing exercise together?'}`;
+    } else if (text.includes('sad') || text.includes('depressed')) {
+      reply = `I'm sorry to hear you're feeling down. ${prompt.includes('motivational')
+        ? 'What\'s one small thing you could do today that might bring you a moment of joy?'
+        : 'Depression can make everything feel more difficult. Have you noticed any patterns to when these feelings are strongest?'}`;
+    } else if (text.includes('work') || text.includes('job')) {
+      reply = `Work situations can be challenging. ${prompt.includes('mindfulness')
+        ? 'When you\'re at work, what helps you stay grounded in the present moment?'
+        : 'How do you think your thoughts about work are affecting your emotions and behaviors?'}`;
+    }
+
+    return {
+      text: reply,
+      usage: { inputTokens: null, outputTokens: null }
+    };
+  },
+
+  async stream(request) {
+    const { text: reply, usage } = await this.complete(request);
+    const tokens = reply.match(/\S+\s*/g) || [];
+    let text = '';
+
+    for (const token of tokens) {
+      if (request.signal?.aborted) break;
+
+      await new Promise(resolve => setTimeout(resolve, config.tokenDelayMs));
+      text += token;
+      request.onDelta(token);
+    }
+
+    return { text, usage };
+  }
+});
+
+module.exports = { createMockProvider };
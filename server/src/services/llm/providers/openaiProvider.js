@@ -0,0 +1,87 @@
+const axios = require('axios');
+const { readEvents } = require('../sse');
+
+/**
+ * Provider for the OpenAI chat completions API and compatible servers
+ * @param {string} name - Provider name used in the fallback order
+ * @param {Object} config - Provider configuration from config/llm.js
+ * @returns {Object} - LLM provider
+ */
+const createOpenAIProvider = (name, config) => ({
+  name,
+  model: config.model,
+
+  isConfigured() {
+    return Boolean(config.baseUrl && (config.apiKey || config.requiresApiKey === false));
+  },
+
+  async complete({ system, messages, maxTokens, temperature, timeoutMs }) {
+    const { data } = await axios.post(
+      `${config.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      {
+        model: config.model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        max_tokens: maxTokens,
+        temperature
+      },
+      {
+        timeout: timeoutMs,
+        headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}
+      }
+    );
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: {
+        inputTokens: data.usage?.prompt_tokens ?? null,
+        outputTokens: data.usage?.completion_tokens ?? null
+      }
+    };
+  },
+
+  async stream({ system, messages, maxTokens, temperature, timeoutMs, signal, onDelta }) {
+    const response = await axios.post(
+      `${config.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      {
+        model: config.model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      {
+        timeout: timeoutMs,
+        signal,
+        responseType: 'stream',
+        headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}
+      }
+    );
+
+    let text = '';
+    let usage = { inputTokens: null, outputTokens: null };
+
+    for await (const { data } of readEvents(response.data)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content;
+
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+
+      if (chunk.usage) {
+        usage = {
+          inputTokens: chunk.usage.prompt_tokens ?? null,
+          outputTokens: chunk.usage.completion_tokens ?? null
+        };
+      }
+    }
+
+    return { text, usage };
+  }
+});
+
+module.exports = { createOpenAIProvider };
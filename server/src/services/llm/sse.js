@@ -0,0 +1,55 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Parse one event block, whose lines end in \n
+ * @param {string} block - The event's lines
+ * @returns {Object|null} - { event, data }, or null when it carries no data
+ */
+const parseEvent = (block) => {
+  let event = 'message';
+  const data = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  });
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+};
+
+/**
+ * Read Server-Sent Events from a Node readable stream. Characters split
+ * across chunks are decoded whole, and lines may end in \n, \r\n or \r.
+ * @param {Readable} stream - Response body stream
+ * @yields {Object} - { event, data } for each event, with data as the raw string
+ */
+async function* readEvents(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  // Yield the complete events in the buffer. Until the stream ends, a
+  // trailing \r may be the first half of a \r\n.
+  function* takeEvents(ended) {
+    const end = !ended && buffer.endsWith('\r') ? buffer.length - 1 : buffer.length;
+    buffer = buffer.slice(0, end).replace(/\r\n?/g, '\n') + buffer.slice(end);
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const event = parseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      if (event) yield event;
+    }
+  }
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    yield* takeEvents(false);
+  }
+
+  buffer += decoder.end();
+  yield* takeEvents(true);
+}
+
+module.exports = { readEvents };
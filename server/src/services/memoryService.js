@@ -0,0 +1,287 @@
+const { supabase } = require('../config/supabase');
+const llm = require('./llm');
+const { ApiError } = require('../utils/errors');
+const { extractKeywords } = require('../utils/text');
+const { logger } = require('../utils/logger');
+
+const CATEGORIES = ['goal', 'person', 'coping_strategy', 'preference', 'fact'];
+const MAX_EXTRACTED = 8;
+const MAX_CONTENT_LENGTH = 300;
+const PROMPT_MEMORIES = 6;
+// Goals are relevant to almost every turn, even without shared keywords
+const ALWAYS_RELEVANT = ['goal'];
+// Memories are written about "the client"; the word says nothing about the fact
+const IGNORED_WORDS = new Set(['client', 'cliente']);
+// Memories sharing this much of their keywords are treated as the same fact
+const DUPLICATE_OVERLAP = 0.6;
+
+const EXTRACTION_SYSTEM_PROMPT = [
+  'You maintain the long-term memory of an AI coach that talks with a therapy client.',
+  'From the conversation, extract durable facts worth remembering in future conversations:',
+  '- goal: what the client wants to achieve',
+  '- person: important people in the client\'s life and their role',
+  '- coping_strategy: strategies that helped the client',
+  '- preference: how the client likes to be supported',
+  '- fact: other lasting facts (work, living situation, health)',
+  'Skip passing moods and anything already listed under "Known memories".',
+  'Respond with JSON only: {"memories": [{"category": "goal", "content": "..."}]}',
+  `Write each memory as one short sentence about the client in the third person. Return at most ${MAX_EXTRACTED} memories, or an empty list if there is nothing new.`
+].join('\n');
+
+const keywordsOf = (text) => extractKeywords(text, IGNORED_WORDS);
+
+/**
+ * Share of keywords two memories have in common (Jaccard index)
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} - Between 0 and 1
+ */
+const overlap = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Load a client's memory, newest first
+ * @param {string} clientId - The client's user ID
+ * @returns {Promise<Array>} - client_memories rows
+ */
+const listMemories = async (clientId) => {
+  const { data, error } = await supabase
+    .from('client_memories')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+
+  return data || [];
+};
+
+/**
+ * Add a memory for a client
+ * @param {string} clientId - The client's user ID
+ * @param {Object} fields - { category, content }
+ * @param {Object} options
+ * @param {string|null} [options.authorId] - User who wrote it; null for extracted memories
+ * @param {string|null} [options.conversationId] - Conversation it was extracted from
+ * @returns {Promise<Object>} - The created row
+ */
+const createMemory = async (clientId, { category, content }, { authorId = null, conversationId = null } = {}) => {
+  const { data, error } = await supabase
+    .from('client_memories')
+    .insert([{
+      client_id: clientId,
+      category,
+      content: content.trim(),
+      keywords: [...keywordsOf(content)],
+      source: authorId ? 'therapist' : 'ai',
+      conversation_id: conversationId,
+      created_by: authorId,
+      updated_by: authorId
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Edit a client's memory
+ * @param {string} clientId - The client's user ID
+ * @param {string} memoryId - The memory ID
+ * @param {Object} changes - { category, content }
+ * @param {Object} options
+ * @param {string} options.authorId - User making the change
+ * @returns {Promise<Object>} - The updated row
+ */
+const updateMemory = async (clientId, memoryId, changes, { authorId }) => {
+  const update = {
+    ...(changes.category ? { category: changes.category } : {}),
+    ...(changes.content
+      ? { content: changes.content.trim(), keywords: [...keywordsOf(changes.content)] }
+      : {}),
+    updated_by: authorId,
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = await supabase
+    .from('client_memories')
+    .update(update)
+    .eq('id', memoryId)
+    .eq('client_id', clientId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    throw new ApiError(404, 'Memory not found');
+  }
+
+  return data;
+};
+
+/**
+ * Delete a client's memory
+ * @param {string} clientId - The client's user ID
+ * @param {string} memoryId - The memory ID
+ * @returns {Promise<void>}
+ */
+const deleteMemory = async (clientId, memoryId) => {
+  const { data, error } = await supabase
+    .from('client_memories')
+    .delete()
+    .eq('id', memoryId)
+    .eq('client_id', clientId)
+    .select('id');
+
+  if (error) throw error;
+
+  if (!data?.length) {
+    throw new ApiError(404, 'Memory not found');
+  }
+};
+
+/**
+ * Parse the model's JSON answer into valid memories
+ * @param {string} text - The completion
+ * @returns {Array<Object>} - { category, content }
+ */
+const parseMemories = (text) => {
+  const json = (text || '').match(/\{[\s\S]*\}/);
+  if (!json) throw new Error('Memory completion did not contain JSON');
+
+  const { memories } = JSON.parse(json[0]);
+
+  return (Array.isArray(memories) ? memories : [])
+    .filter(memory => CATEGORIES.includes(memory?.category)
+      && typeof memory.content === 'string'
+      && memory.content.trim())
+    .map(memory => ({ category: memory.category, content: memory.content.trim().slice(0, MAX_CONTENT_LENGTH) }))
+    .slice(0, MAX_EXTRACTED);
+};
+
+/**
+ * Extract durable facts from a conversation into the client's memory.
+ * Facts that repeat an existing memory are skipped, so running it again on
+ * the same conversation adds nothing new.
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} options
+ * @param {Array<Object>} options.messages - The conversation's messages, oldest first
+ * @param {Object|null} [options.summary] - The conversation's summaries row
+ * @returns {Promise<Array>} - The created memories
+ */
+const extractMemories = async (conversationId, { messages, summary = null }) => {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('client_id')
+    .eq('id', conversationId)
+    .single();
+
+  if (error) throw error;
+
+  const clientLines = messages
+    .filter(message => message.sender === 'user' && message.text)
+    .map(message => `Client: ${message.text}`);
+
+  if (!clientLines.length) return [];
+
+  const existing = await listMemories(conversation.client_id);
+
+  const content = [
+    existing.length ? `Known memories:\n${existing.map(memory => `- ${memory.content}`).join('\n')}` : 'Known memories: none',
+    summary?.summary_text ? `Conversation summary: ${summary.summary_text}` : '',
+    `Client messages:\n${clientLines.join('\n')}`
+  ].filter(Boolean).join('\n\n');
+
+  const result = await llm.generate({
+    system: EXTRACTION_SYSTEM_PROMPT,
+    messages: [{ role: 'user', content }]
+  });
+
+  const known = existing.map(memory => new Set(memory.keywords || keywordsOf(memory.content)));
+  const created = [];
+
+  for (const memory of parseMemories(result.text)) {
+    const keywords = keywordsOf(memory.content);
+    if (known.some(other => overlap(keywords, other) >= DUPLICATE_OVERLAP)) continue;
+
+    created.push(await createMemory(conversation.client_id, memory, { conversationId }));
+    known.push(keywords);
+  }
+
+  if (created.length) {
+    logger.info('Client memories extracted', { conversationId, count: created.length });
+  }
+
+  return created;
+};
+
+/**
+ * Pick the memories relevant to the current turn: those sharing keywords
+ * with the client's recent messages, best match first, topped up with the
+ * client's goals
+ * @param {string} clientId - The client's user ID
+ * @param {string} text - The client's recent messages
+ * @param {Object} options
+ * @param {number} [options.limit] - Maximum number of memories
+ * @returns {Promise<Array>} - client_memories rows
+ */
+const retrieveMemories = async (clientId, text, { limit = PROMPT_MEMORIES } = {}) => {
+  const memories = await listMemories(clientId);
+  if (!memories.length) return [];
+
+  const wanted = extractKeywords(text);
+  const ranked = memories
+    .map(memory => {
+      const keywords = memory.keywords || [];
+      const hits = keywords.filter(word => wanted.has(word)).length;
+      return { memory, score: hits ? hits / Math.sqrt(keywords.length) : 0 };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.memory)
+    .slice(0, limit);
+
+  memories
+    .filter(memory => ALWAYS_RELEVANT.includes(memory.category) && !ranked.includes(memory))
+    .slice(0, limit - ranked.length)
+    .forEach(memory => ranked.push(memory));
+
+  if (ranked.length) {
+    supabase
+      .from('client_memories')
+      .update({ last_used_at: new Date().toISOString() })
+      .in('id', ranked.map(memory => memory.id))
+      .then(({ error: updateError }) => {
+        if (updateError) logger.warn('Failed to record memory use', { error: updateError.message });
+      });
+  }
+
+  return ranked;
+};
+
+/**
+ * Render retrieved memories as a system prompt section
+ * @param {Array<Object>} memories - Retrieved memories
+ * @returns {string}
+ */
+const formatMemories = (memories) => [
+  'What you remember about the client from earlier conversations (use it naturally; do not recite it):',
+  ...memories.map(memory => `- ${memory.content}`)
+].join('\n');
+
+module.exports = {
+  CATEGORIES,
+  listMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+  extractMemories,
+  retrieveMemories,
+  formatMemories
+};
@@ -0,0 +1,92 @@
+const { supabase } = require('../config/supabase');
+const { assessMessage } = require('./safety');
+const { analyzeSentiment } = require('./sentiment');
+const { raiseRiskAlert } = require('./riskAlertService');
+const { publish } = require('./eventHub');
+const { truncate } = require('../utils/text');
+const { logger } = require('../utils/logger');
+
+const TITLE_CHARS = 60;
+const PREVIEW_CHARS = 120;
+
+/**
+ * Save a message to a conversation and tell everyone following it. Text
+ * messages are scored for sentiment and emotions; client messages are also
+ * screened for risk and flagged ones raise a therapist alert.
+ * @param {Object} conversation - The conversation row
+ * @param {Object} message
+ * @param {string} message.sender - 'user', 'ai', 'therapist' or 'system'
+ * @param {string} [message.text] - Message text
+ * @param {string} [message.audio_url] - Recorded audio
+ * @param {number} [message.sentiment_score] - Score for messages without text
+ * @param {string} [message.timestamp] - When it was sent; defaults to now
+ * @param {Object} [message.metadata] - Reply metadata and the like
+ * @param {string} [message.language] - Language code of the text
+ * @returns {Promise<Object>} - The messages row
+ */
+const saveMessage = async (conversation, {
+  sender,
+  text = null,
+  audio_url = null,
+  sentiment_score = null,
+  timestamp = null,
+  metadata = null,
+  language = 'en'
+}) => {
+  const assessment = sender === 'user' && text
+    ? await assessMessage(text, { language })
+    : null;
+  const sentiment = text ? analyzeSentiment(text, { language }) : null;
+
+  const { data, error } = await supabase
+    .from('messages')
+    .insert([{
+      conversation_id: conversation.id,
+      sender,
+      text: text || null,
+      audio_url: audio_url || null,
+      sentiment_score: sentiment ? sentiment.score : sentiment_score,
+      emotions: sentiment ? sentiment.emotions : null,
+      timestamp: timestamp || new Date().toISOString(),
+      metadata: assessment?.flagged
+        ? { ...metadata, safety: { severity: assessment.severity, categories: assessment.categories } }
+        : metadata || null
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // Keep the conversation list current: latest activity, a preview, and a
+  // title taken from the client's first message until they rename it
+  if (text && sender !== 'system') {
+    const snippet = text.replace(/\s+/g, ' ').trim();
+    const { error: activityError } = await supabase
+      .from('conversations')
+      .update({
+        last_message_at: data.timestamp,
+        last_message_preview: truncate(snippet, PREVIEW_CHARS),
+        ...(sender === 'user' && !conversation.title ? { title: truncate(snippet, TITLE_CHARS) } : {})
+      })
+      .eq('id', conversation.id);
+
+    if (activityError) {
+      logger.warn('Failed to update conversation activity', { conversationId: conversation.id, error: activityError.message });
+    }
+  }
+
+  publish(`conversation:${conversation.id}`, 'message', data);
+
+  if (assessment?.flagged) {
+    // The message is saved either way; a failed alert must not lose it
+    try {
+      await raiseRiskAlert({ conversation, message: data, assessment });
+    } catch (alertError) {
+      logger.error('Failed to raise risk alert', { messageId: data.id, error: alertError.message });
+    }
+  }
+
+  return data;
+};
+
+module.exports = { saveMessage };
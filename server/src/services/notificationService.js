@@ -0,0 +1,270 @@
+const { supabase } = require('../config/supabase');
+const { publish } = require('./eventHub');
+const { sendToUser } = require('./emailService');
+const { ApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Channels notifications are delivered on. Add a channel here only
+// together with its sender in notify.
+const CHANNELS = ['in_app', 'email'];
+
+/**
+ * Events users are notified of: the roles that receive them and the channels
+ * used until the user changes their preferences. Channels listed in
+ * `required` cannot be turned off.
+ */
+const NOTIFICATION_TYPES = {
+  conversation_ended: {
+    roles: ['therapist'],
+    defaults: { in_app: true, email: false }
+  },
+  risk_alert: {
+    roles: ['therapist', 'admin'],
+    defaults: { in_app: true, email: true },
+    required: ['in_app']
+  },
+  session_booked: {
+    roles: ['client', 'therapist'],
+    defaults: { in_app: true, email: true }
+  },
+  session_reminder: {
+    roles: ['client', 'therapist'],
+    defaults: { in_app: true, email: true }
+  },
+  session_rescheduled: {
+    roles: ['client', 'therapist'],
+    defaults: { in_app: true, email: true }
+  },
+  session_cancelled: {
+    roles: ['client', 'therapist'],
+    defaults: { in_app: true, email: true }
+  },
+  resource_assigned: {
+    roles: ['client'],
+    defaults: { in_app: true, email: false }
+  },
+  plan_changed: {
+    roles: ['client'],
+    defaults: { in_app: true, email: true }
+  },
+  summary_ready: {
+    roles: ['client'],
+    defaults: { in_app: true, email: true }
+  }
+};
+
+/**
+ * Resolve the channels a user receives each notification type on: their
+ * saved choices over the defaults, with required channels always on
+ * @param {Object} user - users row with role and profile_data
+ * @returns {Object} - { [type]: { in_app, email } } for the types of the user's role
+ */
+const resolvePreferences = (user) => {
+  const saved = user.profile_data?.preferences?.notifications || {};
+
+  return Object.fromEntries(Object.entries(NOTIFICATION_TYPES)
+    .filter(([, definition]) => definition.roles.includes(user.role))
+    .map(([type, definition]) => {
+      const channels = Object.fromEntries(CHANNELS.map(channel => [
+        channel,
+        typeof saved[type]?.[channel] === 'boolean' ? saved[type][channel] : definition.defaults[channel]
+      ]));
+      (definition.required || []).forEach(channel => { channels[channel] = true; });
+
+      return [type, channels];
+    }));
+};
+
+/**
+ * Save changes to a user's notification preferences. Unknown types and
+ * channels are rejected; required channels stay on.
+ * @param {Object} user - users row with id, role and profile_data
+ * @param {Object} changes - { [type]: { [channel]: boolean } }
+ * @returns {Promise<Object>} - The resolved preferences
+ */
+const updatePreferences = async (user, changes) => {
+  const available = resolvePreferences(user);
+  const saved = { ...(user.profile_data?.preferences?.notifications || {}) };
+
+  for (const [type, channels] of Object.entries(changes)) {
+    if (!available[type]) {
+      throw new ApiError(400, `Unknown notification type '${type}'`);
+    }
+
+    for (const [channel, enabled] of Object.entries(channels || {})) {
+      if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+        throw new ApiError(400, `Invalid preference for '${type}': ${channel}`);
+      }
+    }
+
+    saved[type] = { ...saved[type], ...channels };
+  }
+
+  const profileData = {
+    ...user.profile_data,
+    preferences: { ...user.profile_data?.preferences, notifications: saved }
+  };
+
+  const { error } = await supabase
+    .from('users')
+    .update({ profile_data: profileData })
+    .eq('id', user.id);
+
+  if (error) throw error;
+
+  return resolvePreferences({ ...user, profile_data: profileData });
+};
+
+/**
+ * Send a notification to a user on the channels they chose for its type.
+ * The in-app notification is stored and delivered live to the user's open
+ * sessions; the email goes through the outbox. A failure to queue the email
+ * is logged and does not hold back the in-app notification.
+ * @param {Object} notification
+ * @param {string} notification.userId - Recipient's user ID
+ * @param {string} notification.type - Event type, one of NOTIFICATION_TYPES
+ * @param {string} notification.title - Short headline
+ * @param {string} [notification.body] - Details
+ * @param {Object} [notification.data] - IDs the notification links to
+ * @param {string} [notification.link] - App path the notification opens
+ * @param {Object} [notification.email] - { template, data } to email instead of the title and body
+ * @returns {Promise<Object|null>} - The notifications row, or null when the user turned in-app notifications of this type off
+ */
+const notify = async ({ userId, type, title, body = null, data = {}, link = null, email = null }) => {
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, email, name, role, profile_data')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (userError) throw userError;
+  if (!user) return null;
+
+  const channels = resolvePreferences(user)[type]
+    || { ...NOTIFICATION_TYPES[type]?.defaults, in_app: true };
+
+  if (channels.email) {
+    try {
+      await sendToUser(
+        user,
+        email?.template || 'notification',
+        email?.data || { title, body, link }
+      );
+    } catch (emailError) {
+      logger.error('Failed to queue notification email', { userId, type, error: emailError.message });
+    }
+  }
+
+  if (!channels.in_app) return null;
+
+  const { data: notification, error } = await supabase
+    .from('notifications')
+    .insert([{ user_id: userId, type, title, body, data, link }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  publish(`user:${userId}`, 'notification', notification);
+
+  return notification;
+};
+
+/**
+ * List a user's notifications, newest first
+ * @param {string} userId - The user's ID
+ * @param {Object} [options]
+ * @param {boolean} [options.unreadOnly] - Only notifications not read yet
+ * @param {number} [options.limit] - Maximum number of notifications
+ * @returns {Promise<Array>} - notifications rows
+ */
+const listNotifications = async (userId, { unreadOnly = false, limit = 20 } = {}) => {
+  let query = supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (unreadOnly) {
+    query = query.is('read_at', null);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Count the notifications a user has not read
+ * @param {string} userId - The user's ID
+ * @returns {Promise<number>}
+ */
+const countUnread = async (userId) => {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (error) throw error;
+
+  return count || 0;
+};
+
+/**
+ * Mark one of a user's notifications, or all of them, as read and let the
+ * user's other open sessions know
+ * @param {string} userId - The user's ID
+ * @param {string|null} notificationId - The notification, or null for all
+ * @returns {Promise<number>} - Number of notifications marked as read
+ */
+const markRead = async (userId, notificationId = null) => {
+  const readAt = new Date().toISOString();
+
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: readAt })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (notificationId) {
+    const { data: existing, error: findError } = await supabase
+      .from('notifications')
+      .select('id')
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (findError) throw findError;
+
+    if (!existing) {
+      throw new ApiError(404, 'Notification not found');
+    }
+
+    query = query.eq('id', notificationId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) throw error;
+
+  if (data.length) {
+    publish(`user:${userId}`, 'notification_read', { ids: data.map(row => row.id), read_at: readAt });
+  }
+
+  return data.length;
+};
+
+module.exports = {
+  CHANNELS,
+  NOTIFICATION_TYPES,
+  resolvePreferences,
+  updatePreferences,
+  notify,
+  listNotifications,
+  countUnread,
+  markRead
+};
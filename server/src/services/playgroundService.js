@@ -0,0 +1,144 @@
+const { supabase } = require('../config/supabase');
+const llm = require('./llm');
+const { composePrompt } = require('./promptComposer');
+const { getTemplateContext, languageName } = require('./promptTemplate');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Preset playground
+ *
+ * Runs a chosen set of behavior presets against the LLM proxy without
+ * touching conversations or messages, so therapists can compare preset
+ * combinations before applying them to a client.
+ */
+
+// Stand-in profile used when no real client is selected
+const SAMPLE_CONTEXT = {
+  'client.name': 'Alex',
+  'client.goals': ['Manage work stress', 'Sleep better'],
+  'client.concerns': ['Anxiety before meetings'],
+  last_summary: 'Alex described feeling overwhelmed at work and trying breathing exercises with some success.'
+};
+
+/**
+ * Load behavior presets by id
+ * @param {Array} behaviorIds - Behavior IDs
+ * @returns {Promise<Array>} - Behavior rows
+ */
+const loadBehaviors = async (behaviorIds) => {
+  if (behaviorIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('behaviors')
+    .select('*')
+    .in('id', behaviorIds);
+
+  if (error) throw error;
+
+  if ((data || []).length !== new Set(behaviorIds).size) {
+    throw new ApiError(404, 'One or more behavior presets were not found');
+  }
+
+  return data;
+};
+
+/**
+ * Compose the sandbox system prompt for a preset combination
+ * @param {Object} options
+ * @param {Array} options.behaviorIds - Presets to apply
+ * @param {string} [options.clientId] - Client whose profile fills template variables
+ * @param {string} [options.language] - Language code to reply in
+ * @returns {Promise<Object>} - { system, applied, overridden }
+ */
+const composeSandboxPrompt = async ({ behaviorIds, clientId = null, language = 'en' }) => {
+  const [behaviors, context] = await Promise.all([
+    loadBehaviors(behaviorIds),
+    clientId
+      ? getTemplateContext(clientId, { language })
+      : { ...SAMPLE_CONTEXT, language: languageName(language) }
+  ]);
+
+  return composePrompt(behaviors, { language, context });
+};
+
+/**
+ * Generate one sandbox reply, reporting provider errors in the result
+ * instead of failing the whole run
+ * @param {string} system - System prompt
+ * @param {Array} messages - Chat turns as { role, content }
+ * @returns {Promise<Object>} - { text, provider, model, latency_ms, error }
+ */
+const tryGenerate = async (system, messages) => {
+  try {
+    const result = await llm.generate({ system, messages });
+
+    return {
+      text: result.text,
+      provider: result.provider,
+      model: result.model,
+      latency_ms: result.latencyMs,
+      error: null
+    };
+  } catch (error) {
+    return { text: null, provider: null, model: null, latency_ms: null, error: error.message };
+  }
+};
+
+/**
+ * Run scripted test prompts against several preset combinations. Each
+ * prompt is sent as the opening message of a fresh conversation.
+ * @param {Object} options
+ * @param {Array} options.configurations - { label, behavior_ids } per combination
+ * @param {Array} options.prompts - Test messages
+ * @param {string} [options.clientId] - Client whose profile fills template variables
+ * @param {string} [options.language] - Language code to reply in
+ * @returns {Promise<Array>} - Per configuration: { label, system, applied, overridden, results }
+ */
+const runComparison = async ({ configurations, prompts, clientId = null, language = 'en' }) => {
+  const runs = [];
+
+  // One configuration at a time keeps the burst on the provider small
+  for (const configuration of configurations) {
+    const composition = await composeSandboxPrompt({
+      behaviorIds: configuration.behavior_ids,
+      clientId,
+      language
+    });
+
+    const results = await Promise.all(prompts.map(async (prompt) => ({
+      prompt,
+      ...(await tryGenerate(composition.system, [{ role: 'user', content: prompt }]))
+    })));
+
+    runs.push({ label: configuration.label, ...composition, results });
+  }
+
+  return runs;
+};
+
+/**
+ * Reply to a sandbox chat. The history lives in the browser and is sent
+ * with every turn.
+ * @param {Object} options
+ * @param {Array} options.behaviorIds - Presets to apply
+ * @param {Array} options.messages - Chat turns as { role, content }
+ * @param {string} [options.clientId] - Client whose profile fills template variables
+ * @param {string} [options.language] - Language code to reply in
+ * @returns {Promise<Object>} - { message, metadata }
+ */
+const chat = async ({ behaviorIds, messages, clientId = null, language = 'en' }) => {
+  const composition = await composeSandboxPrompt({ behaviorIds, clientId, language });
+  const result = await llm.generate({ system: composition.system, messages });
+
+  return {
+    message: result.text,
+    metadata: {
+      provider: result.provider,
+      model: result.model,
+      latency_ms: result.latencyMs,
+      behaviors: composition.applied.map(({ id, name, version }) => ({ id, name, version }))
+    }
+  };
+};
+
+module.exports = { composeSandboxPrompt, runComparison, chat };
@@ -0,0 +1,118 @@
+/**
+ * Prompt composition engine
+ *
+ * Merges every active behavior preset for a client into one system prompt.
+ *
+ * Order: presets are sorted by effective priority, highest first. The
+ * effective priority is the per-client priority from client_behaviors when
+ * set, otherwise the preset's default priority. Ties are broken by name so
+ * the composed prompt is stable between requests.
+ *
+ * Conflicts: presets that share a conflict_group are mutually exclusive
+ * (for example two different tones). Only the highest priority preset of a
+ * group is applied; the others are reported as overridden. Presets with an
+ * identical prompt_template are applied once.
+ *
+ * Templates: {{variables}} in each applied template are filled in from the
+ * client context (see promptTemplate.js).
+ */
+
+const { languageName, renderTemplate } = require('./promptTemplate');
+
+const BASE_PROMPT = [
+  'You are an AI wellness coach working alongside a licensed therapist.',
+  'Be warm, concise and non-judgmental. Ask one question at a time.',
+  'You do not diagnose or prescribe. Encourage the client to reach out to their therapist or local emergency services if they may be in danger.'
+].join(' ');
+
+const PRECEDENCE_NOTE = 'The therapist has configured the approaches below, listed from highest to lowest priority. Combine them; when their guidance conflicts, follow the approach listed first.';
+
+/**
+ * Get the priority a preset is composed with
+ * @param {Object} behavior - Behavior row, optionally with client_priority
+ * @returns {number}
+ */
+const effectivePriority = (behavior) => behavior.client_priority ?? behavior.priority ?? 0;
+
+/**
+ * Sort presets by effective priority (highest first), then by name
+ * @param {Array} behaviors - Behavior rows
+ * @returns {Array} - Sorted copy
+ */
+const orderBehaviors = (behaviors) => [...behaviors].sort((a, b) =>
+  effectivePriority(b) - effectivePriority(a) || (a.name || '').localeCompare(b.name || '')
+);
+
+/**
+ * Resolve which presets are applied
+ * @param {Array} behaviors - Active behavior rows
+ * @returns {Object} - { applied, overridden }
+ */
+const resolveBehaviors = (behaviors) => {
+  const applied = [];
+  const overridden = [];
+  const winners = {};
+  const templates = {};
+
+  orderBehaviors(behaviors).forEach(behavior => {
+    const group = behavior.conflict_group || null;
+    const template = (behavior.prompt_template || '').trim();
+
+    if (group && winners[group]) {
+      overridden.push({ ...behavior, reason: 'conflict', overridden_by: winners[group].id });
+    } else if (templates[template]) {
+      overridden.push({ ...behavior, reason: 'duplicate', overridden_by: templates[template].id });
+    } else if (!template) {
+      overridden.push({ ...behavior, reason: 'empty', overridden_by: null });
+    } else {
+      if (group) winners[group] = behavior;
+      templates[template] = behavior;
+      applied.push(behavior);
+    }
+  });
+
+  return { applied, overridden };
+};
+
+/**
+ * Compose the system prompt for a set of active presets
+ * @param {Array} behaviors - Active behavior rows
+ * @param {Object} options
+ * @param {string} [options.language] - Language code to reply in
+ * @param {Object} [options.context] - Template variable values
+ * @returns {Object} - { system, applied, overridden }
+ */
+const composePrompt = (behaviors, { language = 'en', context = {} } = {}) => {
+  const { applied, overridden } = resolveBehaviors(behaviors);
+  const sections = [BASE_PROMPT];
+
+  if (applied.length > 0) {
+    sections.push(PRECEDENCE_NOTE);
+    applied.forEach((behavior, index) => {
+      const instructions = renderTemplate(behavior.prompt_template.trim(), context);
+      sections.push(`## ${index + 1}. ${behavior.name}\n${instructions}`);
+    });
+  }
+
+  sections.push(`Always reply in ${languageName(language)}.`);
+
+  const summarize = (behavior) => ({
+    id: behavior.id,
+    name: behavior.name,
+    version: behavior.current_version ?? null,
+    priority: effectivePriority(behavior),
+    conflict_group: behavior.conflict_group || null
+  });
+
+  return {
+    system: sections.join('\n\n'),
+    applied: applied.map(summarize),
+    overridden: overridden.map(behavior => ({
+      ...summarize(behavior),
+      reason: behavior.reason,
+      overridden_by: behavior.overridden_by
+    }))
+  };
+};
+
+module.exports = { composePrompt, orderBehaviors, effectivePriority };
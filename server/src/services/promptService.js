@@ -0,0 +1,75 @@
+const { supabase } = require('../config/supabase');
+const { composePrompt } = require('./promptComposer');
+const { getTemplateContext } = require('./promptTemplate');
+
+/**
+ * Get the active behavior presets for a client, each with the per-client
+ * priority as client_priority
+ * @param {string} clientId - The client's user ID
+ * @returns {Promise<Array>} - Behavior rows
+ */
+const getActiveBehaviors = async (clientId) => {
+  const { data, error } = await supabase
+    .from('client_behaviors')
+    .select('priority, behaviors(*)')
+    .eq('client_id', clientId)
+    .eq('active', true);
+
+  if (error) throw error;
+
+  return (data || [])
+    .filter(row => row.behaviors)
+    .map(row => ({ ...row.behaviors, client_priority: row.priority }));
+};
+
+/**
+ * Convert stored messages into chat turns for the LLM. System messages are
+ * UI notices and are left out; therapist messages are shown to the model as
+ * assistant turns labelled with their author.
+ * @param {Array} messages - Rows from the messages table
+ * @returns {Array} - Chat turns as { role, content }
+ */
+const toChatTurns = (messages) => messages
+  .filter(message => message.text && message.sender !== 'system')
+  .map(message => ({
+    role: message.sender === 'user' ? 'user' : 'assistant',
+    content: message.sender === 'therapist' ? `[Therapist] ${message.text}` : message.text
+  }));
+
+/**
+ * Build the full prompt for the next AI turn in a conversation
+ * @param {Object} conversation - The conversation row
+ * @param {Object} options
+ * @param {string} [options.language] - Language code to reply in
+ * @returns {Promise<Object>} - { system, messages, behaviors, overridden, lastClientMessage }
+ */
+const buildConversationPrompt = async (conversation, { language = 'en' } = {}) => {
+  const [behaviors, context, history] = await Promise.all([
+    getActiveBehaviors(conversation.client_id),
+    getTemplateContext(conversation.client_id, { language }),
+    supabase
+      .from('messages')
+      .select('*')
+      .eq('conversation_id', conversation.id)
+      .order('timestamp', { ascending: true })
+  ]);
+
+  if (history.error) throw history.error;
+
+  const composition = composePrompt(behaviors, { language, context });
+  const rows = history.data || [];
+
+  return {
+    system: composition.system,
+    messages: toChatTurns(rows),
+    behaviors: composition.applied,
+    overridden: composition.overridden,
+    lastClientMessage: [...rows].reverse().find(message => message.sender === 'user' && message.text) || null
+  };
+};
+
+module.exports = {
+  getActiveBehaviors,
+  toChatTurns,
+  buildConversationPrompt
+};
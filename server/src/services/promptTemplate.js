@@ -0,0 +1,159 @@
+const { supabase } = require('../config/supabase');
+
+/**
+ * Prompt template variables
+ *
+ * Keep TEMPLATE_VARIABLES in sync with client/src/utils/promptVariables.js,
+ * which drives validation and autocomplete in the preset editors.
+ *
+ * Behavior presets may reference client context with {{variable}}
+ * placeholders, for example "Help {{client.name}} work towards
+ * {{client.goals}}." Variables are resolved at request time from
+ * clients.profile_data and the client's latest summary.
+ */
+
+const TEMPLATE_VARIABLES = [
+  'client.name',
+  'client.goals',
+  'client.concerns',
+  'language',
+  'last_summary'
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish'
+};
+
+// Used when the client has not provided a value yet
+const EMPTY_VALUE = 'not specified';
+
+/**
+ * Get the display name of a language code
+ * @param {string} language - Language code, e.g. "es" or "es-MX"
+ * @returns {string}
+ */
+const languageName = (language) =>
+  LANGUAGE_NAMES[(language || 'en').split('-')[0]] || LANGUAGE_NAMES.en;
+
+/**
+ * Check a template for unknown variables and unbalanced braces
+ * @param {string} template - Prompt template
+ * @returns {Array} - Problems as { variable, message }
+ */
+const validateTemplate = (template) => {
+  const problems = [];
+
+  for (const match of (template || '').matchAll(VARIABLE_PATTERN)) {
+    if (!TEMPLATE_VARIABLES.includes(match[1])) {
+      problems.push({
+        variable: match[1],
+        message: `Unknown template variable "{{${match[1]}}}"`
+      });
+    }
+  }
+
+  // Braces left over once every placeholder is removed are unbalanced
+  const stripped = (template || '').replace(VARIABLE_PATTERN, '');
+  if (/\{\{|\}\}/.test(stripped)) {
+    problems.push({
+      variable: null,
+      message: 'Unbalanced "{{" or "}}" in template'
+    });
+  }
+
+  return problems;
+};
+
+/**
+ * express-validator custom validator for prompt templates
+ * @param {string} template - Prompt template
+ * @returns {boolean}
+ */
+const assertValidTemplate = (template) => {
+  const problems = validateTemplate(template);
+
+  if (problems.length > 0) {
+    throw new Error(problems.map(problem => problem.message).join('; '));
+  }
+
+  return true;
+};
+
+/**
+ * Format a context value for the prompt
+ * @param {*} value - String, list or empty
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : EMPTY_VALUE;
+  }
+
+  return value ? String(value).trim() || EMPTY_VALUE : EMPTY_VALUE;
+};
+
+/**
+ * Replace the variables in a template. Unknown variables are left as-is so
+ * a bad template is visible in the preview rather than silently dropped.
+ * @param {string} template - Prompt template
+ * @param {Object} context - Values keyed by variable name
+ * @returns {string}
+ */
+const renderTemplate = (template, context = {}) =>
+  (template || '').replace(VARIABLE_PATTERN, (placeholder, variable) =>
+    TEMPLATE_VARIABLES.includes(variable) ? formatValue(context[variable]) : placeholder
+  );
+
+/**
+ * Load the values for every template variable for a client
+ * @param {string} clientId - The client's user ID
+ * @param {Object} options
+ * @param {string} [options.language] - Language code the agent replies in
+ * @returns {Promise<Object>} - Values keyed by variable name
+ */
+const getTemplateContext = async (clientId, { language = 'en' } = {}) => {
+  const [user, client, summary] = await Promise.all([
+    supabase
+      .from('users')
+      .select('name')
+      .eq('id', clientId)
+      .maybeSingle(),
+    supabase
+      .from('clients')
+      .select('profile_data')
+      .eq('user_id', clientId)
+      .maybeSingle(),
+    supabase
+      .from('summaries')
+      .select('summary_text, updated_at, conversations!inner(client_id)')
+      .eq('conversations.client_id', clientId)
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+  ]);
+
+  const failed = [user, client, summary].find(result => result.error);
+  if (failed) throw failed.error;
+
+  const profile = client.data?.profile_data || {};
+
+  return {
+    'client.name': profile.name || user.data?.name,
+    'client.goals': profile.goals,
+    'client.concerns': profile.concerns,
+    language: languageName(language),
+    last_summary: summary.data?.summary_text
+  };
+};
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  languageName,
+  validateTemplate,
+  assertValidTemplate,
+  renderTemplate,
+  getTemplateContext
+};
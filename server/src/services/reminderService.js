@@ -0,0 +1,126 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/jobs');
+const { enqueueJob } = require('./jobs');
+const { notify } = require('./notificationService');
+
+// A reminder whose time passed less than this long ago is still sent
+const LATE_REMINDER_MINUTES = 15;
+
+const SESSION_LINKS = {
+  client: () => '/client/schedule',
+  therapist: (session) => `/therapist/sessions/${session.id}`
+};
+
+/**
+ * Describe how far ahead a reminder is sent
+ * @param {number} hours - Hours before the session
+ * @returns {string}
+ */
+const describeLead = (hours) => (hours >= 1
+  ? `${hours} hour${hours === 1 ? '' : 's'}`
+  : `${Math.round(hours * 60)} minutes`);
+
+/**
+ * Add a reminder job for every configured lead time of the scheduled
+ * sessions coming up. The job key includes the start time, so a session
+ * moved to a new time gets new reminders and the old ones are skipped.
+ * Reminders whose time has passed, such as the 24-hour reminder of a
+ * session booked for later today, are not sent.
+ * @returns {Promise<Object>} - { sessions, queued }
+ */
+const queueSessionReminders = async () => {
+  const now = Date.now();
+  const lookaheadHours = Math.max(...config.reminderHours) + (2 * config.reminderScanMinutes) / 60;
+
+  const { data: sessions, error } = await supabase
+    .from('sessions')
+    .select('id, start_time')
+    .eq('status', 'scheduled')
+    .gt('start_time', new Date(now).toISOString())
+    .lte('start_time', new Date(now + lookaheadHours * 60 * 60 * 1000).toISOString());
+
+  if (error) throw error;
+
+  let queued = 0;
+
+  for (const session of sessions) {
+    const startsAt = new Date(session.start_time).getTime();
+
+    for (const hours of config.reminderHours) {
+      const runAt = startsAt - hours * 60 * 60 * 1000;
+      if (runAt < now - LATE_REMINDER_MINUTES * 60 * 1000) continue;
+
+      const job = await enqueueJob(
+        'sessions.reminder',
+        { session_id: session.id, start_time: session.start_time, hours },
+        { runAt: new Date(runAt), key: `session_reminder:${session.id}:${hours}h:${startsAt}` }
+      );
+
+      if (job) queued += 1;
+    }
+  }
+
+  return { sessions: sessions.length, queued };
+};
+
+/**
+ * Remind the client and therapist of a session, in-app and by email as
+ * each of them chose. Sessions cancelled or moved since the reminder was
+ * queued are skipped.
+ * @param {Object} payload - { session_id, start_time, hours }
+ * @returns {Promise<Object>} - { notified } or { skipped }
+ */
+const sendSessionReminder = async ({ session_id: sessionId, start_time: startTime, hours }) => {
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .select('id, client_id, therapist_id, start_time, status')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!session || session.status !== 'scheduled') {
+    return { skipped: 'not scheduled' };
+  }
+
+  if (new Date(session.start_time).getTime() !== new Date(startTime).getTime()) {
+    return { skipped: 'rescheduled' };
+  }
+
+  const { data: participants, error: usersError } = await supabase
+    .from('users')
+    .select('id, name, role')
+    .in('id', [session.client_id, session.therapist_id]);
+
+  if (usersError) throw usersError;
+
+  const byId = Object.fromEntries(participants.map(user => [user.id, user]));
+  const attendees = [
+    { user: byId[session.client_id], other: byId[session.therapist_id] },
+    { user: byId[session.therapist_id], other: byId[session.client_id] }
+  ].filter(({ user }) => user);
+
+  for (const { user, other } of attendees) {
+    const link = (SESSION_LINKS[user.role] || SESSION_LINKS.client)(session);
+
+    await notify({
+      userId: user.id,
+      type: 'session_reminder',
+      title: `Your session starts in ${describeLead(hours)}`,
+      body: other?.name ? `Session with ${other.name}` : null,
+      data: { session_id: session.id },
+      link,
+      email: {
+        template: 'session_reminder',
+        data: { startTime: session.start_time, withName: other?.name, link }
+      }
+    });
+  }
+
+  return { notified: attendees.length };
+};
+
+module.exports = {
+  queueSessionReminders,
+  sendSessionReminder
+};
@@ -0,0 +1,157 @@
+const { supabase } = require('../config/supabase');
+const { notify } = require('./notificationService');
+const { logger } = require('../utils/logger');
+
+const SEVERITY_RANK = { medium: 1, high: 2 };
+
+/**
+ * Find the therapist responsible for a conversation: the conversation's own
+ * therapist, otherwise the therapist of the client's most recent session
+ * @param {Object} conversation - The conversation row
+ * @returns {Promise<string|null>} - Therapist user ID
+ */
+const getResponsibleTherapistId = async (conversation) => {
+  if (conversation.therapist_id) return conversation.therapist_id;
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('therapist_id')
+    .eq('client_id', conversation.client_id)
+    .order('start_time', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+
+  return data?.[0]?.therapist_id || null;
+};
+
+/**
+ * List the IDs of every admin
+ * @returns {Promise<Array<string>>}
+ */
+const getAdminIds = async () => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id')
+    .eq('role', 'admin');
+
+  if (error) throw error;
+
+  return (data || []).map(admin => admin.id);
+};
+
+/**
+ * Flag a conversation and queue an alert for the responsible therapist, who
+ * is also notified. When the client has no therapist, every admin is
+ * notified instead.
+ * @param {Object} options
+ * @param {Object} options.conversation - The conversation row
+ * @param {Object} options.message - The flagged messages row
+ * @param {Object} options.assessment - Result of safety.assessMessage
+ * @returns {Promise<Object>} - The risk_alerts row
+ */
+const raiseRiskAlert = async ({ conversation, message, assessment }) => {
+  const therapistId = await getResponsibleTherapistId(conversation);
+
+  const { data: alert, error } = await supabase
+    .from('risk_alerts')
+    .insert([{
+      conversation_id: conversation.id,
+      message_id: message.id,
+      client_id: conversation.client_id,
+      therapist_id: therapistId,
+      categories: assessment.categories,
+      severity: assessment.severity,
+      matches: assessment.matches,
+      sources: assessment.sources,
+      status: 'open',
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  // Keep the highest risk level seen in the conversation
+  const current = SEVERITY_RANK[conversation.risk_level] || 0;
+  if (SEVERITY_RANK[assessment.severity] > current) {
+    const { error: flagError } = await supabase
+      .from('conversations')
+      .update({
+        risk_level: assessment.severity,
+        flagged_at: conversation.flagged_at || alert.created_at
+      })
+      .eq('id', conversation.id);
+
+    if (flagError) throw flagError;
+  }
+
+  logger.warn('Risk alert raised', {
+    alertId: alert.id,
+    conversationId: conversation.id,
+    therapistId,
+    severity: assessment.severity,
+    categories: assessment.categories
+  });
+
+  // The alert is queued either way; a failed notification must not lose it
+  try {
+    const recipients = therapistId
+      ? [{ userId: therapistId, link: '/therapist/dashboard' }]
+      : (await getAdminIds()).map(userId => ({ userId, link: '/admin/dashboard' }));
+
+    for (const { userId, link } of recipients) {
+      await notify({
+        userId,
+        type: 'risk_alert',
+        title: assessment.severity === 'high' ? 'High risk alert' : 'Risk alert',
+        body: `Risk language detected: ${assessment.categories.join(', ')}`,
+        data: {
+          alert_id: alert.id,
+          conversation_id: conversation.id,
+          client_id: conversation.client_id,
+          severity: assessment.severity
+        },
+        link
+      });
+    }
+  } catch (notifyError) {
+    logger.error('Failed to notify of risk alert', { alertId: alert.id, error: notifyError.message });
+  }
+
+  return alert;
+};
+
+/**
+ * List risk alerts, most severe and newest first
+ * @param {Object} options
+ * @param {string} [options.therapistId] - Only alerts for this therapist
+ * @param {Array} [options.statuses] - Only alerts with these statuses
+ * @returns {Promise<Array>} - Alerts with the client's name
+ */
+const listAlerts = async ({ therapistId = null, statuses = null } = {}) => {
+  let query = supabase
+    .from('risk_alerts')
+    .select(`
+      *,
+      client:users!risk_alerts_client_id_fkey(id, name, email)
+    `)
+    .order('created_at', { ascending: false })
+    .limit(100);
+
+  if (therapistId) {
+    query = query.eq('therapist_id', therapistId);
+  }
+
+  if (statuses) {
+    query = query.in('status', statuses);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return (data || []).sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+};
+
+module.exports = { getResponsibleTherapistId, raiseRiskAlert, listAlerts };
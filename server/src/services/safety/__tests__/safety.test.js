@@ -0,0 +1,116 @@
+const { assessMessage, savedAssessment, setModelClassifier, getCrisisResources } = require('..');
+const { logger } = require('../../../utils/logger');
+
+describe('assessMessage with the lexicon', () => {
+  beforeEach(() => setModelClassifier(null));
+
+  it('does not flag everyday messages', async () => {
+    await expect(assessMessage('Work was stressful but I went for a run.')).resolves.toEqual({
+      flagged: false,
+      severity: 'none',
+      categories: [],
+      matches: [],
+      sources: []
+    });
+  });
+
+  it('flags explicit suicidal intent as high', async () => {
+    const assessment = await assessMessage('Sometimes I want to die.');
+
+    expect(assessment).toMatchObject({
+      flagged: true,
+      severity: 'high',
+      categories: ['suicidal_ideation'],
+      sources: ['lexicon']
+    });
+    expect(assessment.matches).toContain('want to die');
+  });
+
+  it('flags mentions without intent as medium', async () => {
+    const assessment = await assessMessage('My friend talked about suicide yesterday.');
+
+    expect(assessment).toMatchObject({ flagged: true, severity: 'medium', categories: ['suicidal_ideation'] });
+  });
+
+  it('ignores case and accents in Spanish messages', async () => {
+    const assessment = await assessMessage('Quiero HACERME DAÑO esta noche');
+
+    expect(assessment).toMatchObject({ flagged: true, severity: 'high', categories: ['self_harm'] });
+  });
+
+  it('still flags negated statements', async () => {
+    const assessment = await assessMessage("I would never hurt myself, don't worry.");
+
+    expect(assessment.categories).toEqual(['self_harm']);
+  });
+
+  it('tells harm to others apart from harm to oneself', async () => {
+    expect((await assessMessage("I'm going to hurt someone")).categories).toEqual(['harm_to_others']);
+    expect((await assessMessage("I'm going to kill myself")).categories).toEqual(['suicidal_ideation']);
+  });
+
+  it('reports every category and the highest severity', async () => {
+    const assessment = await assessMessage('I keep thinking about self-harm and I plan to attack my boss.');
+
+    expect(assessment.categories).toEqual(['self_harm', 'harm_to_others']);
+    expect(assessment.severity).toBe('high');
+  });
+
+  it('handles a missing text', async () => {
+    await expect(assessMessage(null)).resolves.toMatchObject({ flagged: false, severity: 'none' });
+  });
+});
+
+describe('assessMessage with a model classifier', () => {
+  afterEach(() => setModelClassifier(null));
+
+  it('merges model scores with the lexicon', async () => {
+    setModelClassifier(async () => ({ suicidal_ideation: 0.99, self_harm: 0.01 }));
+
+    const assessment = await assessMessage('I feel empty.');
+
+    expect(assessment).toMatchObject({
+      flagged: true,
+      severity: 'high',
+      categories: ['suicidal_ideation'],
+      sources: ['model']
+    });
+  });
+
+  it('falls back to the lexicon when the model fails', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    setModelClassifier(async () => { throw new Error('timeout'); });
+
+    const assessment = await assessMessage('I want to die');
+
+    expect(assessment).toMatchObject({ flagged: true, severity: 'high', sources: ['lexicon'] });
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('savedAssessment', () => {
+  it('reads the assessment stored with a flagged message', () => {
+    const message = { metadata: { provider: null, safety: { severity: 'high', categories: ['self_harm'] } } };
+
+    expect(savedAssessment(message)).toMatchObject({ flagged: true, severity: 'high', categories: ['self_harm'] });
+  });
+
+  it('treats messages saved without one as screened and not flagged', () => {
+    expect(savedAssessment({ metadata: null })).toMatchObject({ flagged: false, severity: 'none', categories: [] });
+    expect(savedAssessment(null).flagged).toBe(false);
+  });
+});
+
+describe('getCrisisResources', () => {
+  it('localizes by base language and falls back to English', () => {
+    expect(getCrisisResources('es-MX')).toMatch(/^No tienes que pasar por esto a solas/);
+    expect(getCrisisResources('fr')).toMatch(/^You don't have to go through this alone/);
+  });
+
+  it('leads with emergency services when others may be in danger', () => {
+    const lines = getCrisisResources('en', ['harm_to_others']).split('\n');
+
+    expect(lines[1]).toBe('- If someone else may be in danger, contact emergency services now.');
+  });
+});
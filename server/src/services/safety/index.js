@@ -0,0 +1,177 @@
+const axios = require('axios');
+const config = require('../../config/safety');
+const { LEXICON } = require('./lexicon');
+const { getCrisisResources } = require('./resources');
+const { logger } = require('../../utils/logger');
+const { normalizeText } = require('../../utils/text');
+
+/**
+ * Safety classifier
+ *
+ * Classifies client messages for suicidal ideation, self-harm and harm to
+ * others. The local lexicon always runs; a model classifier can be plugged
+ * in with setModelClassifier (or SAFETY_MODEL_URL) and its scores are merged
+ * with the lexicon's. A failing model never blocks a message: the lexicon
+ * result is used on its own.
+ */
+
+const CATEGORIES = Object.keys(LEXICON);
+const SEVERITY_RANK = { none: 0, medium: 1, high: 2 };
+
+/**
+ * Pick the more severe of two severities
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+const maxSeverity = (a, b) => (SEVERITY_RANK[b] > SEVERITY_RANK[a] ? b : a);
+
+/**
+ * Classify a message with the local lexicon
+ * @param {string} text - Message text
+ * @returns {Object} - Per category: { severity, matches }
+ */
+const classifyWithLexicon = (text) => {
+  const normalized = normalizeText(text);
+  const result = {};
+
+  CATEGORIES.forEach(category => {
+    LEXICON[category].forEach(({ pattern, severity }) => {
+      const match = normalized.match(pattern);
+      if (!match) return;
+
+      const entry = result[category] || { severity: 'none', matches: [] };
+      entry.severity = maxSeverity(entry.severity, severity);
+      entry.matches.push(match[0]);
+      result[category] = entry;
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Default model hook: POST the message to SAFETY_MODEL_URL
+ * @param {string} text - Message text
+ * @param {Object} options
+ * @param {string} options.language - Language code
+ * @returns {Promise<Object>} - Scores keyed by category
+ */
+const httpModelClassifier = async (text, { language }) => {
+  const { data } = await axios.post(config.modelUrl, { text, language }, {
+    timeout: config.modelTimeoutMs,
+    headers: config.modelApiKey ? { Authorization: `Bearer ${config.modelApiKey}` } : {}
+  });
+
+  return data?.categories || {};
+};
+
+let modelClassifier = config.modelUrl ? httpModelClassifier : null;
+
+/**
+ * Plug in a model classifier. It receives (text, { language }) and resolves
+ * to scores between 0 and 1 keyed by category. Pass null to use the lexicon
+ * only.
+ * @param {Function|null} classifier
+ */
+const setModelClassifier = (classifier) => {
+  modelClassifier = classifier;
+};
+
+/**
+ * Turn a model score into a severity
+ * @param {number} score - Score between 0 and 1
+ * @returns {string}
+ */
+const scoreSeverity = (score) => {
+  if (score >= config.highThreshold) return 'high';
+  if (score >= config.mediumThreshold) return 'medium';
+  return 'none';
+};
+
+/**
+ * Assess a client message for risk
+ * @param {string} text - Message text
+ * @param {Object} options
+ * @param {string} [options.language] - Language code
+ * @returns {Promise<Object>} - { flagged, severity, categories, matches, sources }
+ */
+const assessMessage = async (text, { language = 'en' } = {}) => {
+  const lexicon = classifyWithLexicon(text);
+  const severities = {};
+  const matches = [];
+  const sources = [];
+
+  Object.entries(lexicon).forEach(([category, entry]) => {
+    severities[category] = entry.severity;
+    matches.push(...entry.matches);
+  });
+  if (matches.length > 0) sources.push('lexicon');
+
+  if (modelClassifier && text) {
+    try {
+      const scores = await modelClassifier(text, { language });
+
+      CATEGORIES.forEach(category => {
+        const severity = scoreSeverity(Number(scores[category]) || 0);
+        if (severity !== 'none') {
+          severities[category] = maxSeverity(severities[category] || 'none', severity);
+          if (!sources.includes('model')) sources.push('model');
+        }
+      });
+    } catch (error) {
+      logger.warn('Safety model classifier failed; using lexicon only', { error: error.message });
+    }
+  }
+
+  const categories = CATEGORIES.filter(category => severities[category] && severities[category] !== 'none');
+  const severity = categories.reduce((current, category) => maxSeverity(current, severities[category]), 'none');
+
+  return {
+    flagged: categories.length > 0,
+    severity,
+    categories,
+    matches,
+    sources
+  };
+};
+
+/**
+ * Read back the assessment saveMessage stored with a client message. Only
+ * flagged messages carry metadata.safety; the others were screened and
+ * passed.
+ * @param {Object} message - messages row
+ * @returns {Object} - { flagged, severity, categories, matches, sources }
+ */
+const savedAssessment = (message) => {
+  const saved = message?.metadata?.safety;
+
+  return {
+    flagged: Boolean(saved),
+    severity: saved?.severity || 'none',
+    categories: saved?.categories || [],
+    matches: [],
+    sources: []
+  };
+};
+
+/**
+ * System prompt addition for replying to a flagged message
+ * @param {Object} assessment - Result of assessMessage
+ * @returns {string}
+ */
+const buildSafetyInstruction = (assessment) => [
+  `SAFETY: the client's latest message may indicate risk (${assessment.categories.join(', ').replace(/_/g, ' ')}).`,
+  'Respond with warmth and take it seriously. Do not lecture or change the subject.',
+  'Never describe methods or means. Encourage them to contact emergency services or a crisis line now and let them know their therapist will follow up.',
+  'Keep the reply short; crisis resources are appended after your reply.'
+].join(' ');
+
+module.exports = {
+  CATEGORIES,
+  assessMessage,
+  savedAssessment,
+  setModelClassifier,
+  buildSafetyInstruction,
+  getCrisisResources
+};
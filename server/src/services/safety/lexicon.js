@@ -0,0 +1,52 @@
+/**
+ * Risk lexicon for the local safety classifier.
+ *
+ * Patterns run against lower-cased text with accents removed, so Spanish
+ * patterns are written without accents. Every language's patterns run on
+ * every message because clients often mix languages. `high` marks explicit
+ * intent, plans or means; anything else is a `medium` risk.
+ *
+ * Negations ("I would never hurt myself") still match on purpose: a
+ * therapist reviewing a false alarm is cheaper than a missed one.
+ */
+const LEXICON = {
+  suicidal_ideation: [
+    { pattern: /\b(kill|killing|killed) myself\b/, severity: 'high' },
+    { pattern: /\b(end|ending|take|taking) my (own )?life\b/, severity: 'high' },
+    { pattern: /\bcommit(ting)? suicide\b/, severity: 'high' },
+    { pattern: /\b(suicide|goodbye) (note|letter)\b/, severity: 'high' },
+    { pattern: /\bbetter off dead\b/, severity: 'high' },
+    { pattern: /\bwant(ed)? to die\b/, severity: 'high' },
+    { pattern: /\bwish i (was|were) dead\b/, severity: 'high' },
+    { pattern: /\bsuicid(e|al)\b/, severity: 'medium' },
+    { pattern: /\bno (reason|point) (to|in) (live|living|going on)\b/, severity: 'medium' },
+    { pattern: /\b(don'?t|do not) want to (live|be alive|wake up|be here anymore)\b/, severity: 'medium' },
+    { pattern: /\beveryone would be better off without me\b/, severity: 'medium' },
+    { pattern: /\b(matarme|suicidarme|quitarme la vida)\b/, severity: 'high' },
+    { pattern: /\b(quiero|quisiera) (morir|morirme|estar muert[oa])\b/, severity: 'high' },
+    { pattern: /\bmejor (estaria )?muert[oa]\b/, severity: 'high' },
+    { pattern: /\bcarta de despedida\b/, severity: 'high' },
+    { pattern: /\bsuicid(io|a)\b/, severity: 'medium' },
+    { pattern: /\bno (quiero|deseo) (vivir|seguir viviendo|despertar)\b/, severity: 'medium' },
+    { pattern: /\bno tengo (razon|razones|motivos) para vivir\b/, severity: 'medium' }
+  ],
+  self_harm: [
+    { pattern: /\b(cut|cutting|burn|burning|hurt|hurting|harm|harming|starve|starving) myself\b/, severity: 'high' },
+    { pattern: /\b(overdose|od) on\b/, severity: 'high' },
+    { pattern: /\bself[- ]?harm(ing)?\b/, severity: 'medium' },
+    { pattern: /\bi (deserve|want) to (feel )?(pain|suffer)\b/, severity: 'medium' },
+    { pattern: /\b(cortarme|quemarme|lastimarme|hacerme dano|herirme)\b/, severity: 'high' },
+    { pattern: /\bsobredosis\b/, severity: 'high' },
+    { pattern: /\bautolesion(es|arme)?\b/, severity: 'medium' }
+  ],
+  harm_to_others: [
+    { pattern: /\b(kill|hurt|harm|attack|shoot|stab|strangle) (him|her|them|someone|somebody|people|everyone|my (boss|wife|husband|partner|mother|father|mom|dad|son|daughter|kids?|children|coworkers?|neighbou?r))\b/, severity: 'high' },
+    { pattern: /\b(going|want|wanted|plan|planning) to (kill|hurt|attack|shoot|stab)\b(?! myself\b)/, severity: 'high' },
+    { pattern: /\bmake (him|her|them) pay\b/, severity: 'medium' },
+    { pattern: /\b(matar|lastimar|herir|atacar|hacerle dano) a (alguien|el|ella|ellos|todos|mi (jefe|jefa|esposa|esposo|pareja|madre|padre|mama|papa|hijo|hija|hijos|vecino|vecina|companero|companera))\b/, severity: 'high' },
+    { pattern: /\b(voy a|quiero|pienso) (matarl[oa]s?|matarle|lastimarl[oa]s?|hacerle dano)\b/, severity: 'high' },
+    { pattern: /\bme las va(n)? a pagar\b/, severity: 'medium' }
+  ]
+};
+
+module.exports = { LEXICON };
@@ -0,0 +1,44 @@
+/**
+ * Localized crisis resources appended to AI replies when a client's message
+ * is flagged. Keep these short and verified; they are shown verbatim.
+ */
+const CRISIS_RESOURCES = {
+  en: {
+    heading: 'You don\'t have to go through this alone. If you are in danger right now, please reach out:',
+    lines: [
+      'Emergency services: call your local emergency number (911 in the US and Canada, 112 in Europe).',
+      'US: call or text 988 (Suicide & Crisis Lifeline), available 24/7.',
+      'Elsewhere: find a free, confidential helpline at https://findahelpline.com.',
+      'Your therapist has been notified and will follow up with you.'
+    ],
+    othersLine: 'If someone else may be in danger, contact emergency services now.'
+  },
+  es: {
+    heading: 'No tienes que pasar por esto a solas. Si estás en peligro ahora mismo, pide ayuda:',
+    lines: [
+      'Emergencias: llama al número de emergencias local (911 en EE. UU. y México, 112 en España y Europa).',
+      'EE. UU.: llama o escribe al 988 (opción en español), disponible 24/7.',
+      'México: Línea de la Vida 800 911 2000. España: línea 024 de atención a la conducta suicida.',
+      'En otros países: encuentra una línea de ayuda gratuita y confidencial en https://findahelpline.com.',
+      'Tu terapeuta ha sido notificado y se pondrá en contacto contigo.'
+    ],
+    othersLine: 'Si otra persona puede estar en peligro, llama a emergencias ahora.'
+  }
+};
+
+/**
+ * Build the crisis resources text for a language
+ * @param {string} language - Language code, e.g. "es" or "es-MX"
+ * @param {Array} categories - Flagged risk categories
+ * @returns {string}
+ */
+const getCrisisResources = (language, categories = []) => {
+  const resources = CRISIS_RESOURCES[(language || 'en').split('-')[0]] || CRISIS_RESOURCES.en;
+  const lines = categories.includes('harm_to_others')
+    ? [resources.othersLine, ...resources.lines]
+    : resources.lines;
+
+  return [resources.heading, ...lines.map(line => `- ${line}`)].join('\n');
+};
+
+module.exports = { getCrisisResources };
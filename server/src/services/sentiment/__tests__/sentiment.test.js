@@ -0,0 +1,97 @@
+const { analyzeSentiment, summarizeSentiment } = require('..');
+
+describe('analyzeSentiment', () => {
+  it('scores neutral text at 0.5 with no emotions', () => {
+    expect(analyzeSentiment('The meeting is at noon.')).toEqual({
+      score: 0.5,
+      emotions: { anxiety: 0, sadness: 0, anger: 0, joy: 0 },
+      labels: []
+    });
+    expect(analyzeSentiment('').score).toBe(0.5);
+  });
+
+  it('scores positive and negative words on either side of neutral', () => {
+    const happy = analyzeSentiment('I am happy');
+    const hopeless = analyzeSentiment('I feel hopeless');
+
+    expect(happy.score).toBeGreaterThan(0.5);
+    expect(happy.labels).toEqual(['joy']);
+    expect(hopeless.score).toBeLessThan(0.5);
+    expect(hopeless.labels).toEqual(['sadness']);
+  });
+
+  it('prefers exact entries over prefixes', () => {
+    // "hopeless" must not be read as "hope*"
+    expect(analyzeSentiment('hopeless').emotions.joy).toBe(0);
+  });
+
+  it('flips and softens negated words without counting them as emotions', () => {
+    const happy = analyzeSentiment('I am happy');
+    const notHappy = analyzeSentiment('I am not happy');
+
+    expect(notHappy.score).toBeLessThan(0.5);
+    expect(Math.abs(notHappy.score - 0.5)).toBeLessThan(Math.abs(happy.score - 0.5));
+    expect(notHappy.emotions.joy).toBe(0);
+  });
+
+  it('only negates within three words', () => {
+    expect(analyzeSentiment('not that I would say I am happy').score).toBeGreaterThan(0.5);
+  });
+
+  it('strengthens words after an intensifier', () => {
+    const plain = analyzeSentiment('I am happy');
+    const intensified = analyzeSentiment('I am very happy');
+
+    expect(intensified.score).toBeGreaterThan(plain.score);
+    expect(intensified.emotions.joy).toBeGreaterThan(plain.emotions.joy);
+  });
+
+  it('reads Spanish without accents and with prefixes', () => {
+    expect(analyzeSentiment('Estoy muy preocupada', { language: 'es' }).labels).toEqual(['anxiety']);
+    expect(analyzeSentiment('No estoy triste', { language: 'es' }).score).toBeGreaterThan(0.5);
+  });
+
+  it('reads mixed-language messages and orders labels by intensity', () => {
+    const { labels } = analyzeSentiment('Me siento feliz but worried', { language: 'es' });
+
+    expect(labels).toEqual(['joy', 'anxiety']);
+  });
+
+  it('keeps every score within its range', () => {
+    const { score, emotions } = analyzeSentiment('so so so angry angry angry furious terrified hopeless');
+
+    expect(score).toBeGreaterThanOrEqual(0);
+    Object.values(emotions).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe('summarizeSentiment', () => {
+  it('returns an empty summary without scored messages', () => {
+    expect(summarizeSentiment([{ sentiment_score: null }])).toEqual({
+      average: null, min: null, max: null, trend: 'stable', emotions: null, count: 0
+    });
+  });
+
+  it('averages scores and emotions', () => {
+    const summary = summarizeSentiment([
+      { sentiment_score: 0.2, emotions: { anxiety: 0.6, sadness: 0.2, anger: 0, joy: 0 } },
+      { sentiment_score: 0.4, emotions: null },
+      { sentiment_score: 0.6, emotions: { anxiety: 0.2, sadness: 0, anger: 0, joy: 0.4 } }
+    ]);
+
+    expect(summary).toMatchObject({ average: 0.4, min: 0.2, max: 0.6, count: 3 });
+    expect(summary.emotions).toEqual({ anxiety: 0.4, sadness: 0.1, anger: 0, joy: 0.2 });
+  });
+
+  it('compares the second half of the series with the first', () => {
+    const scores = (values) => values.map(sentiment_score => ({ sentiment_score }));
+
+    expect(summarizeSentiment(scores([0.2, 0.3, 0.7, 0.8])).trend).toBe('improving');
+    expect(summarizeSentiment(scores([0.8, 0.7, 0.3, 0.2])).trend).toBe('declining');
+    expect(summarizeSentiment(scores([0.5, 0.52, 0.5, 0.53])).trend).toBe('stable');
+    expect(summarizeSentiment(scores([0.9])).trend).toBe('stable');
+  });
+});
@@ -0,0 +1,168 @@
+const { LEXICON, NEGATORS, INTENSIFIERS } = require('./lexicon');
+const { tokenize } = require('../../utils/text');
+
+/**
+ * Sentiment and emotion analyzer
+ *
+ * Scores a message locally with a multilingual lexicon: a sentiment score
+ * between 0 (very negative) and 1 (very positive), 0.5 being neutral, and an
+ * intensity between 0 and 1 for each emotion. Negators within three words
+ * ("not happy", "no estoy bien") flip and soften a word's valence; an
+ * intensifier right before a word ("very", "muy") strengthens it.
+ */
+
+const EMOTIONS = ['anxiety', 'sadness', 'anger', 'joy'];
+const LANGUAGES = Object.keys(LEXICON);
+const NEGATION_WINDOW = 3;
+const NEGATION_FACTOR = -0.5;
+const INTENSIFIER_FACTOR = 1.5;
+// Normalizes the valence sum into (-1, 1); larger values flatten the curve
+const SCORE_ALPHA = 15;
+
+/**
+ * Split each language's lexicon into exact words and prefixes, longest
+ * prefix first so the most specific entry wins
+ */
+const COMPILED = LANGUAGES.reduce((compiled, language) => {
+  const exact = new Map();
+  const prefixes = [];
+
+  Object.entries(LEXICON[language]).forEach(([word, entry]) => {
+    if (word.endsWith('*')) {
+      prefixes.push([word.slice(0, -1), entry]);
+    } else {
+      exact.set(word, entry);
+    }
+  });
+
+  prefixes.sort((a, b) => b[0].length - a[0].length);
+  compiled[language] = { exact, prefixes };
+  return compiled;
+}, {});
+
+const NEGATOR_WORDS = new Set(Object.values(NEGATORS).flat());
+const INTENSIFIER_WORDS = new Set(Object.values(INTENSIFIERS).flat());
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Find a token in the lexicon, trying the message's language first. Every
+ * language is consulted because clients often mix languages.
+ * @param {string} token - Normalized word
+ * @param {string} language - Language code of the message
+ * @returns {Array|null} - [valence, emotion]
+ */
+const lookup = (token, language) => {
+  const order = [language, ...LANGUAGES.filter(code => code !== language)]
+    .filter(code => COMPILED[code]);
+
+  for (const code of order) {
+    const { exact, prefixes } = COMPILED[code];
+    if (exact.has(token)) return exact.get(token);
+
+    const prefix = prefixes.find(([stem]) => token.startsWith(stem));
+    if (prefix) return prefix[1];
+  }
+
+  return null;
+};
+
+/**
+ * Analyze the sentiment and emotions of a message
+ * @param {string} text - Message text
+ * @param {Object} options
+ * @param {string} [options.language] - Language code of the message
+ * @returns {Object} - { score, emotions: { anxiety, sadness, anger, joy }, labels }
+ */
+const analyzeSentiment = (text, { language = 'en' } = {}) => {
+  const tokens = tokenize(text);
+
+  const weights = Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+  let sum = 0;
+  let negatedUntil = -1;
+  let boost = 1;
+
+  tokens.forEach((token, index) => {
+    if (NEGATOR_WORDS.has(token)) {
+      negatedUntil = index + NEGATION_WINDOW;
+      return;
+    }
+
+    if (INTENSIFIER_WORDS.has(token)) {
+      boost = INTENSIFIER_FACTOR;
+      return;
+    }
+
+    const entry = lookup(token, language);
+    if (entry) {
+      const [valence, emotion] = entry;
+      const negated = index <= negatedUntil;
+      const weighted = valence * boost * (negated ? NEGATION_FACTOR : 1);
+
+      sum += weighted;
+      // "not anxious" is not evidence of any emotion
+      if (emotion && !negated) {
+        weights[emotion] += Math.abs(weighted);
+      }
+    }
+
+    boost = 1;
+  });
+
+  const compound = sum / Math.sqrt(sum * sum + SCORE_ALPHA);
+  const emotions = Object.fromEntries(
+    EMOTIONS.map(emotion => [emotion, round(1 - Math.exp(-weights[emotion] / 3), 2)])
+  );
+
+  return {
+    score: round((compound + 1) / 2, 3),
+    emotions,
+    labels: EMOTIONS
+      .filter(emotion => emotions[emotion] > 0)
+      .sort((a, b) => emotions[b] - emotions[a])
+  };
+};
+
+/**
+ * Summarize the sentiment of a series of messages, oldest first. The trend
+ * compares the first and second half of the series.
+ * @param {Array<Object>} messages - Rows with sentiment_score and emotions
+ * @returns {Object} - { average, min, max, trend, emotions, count }
+ */
+const summarizeSentiment = (messages) => {
+  const scored = messages.filter(message => typeof message.sentiment_score === 'number');
+  const scores = scored.map(message => message.sentiment_score);
+
+  if (!scores.length) {
+    return { average: null, min: null, max: null, trend: 'stable', emotions: null, count: 0 };
+  }
+
+  const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+  let trend = 'stable';
+  if (scores.length > 1) {
+    const middle = Math.floor(scores.length / 2);
+    const change = mean(scores.slice(middle)) - mean(scores.slice(0, middle));
+    if (change > 0.05) trend = 'improving';
+    if (change < -0.05) trend = 'declining';
+  }
+
+  const withEmotions = scored.filter(message => message.emotions);
+  const emotions = withEmotions.length
+    ? Object.fromEntries(EMOTIONS.map(emotion => [
+      emotion,
+      round(mean(withEmotions.map(message => message.emotions[emotion] || 0)), 2)
+    ]))
+    : null;
+
+  return {
+    average: round(mean(scores), 3),
+    min: Math.min(...scores),
+    max: Math.max(...scores),
+    trend,
+    emotions,
+    count: scores.length
+  };
+};
+
+module.exports = { EMOTIONS, analyzeSentiment, summarizeSentiment };
@@ -0,0 +1,234 @@
+/**
+ * Sentiment lexicon for the local sentiment/emotion analyzer.
+ *
+ * Each entry maps a word to a valence from -3 (very negative) to 3 (very
+ * positive) and, optionally, the emotion it signals. Words are matched
+ * against lower-cased tokens with accents removed, so Spanish entries are
+ * written without accents. A trailing `*` matches any word with that prefix
+ * ("preocup*" covers preocupado, preocupada, preocupacion); exact entries
+ * win over prefixes, so "hopeless" is not read as "hope*".
+ */
+const LEXICON = {
+  en: {
+    // anxiety
+    'anxi*': [-2, 'anxiety'],
+    nervous: [-2, 'anxiety'],
+    'worr*': [-2, 'anxiety'],
+    'panic*': [-3, 'anxiety'],
+    afraid: [-2, 'anxiety'],
+    scared: [-2, 'anxiety'],
+    'fear*': [-2, 'anxiety'],
+    'stress*': [-2, 'anxiety'],
+    'overwhelm*': [-2, 'anxiety'],
+    tense: [-1, 'anxiety'],
+    restless: [-1, 'anxiety'],
+    uneasy: [-2, 'anxiety'],
+    terrified: [-3, 'anxiety'],
+    'dread*': [-2, 'anxiety'],
+    'frighten*': [-2, 'anxiety'],
+    insecure: [-1, 'anxiety'],
+
+    // sadness
+    sad: [-2, 'sadness'],
+    sadness: [-2, 'sadness'],
+    unhappy: [-2, 'sadness'],
+    'depress*': [-3, 'sadness'],
+    lonely: [-2, 'sadness'],
+    loneliness: [-2, 'sadness'],
+    hopeless: [-3, 'sadness'],
+    miserable: [-3, 'sadness'],
+    cry: [-2, 'sadness'],
+    crying: [-2, 'sadness'],
+    cried: [-2, 'sadness'],
+    tears: [-2, 'sadness'],
+    'griev*': [-3, 'sadness'],
+    grief: [-3, 'sadness'],
+    heartbroken: [-3, 'sadness'],
+    empty: [-2, 'sadness'],
+    tired: [-1, 'sadness'],
+    exhausted: [-2, 'sadness'],
+    hurt: [-2, 'sadness'],
+    'disappoint*': [-2, 'sadness'],
+    worthless: [-3, 'sadness'],
+    'guilt*': [-2, 'sadness'],
+    ashamed: [-2, 'sadness'],
+
+    // anger
+    angry: [-3, 'anger'],
+    anger: [-2, 'anger'],
+    mad: [-2, 'anger'],
+    furious: [-3, 'anger'],
+    'annoy*': [-2, 'anger'],
+    'irritat*': [-2, 'anger'],
+    'frustrat*': [-2, 'anger'],
+    hate: [-3, 'anger'],
+    hated: [-3, 'anger'],
+    hates: [-3, 'anger'],
+    'resent*': [-2, 'anger'],
+    rage: [-3, 'anger'],
+    upset: [-2, 'anger'],
+    pissed: [-3, 'anger'],
+    unfair: [-2, 'anger'],
+
+    // joy
+    'happ*': [3, 'joy'],
+    glad: [2, 'joy'],
+    'joy*': [3, 'joy'],
+    great: [3, 'joy'],
+    good: [2, 'joy'],
+    better: [2, 'joy'],
+    'calm*': [2, 'joy'],
+    'relax*': [2, 'joy'],
+    'excit*': [3, 'joy'],
+    grateful: [3, 'joy'],
+    'thank*': [2, 'joy'],
+    proud: [2, 'joy'],
+    'love*': [3, 'joy'],
+    hopeful: [2, 'joy'],
+    wonderful: [3, 'joy'],
+    amazing: [3, 'joy'],
+    'peace*': [2, 'joy'],
+    'enjoy*': [2, 'joy'],
+    fun: [2, 'joy'],
+    'laugh*': [2, 'joy'],
+    confident: [2, 'joy'],
+    'optimis*': [2, 'joy'],
+    relief: [2, 'joy'],
+    'reliev*': [2, 'joy'],
+
+    // valence only
+    fine: [1],
+    bad: [-2],
+    worse: [-2],
+    terrible: [-3],
+    awful: [-3],
+    horrible: [-3],
+    difficult: [-1],
+    'problem*': [-1],
+    nice: [2],
+    progress: [2],
+    'improv*': [2]
+  },
+
+  es: {
+    // anxiety
+    'ansi*': [-2, 'anxiety'],
+    'nervios*': [-2, 'anxiety'],
+    'preocup*': [-2, 'anxiety'],
+    panico: [-3, 'anxiety'],
+    miedo: [-2, 'anxiety'],
+    'asustad*': [-2, 'anxiety'],
+    estres: [-2, 'anxiety'],
+    'estresad*': [-2, 'anxiety'],
+    'agobi*': [-2, 'anxiety'],
+    'abrumad*': [-2, 'anxiety'],
+    tenso: [-1, 'anxiety'],
+    tensa: [-1, 'anxiety'],
+    'inquiet*': [-1, 'anxiety'],
+    'aterrad*': [-3, 'anxiety'],
+    temor: [-2, 'anxiety'],
+    'angusti*': [-3, 'anxiety'],
+    inseguro: [-1, 'anxiety'],
+    insegura: [-1, 'anxiety'],
+
+    // sadness
+    triste: [-2, 'sadness'],
+    tristeza: [-2, 'sadness'],
+    'deprimid*': [-3, 'sadness'],
+    depresion: [-3, 'sadness'],
+    soledad: [-2, 'sadness'],
+    'solitari*': [-2, 'sadness'],
+    'desesperanz*': [-3, 'sadness'],
+    infeliz: [-2, 'sadness'],
+    'llor*': [-2, 'sadness'],
+    lagrimas: [-2, 'sadness'],
+    vacio: [-2, 'sadness'],
+    vacia: [-2, 'sadness'],
+    'cansad*': [-1, 'sadness'],
+    'agotad*': [-2, 'sadness'],
+    'dolid*': [-2, 'sadness'],
+    'decepcion*': [-2, 'sadness'],
+    culpa: [-2, 'sadness'],
+    culpable: [-2, 'sadness'],
+    miserable: [-3, 'sadness'],
+    'desanimad*': [-2, 'sadness'],
+    verguenza: [-2, 'sadness'],
+
+    // anger
+    'enojad*': [-3, 'anger'],
+    enojo: [-2, 'anger'],
+    'enfadad*': [-3, 'anger'],
+    'furios*': [-3, 'anger'],
+    'molest*': [-2, 'anger'],
+    'irritad*': [-2, 'anger'],
+    'frustra*': [-2, 'anger'],
+    'odi*': [-3, 'anger'],
+    rabia: [-3, 'anger'],
+    'resentid*': [-2, 'anger'],
+    'injust*': [-2, 'anger'],
+    harto: [-2, 'anger'],
+    harta: [-2, 'anger'],
+
+    // joy
+    feliz: [3, 'joy'],
+    felices: [3, 'joy'],
+    felicidad: [3, 'joy'],
+    'content*': [2, 'joy'],
+    'alegr*': [3, 'joy'],
+    mejor: [2, 'joy'],
+    'tranquil*': [2, 'joy'],
+    'calm*': [2, 'joy'],
+    'relajad*': [2, 'joy'],
+    'emocionad*': [3, 'joy'],
+    'agradecid*': [3, 'joy'],
+    gracias: [2, 'joy'],
+    'orgullos*': [2, 'joy'],
+    amor: [3, 'joy'],
+    'encant*': [3, 'joy'],
+    'esperanz*': [2, 'joy'],
+    'maravillos*': [3, 'joy'],
+    genial: [3, 'joy'],
+    paz: [2, 'joy'],
+    'disfrut*': [2, 'joy'],
+    'divert*': [2, 'joy'],
+    risa: [2, 'joy'],
+    'confiad*': [2, 'joy'],
+    optimista: [2, 'joy'],
+    'alivi*': [2, 'joy'],
+
+    // valence only
+    bien: [1],
+    mal: [-2],
+    malo: [-2],
+    mala: [-2],
+    peor: [-2],
+    terrible: [-3],
+    horrible: [-3],
+    fatal: [-3],
+    dificil: [-1],
+    'problema*': [-1],
+    bueno: [2],
+    buena: [2],
+    progreso: [2],
+    'mejora*': [2]
+  }
+};
+
+/**
+ * Words that flip the valence of the next few words ("not happy", "no estoy bien")
+ */
+const NEGATORS = {
+  en: ['not', 'no', 'never', 'nor', 'without', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt',
+    'arent', 'werent', 'cant', 'cannot', 'couldnt', 'wont', 'wouldnt', 'shouldnt', 'havent', 'hasnt'],
+  es: ['no', 'nunca', 'jamas', 'ni', 'sin', 'tampoco']
+};
+
+/**
+ * Words that strengthen the next word ("very anxious", "muy triste")
+ */
+const INTENSIFIERS = {
+  en: ['very', 'really', 'so', 'extremely', 'too', 'totally', 'super', 'incredibly', 'deeply'],
+  es: ['muy', 'tan', 'demasiado', 'super', 'bastante', 'realmente', 'sumamente', 'tremendamente']
+};
+
+module.exports = { LEXICON, NEGATORS, INTENSIFIERS };
@@ -0,0 +1,417 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/scheduling');
+const { checkTimes, getAvailability, isWithinHours } = require('./availabilityService');
+const {
+  assertClientMayMove,
+  authorizeBooking,
+  cancellationFields,
+  loadUser,
+  toBookingError
+} = require('./sessionService');
+const { notify } = require('./notificationService');
+const { ApiError } = require('../utils/errors');
+const { addDays, formatInTimeZone, getZonedParts, zonedTimeToDate } = require('../utils/time');
+const { logger } = require('../utils/logger');
+
+// Postgres no_data_found, raised by reschedule_series for a session that is
+// no longer scheduled
+const SESSION_CHANGED_ERROR_CODE = 'P0002';
+
+/**
+ * Work out the starts of a series: the weekday and wall-clock time of the
+ * first start, in the series' time zone, every intervalWeeks weeks. Times
+ * stay the same across daylight saving changes.
+ * @param {Object} rule
+ * @param {Date|string} rule.firstStart - Start of the first session
+ * @param {string} rule.timeZone - Time zone the weekday and time are kept in
+ * @param {number} rule.intervalWeeks - Weeks between sessions
+ * @param {number} rule.occurrences - Number of sessions
+ * @returns {Array<Date>}
+ */
+const planStarts = ({ firstStart, timeZone, intervalWeeks, occurrences }) => {
+  const { date, time } = getZonedParts(new Date(firstStart), timeZone);
+
+  return Array.from({ length: occurrences }, (_, index) => (
+    zonedTimeToDate(addDays(date, 7 * intervalWeeks * index), time, timeZone)
+  ));
+};
+
+/**
+ * Describe a series rule for notifications
+ * @param {Object} series - session_series row
+ * @param {number} count - Number of sessions concerned
+ * @param {string} start - ISO start of the first of them
+ * @returns {string} - Such as '12 sessions every week from Tuesday, …'
+ */
+const describeSeries = (series, count, start) => {
+  const every = series.interval_weeks === 1 ? 'every week' : `every ${series.interval_weeks} weeks`;
+  return `${count} session${count === 1 ? '' : 's'} ${every} from ${formatInTimeZone(start, series.time_zone)} (${series.time_zone})`;
+};
+
+/**
+ * Notify the people taking part in a series, other than the one who acted
+ * on it. Failures are logged; the change stands.
+ * @param {Object} series - session_series row
+ * @param {Object} notification - { type, title: (otherName) => string, body, actorId }
+ */
+const notifyParticipants = async (series, { type, title, body, actorId }) => {
+  const [client, therapist] = await Promise.all([loadUser(series.client_id), loadUser(series.therapist_id)]);
+
+  const recipients = [
+    { user: client, other: therapist?.name || 'your therapist', link: '/client/schedule' },
+    { user: therapist, other: client?.name || 'a client', link: '/therapist/calendar' }
+  ].filter(recipient => recipient.user && recipient.user.id !== actorId);
+
+  for (const { user, other, link } of recipients) {
+    try {
+      await notify({
+        userId: user.id,
+        type,
+        title: title(other),
+        body,
+        data: { series_id: series.id, changed_by: actorId },
+        link
+      });
+    } catch (error) {
+      logger.error('Failed to notify of session series change', { seriesId: series.id, userId: user.id, error: error.message });
+    }
+  }
+};
+
+/**
+ * Check the starts of a series against the therapist's availability
+ * @param {string} therapistId - The therapist's user ID
+ * @param {Array<Date>} starts - Starts of the sessions
+ * @param {Array<string>} [excludeSessionIds] - Sessions whose time counts as free
+ * @returns {Promise<Array>} - { start, end, conflict } per session
+ */
+const checkStarts = (therapistId, starts, excludeSessionIds = []) => checkTimes(therapistId, starts, {
+  excludeSessionIds,
+  maxDaysAhead: config.seriesMaxDaysAhead
+});
+
+/**
+ * Plan a recurring series without booking it: every session with its
+ * conflict with the therapist's availability, if any
+ * @param {Object} user - The authenticated user
+ * @param {Object} request
+ * @param {string} request.therapistId - The therapist's user ID
+ * @param {string} request.clientId - The client's user ID
+ * @param {string} request.startTime - ISO start of the first session
+ * @param {number} request.intervalWeeks - Weeks between sessions
+ * @param {number} request.occurrences - Number of sessions
+ * @param {string} [request.timeZone] - Time zone the weekday and time are kept in; the therapist's when not given
+ * @returns {Promise<Object>} - { time_zone, occurrences: [{ start, end, conflict }] }
+ */
+const previewSeries = async (user, { therapistId, clientId, startTime, intervalWeeks, occurrences, timeZone }) => {
+  await authorizeBooking(user, { therapistId, clientId });
+
+  const seriesTimeZone = timeZone || (await getAvailability(therapistId)).time_zone;
+  const starts = planStarts({ firstStart: startTime, timeZone: seriesTimeZone, intervalWeeks, occurrences });
+
+  return {
+    time_zone: seriesTimeZone,
+    occurrences: await checkStarts(therapistId, starts)
+  };
+};
+
+/**
+ * Book a recurring series. When some sessions conflict with the therapist's
+ * availability the series is refused with the plan as details, unless
+ * skipConflicts is set; then only the free sessions are booked.
+ * @param {Object} user - The authenticated user
+ * @param {Object} request - As for previewSeries, plus skipConflicts
+ * @returns {Promise<Object>} - The session_series row with its sessions
+ */
+const createSeries = async (user, { skipConflicts = false, ...request }) => {
+  const { therapistId, clientId, intervalWeeks, occurrences } = request;
+  const plan = await previewSeries(user, request);
+  const conflicts = plan.occurrences.filter(occurrence => occurrence.conflict);
+  const free = plan.occurrences.filter(occurrence => !occurrence.conflict);
+
+  if (conflicts.length && !skipConflicts) {
+    throw new ApiError(409, `${conflicts.length} of the sessions conflict with the therapist's availability`, plan.occurrences);
+  }
+
+  if (!free.length) {
+    throw new ApiError(409, 'None of the sessions can be booked', plan.occurrences);
+  }
+
+  const { data: series, error } = await supabase
+    .from('session_series')
+    .insert([{
+      client_id: clientId,
+      therapist_id: therapistId,
+      time_zone: plan.time_zone,
+      interval_weeks: intervalWeeks,
+      occurrences,
+      first_start_time: plan.occurrences[0].start,
+      status: 'active',
+      created_by: user.id
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { data: sessions, error: sessionsError } = await supabase
+    .from('sessions')
+    .insert(free.map(occurrence => ({
+      client_id: clientId,
+      therapist_id: therapistId,
+      series_id: series.id,
+      start_time: occurrence.start,
+      end_time: occurrence.end,
+      status: 'scheduled'
+    })))
+    .select();
+
+  if (sessionsError) {
+    // A session was booked in one of the slots meanwhile; nothing is kept
+    await supabase.from('session_series').delete().eq('id', series.id);
+    throw toBookingError(sessionsError);
+  }
+
+  await notifyParticipants(series, {
+    type: 'session_booked',
+    title: other => `Recurring sessions booked with ${other}`,
+    body: describeSeries(series, sessions.length, free[0].start),
+    actorId: user.id
+  });
+
+  return { ...series, sessions };
+};
+
+/**
+ * Load a series the user takes part in: as its client or therapist, or as
+ * an admin
+ * @param {Object} user - The authenticated user
+ * @param {string} seriesId - The series ID
+ * @returns {Promise<Object>} - The session_series row
+ */
+const loadSeriesFor = async (user, seriesId) => {
+  const { data: series, error } = await supabase
+    .from('session_series')
+    .select('*')
+    .eq('id', seriesId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!series) {
+    throw new ApiError(404, 'Session series not found');
+  }
+
+  if (user.role !== 'admin' && ![series.client_id, series.therapist_id].includes(user.id)) {
+    throw new ApiError(403, 'You do not have access to this session series');
+  }
+
+  return series;
+};
+
+/**
+ * Load the upcoming scheduled sessions of a series, in order
+ * @param {string} seriesId - The series ID
+ * @returns {Promise<Array>} - sessions rows
+ */
+const getUpcomingSessions = async (seriesId) => {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('series_id', seriesId)
+    .eq('status', 'scheduled')
+    .gt('start_time', new Date().toISOString())
+    .order('start_time', { ascending: true });
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Get a series with its sessions. Upcoming scheduled sessions that no
+ * longer fall within the therapist's hours are flagged with conflict
+ * 'unavailable'.
+ * @param {Object} user - The authenticated user
+ * @param {string} seriesId - The series ID
+ * @returns {Promise<Object>} - The session_series row with its sessions
+ */
+const getSeries = async (user, seriesId) => {
+  const series = await loadSeriesFor(user, seriesId);
+
+  const [{ data: sessions, error }, availability] = await Promise.all([
+    supabase
+      .from('sessions')
+      .select('id, start_time, end_time, status')
+      .eq('series_id', seriesId)
+      .order('start_time', { ascending: true }),
+    getAvailability(series.therapist_id)
+  ]);
+
+  if (error) throw error;
+
+  const now = new Date();
+
+  return {
+    ...series,
+    sessions: sessions.map(session => ({
+      ...session,
+      conflict: session.status === 'scheduled' && new Date(session.start_time) > now && !isWithinHours(availability, session)
+        ? 'unavailable'
+        : null
+    }))
+  };
+};
+
+/**
+ * Move every upcoming session of a series. The first upcoming session moves
+ * to startTime and the others keep their place in the series, on the same
+ * new weekday and time, as does the series' first_start_time. Nothing moves
+ * when any of the new times conflicts with the therapist's availability; the
+ * plan comes back as error details. The moves run in one transaction
+ * (reschedule_series), which also fails when a session was cancelled
+ * meanwhile. Clients cannot move a series whose next session is inside the
+ * late-cancel window.
+ * @param {Object} user - The authenticated user
+ * @param {string} seriesId - The series ID
+ * @param {Object} change
+ * @param {string} change.startTime - New ISO start of the first upcoming session
+ * @returns {Promise<Object>} - The series with its sessions
+ */
+const rescheduleSeries = async (user, seriesId, { startTime }) => {
+  const series = await loadSeriesFor(user, seriesId);
+  const upcoming = await getUpcomingSessions(seriesId);
+
+  if (!upcoming.length) {
+    throw new ApiError(409, 'The series has no upcoming sessions to move');
+  }
+
+  assertClientMayMove(user, upcoming[0]);
+
+  const target = getZonedParts(new Date(startTime), series.time_zone);
+  const first = getZonedParts(new Date(upcoming[0].start_time), series.time_zone);
+  const dayShift = Math.round((Date.parse(target.date) - Date.parse(first.date)) / (24 * 60 * 60 * 1000));
+
+  if (Math.abs(dayShift) >= 7) {
+    throw new ApiError(400, 'Sessions of a series can move by less than a week');
+  }
+
+  const shift = (instant) => zonedTimeToDate(
+    addDays(getZonedParts(new Date(instant), series.time_zone).date, dayShift),
+    target.time,
+    series.time_zone
+  );
+  const plan = await checkStarts(
+    series.therapist_id,
+    upcoming.map(session => shift(session.start_time)),
+    upcoming.map(session => session.id)
+  );
+
+  if (plan.some(occurrence => occurrence.conflict)) {
+    throw new ApiError(409, 'Some of the new times conflict with the therapist\'s availability', plan);
+  }
+
+  // Later sessions move first when moving forward, so no two overlap meanwhile
+  const moves = upcoming.map((session, index) => ({
+    id: session.id,
+    start_time: plan[index].start,
+    end_time: plan[index].end
+  }));
+  if (dayShift > 0 || (dayShift === 0 && target.time > first.time)) moves.reverse();
+
+  const { error } = await supabase.rpc('reschedule_series', {
+    p_series_id: seriesId,
+    p_moves: moves,
+    p_first_start_time: shift(series.first_start_time).toISOString()
+  });
+
+  if (error?.code === SESSION_CHANGED_ERROR_CODE) {
+    throw new ApiError(409, 'Sessions of the series changed meanwhile; reload and try again');
+  }
+  if (error) throw toBookingError(error);
+
+  await notifyParticipants(series, {
+    type: 'session_rescheduled',
+    title: other => `Recurring sessions with ${other} moved`,
+    body: describeSeries(series, plan.length, plan[0].start),
+    actorId: user.id
+  });
+
+  return getSeries(user, seriesId);
+};
+
+/**
+ * Cancel the rest of a series: its scheduled sessions from a session on, or
+ * every upcoming one. The series ends when none are left. Sessions a client
+ * cancels inside the late-cancel window count as late cancellations, as
+ * when cancelled one by one.
+ * @param {Object} user - The authenticated user
+ * @param {string} seriesId - The series ID
+ * @param {Object} [options]
+ * @param {string} [options.fromSessionId] - First session to cancel
+ * @param {string} [options.reason] - Why the sessions are cancelled
+ * @returns {Promise<Object>} - The series with its sessions
+ */
+const cancelSeries = async (user, seriesId, { fromSessionId, reason } = {}) => {
+  const series = await loadSeriesFor(user, seriesId);
+  const upcoming = await getUpcomingSessions(seriesId);
+
+  const fromIndex = fromSessionId ? upcoming.findIndex(session => session.id === fromSessionId) : 0;
+  if (fromIndex === -1) {
+    throw new ApiError(409, 'That session is not an upcoming scheduled session of the series');
+  }
+
+  const cancelled = [];
+
+  // Late and on-time cancellations differ only in late_cancel. Sessions
+  // that stopped being scheduled meanwhile are left alone.
+  for (const late of [true, false]) {
+    const group = upcoming.slice(fromIndex)
+      .filter(session => cancellationFields(user, session).late_cancel === late);
+    if (!group.length) continue;
+
+    const { data, error } = await supabase
+      .from('sessions')
+      .update(cancellationFields(user, group[0], reason))
+      .in('id', group.map(session => session.id))
+      .eq('status', 'scheduled')
+      .select('id, start_time');
+
+    if (error) throw error;
+
+    cancelled.push(...data);
+  }
+
+  cancelled.sort((a, b) => Date.parse(a.start_time) - Date.parse(b.start_time));
+
+  if (fromIndex === 0) {
+    const { error } = await supabase
+      .from('session_series')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', seriesId)
+      .eq('status', 'active');
+
+    if (error) throw error;
+  }
+
+  if (cancelled.length) {
+    await notifyParticipants(series, {
+      type: 'session_cancelled',
+      title: other => `Recurring sessions with ${other} cancelled`,
+      body: reason
+        ? `${describeSeries(series, cancelled.length, cancelled[0].start_time)}\nReason: ${reason}`
+        : describeSeries(series, cancelled.length, cancelled[0].start_time),
+      actorId: user.id
+    });
+  }
+
+  return getSeries(user, seriesId);
+};
+
+module.exports = {
+  previewSeries,
+  createSeries,
+  getSeries,
+  rescheduleSeries,
+  cancelSeries
+};
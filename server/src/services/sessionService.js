@@ -0,0 +1,565 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/scheduling');
+const { findSlot, getAvailability } = require('./availabilityService');
+const { notify } = require('./notificationService');
+const { canAccessClient } = require('../middleware/auth');
+const { ApiError } = require('../utils/errors');
+const { formatInTimeZone } = require('../utils/time');
+const { logger } = require('../utils/logger');
+
+// Postgres exclusion_violation: the sessions_no_overlap constraint
+const OVERLAP_ERROR_CODE = '23P01';
+
+// The video room opens this long before a session starts
+const JOIN_EARLY_MINUTES = 10;
+
+// Statuses of sessions whose attendance has not been settled
+const UNSETTLED_STATUSES = ['scheduled', 'in-progress'];
+
+// Sessions settled per update
+const SETTLE_BATCH_SIZE = 100;
+
+/**
+ * Turn a failed write that would double-book the therapist into a 409
+ * @param {Object} error - Supabase error
+ * @returns {Error}
+ */
+const toBookingError = (error) => (error?.code === OVERLAP_ERROR_CODE
+  ? new ApiError(409, 'The therapist already has a session at that time')
+  : error);
+
+/**
+ * Load a user's name and role
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object|null>} - users row with id, name and role
+ */
+const loadUser = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, name, role')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+};
+
+/**
+ * Check the user may book sessions between a therapist and client: clients
+ * for themselves, therapists for their own assigned clients and admins for
+ * anyone
+ * @param {Object} user - The authenticated user
+ * @param {Object} parties - { therapistId, clientId }
+ * @returns {Promise<Object>} - { client, therapist } users rows
+ */
+const authorizeBooking = async (user, { therapistId, clientId }) => {
+  if (user.role === 'client' && clientId !== user.id) {
+    throw new ApiError(403, 'Clients can only book their own sessions');
+  }
+
+  if (user.role === 'therapist' && (therapistId !== user.id || !(await canAccessClient(user, clientId)))) {
+    throw new ApiError(403, 'Therapists can only book their own sessions with their clients');
+  }
+
+  const [client, therapist] = await Promise.all([loadUser(clientId), loadUser(therapistId)]);
+
+  if (!client || client.role !== 'client') {
+    throw new ApiError(404, 'Client not found');
+  }
+
+  if (!therapist || therapist.role !== 'therapist') {
+    throw new ApiError(404, 'Therapist not found');
+  }
+
+  return { client, therapist };
+};
+
+/**
+ * Tell the client and therapist about a booked session, each with the time
+ * in their own time zone. Failures are logged; the booking stands.
+ * @param {Object} session - The sessions row
+ * @param {Object} parties - { client, therapist } users rows
+ * @param {Object} timeZones - { client, therapist } time zone names
+ * @param {string} bookedBy - ID of the user who booked
+ */
+const notifyBooked = async (session, { client, therapist }, timeZones, bookedBy) => {
+  const recipients = [
+    {
+      user: client,
+      title: `Session booked with ${therapist.name || 'your therapist'}`,
+      timeZone: timeZones.client,
+      link: '/client/schedule'
+    },
+    {
+      user: therapist,
+      title: `New session with ${client.name || 'a client'}`,
+      timeZone: timeZones.therapist,
+      link: `/therapist/sessions/${session.id}`
+    }
+  ];
+
+  for (const { user, title, timeZone, link } of recipients) {
+    try {
+      await notify({
+        userId: user.id,
+        type: 'session_booked',
+        title,
+        body: `${formatInTimeZone(session.start_time, timeZone)} (${timeZone})`,
+        data: { session_id: session.id, booked_by: bookedBy },
+        link
+      });
+    } catch (error) {
+      logger.error('Failed to notify of booked session', { sessionId: session.id, userId: user.id, error: error.message });
+    }
+  }
+};
+
+/**
+ * Book a session in one of the therapist's free slots. The slot is checked
+ * against their availability and booked sessions, and the sessions_no_overlap
+ * constraint stops two bookings of the same time that race each other.
+ * @param {Object} user - The authenticated user
+ * @param {Object} booking
+ * @param {string} booking.therapistId - The therapist's user ID
+ * @param {string} booking.clientId - The client's user ID
+ * @param {string} booking.startTime - ISO start of one of the therapist's slots
+ * @param {string} [booking.timeZone] - The booker's time zone, for the client's notification
+ * @returns {Promise<Object>} - The sessions row
+ */
+const bookSession = async (user, { therapistId, clientId, startTime, timeZone }) => {
+  const { client, therapist } = await authorizeBooking(user, { therapistId, clientId });
+
+  const slot = await findSlot(therapistId, startTime);
+
+  if (!slot) {
+    throw new ApiError(409, 'That time is not available');
+  }
+
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .insert([{
+      client_id: clientId,
+      therapist_id: therapistId,
+      start_time: slot.start,
+      end_time: slot.end,
+      status: 'scheduled'
+    }])
+    .select()
+    .single();
+
+  if (error) throw toBookingError(error);
+
+  const { time_zone: therapistTimeZone } = await getAvailability(therapistId);
+  await notifyBooked(
+    session,
+    { client, therapist },
+    { client: user.role === 'client' && timeZone ? timeZone : therapistTimeZone, therapist: therapistTimeZone },
+    user.id
+  );
+
+  return session;
+};
+
+/**
+ * Load a session the user takes part in: as its client or therapist, or as
+ * an admin
+ * @param {Object} user - The authenticated user
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object>} - The sessions row
+ */
+const loadSessionFor = async (user, sessionId) => {
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!session) {
+    throw new ApiError(404, 'Session not found');
+  }
+
+  if (user.role !== 'admin' && ![session.client_id, session.therapist_id].includes(user.id)) {
+    throw new ApiError(403, 'You do not have access to this session');
+  }
+
+  return session;
+};
+
+/**
+ * Whether a session starts within the late-cancel window
+ * @param {Object} session - The sessions row
+ * @returns {boolean}
+ */
+const startsWithinLateWindow = (session) => (
+  new Date(session.start_time).getTime() - Date.now() < config.lateCancelHours * 60 * 60 * 1000
+);
+
+/**
+ * Columns recording a cancellation. Only clients cancel late: therapists
+ * and admins may cancel at any time.
+ * @param {Object} user - The user cancelling
+ * @param {Object} session - The sessions row
+ * @param {string} [reason] - Why the session is cancelled
+ * @returns {Object} - sessions columns
+ */
+const cancellationFields = (user, session, reason) => ({
+  status: 'cancelled',
+  cancelled_at: new Date().toISOString(),
+  cancelled_by: user.id,
+  cancel_reason: reason || null,
+  late_cancel: user.role === 'client' && startsWithinLateWindow(session)
+});
+
+/**
+ * Refuse to let a client move a session inside the late-cancel window;
+ * they can still cancel it, late
+ * @param {Object} user - The authenticated user
+ * @param {Object} session - The earliest sessions row being moved
+ */
+const assertClientMayMove = (user, session) => {
+  if (user.role === 'client' && startsWithinLateWindow(session)) {
+    throw new ApiError(409, `Sessions starting within ${config.lateCancelHours} hours can no longer be moved`);
+  }
+};
+
+/**
+ * Tell the people taking part in a session, other than the one who changed
+ * it, what happened. Failures are logged; the change stands.
+ * @param {Object} session - The updated sessions row
+ * @param {Object} change
+ * @param {string} change.type - Notification type
+ * @param {Function} change.title - (otherName) => title
+ * @param {string} change.body - Notification body
+ * @param {Object} change.data - Notification data, besides the session ID
+ * @param {string} change.actorId - ID of the user who changed the session
+ */
+const notifyParticipants = async (session, { type, title, body, data, actorId }) => {
+  const [client, therapist] = await Promise.all([
+    loadUser(session.client_id),
+    loadUser(session.therapist_id)
+  ]);
+
+  const recipients = [
+    { user: client, other: therapist?.name || 'your therapist', link: '/client/schedule' },
+    { user: therapist, other: client?.name || 'a client', link: `/therapist/sessions/${session.id}` }
+  ].filter(recipient => recipient.user && recipient.user.id !== actorId);
+
+  for (const { user, other, link } of recipients) {
+    try {
+      await notify({
+        userId: user.id,
+        type,
+        title: title(other),
+        body,
+        data: { session_id: session.id, ...data },
+        link
+      });
+    } catch (error) {
+      logger.error('Failed to notify of session change', { sessionId: session.id, userId: user.id, type, error: error.message });
+    }
+  }
+};
+
+/**
+ * Add the reason for a change, if any, to a notification body
+ * @param {string} body - Notification body
+ * @param {string} [reason] - Reason given
+ * @returns {string}
+ */
+const withReason = (body, reason) => (reason ? `${body}\nReason: ${reason}` : body);
+
+/**
+ * Tell the people taking part in a moved session, other than the one who
+ * moved it, about the new time
+ * @param {Object} session - The updated sessions row
+ * @param {string} previousStart - ISO start before the move
+ * @param {string} movedBy - ID of the user who moved it
+ * @param {string} [reason] - Why it was moved
+ */
+const notifyRescheduled = async (session, previousStart, movedBy, reason) => {
+  const { time_zone: timeZone } = await getAvailability(session.therapist_id);
+
+  await notifyParticipants(session, {
+    type: 'session_rescheduled',
+    title: other => `Session with ${other} moved`,
+    body: withReason(
+      `${formatInTimeZone(previousStart, timeZone)} → ${formatInTimeZone(session.start_time, timeZone)} (${timeZone})`,
+      reason
+    ),
+    data: { previous_start_time: previousStart, moved_by: movedBy, reason: reason || null },
+    actorId: movedBy
+  });
+};
+
+/**
+ * Move a scheduled session to another of the therapist's free slots. The
+ * session's own time counts as free, so it can move to a slot overlapping
+ * its current time. Clients cannot move sessions inside the late-cancel
+ * window.
+ * @param {Object} user - The authenticated user
+ * @param {string} sessionId - The session ID
+ * @param {Object} change
+ * @param {string} change.startTime - ISO start of one of the therapist's slots
+ * @param {string} [change.reason] - Why it is moved, for the notification
+ * @returns {Promise<Object>} - The updated sessions row
+ */
+const rescheduleSession = async (user, sessionId, { startTime, reason }) => {
+  const session = await loadSessionFor(user, sessionId);
+
+  if (session.status !== 'scheduled') {
+    throw new ApiError(409, 'Only scheduled sessions can be moved');
+  }
+
+  assertClientMayMove(user, session);
+
+  const previousStart = session.start_time;
+  const slot = await findSlot(session.therapist_id, startTime, { excludeSessionId: session.id });
+
+  if (!slot) {
+    throw new ApiError(409, 'That time is not available');
+  }
+
+  const { data: updated, error } = await supabase
+    .from('sessions')
+    .update({ start_time: slot.start, end_time: slot.end })
+    .eq('id', session.id)
+    .eq('status', 'scheduled')
+    .select()
+    .maybeSingle();
+
+  if (error) throw toBookingError(error);
+
+  if (!updated) {
+    throw new ApiError(409, 'The session changed while it was being moved');
+  }
+
+  await notifyRescheduled(updated, previousStart, user.id, reason);
+
+  return updated;
+};
+
+/**
+ * Cancel a scheduled session that has not started. A client cancelling
+ * within SCHEDULING_LATE_CANCEL_HOURS of the start is recorded as a late
+ * cancellation.
+ * @param {Object} user - The authenticated user
+ * @param {string} sessionId - The session ID
+ * @param {Object} cancellation
+ * @param {string} cancellation.reason - Why it is cancelled
+ * @returns {Promise<Object>} - The updated sessions row
+ */
+const cancelSession = async (user, sessionId, { reason }) => {
+  const session = await loadSessionFor(user, sessionId);
+
+  if (session.status !== 'scheduled') {
+    throw new ApiError(409, 'Only scheduled sessions can be cancelled');
+  }
+
+  if (new Date(session.start_time) <= new Date()) {
+    throw new ApiError(409, 'Sessions that have started can no longer be cancelled');
+  }
+
+  const { data: updated, error } = await supabase
+    .from('sessions')
+    .update(cancellationFields(user, session, reason))
+    .eq('id', session.id)
+    .eq('status', 'scheduled')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!updated) {
+    throw new ApiError(409, 'The session changed while it was being cancelled');
+  }
+
+  const { time_zone: timeZone } = await getAvailability(session.therapist_id);
+  await notifyParticipants(updated, {
+    type: 'session_cancelled',
+    title: other => `Session with ${other} cancelled`,
+    body: withReason(`${formatInTimeZone(updated.start_time, timeZone)} (${timeZone})`, reason),
+    data: { cancelled_by: user.id, reason, late_cancel: updated.late_cancel },
+    actorId: user.id
+  });
+
+  return updated;
+};
+
+/**
+ * Open a session's video room for one of its participants, recording when
+ * they first joined. The room opens JOIN_EARLY_MINUTES before the start and
+ * closes at the end.
+ * @param {Object} user - The authenticated user
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object>} - { session, meeting_url }
+ */
+const joinSession = async (user, sessionId) => {
+  let session = await loadSessionFor(user, sessionId);
+  const now = new Date();
+
+  if (!['scheduled', 'in-progress'].includes(session.status)) {
+    throw new ApiError(409, 'This session is not taking place');
+  }
+
+  if (now < new Date(new Date(session.start_time).getTime() - JOIN_EARLY_MINUTES * 60 * 1000)) {
+    throw new ApiError(409, `The session opens ${JOIN_EARLY_MINUTES} minutes before it starts`);
+  }
+
+  if (now >= new Date(session.end_time)) {
+    throw new ApiError(409, 'This session has ended');
+  }
+
+  const column = { [session.client_id]: 'client_joined_at', [session.therapist_id]: 'therapist_joined_at' }[user.id];
+
+  if (column && !session[column]) {
+    const { data, error } = await supabase
+      .from('sessions')
+      .update({ [column]: now.toISOString() })
+      .eq('id', session.id)
+      .is(column, null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    session = data || session;
+  }
+
+  return {
+    session,
+    meeting_url: session.meeting_url || `${config.meetingBaseUrl}/${session.id}`
+  };
+};
+
+/**
+ * How a session that has ended went, from who joined its video room: it is
+ * completed when both participants joined, otherwise a no-show recording
+ * who was absent
+ * @param {Object} session - sessions row with client_joined_at and therapist_joined_at
+ * @returns {Object} - { status, absent }
+ */
+const attendanceOutcome = (session) => {
+  const clientAbsent = !session.client_joined_at;
+  const therapistAbsent = !session.therapist_joined_at;
+
+  if (clientAbsent && therapistAbsent) return { status: 'no-show', absent: 'both' };
+  if (clientAbsent) return { status: 'no-show', absent: 'client' };
+  if (therapistAbsent) return { status: 'no-show', absent: 'therapist' };
+
+  return { status: 'completed', absent: null };
+};
+
+/**
+ * Settle every session still scheduled or in progress that has ended, as
+ * completed or as a no-show by attendanceOutcome. Sessions missed while the
+ * scheduler was down are settled on its next run.
+ * @returns {Promise<Object>} - { completed, no_shows }
+ */
+const settleAttendance = async () => {
+  const { data: sessions, error } = await supabase
+    .from('sessions')
+    .select('id, client_joined_at, therapist_joined_at')
+    .in('status', UNSETTLED_STATUSES)
+    .lte('end_time', new Date().toISOString());
+
+  if (error) throw error;
+
+  const groups = {};
+  sessions.forEach(session => {
+    const outcome = attendanceOutcome(session);
+    const key = `${outcome.status}:${outcome.absent}`;
+    groups[key] = groups[key] || { outcome, ids: [] };
+    groups[key].ids.push(session.id);
+  });
+
+  const settled = { completed: 0, no_shows: 0 };
+
+  for (const { outcome, ids } of Object.values(groups)) {
+    // Batched to keep the ID filter within URL limits after a long outage
+    for (let start = 0; start < ids.length; start += SETTLE_BATCH_SIZE) {
+      const { data, error: updateError } = await supabase
+        .from('sessions')
+        .update(outcome)
+        .in('id', ids.slice(start, start + SETTLE_BATCH_SIZE))
+        .in('status', UNSETTLED_STATUSES)
+        .select('id');
+
+      if (updateError) throw updateError;
+
+      settled[outcome.status === 'completed' ? 'completed' : 'no_shows'] += data.length;
+    }
+  }
+
+  return settled;
+};
+
+/**
+ * Count a client's no-shows and late cancellations, against the sessions
+ * that have started and were not cancelled, with the late-cancel window.
+ * No-shows where only the therapist was absent are not the client's.
+ * @param {string} clientId - The client's user ID
+ * @returns {Promise<Object>} - { past_sessions, no_shows, late_cancels, last_no_show_at, last_late_cancel_at, late_cancel_hours }
+ */
+const getAttendance = async (clientId) => {
+  const { data: sessions, error } = await supabase
+    .from('sessions')
+    .select('start_time, status, absent, late_cancel')
+    .eq('client_id', clientId)
+    .order('start_time', { ascending: false });
+
+  if (error) throw error;
+
+  const now = new Date();
+  const noShows = sessions.filter(session => session.status === 'no-show' && session.absent !== 'therapist');
+  const lateCancels = sessions.filter(session => session.status === 'cancelled' && session.late_cancel);
+
+  return {
+    past_sessions: sessions.filter(session => session.status !== 'cancelled' && new Date(session.start_time) <= now).length,
+    no_shows: noShows.length,
+    late_cancels: lateCancels.length,
+    last_no_show_at: noShows[0]?.start_time || null,
+    last_late_cancel_at: lateCancels[0]?.start_time || null,
+    late_cancel_hours: config.lateCancelHours
+  };
+};
+
+/**
+ * Save the therapist's notes on a session
+ * @param {Object} user - The authenticated user
+ * @param {string} sessionId - The session ID
+ * @param {string} notes - The notes
+ * @returns {Promise<Object>} - The updated sessions row
+ */
+const updateSessionNotes = async (user, sessionId, notes) => {
+  await loadSessionFor(user, sessionId);
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .update({ notes })
+    .eq('id', sessionId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return data;
+};
+
+module.exports = {
+  toBookingError,
+  loadUser,
+  authorizeBooking,
+  cancellationFields,
+  assertClientMayMove,
+  bookSession,
+  rescheduleSession,
+  cancelSession,
+  joinSession,
+  attendanceOutcome,
+  settleAttendance,
+  getAttendance,
+  updateSessionNotes
+};
@@ -0,0 +1,210 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/summaries');
+const llm = require('./llm');
+const { summarizeSentiment } = require('./sentiment');
+const { extractMemories } = require('./memoryService');
+const { logger } = require('../utils/logger');
+
+const MAX_TOPICS = 5;
+const MAX_ACTION_ITEMS = 8;
+
+const SPEAKERS = {
+  user: 'Client',
+  ai: 'AI coach',
+  therapist: 'Therapist',
+  system: 'System'
+};
+
+const SUMMARY_SYSTEM_PROMPT = [
+  'You are a clinical documentation assistant. Summarize the conversation between a client and an AI coach for the client\'s therapist.',
+  'Respond with JSON only, in this shape:',
+  '{"summary": "...", "key_topics": ["..."], "action_items": ["..."]}',
+  `- summary: 3 to 5 sentences in neutral, clinical language covering the client's concerns, mood and any progress.`,
+  `- key_topics: up to ${MAX_TOPICS} short lower-case topics, such as "work anxiety" or "sleep".`,
+  `- action_items: up to ${MAX_ACTION_ITEMS} concrete follow-ups the client agreed to or the therapist should consider; an empty list if there are none.`,
+  'Do not invent details that are not in the conversation.'
+].join('\n');
+
+/**
+ * Render the conversation as a plain transcript. When it is too long the
+ * oldest messages are cut and the previous summary stands in for them.
+ * @param {Array<Object>} messages - Message rows, oldest first
+ * @param {Object|null} previous - The conversation's previous summary row
+ * @returns {string}
+ */
+const buildTranscript = (messages, previous) => {
+  const lines = messages
+    .filter(message => message.text)
+    .map(message => `${SPEAKERS[message.sender] || message.sender}: ${message.text}`);
+
+  let length = 0;
+  let start = lines.length;
+  while (start > 0 && length + lines[start - 1].length + 1 <= config.maxTranscriptChars) {
+    start -= 1;
+    length += lines[start].length + 1;
+  }
+
+  const transcript = lines.slice(start).join('\n');
+  if (start === 0 || !previous?.summary_text) return transcript;
+
+  return `Summary of the earlier part of the conversation: ${previous.summary_text}\n\n${transcript}`;
+};
+
+/**
+ * Parse the model's JSON answer, tolerating text around the object
+ * @param {string} text - The completion
+ * @returns {Object} - { summary_text, key_topics, action_items }
+ */
+const parseSummary = (text) => {
+  const json = (text || '').match(/\{[\s\S]*\}/);
+  if (!json) throw new Error('Summary completion did not contain JSON');
+
+  const parsed = JSON.parse(json[0]);
+  if (typeof parsed.summary !== 'string' || !parsed.summary.trim()) {
+    throw new Error('Summary completion has no summary');
+  }
+
+  const strings = (value, limit) => (Array.isArray(value) ? value : [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim())
+    .slice(0, limit);
+
+  return {
+    summary_text: parsed.summary.trim(),
+    key_topics: [...new Set(strings(parsed.key_topics, MAX_TOPICS).map(topic => topic.toLowerCase()))],
+    action_items: strings(parsed.action_items, MAX_ACTION_ITEMS)
+  };
+};
+
+/**
+ * Summarize a conversation and store the result as its single summaries row,
+ * updating it in place on later runs, and add any durable facts it reveals to
+ * the client's memory. Idempotent: when the conversation has no messages since
+ * the last summary the stored row is returned unchanged.
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} options
+ * @param {boolean} [options.force] - Summarize even if nothing changed
+ * @returns {Promise<Object>} - { summary, skipped }
+ */
+const summarizeConversation = async (conversationId, { force = false } = {}) => {
+  const [messagesResult, previousResult] = await Promise.all([
+    supabase
+      .from('messages')
+      .select('sender, text, timestamp, sentiment_score, emotions')
+      .eq('conversation_id', conversationId)
+      .order('timestamp', { ascending: true }),
+    supabase
+      .from('summaries')
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .maybeSingle()
+  ]);
+
+  if (messagesResult.error) throw messagesResult.error;
+  if (previousResult.error) throw previousResult.error;
+
+  const messages = messagesResult.data || [];
+  const previous = previousResult.data;
+
+  if (!messages.some(message => message.sender === 'user' && message.text)) {
+    return { summary: previous, skipped: true };
+  }
+
+  if (previous && previous.message_count === messages.length && !force) {
+    return { summary: previous, skipped: true };
+  }
+
+  const result = await llm.generate({
+    system: SUMMARY_SYSTEM_PROMPT,
+    messages: [{ role: 'user', content: buildTranscript(messages, previous) }]
+  });
+
+  const { summary_text, key_topics, action_items } = parseSummary(result.text);
+  const fields = {
+    conversation_id: conversationId,
+    summary_text,
+    key_topics,
+    action_items,
+    sentiment_metrics: summarizeSentiment(messages.filter(message => message.sender === 'user')),
+    message_count: messages.length,
+    provider: result.provider,
+    model: result.model,
+    updated_at: new Date().toISOString()
+  };
+
+  // One row per conversation: a run that finishes at the same time as this
+  // one updates the same row instead of adding another
+  const { data, error } = await supabase
+    .from('summaries')
+    .upsert([fields], { onConflict: 'conversation_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info('Conversation summarized', { conversationId, messages: messages.length, provider: result.provider });
+
+  // The summary is saved either way; memories are retried on the next change
+  try {
+    await extractMemories(conversationId, { messages, summary: data });
+  } catch (memoryError) {
+    logger.error('Failed to extract client memories', { conversationId, error: memoryError.message });
+  }
+
+  return { summary: data, skipped: false };
+};
+
+/**
+ * Daily run: refresh conversations that have been open for a long time and
+ * summarize recently closed ones that have no summary yet. Conversations are
+ * processed one at a time so a run never floods the LLM provider.
+ * @returns {Promise<Object>} - { summarized, skipped, failed }
+ */
+const runDailySummaries = async () => {
+  const openBefore = new Date(Date.now() - config.openAfterHours * 60 * 60 * 1000).toISOString();
+  const closedSince = new Date(Date.now() - config.lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const [openResult, closedResult] = await Promise.all([
+    supabase
+      .from('conversations')
+      .select('id')
+      .is('end_ts', null)
+      .lt('start_ts', openBefore),
+    supabase
+      .from('conversations')
+      .select('id, summaries(id)')
+      .not('end_ts', 'is', null)
+      .gte('end_ts', closedSince)
+  ]);
+
+  if (openResult.error) throw openResult.error;
+  if (closedResult.error) throw closedResult.error;
+
+  const ids = [
+    ...(openResult.data || []).map(conversation => conversation.id),
+    ...(closedResult.data || [])
+      .filter(conversation => !conversation.summaries?.length)
+      .map(conversation => conversation.id)
+  ];
+
+  const totals = { summarized: 0, skipped: 0, failed: 0 };
+
+  for (const conversationId of ids) {
+    try {
+      const { skipped } = await summarizeConversation(conversationId);
+      totals[skipped ? 'skipped' : 'summarized'] += 1;
+    } catch (error) {
+      totals.failed += 1;
+      logger.error('Failed to summarize conversation', { conversationId, error: error.message });
+    }
+  }
+
+  logger.info('Daily summarization finished', totals);
+
+  return totals;
+};
+
+module.exports = {
+  summarizeConversation,
+  runDailySummaries
+};
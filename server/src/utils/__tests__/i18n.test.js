@@ -0,0 +1,27 @@
+const { resolveLanguage, getTranslator } = require('../i18n');
+
+describe('resolveLanguage', () => {
+  it('matches by base language and falls back to English', () => {
+    expect(resolveLanguage('es-MX')).toBe('es');
+    expect(resolveLanguage('EN')).toBe('en');
+    expect(resolveLanguage('fr')).toBe('en');
+    expect(resolveLanguage()).toBe('en');
+  });
+});
+
+describe('getTranslator', () => {
+  it('fills in values and falls back to English, then to the key', () => {
+    const t = getTranslator('es');
+
+    expect(t('chat.greeting', { name: 'Ana' })).toBe('¡Hola Ana! Soy tu coach de IA. ¿Cómo te sientes hoy?');
+    expect(t('missing.key')).toBe('missing.key');
+  });
+
+  it('has the same keys in every locale', () => {
+    const keys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+      value && typeof value === 'object' ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+    ));
+
+    expect(keys(require('../../locales/es.json')).sort()).toEqual(keys(require('../../locales/en.json')).sort());
+  });
+});
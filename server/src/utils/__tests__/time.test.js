@@ -0,0 +1,102 @@
+const {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  addDays,
+  getWeekday,
+  timeToMinutes,
+  minutesToTime
+} = require('../time');
+
+const iso = (date, time, timeZone) => zonedTimeToDate(date, time, timeZone).toISOString();
+
+describe('zonedTimeToDate', () => {
+  it('converts ordinary times with the offset in force', () => {
+    expect(iso('2026-07-01', '09:00', 'America/Los_Angeles')).toBe('2026-07-01T16:00:00.000Z');
+    expect(iso('2026-01-15', '09:00', 'Europe/Madrid')).toBe('2026-01-15T08:00:00.000Z');
+    expect(iso('2026-06-01', '12:00', 'Asia/Kolkata')).toBe('2026-06-01T06:30:00.000Z');
+    expect(iso('2026-06-01', '12:00', 'UTC')).toBe('2026-06-01T12:00:00.000Z');
+  });
+
+  it('reads 24:00 as midnight at the end of the day', () => {
+    expect(iso('2026-03-08', '24:00', 'America/New_York')).toBe('2026-03-09T04:00:00.000Z');
+  });
+
+  describe('when clocks go forward', () => {
+    it.each([
+      // West of UTC, northern hemisphere: 02:00 EST becomes 03:00 EDT
+      ['2026-03-08', '02:30', 'America/New_York', '2026-03-08T07:30:00.000Z', '03:30'],
+      // East of UTC, northern hemisphere: 02:00 CET becomes 03:00 CEST
+      ['2026-03-29', '02:30', 'Europe/Madrid', '2026-03-29T01:30:00.000Z', '03:30'],
+      // Southern hemisphere: 02:00 AEST becomes 03:00 AEDT
+      ['2026-10-04', '02:30', 'Australia/Sydney', '2026-10-03T16:30:00.000Z', '03:30'],
+      // West of UTC, southern hemisphere: 00:00 becomes 01:00
+      ['2026-09-06', '00:30', 'America/Santiago', '2026-09-06T04:30:00.000Z', '01:30']
+    ])('moves skipped times forward (%s %s %s)', (date, time, timeZone, expected, wallClock) => {
+      const instant = zonedTimeToDate(date, time, timeZone);
+
+      expect(instant.toISOString()).toBe(expected);
+      expect(getZonedParts(instant, timeZone).time).toBe(wallClock);
+    });
+
+    it.each([
+      ['2026-03-08', 'America/New_York'],
+      ['2026-03-29', 'Europe/Madrid'],
+      ['2026-10-04', 'Australia/Sydney']
+    ])('keeps times either side of the jump on their wall clock (%s %s)', (date, timeZone) => {
+      ['01:30', '03:30', '12:00'].forEach(time => {
+        expect(getZonedParts(zonedTimeToDate(date, time, timeZone), timeZone)).toMatchObject({ date, time });
+      });
+    });
+  });
+
+  describe('when clocks go back', () => {
+    it.each([
+      ['2026-11-01', '01:30', 'America/New_York', '2026-11-01T05:30:00.000Z'],
+      ['2026-10-25', '02:30', 'Europe/Madrid', '2026-10-25T00:30:00.000Z'],
+      ['2026-04-05', '02:30', 'Australia/Sydney', '2026-04-04T15:30:00.000Z']
+    ])('uses the first of the repeated times (%s %s %s)', (date, time, timeZone, expected) => {
+      expect(iso(date, time, timeZone)).toBe(expected);
+    });
+
+    it('uses the new offset after the repeated hour', () => {
+      expect(iso('2026-11-01', '03:00', 'America/New_York')).toBe('2026-11-01T08:00:00.000Z');
+    });
+  });
+});
+
+describe('getTimeZoneOffset', () => {
+  it('reports minutes ahead of UTC, following daylight saving time', () => {
+    expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+    expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'Australia/Sydney')).toBe(660);
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Australia/Sydney')).toBe(600);
+  });
+});
+
+describe('calendar helpers', () => {
+  it('validates IANA time zone names', () => {
+    expect(isValidTimeZone('Europe/Madrid')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+
+  it('adds days across months, years and daylight saving changes', () => {
+    expect(addDays('2026-03-07', 2)).toBe('2026-03-09');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+
+  it('names the weekday of a date', () => {
+    expect(getWeekday('2026-10-19')).toBe('monday');
+    expect(getWeekday('2026-03-08')).toBe('sunday');
+  });
+
+  it('converts between times and minutes after midnight', () => {
+    expect(timeToMinutes('9:05')).toBe(545);
+    expect(minutesToTime(545)).toBe('09:05');
+    expect(minutesToTime(24 * 60)).toBe('24:00');
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Error carrying an HTTP status code, rendered by the error handling
+ * middleware in server.js.
+ */
+class ApiError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ * @param {Function} handler - The async route handler
+ * @returns {Function} - Express middleware
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = { ApiError, asyncHandler };
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+const LANGUAGES = ['en', 'es'];
+const DEFAULT_LANGUAGE = 'en';
+
+const translations = {};
+
+/**
+ * Pick the supported language for a language code, by its base language
+ * @param {string} [language] - Language code, e.g. "es" or "es-MX"
+ * @returns {string} - A code from LANGUAGES; unsupported languages get English
+ */
+const resolveLanguage = (language) => {
+  const base = (language || '').split('-')[0].toLowerCase();
+  return LANGUAGES.includes(base) ? base : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Load the translations for a language once. The server's copy (emails, the
+ * AI's opening message) lives in src/locales/<language>.json so it never
+ * reads the client's sources.
+ * @param {string} language - Language code
+ * @returns {Object} - The parsed translation file
+ */
+const loadTranslations = (language) => {
+  if (!translations[language]) {
+    const file = path.join(__dirname, '..', 'locales', `${language}.json`);
+    translations[language] = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  return translations[language];
+};
+
+/**
+ * Build a translate function for a language with i18next-style {{name}}
+ * interpolation. Missing keys fall back to English, then to the key itself.
+ * @param {string} language - Language code, one of LANGUAGES
+ * @returns {Function} - (key, values) => string
+ */
+const getTranslator = (language) => {
+  const lookup = (lang, key) => key.split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), loadTranslations(lang));
+
+  return (key, values = {}) => {
+    const template = lookup(language, key) ?? lookup(DEFAULT_LANGUAGE, key) ?? key;
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (values[name] ?? ''));
+  };
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  getTranslator
+};
@@ -0,0 +1,33 @@
+const winston = require('winston');
+
+/**
+ * Application logger
+ */
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Audit logger for API access. Writes to AUDIT_LOG_FILE when set, otherwise
+ * to the console alongside the application log.
+ */
+const auditLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { type: 'audit' },
+  transports: [
+    process.env.AUDIT_LOG_FILE
+      ? new winston.transports.File({ filename: process.env.AUDIT_LOG_FILE })
+      : new winston.transports.Console()
+  ]
+});
+
+module.exports = { logger, auditLogger };
@@ -0,0 +1,38 @@
+/**
+ * Start a Server-Sent Events response
+ * @param {Object} res - Express response
+ * @returns {Function} - send(event, data) writes one JSON-encoded event
+ */
+const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Push the event past the compression middleware immediately
+    if (typeof res.flush === 'function') res.flush();
+  };
+};
+
+/**
+ * Keep a long-lived event stream open with periodic comment lines, which
+ * proxies would otherwise close as idle
+ * @param {Object} res - Express response
+ * @param {number} [intervalMs] - Time between comments
+ * @returns {Function} - Stops the heartbeat
+ */
+const keepAlive = (res, intervalMs = 25000) => {
+  const timer = setInterval(() => {
+    res.write(': ping\n\n');
+    if (typeof res.flush === 'function') res.flush();
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { openEventStream, keepAlive };
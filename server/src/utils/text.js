@@ -0,0 +1,75 @@
+/**
+ * Lower-case text and strip accents so one pattern or lexicon entry matches
+ * both "daño" and "dano". Curly apostrophes become straight ones.
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+const normalizeText = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u2018\u2019]/g, '\'')
+  .replace(/\s+/g, ' ');
+
+/**
+ * Split text into normalized words. Apostrophes are dropped first so
+ * "don't" becomes "dont".
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => normalizeText(text)
+  .replace(/'/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const STOPWORDS = new Set([
+  // en
+  'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'im', 'in', 'is', 'it', 'its',
+  'me', 'my', 'of', 'on', 'or', 'she', 'so', 'that', 'the', 'their', 'them', 'there', 'they', 'this',
+  'to', 'was', 'were', 'what', 'when', 'which', 'who', 'why', 'with', 'you', 'your',
+  // es
+  'al', 'como', 'con', 'cual', 'cuando', 'de', 'del', 'el', 'ella', 'ellos', 'en', 'es', 'esta',
+  'este', 'fue', 'ha', 'han', 'la', 'las', 'lo', 'los', 'me', 'mi', 'o', 'para', 'pero', 'por', 'que',
+  'se', 'sobre', 'su', 'sus', 'te', 'tu', 'un', 'una', 'y', 'yo'
+]);
+
+/**
+ * Reduce a word to a crude stem so "anxious" and "anxiety" or "trabajo" and
+ * "trabajar" match
+ * @param {string} word - Normalized word
+ * @returns {string}
+ */
+const stem = (word) => word.slice(0, 4);
+
+/**
+ * Get the distinct stems of the meaningful words in a text, for keyword
+ * matching between texts
+ * @param {string} text - Text to index
+ * @param {Set<string>} [ignore] - Extra words to skip, such as a client's name
+ * @returns {Set<string>}
+ */
+const extractKeywords = (text, ignore = new Set()) => new Set(
+  tokenize(text)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word) && !ignore.has(word))
+    .map(stem)
+);
+
+/**
+ * Shorten text to a maximum length, ending it with an ellipsis when cut
+ * @param {string} text - Text to shorten
+ * @param {number} length - Maximum length, including the ellipsis
+ * @returns {string}
+ */
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+/**
+ * Estimate how many LLM tokens a text takes. Providers use different
+ * tokenizers, so this is the common rule of thumb of about four characters
+ * per token, which errs on the high side for English and Spanish prose.
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+module.exports = { normalizeText, tokenize, extractKeywords, truncate, estimateTokens };
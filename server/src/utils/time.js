@@ -0,0 +1,163 @@
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = {};
+
+/**
+ * Check that a time zone is a known IANA name, such as 'Europe/Madrid'
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - Time zone name
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM', year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  const parts = Object.fromEntries(formatters[timeZone].formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+};
+
+/**
+ * Get a time zone's offset from UTC at an instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - Time zone name
+ * @returns {number} - Minutes ahead of UTC
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Get the instant of a wall-clock date and time in a time zone. Times that
+ * do not exist, in the hour skipped when clocks go forward, move forward by
+ * the size of the jump; times that happen twice, when clocks go back, are
+ * the first of the two.
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'; '24:00' is midnight at the end of the day
+ * @param {string} timeZone - Time zone name
+ * @returns {Date}
+ */
+const zonedTimeToDate = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offsets a day either side cover any transition on this date
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + DAY_MS), timeZone);
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallClock - offset * 60000)
+    .filter(instant => getTimeZoneOffset(new Date(instant), timeZone) * 60000 === wallClock - instant);
+
+  // No candidate: the time was skipped, so read it with the offset in force
+  // before the jump, which lands the same distance after it
+  return new Date(candidates.length ? Math.min(...candidates) : wallClock - offsetBefore * 60000);
+};
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the weekday of a calendar date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string} - Lower-case English weekday, such as 'monday'
+ */
+const getWeekday = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Convert 'H:MM' or 'HH:MM' to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number}
+ */
+const timeToMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Convert minutes after midnight to 'HH:MM'
+ * @param {number} minutes - Minutes after midnight, up to 1440
+ * @returns {string}
+ */
+const minutesToTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Format an instant for a person reading it in their time zone
+ * @param {Date|string} date - The instant
+ * @param {string} timeZone - Time zone name
+ * @param {string} [locale] - Locale of the reader
+ * @returns {string} - Such as 'Tuesday, October 20, 2026 at 10:00 AM'
+ */
+const formatInTimeZone = (date, timeZone, locale = 'en-US') => new Date(date)
+  .toLocaleString(locale, { timeZone, dateStyle: 'full', timeStyle: 'short' });
+
+module.exports = {
+  WEEKDAYS,
+  DATE_PATTERN,
+  TIME_PATTERN,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  addDays,
+  getWeekday,
+  timeToMinutes,
+  minutesToTime,
+  formatInTimeZone
+};